@@ -134,7 +134,149 @@ function sanitizeValue(val) {
   return val
 }
 
-function eventToRowGAS(event) {
+// Extra columns (8-11) written when a config sets `recurrence`
+const SERIES_HEADER = ['Series ID', 'Occurrence', 'Exception', 'Recurrence']
+
+const RECURRENCE_MODES = ['occurrence', 'series']
+
+/**
+ * Validate a config's recurrence option: 'occurrence' (one row per
+ * occurrence, linked to its series) or 'series' (one row per series).
+ * Returns null when unset, which keeps the plain event rows.
+ */
+function resolveRecurrenceMode(mode) {
+  if (mode === undefined || mode === null) return null
+  if (RECURRENCE_MODES.indexOf(mode) === -1) {
+    throw new Error(
+      'Unknown recurrence mode: ' + mode + ' (expected occurrence or series)'
+    )
+  }
+  return mode
+}
+
+/**
+ * Row id of one occurrence of a recurring event. All occurrences share the
+ * event's iCalUID, so the start time (in the compact form the Calendar API
+ * uses for instance IDs) tells them apart.
+ */
+function getOccurrenceId(seriesId, start) {
+  return seriesId + '_' + start.toISOString().replace(/[-:]|\.\d{3}/g, '')
+}
+
+/**
+ * Look up a series with the Calendar advanced service (Services > Google
+ * Calendar API): its start, its RRULE/EXDATE lines and the start times of
+ * its modified instances. Returns null when the service is not enabled or
+ * the lookup fails.
+ */
+function lookupSeriesGAS(calendarId, seriesId) {
+  if (typeof Calendar === 'undefined') return null
+  try {
+    const items =
+      Calendar.Events.list(calendarId || 'primary', { iCalUID: seriesId })
+        .items || []
+    const master = items.find((item) => item.recurrence)
+    if (!master) return null
+    const toDate = (time) => new Date(time.dateTime || time.date)
+    return {
+      start: toDate(master.start),
+      recurrence: master.recurrence,
+      exceptionStarts: items
+        .filter((item) => item.recurringEventId && item.status !== 'cancelled')
+        .map((item) => toDate(item.start)),
+    }
+  } catch (e) {
+    console.log('[lookupSeriesGAS] Could not look up series:', seriesId, e)
+    return null
+  }
+}
+
+/**
+ * Create a function describing the series of an event ({seriesId, start,
+ * occurrence, exception, recurrence}, or null for a single event). Each
+ * series of the window is looked up once, and the occurrences before the
+ * window are fetched in one call for all of them. With the series start,
+ * occurrences are counted from the first one; otherwise the occurrence index
+ * stays empty. Without the exception start times, an occurrence is an
+ * exception when its title, description or location differ from its series.
+ */
+function createSeriesResolver(calendar, events, start, lookupSeries) {
+  // Occurrences share the event ID (iCalUID) of their series
+  const seriesByEventId = new Map()
+  const recurring = events.filter(
+    (event) => event.isRecurringEvent && event.isRecurringEvent()
+  )
+  recurring.forEach((event) => {
+    if (seriesByEventId.has(event.getId())) return
+    const series = event.getEventSeries ? event.getEventSeries() : null
+    const seriesId = (series && series.getId()) || event.getId()
+    const details = (lookupSeries && lookupSeries(seriesId)) || {}
+    seriesByEventId.set(event.getId(), {
+      seriesId: seriesId,
+      series: series,
+      start: details.start || null,
+      recurrence: [].concat(details.recurrence || []).join('\n'),
+      exceptionStarts: details.exceptionStarts
+        ? new Set(details.exceptionStarts.map((date) => date.getTime()))
+        : null,
+      occurrenceStarts: details.start ? new Set() : null,
+    })
+  })
+
+  const seriesStarts = Array.from(seriesByEventId.values())
+    .filter((loaded) => loaded.start)
+    .map((loaded) => loaded.start.getTime())
+  const earliest = Math.min.apply(null, seriesStarts)
+  const earlier =
+    earliest < start.getTime()
+      ? calendar.getEvents(new Date(earliest), start)
+      : []
+  earlier.concat(recurring).forEach((event) => {
+    const loaded = seriesByEventId.get(event.getId())
+    const time = event.getStartTime().getTime()
+    if (loaded && loaded.occurrenceStarts && time >= loaded.start.getTime()) {
+      loaded.occurrenceStarts.add(time)
+    }
+  })
+  seriesByEventId.forEach((loaded) => {
+    if (loaded.occurrenceStarts) {
+      loaded.occurrenceStarts = Array.from(loaded.occurrenceStarts).sort(
+        (a, b) => a - b
+      )
+    }
+  })
+
+  return (event) => {
+    if (!event.isRecurringEvent || !event.isRecurringEvent()) return null
+    const loaded = seriesByEventId.get(event.getId())
+    if (!loaded) return null
+    const startTime = event.getStartTime().getTime()
+    const position = loaded.occurrenceStarts
+      ? loaded.occurrenceStarts.indexOf(startTime)
+      : -1
+    const exception = loaded.exceptionStarts
+      ? loaded.exceptionStarts.has(startTime)
+      : !!loaded.series &&
+        (event.getTitle() !== loaded.series.getTitle() ||
+          (event.getDescription() || '') !==
+            (loaded.series.getDescription() || '') ||
+          (event.getLocation() || '') !== (loaded.series.getLocation() || ''))
+    return {
+      seriesId: loaded.seriesId,
+      start: loaded.start,
+      occurrence: position === -1 ? '' : position + 1,
+      exception: exception,
+      recurrence: loaded.recurrence,
+    }
+  }
+}
+
+/**
+ * Convert an event to a sheet row. With withSeries the series columns are
+ * appended (empty for a single event), and an occurrence of a recurring
+ * event gets its own id (see getOccurrenceId).
+ */
+function eventToRowGAS(event, series, withSeries) {
   const id = event.getId()
   const title = sanitizeValue(event.getTitle())
   const start = event.getStartTime().toISOString()
@@ -144,7 +286,45 @@ function eventToRowGAS(event) {
   const attendees = sanitizeValue(
     (event.getGuestList() || []).map((g) => g.getEmail()).join(',')
   )
-  return [id, title, start, end, description, location, attendees]
+  const row = [id, title, start, end, description, location, attendees]
+  if (!withSeries) return row
+  if (!series) return row.concat(['', '', '', ''])
+  row[0] = getOccurrenceId(series.seriesId, event.getStartTime())
+  return row.concat([
+    series.seriesId,
+    series.occurrence,
+    series.exception,
+    sanitizeValue(series.recurrence),
+  ])
+}
+
+/**
+ * Rows of the 'series' recurrence mode: one row per series, keyed by the
+ * series ID, with the series start (or its first occurrence in the window)
+ * and the recurrence rules. Exceptions keep a row of their own; single
+ * events are unchanged.
+ */
+function buildSeriesRows(events, describeSeries) {
+  const rows = []
+  const seen = new Set()
+  events.forEach((event) => {
+    const series = describeSeries(event)
+    if (!series || series.exception) {
+      rows.push(eventToRowGAS(event, series, true))
+      return
+    }
+    if (seen.has(series.seriesId)) return
+    seen.add(series.seriesId)
+    const row = eventToRowGAS(event, series, true)
+    const start = series.start || event.getStartTime()
+    const duration = event.getEndTime() - event.getStartTime()
+    row[0] = series.seriesId
+    row[2] = start.toISOString()
+    row[3] = new Date(start.getTime() + duration).toISOString()
+    row[8] = ''
+    rows.push(row)
+  })
+  return rows
 }
 
 function getOrCreateSheet(ss, sheetName) {
@@ -163,6 +343,7 @@ function _syncCalendarToSheetGAS(cfg, start, end) {
     sheetName: cfg?.sheetName,
   })
   console.log('[_syncCalendarToSheetGAS] Date range:', { start, end })
+  const mode = resolveRecurrenceMode(cfg && cfg.recurrence)
 
   const calendar =
     cfg && cfg.calendarId
@@ -179,7 +360,21 @@ function _syncCalendarToSheetGAS(cfg, start, end) {
 
   const events = calendar.getEvents(start, end)
   console.log('[_syncCalendarToSheetGAS] Fetched events:', events.length)
-  const desired = events.map(eventToRowGAS)
+  let desired = events.map((event) => eventToRowGAS(event))
+  if (mode) {
+    const describeSeries = createSeriesResolver(
+      calendar,
+      events,
+      start,
+      (seriesId) => lookupSeriesGAS(cfg && cfg.calendarId, seriesId)
+    )
+    desired =
+      mode === 'series'
+        ? buildSeriesRows(events, describeSeries)
+        : events.map((event) =>
+            eventToRowGAS(event, describeSeries(event), true)
+          )
+  }
   const desiredMap = new Map(desired.map((r) => [r[0], r]))
 
   // Ensure the header row exists before reading data so the first event
@@ -214,6 +409,15 @@ function _syncCalendarToSheetGAS(cfg, start, end) {
     sheet.getRange(1, 1, 1, headerRow.length).setValues([headerRow])
     data = sheet.getDataRange().getValues()
   }
+  // Name the series columns, also on a sheet synced before they were enabled
+  if (mode && data[0][7] !== SERIES_HEADER[0]) {
+    const header = data[0].slice(0, 7)
+    while (header.length < 7) header.push('')
+    sheet
+      .getRange(1, 1, 1, 7 + SERIES_HEADER.length)
+      .setValues([header.concat(SERIES_HEADER)])
+    data = sheet.getDataRange().getValues()
+  }
   const body = data.slice(1)
   console.log('[_syncCalendarToSheetGAS] Existing rows in sheet:', body.length)
 
@@ -267,6 +471,16 @@ function _syncCalendarToSheetGAS(cfg, start, end) {
       }
     }
   }
+  // A series row starts at the series' first occurrence, often before the
+  // window: delete it by series ID once the series has no occurrence left
+  if (mode === 'series') {
+    for (const [id, ex] of existingMap.entries()) {
+      if (desiredMap.has(id) || id !== ex.values[7]) continue
+      const seriesStart = new Date(ex.values[2])
+      if (isNaN(seriesStart.getTime()) || seriesStart > end) continue
+      if (toDelete.indexOf(ex.rowIndex) === -1) toDelete.push(ex.rowIndex)
+    }
+  }
   console.log('[_syncCalendarToSheetGAS] Deleting rows:', toDelete.length)
   toDelete.sort((a, b) => b - a).forEach((r) => sheet.deleteRow(r))
   console.log('[_syncCalendarToSheetGAS] Sync complete')
@@ -496,6 +710,10 @@ if (typeof module !== 'undefined' && module.exports) {
     getConfigs,
     getConfig,
     eventToRowGAS,
+    resolveRecurrenceMode,
+    createSeriesResolver,
+    buildSeriesRows,
+    lookupSeriesGAS,
     sanitizeValue,
     syncCalendarToSheetGAS,
     syncAllCalendarsToSheetsGAS,
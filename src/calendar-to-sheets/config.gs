@@ -6,6 +6,8 @@
 // var SYNC_CONFIGS = [
 //   { spreadsheetId: 'aSpreadsheetId', sheetName: 'Sheet1', calendarId: 'aCalendarId' },
 //   { spreadsheetId: 'anotherSpreadsheetId', sheetName: 'Sheet2', calendarId: 'anotherCalendarId' },
+//   // Optional recurrence: 'occurrence' (rows linked to their series) or 'series' (one row per series)
+//   { spreadsheetId: 'aSpreadsheetId', sheetName: 'Series', calendarId: 'aCalendarId', recurrence: 'series' },
 // ]
 
 var SYNC_CONFIGS = []
@@ -14,7 +14,157 @@ function sanitizeValue(val) {
   return val
 }
 
-function eventToRow(event) {
+const EVENT_HEADER = [
+  'id',
+  'title',
+  'start',
+  'end',
+  'description',
+  'location',
+  'attendees',
+]
+
+// Extra columns written when a recurrence mode is set
+const SERIES_HEADER = ['seriesId', 'occurrence', 'exception', 'recurrence']
+
+const RECURRENCE_MODES = ['occurrence', 'series']
+
+/**
+ * Validate the `recurrence` option: 'occurrence' (one row per occurrence,
+ * linked to its series) or 'series' (one row per series). Unset keeps the
+ * plain event rows without series columns.
+ *
+ * @param {string} [mode] - Recurrence mode
+ * @returns {string|null} The mode, or null when unset
+ */
+function resolveRecurrenceMode(mode) {
+  if (mode === undefined || mode === null) return null
+  if (!RECURRENCE_MODES.includes(mode)) {
+    throw new Error(
+      'Unknown recurrence mode: ' + mode + ' (expected occurrence or series)'
+    )
+  }
+  return mode
+}
+
+/**
+ * Row id of one occurrence of a recurring event. All occurrences share the
+ * event's iCalUID, so the start time (in the compact form the Calendar API
+ * uses for instance IDs) tells them apart.
+ *
+ * @param {string} seriesId - Series (iCalUID) of the event
+ * @param {Date} start - Start time of the occurrence
+ * @returns {string} Occurrence id, e.g. "abc@google.com_20260202T100000Z"
+ */
+function getOccurrenceId(seriesId, start) {
+  return seriesId + '_' + start.toISOString().replace(/[-:]|\.\d{3}/g, '')
+}
+
+/**
+ * Create a function describing the series of an event: series ID, the
+ * occurrence's 1-based index in the series, whether it is an exception and
+ * the recurrence rules. Each series of the window is looked up once, and
+ * the occurrences before the window are fetched once for all of them.
+ *
+ * `lookupSeries(seriesId)` may return `{start, recurrence, exceptionStarts}`
+ * (e.g. from the Calendar API): the series start lets occurrences be counted
+ * from the first one, and exceptionStarts (start times of modified
+ * instances) identify exceptions exactly. Without it the occurrence index is
+ * left empty and an occurrence is an exception when its title, description
+ * or location differ from its series.
+ *
+ * @param {Object} calendar - Calendar used to count earlier occurrences
+ * @param {Array} events - Events of the synced window
+ * @param {Date} start - Start of the synced window
+ * @param {Function} [lookupSeries] - Optional series details lookup
+ * @returns {Function} event -> {seriesId, start, occurrence, exception, recurrence}, or null for single events
+ */
+function createSeriesResolver(
+  calendar,
+  events,
+  start,
+  lookupSeries = () => null
+) {
+  // Occurrences share the event ID (iCalUID) of their series
+  const seriesByEventId = new Map()
+  const recurring = events.filter((event) => event.isRecurringEvent?.())
+  recurring.forEach((event) => {
+    if (seriesByEventId.has(event.getId())) return
+    const series = event.getEventSeries?.()
+    const seriesId = series?.getId() || event.getId()
+    const details = lookupSeries(seriesId) || {}
+    seriesByEventId.set(event.getId(), {
+      seriesId,
+      series,
+      start: details.start || null,
+      recurrence: [].concat(details.recurrence || []).join('\n'),
+      exceptionStarts: details.exceptionStarts
+        ? new Set(details.exceptionStarts.map((date) => date.getTime()))
+        : null,
+      occurrenceStarts: details.start ? new Set() : null,
+    })
+  })
+
+  const seriesStarts = [...seriesByEventId.values()]
+    .filter((loaded) => loaded.start)
+    .map((loaded) => loaded.start.getTime())
+  const earliest = Math.min(...seriesStarts)
+  const earlier =
+    earliest < start.getTime()
+      ? calendar.getEvents(new Date(earliest), start)
+      : []
+  ;[...earlier, ...recurring].forEach((event) => {
+    const loaded = seriesByEventId.get(event.getId())
+    const time = event.getStartTime().getTime()
+    if (loaded?.occurrenceStarts && time >= loaded.start.getTime()) {
+      loaded.occurrenceStarts.add(time)
+    }
+  })
+  seriesByEventId.forEach((loaded) => {
+    if (loaded.occurrenceStarts) {
+      loaded.occurrenceStarts = [...loaded.occurrenceStarts].sort(
+        (a, b) => a - b
+      )
+    }
+  })
+
+  return (event) => {
+    const loaded = event.isRecurringEvent?.()
+      ? seriesByEventId.get(event.getId())
+      : null
+    if (!loaded) return null
+    const startTime = event.getStartTime().getTime()
+    const position = loaded.occurrenceStarts
+      ? loaded.occurrenceStarts.indexOf(startTime)
+      : -1
+    const exception = loaded.exceptionStarts
+      ? loaded.exceptionStarts.has(startTime)
+      : !!loaded.series &&
+        (event.getTitle() !== loaded.series.getTitle() ||
+          (event.getDescription() || '') !==
+            (loaded.series.getDescription() || '') ||
+          (event.getLocation() || '') !== (loaded.series.getLocation() || ''))
+    return {
+      seriesId: loaded.seriesId,
+      start: loaded.start,
+      occurrence: position === -1 ? '' : position + 1,
+      exception,
+      recurrence: loaded.recurrence,
+    }
+  }
+}
+
+/**
+ * Convert an event to a sheet row. With series details (see
+ * createSeriesResolver) the series columns are appended; an occurrence of a
+ * recurring event then gets its own id (see getOccurrenceId).
+ *
+ * @param {Object} event - Calendar event
+ * @param {Object|null} [series] - Series details, or null for a single event
+ * @param {boolean} [withSeries] - Append the series columns
+ * @returns {Array} Row values
+ */
+function eventToRow(event, series = null, withSeries = !!series) {
   const id = event.getId()
   const title = sanitizeValue(event.getTitle())
   const start = event.getStartTime().toISOString()
@@ -24,7 +174,50 @@ function eventToRow(event) {
   const attendees = (event.getGuestList() || [])
     .map((g) => g.getEmail())
     .join(',')
-  return [id, title, start, end, description, location, attendees]
+  const row = [id, title, start, end, description, location, attendees]
+  if (!withSeries) return row
+  if (!series) return [...row, '', '', '', '']
+  row[0] = getOccurrenceId(series.seriesId, event.getStartTime())
+  return [
+    ...row,
+    series.seriesId,
+    series.occurrence,
+    series.exception,
+    sanitizeValue(series.recurrence),
+  ]
+}
+
+/**
+ * Build the rows of the `series` recurrence mode: one row per series, keyed
+ * by the series ID, with the series start (or its first occurrence in the
+ * window) and the recurrence rules. Exceptions keep a row of their own,
+ * since they no longer follow the rules; single events are unchanged.
+ *
+ * @param {Array} events - Events of the synced window, in start order
+ * @param {Function} describeSeries - From createSeriesResolver
+ * @returns {Array<Array>} Rows
+ */
+function buildSeriesRows(events, describeSeries) {
+  const rows = []
+  const seen = new Set()
+  events.forEach((event) => {
+    const series = describeSeries(event)
+    if (!series || series.exception) {
+      rows.push(eventToRow(event, series, true))
+      return
+    }
+    if (seen.has(series.seriesId)) return
+    seen.add(series.seriesId)
+    const row = eventToRow(event, series)
+    const start = series.start || event.getStartTime()
+    const duration = event.getEndTime() - event.getStartTime()
+    row[0] = series.seriesId
+    row[2] = start.toISOString()
+    row[3] = new Date(start.getTime() + duration).toISOString()
+    row[8] = ''
+    rows.push(row)
+  })
+  return rows
 }
 
 function rowsToMap(rows) {
@@ -69,19 +262,9 @@ function rowsEqual(a, b) {
   return true
 }
 
-function ensureHeader(sheet) {
+function ensureHeader(sheet, expectedHeader = EVENT_HEADER) {
   // Ensure the sheet has a proper header row. If the sheet is empty or the first row
   // doesn't look like our expected header, create/replace it.
-  const expectedHeader = [
-    'id',
-    'title',
-    'start',
-    'end',
-    'description',
-    'location',
-    'attendees',
-  ]
-
   const data = sheet.getDataRange().getValues()
 
   // If sheet is completely empty, add header
@@ -94,12 +277,25 @@ function ensureHeader(sheet) {
   const firstRow = data[0]
   const isValidHeader =
     firstRow &&
-    firstRow.length >= expectedHeader.length &&
+    firstRow.length >= EVENT_HEADER.length &&
     firstRow[0] === 'id' &&
     firstRow[1] === 'title' &&
     firstRow[2] === 'start' &&
     firstRow[3] === 'end'
 
+  // A header written before the series columns were enabled is extended;
+  // the event columns of a valid header are left as they are
+  const extraHeader = expectedHeader.slice(EVENT_HEADER.length)
+  const missingExtra = extraHeader.some(
+    (name, i) => firstRow[EVENT_HEADER.length + i] !== name
+  )
+  if (isValidHeader && missingExtra) {
+    sheet
+      .getRange(1, EVENT_HEADER.length + 1, 1, extraHeader.length)
+      .setValues([extraHeader])
+    return
+  }
+
   // If first row doesn't look like a header, insert one at the top
   if (!isValidHeader) {
     sheet.insertRowBefore(1)
@@ -215,16 +411,53 @@ function computeDeletableRows(existingMap, desiredMap, start, end) {
   return toDelete
 }
 
+/**
+ * Determine which series rows (keyed by their series ID, see
+ * buildSeriesRows) should be deleted: rows of series without an occurrence
+ * in the synced window, which were deleted or have ended. A series row
+ * starts at the series' first occurrence, often long before the window, so
+ * computeDeletableRows would keep it. Series starting after the window are
+ * kept.
+ *
+ * @param {Map} existingMap - Map of id -> { rowIndex, values }
+ * @param {Map} desiredMap - Map of id -> desired row
+ * @param {Date} end - Sync window end
+ * @returns {Array<number>} Row indexes to delete
+ */
+function computeDeletableSeriesRows(existingMap, desiredMap, end) {
+  const toDelete = []
+  for (const [id, ex] of existingMap.entries()) {
+    if (desiredMap.has(id) || id !== ex.values[7]) continue
+    const rowStart = new Date(ex.values[2])
+    if (Number.isNaN(rowStart.getTime()) || rowStart > end) continue
+    console.log('[syncCalendarToSheet] Marking series for deletion:', id)
+    toDelete.push(ex.rowIndex)
+  }
+  return toDelete
+}
+
+/**
+ * Sync the events of [start, end] into the sheet. With `recurrence` set
+ * (see resolveRecurrenceMode) rows get the series columns; `lookupSeries`
+ * supplies series details (see createSeriesResolver).
+ *
+ * @param {Object} calendar - Calendar object
+ * @param {Object} sheet - Sheet object
+ * @param {Object} [options] - {start, end, recurrence, lookupSeries}
+ */
 async function syncCalendarToSheet(
   calendar,
   sheet,
   {
     start = new Date(0),
     end = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    recurrence,
+    lookupSeries,
   } = {}
 ) {
+  const mode = resolveRecurrenceMode(recurrence)
   // Ensure header row exists
-  ensureHeader(sheet)
+  ensureHeader(sheet, mode ? [...EVENT_HEADER, ...SERIES_HEADER] : EVENT_HEADER)
   console.log('[syncCalendarToSheet] Starting sync with date range:', {
     start,
     end,
@@ -232,7 +465,19 @@ async function syncCalendarToSheet(
   // Fetch events
   const events = calendar.getEvents(start, end)
   console.log('[syncCalendarToSheet] Fetched events:', events.length)
-  const desired = events.map(eventToRow)
+  let desired = events.map((event) => eventToRow(event))
+  if (mode) {
+    const describeSeries = createSeriesResolver(
+      calendar,
+      events,
+      start,
+      lookupSeries
+    )
+    desired =
+      mode === 'series'
+        ? buildSeriesRows(events, describeSeries)
+        : events.map((event) => eventToRow(event, describeSeries(event), true))
+  }
   const desiredMap = new Map(desired.map((r) => [r[0], r]))
 
   // Read existing rows
@@ -259,6 +504,11 @@ async function syncCalendarToSheet(
   // Delete rows for events that no longer exist, but only if they fall within
   // the synced time window to avoid deleting rows from events outside [start,end]
   const toDelete = computeDeletableRows(existingMap, desiredMap, start, end)
+  if (mode === 'series') {
+    computeDeletableSeriesRows(existingMap, desiredMap, end).forEach((row) => {
+      if (!toDelete.includes(row)) toDelete.push(row)
+    })
+  }
   // delete from bottom to top
   console.log('[syncCalendarToSheet] Deleting rows:', toDelete.length)
   toDelete
@@ -274,4 +524,7 @@ module.exports = {
   rowsEqual,
   rowsToMap,
   ensureHeader,
+  resolveRecurrenceMode,
+  createSeriesResolver,
+  buildSeriesRows,
 }
@@ -2,12 +2,14 @@ const {
   installGlobals,
   resetAll,
   createCalendarEvent,
+  createCalendarEventSeries,
 } = require('../../../test-utils/mocks')
 const {
   eventToRow,
   syncCalendarToSheet,
   rowsEqual,
   rowsToMap,
+  resolveRecurrenceMode,
 } = require('../src/index')
 
 beforeEach(() => {
@@ -2746,3 +2748,473 @@ describe('GAS wrapper functions', () => {
     delete global.SYNC_CONFIGS
   })
 })
+
+describe('recurring events', () => {
+  const standup = createCalendarEventSeries({
+    id: 'standup@google.com',
+    title: 'Standup',
+    location: 'Room 1',
+  })
+  const addStandups = (calendar, overrides = {}) => {
+    ;['02', '03', '04'].forEach((day) => {
+      calendar.__addEvent(
+        createCalendarEvent({
+          id: 'standup@google.com',
+          title: 'Standup',
+          location: 'Room 1',
+          start: new Date(`2026-02-${day}T09:00:00Z`),
+          end: new Date(`2026-02-${day}T09:15:00Z`),
+          series: standup,
+          ...overrides[day],
+        })
+      )
+    })
+  }
+  const lookupSeries = jest.fn(() => ({
+    start: new Date('2026-02-01T09:00:00Z'),
+    recurrence: ['RRULE:FREQ=DAILY', 'EXDATE:20260205T090000Z'],
+    exceptionStarts: [new Date('2026-02-04T09:00:00Z')],
+  }))
+  const window = {
+    start: new Date('2026-02-02'),
+    end: new Date('2026-02-05'),
+  }
+
+  beforeEach(() => {
+    lookupSeries.mockClear()
+  })
+
+  test('link each occurrence to its series with index and exception flag', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    // The first occurrence is before the synced window
+    calendar.__addEvent(
+      createCalendarEvent({
+        id: 'standup@google.com',
+        title: 'Standup',
+        start: new Date('2026-02-01T09:00:00Z'),
+        end: new Date('2026-02-01T09:15:00Z'),
+        series: standup,
+      })
+    )
+    addStandups(calendar)
+    calendar.__addEvent(
+      createCalendarEvent({
+        id: 'e1',
+        title: 'Review',
+        start: new Date('2026-02-03T12:00:00Z'),
+        end: new Date('2026-02-03T13:00:00Z'),
+      })
+    )
+
+    const getEvents = jest.spyOn(calendar, 'getEvents')
+
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'occurrence',
+      lookupSeries,
+    })
+
+    expect(lookupSeries).toHaveBeenCalledTimes(1)
+    // The window, then the occurrences before it
+    expect(getEvents.mock.calls).toEqual([
+      [window.start, window.end],
+      [new Date('2026-02-01T09:00:00Z'), window.start],
+    ])
+    const rows = sheet.__getRows()
+    expect(rows.map((r) => [r[0], ...r.slice(7)])).toEqual([
+      [
+        'standup@google.com_20260202T090000Z',
+        'standup@google.com',
+        2,
+        false,
+        'RRULE:FREQ=DAILY\nEXDATE:20260205T090000Z',
+      ],
+      [
+        'standup@google.com_20260203T090000Z',
+        'standup@google.com',
+        3,
+        false,
+        'RRULE:FREQ=DAILY\nEXDATE:20260205T090000Z',
+      ],
+      [
+        'standup@google.com_20260204T090000Z',
+        'standup@google.com',
+        4,
+        true,
+        'RRULE:FREQ=DAILY\nEXDATE:20260205T090000Z',
+      ],
+      ['e1', '', '', '', ''],
+    ])
+    const header = sheet.getDataRange().getValues()[0]
+    expect(header.slice(7)).toEqual([
+      'seriesId',
+      'occurrence',
+      'exception',
+      'recurrence',
+    ])
+  })
+
+  test('store one row per series and keep exceptions apart', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    addStandups(calendar, { '03': { location: 'Room 2' } })
+
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'series',
+    })
+
+    const rows = sheet.__getRows()
+    expect(rows).toEqual([
+      [
+        'standup@google.com',
+        'Standup',
+        '2026-02-02T09:00:00.000Z',
+        '2026-02-02T09:15:00.000Z',
+        '',
+        'Room 1',
+        '',
+        'standup@google.com',
+        '',
+        false,
+        '',
+      ],
+      [
+        'standup@google.com_20260203T090000Z',
+        'Standup',
+        '2026-02-03T09:00:00.000Z',
+        '2026-02-03T09:15:00.000Z',
+        '',
+        'Room 2',
+        '',
+        'standup@google.com',
+        '',
+        true,
+        '',
+      ],
+    ])
+
+    // Switching back to occurrences replaces the series row
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'occurrence',
+    })
+    expect(sheet.__getRows().map((r) => r[0])).toEqual([
+      'standup@google.com_20260203T090000Z',
+      'standup@google.com_20260202T090000Z',
+      'standup@google.com_20260204T090000Z',
+    ])
+  })
+
+  test('start series rows at the series start when it is known', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    addStandups(calendar)
+
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'series',
+      lookupSeries,
+    })
+
+    expect(sheet.__getRows().map((r) => r.slice(0, 4))).toEqual([
+      [
+        'standup@google.com',
+        'Standup',
+        '2026-02-01T09:00:00.000Z',
+        '2026-02-01T09:15:00.000Z',
+      ],
+      [
+        'standup@google.com_20260204T090000Z',
+        'Standup',
+        '2026-02-04T09:00:00.000Z',
+        '2026-02-04T09:15:00.000Z',
+      ],
+    ])
+  })
+
+  test('delete the row of a deleted series that started before the window', async () => {
+    const code = require('../code.gs')
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    const options = { ...window, recurrence: 'series', lookupSeries }
+    addStandups(calendar)
+    await syncCalendarToSheet(calendar, sheet, options)
+    // A series starting after the window is not the window's to delete
+    sheet.appendRow([
+      'later@google.com',
+      'Later',
+      '2026-03-01T09:00:00.000Z',
+      '2026-03-01T09:15:00.000Z',
+      '',
+      '',
+      '',
+      'later@google.com',
+      '',
+      false,
+      '',
+    ])
+    calendar.__reset()
+
+    await syncCalendarToSheet(calendar, sheet, options)
+    expect(sheet.__getRows().map((r) => r[0])).toEqual(['later@google.com'])
+
+    // Same in the GAS wrapper
+    global.SYNC_CONFIGS = [
+      { spreadsheetId: 'ss1', sheetName: 'Sheet1', recurrence: 'series' },
+    ]
+    global.Calendar = {
+      Events: {
+        list: jest.fn(() => ({
+          items: [
+            {
+              recurrence: ['RRULE:FREQ=DAILY'],
+              start: { dateTime: '2026-02-01T09:00:00Z' },
+            },
+          ],
+        })),
+      },
+    }
+    addStandups(calendar)
+    code.syncAllCalendarsToSheetsGAS(
+      '2026-02-02T00:00:00Z',
+      '2026-02-05T00:00:00Z'
+    )
+    expect(sheet.__getRows().map((r) => r.slice(0, 3))).toEqual([
+      ['later@google.com', 'Later', '2026-03-01T09:00:00.000Z'],
+      ['standup@google.com', 'Standup', '2026-02-01T09:00:00.000Z'],
+    ])
+    calendar.__reset()
+    code.syncAllCalendarsToSheetsGAS(
+      '2026-02-02T00:00:00Z',
+      '2026-02-05T00:00:00Z'
+    )
+    expect(sheet.__getRows().map((r) => r[0])).toEqual(['later@google.com'])
+
+    delete global.Calendar
+    delete global.SYNC_CONFIGS
+  })
+
+  test('keep plain rows when no recurrence mode is set', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    addStandups(calendar)
+
+    await syncCalendarToSheet(calendar, sheet, window)
+
+    expect(sheet.__getRows()).toHaveLength(1)
+    expect(sheet.__getRows()[0]).toHaveLength(7)
+    expect(() => resolveRecurrenceMode('weekly')).toThrow(
+      'Unknown recurrence mode: weekly (expected occurrence or series)'
+    )
+  })
+
+  test('GAS wrapper reads series details from the Calendar advanced service', async () => {
+    const code = require('../code.gs')
+    global.SYNC_CONFIGS = [
+      {
+        calendarId: 'team',
+        spreadsheetId: 'ss1',
+        sheetName: 'Sheet1',
+        recurrence: 'series',
+      },
+    ]
+    global.Calendar = {
+      Events: {
+        list: jest.fn(() => ({
+          items: [
+            {
+              recurrence: ['RRULE:FREQ=DAILY'],
+              start: { dateTime: '2026-02-02T09:00:00Z' },
+            },
+            {
+              recurringEventId: 'standup',
+              start: { dateTime: '2026-02-03T10:00:00Z' },
+            },
+          ],
+        })),
+      },
+    }
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    addStandups(calendar, {
+      '03': {
+        start: new Date('2026-02-03T10:00:00Z'),
+        end: new Date('2026-02-03T10:15:00Z'),
+      },
+    })
+
+    code.syncAllCalendarsToSheetsGAS(
+      '2026-02-02T00:00:00Z',
+      '2026-02-05T00:00:00Z'
+    )
+
+    expect(global.Calendar.Events.list).toHaveBeenCalledWith('team', {
+      iCalUID: 'standup@google.com',
+    })
+    expect(sheet.getDataRange().getValues()[0].slice(7)).toEqual([
+      'Series ID',
+      'Occurrence',
+      'Exception',
+      'Recurrence',
+    ])
+    expect(sheet.__getRows().map((r) => [r[0], ...r.slice(7)])).toEqual([
+      [
+        'standup@google.com',
+        'standup@google.com',
+        '',
+        false,
+        'RRULE:FREQ=DAILY',
+      ],
+      [
+        'standup@google.com_20260203T100000Z',
+        'standup@google.com',
+        2,
+        true,
+        'RRULE:FREQ=DAILY',
+      ],
+    ])
+
+    delete global.Calendar
+    delete global.SYNC_CONFIGS
+  })
+
+  test('extend a valid header with the series columns only', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    const header = ['id', 'title', 'start', 'end', 'Notes', 'Where', 'Guests']
+    sheet.__setHeader(header)
+    addStandups(calendar)
+
+    await syncCalendarToSheet(calendar, sheet, window)
+    expect(sheet.getDataRange().getValues()[0]).toEqual(header)
+
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'series',
+      lookupSeries,
+    })
+    expect(sheet.getDataRange().getValues()[0]).toEqual([
+      ...header,
+      'seriesId',
+      'occurrence',
+      'exception',
+      'recurrence',
+    ])
+  })
+
+  test('keep series rows whose start cannot be read', async () => {
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    sheet.appendRow([
+      'old@google.com',
+      'Old',
+      'someday',
+      '',
+      '',
+      '',
+      '',
+      'old@google.com',
+      '',
+      false,
+      '',
+    ])
+    addStandups(calendar)
+
+    await syncCalendarToSheet(calendar, sheet, {
+      ...window,
+      recurrence: 'series',
+      lookupSeries,
+    })
+
+    expect(sheet.__getRows().map((r) => r[0])).toEqual([
+      'old@google.com',
+      'standup@google.com',
+      'standup@google.com_20260204T090000Z',
+    ])
+
+    // Same in the GAS wrapper, next to a single event
+    const code = require('../code.gs')
+    global.SYNC_CONFIGS = [
+      { spreadsheetId: 'ss1', sheetName: 'Sheet1', recurrence: 'series' },
+    ]
+    calendar.__reset()
+    calendar.__addEvent(
+      createCalendarEvent({
+        id: 'e1',
+        title: 'Review',
+        start: new Date('2026-02-03T12:00:00Z'),
+        end: new Date('2026-02-03T13:00:00Z'),
+      })
+    )
+    code.syncAllCalendarsToSheetsGAS(
+      '2026-02-02T00:00:00Z',
+      '2026-02-05T00:00:00Z'
+    )
+    expect(sheet.__getRows().map((r) => [r[0], r[7]])).toEqual([
+      ['old@google.com', 'old@google.com'],
+      ['e1', ''],
+    ])
+    delete global.SYNC_CONFIGS
+  })
+
+  test('GAS wrapper links occurrences on a sheet synced without series', () => {
+    const code = require('../code.gs')
+    global.SYNC_CONFIGS = [
+      { spreadsheetId: 'ss1', sheetName: 'Sheet1', recurrence: 'occurrence' },
+    ]
+    global.Calendar = {
+      Events: {
+        list: jest.fn(() => {
+          throw new Error('Calendar API has not been used')
+        }),
+      },
+    }
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+    const calendar = CalendarApp.getDefaultCalendar()
+    const sheet = SpreadsheetApp.openById('ss1').getSheetByName('Sheet1')
+    addStandups(calendar)
+
+    code.syncAllCalendarsToSheetsGAS(
+      '2026-02-02T00:00:00Z',
+      '2026-02-05T00:00:00Z'
+    )
+
+    expect(sheet.getDataRange().getValues()[0]).toEqual([
+      'id',
+      'title',
+      'start',
+      'end',
+      'description',
+      'location',
+      'attendees',
+      'Series ID',
+      'Occurrence',
+      'Exception',
+      'Recurrence',
+    ])
+    // Without the series details the occurrence index stays empty
+    expect(sheet.__getRows().map((r) => [r[0], ...r.slice(7)])).toEqual(
+      ['02', '03', '04'].map((day) => [
+        `standup@google.com_202602${day}T090000Z`,
+        'standup@google.com',
+        '',
+        false,
+        '',
+      ])
+    )
+    expect(log).toHaveBeenCalledWith(
+      '[lookupSeriesGAS] Could not look up series:',
+      'standup@google.com',
+      expect.any(Error)
+    )
+    expect(() => code.resolveRecurrenceMode('weekly')).toThrow(
+      'Unknown recurrence mode: weekly (expected occurrence or series)'
+    )
+
+    log.mockRestore()
+    delete global.Calendar
+    delete global.SYNC_CONFIGS
+  })
+})
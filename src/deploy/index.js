@@ -27,14 +27,22 @@ function getScriptCatalog() {
       name: 'Gmail to Drive By Labels',
       description:
         'Automatically archives emails from specific Gmail labels into a ' +
-        'Google Doc (text) and a Google Drive Folder (attachments). ' +
-        'Features robust text cleaning and smart attachment de-duplication.',
+        'Google Doc, Sheet, Markdown or PDF file and a Google Drive Folder ' +
+        '(attachments). Features robust text cleaning, smart attachment ' +
+        'de-duplication, a thread index and message ledger, dry-run and ' +
+        'retry summary emails, time-budgeted runs resumed by trigger, ' +
+        'label exports, and Office conversion through the Drive advanced ' +
+        'service.',
       files: ['code.gs', 'config.gs'],
       scopes: [
         'https://www.googleapis.com/auth/gmail.modify',
+        'https://www.googleapis.com/auth/gmail.send',
         'https://www.googleapis.com/auth/drive',
         'https://www.googleapis.com/auth/documents',
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/script.scriptapp',
         'https://www.googleapis.com/auth/script.external_request',
+        'https://www.googleapis.com/auth/userinfo.email',
       ],
     },
     {
@@ -60,6 +60,13 @@ describe('getScriptCatalog', () => {
     expect(entry).toBeDefined()
     expect(entry.files).toContain('code.gs')
     expect(entry.files).toContain('config.gs')
+    expect(entry.scopes).toEqual(
+      expect.arrayContaining([
+        'https://www.googleapis.com/auth/gmail.send',
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/script.scriptapp',
+      ])
+    )
   })
 
   test('includes calendar-to-sheets entry', () => {
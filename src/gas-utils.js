@@ -1,20 +1,72 @@
 const crypto = require('node:crypto')
 
 /**
- * getCleanBody - logic ported from GAS for local testing
+ * CLEAN_BODY_RULES - built-in getCleanBody detectors, by name. `cut`
+ * patterns truncate the body at the start of the line holding the earliest
+ * match; a `line` pattern drops every matching line. `forwarded` detectors
+ * mark where forwarded content starts (see getCleanBody's keepForwarded).
  */
-function getCleanBody(text) {
-  if (!text) return ''
+const CLEAN_BODY_RULES = {
+  replyHeader: {
+    cut: [
+      /^[ \t ]*On[ \t ].+(?<=[ \t ])wrote:/m, // Gmail (English)
+      /^[ \t ]*From:[ \t ].+(?<=[ \t ])Sent:[ \t ]+/m, // Outlook
+      /^[ \t ]*-{2,}[ \t ]*Original Message[ \t ]*-{2,}/im, // Outlook plain text
+      /^[ \t ]*Le[ \t ].+(?<=[ \t ])a écrit[ \t ]?:/m, // French
+      /^[ \t ]*Am[ \t ].+(?<=[ \t ])schrieb[ \t ].*:\s*$/m, // German
+      /^[ \t ]*El[ \t ].+(?<=[ \t ])escribió:/m, // Spanish
+      /^[ \t ]*Op[ \t ].+(?<=[ \t ])schreef[ \t ].*:\s*$/m, // Dutch
+    ],
+  },
+  separator: { cut: [/^[ \t ]*_{10,}[ \t ]*$/m] },
+  confidentiality: { cut: [/confidentiality notice/im] },
+  signature: {
+    cut: [
+      /^--[ \t ]?\r?$/m, // Standard "-- " delimiter
+      /^[ \t ]*Sent from my (iPhone|iPad|Android|mobile|BlackBerry)/im,
+      /^[ \t ]*Get Outlook for (iOS|Android)/im,
+    ],
+  },
+  forwarded: {
+    forwarded: true,
+    cut: [
+      /^[ \t ]*-{2,}[ \t ]*(Forwarded message|Message transféré|Weitergeleitete Nachricht|Mensaje reenviado)[ \t ]*-{2,}/im,
+      /^[ \t ]*Begin forwarded message:/im, // Apple Mail
+    ],
+  },
+  quotedLines: { line: /^\s*[<>]/ },
+}
 
-  const headerPatterns = [
-    /^[ \t ]*On[ \t ].+(?<=[ \t ])wrote:/m,
-    /^[ \t ]*From:[ \t ].+(?<=[ \t ])Sent:[ \t ]+/m,
-    /^[ \t ]*_{10,}[ \t ]*$/m,
-    /confidentiality notice/im,
-  ]
+/**
+ * resolveCleanBodyRules - collect the cut, forwarded and line patterns for
+ * getCleanBody options ({detectors, patterns}). Detectors default to every
+ * built-in rule; custom `patterns` (RegExp, or a case-insensitive multiline
+ * string) are cut patterns. Throws on unknown detector names.
+ */
+function resolveCleanBodyRules(options = {}) {
+  const rules = { cut: [], forwarded: [], line: [] }
+  const names = options.detectors || Object.keys(CLEAN_BODY_RULES)
+  names.forEach((name) => {
+    const rule = CLEAN_BODY_RULES[name]
+    if (!rule) throw new Error('Unknown body cleanup detector: ' + name)
+    if (rule.cut) rules[rule.forwarded ? 'forwarded' : 'cut'].push(...rule.cut)
+    if (rule.line) rules.line.push(rule.line)
+  })
+  ;(options.patterns || []).forEach((pattern) => {
+    rules.cut.push(
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, 'im')
+    )
+  })
+  return rules
+}
 
+/**
+ * findCutIndex - start of the line holding the earliest match of any
+ * pattern, or -1
+ */
+function findCutIndex(text, patterns) {
   let splitIndex = -1
-  headerPatterns.forEach((pattern) => {
+  patterns.forEach((pattern) => {
     const match = text.match(pattern)
     if (match) {
       // Prefer splitting at the start of the line containing the match
@@ -25,22 +77,239 @@ function getCleanBody(text) {
       }
     }
   })
+  return splitIndex
+}
+
+/**
+ * getCleanBody - logic ported from GAS for local testing. Options pick the
+ * detectors and custom patterns (see resolveCleanBodyRules); with
+ * `keepForwarded`, forwarded content is kept as-is after the cleaned text
+ * above it instead of being cut.
+ */
+function getCleanBody(text, options = {}) {
+  if (!text) return ''
+
+  const rules = resolveCleanBodyRules(options)
+  let ownText = text
+  let forwardedText = ''
+  if (options.keepForwarded) {
+    const forwardIndex = findCutIndex(text, rules.forwarded)
+    if (forwardIndex !== -1) {
+      ownText = text.substring(0, forwardIndex)
+      forwardedText = text.substring(forwardIndex).trim()
+    }
+  } else {
+    rules.cut.push(...rules.forwarded)
+  }
 
-  const workingText = splitIndex !== -1 ? text.substring(0, splitIndex) : text
+  const splitIndex = findCutIndex(ownText, rules.cut)
+  const workingText =
+    splitIndex !== -1 ? ownText.substring(0, splitIndex) : ownText
   const lines = workingText.split('\n')
-  const cleanLines = lines.filter((line) => {
-    const trimmed = line.trim()
-    return !(trimmed.startsWith('>') || trimmed.startsWith('<'))
-  })
+  const cleanLines = lines.filter(
+    (line) => !rules.line.some((pattern) => pattern.test(line))
+  )
 
   // Join lines and normalize line breaks: collapse 3+ consecutive newlines to 2
   // This preserves intentional paragraph spacing while preventing excessive blank lines in Google Docs
-  let result = cleanLines.join('\n').trim()
+  let result = [cleanLines.join('\n').trim(), forwardedText]
+    .filter(Boolean)
+    .join('\n\n')
   result = result.replace(/\n{3,}/g, '\n\n')
 
   return result
 }
 
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+}
+
+const HTML_BLOCK_TAGS = new Set([
+  'p',
+  'div',
+  'table',
+  'tr',
+  'ul',
+  'ol',
+  'pre',
+  'hr',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+])
+
+/**
+ * decodeHtmlEntities - decode named and numeric HTML character references.
+ * Numeric references outside Unicode or to a lone surrogate are kept as
+ * written.
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? Number.parseInt(entity.slice(2), 16)
+          : Number.parseInt(entity.slice(1), 10)
+      if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return match
+      return String.fromCodePoint(code)
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()]
+    return decoded === undefined ? match : decoded
+  })
+}
+
+/**
+ * stripQuotedHtml - remove quoted reply blocks from an HTML email body.
+ * Drops <blockquote> and Gmail "gmail_quote" elements (including nested
+ * content) and truncates at Outlook's "divRplyFwdMsg" reply header.
+ */
+function stripQuotedHtml(html) {
+  const outlookHeader = html.search(/<div\b[^>]*\bid\s*=\s*["']?divRplyFwdMsg/i)
+  const source = (outlookHeader === -1 ? html : html.slice(0, outlookHeader))
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1\s*>/gi, '')
+
+  const tagPattern = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi
+  let result = ''
+  let lastIndex = 0
+  let skipTag = null
+  let skipDepth = 0
+  let match
+  while ((match = tagPattern.exec(source)) !== null) {
+    const [, closing, rawName, attrs] = match
+    const name = rawName.toLowerCase()
+    if (skipTag) {
+      if (name === skipTag && !attrs.endsWith('/')) {
+        skipDepth += closing ? -1 : 1
+      }
+      if (skipDepth === 0) {
+        skipTag = null
+        lastIndex = tagPattern.lastIndex
+      }
+      continue
+    }
+    const isQuote =
+      name === 'blockquote' ||
+      /\bclass\s*=\s*["']?[^"'>]*\bgmail_quote(?![\w-])/i.test(attrs)
+    if (!closing && isQuote) {
+      result += source.slice(lastIndex, match.index)
+      skipTag = name
+      skipDepth = 1
+    }
+  }
+  if (!skipTag) result += source.slice(lastIndex)
+  return result
+}
+
+/**
+ * htmlToText - convert HTML into structured plain text. Block elements become
+ * line breaks, list items become "- " / "1. " bullets (indented when nested),
+ * table cells are joined with " | " and hyperlinks keep their target as
+ * "text (url)".
+ */
+function htmlToText(html) {
+  const tagPattern = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi
+  const lists = []
+  const links = []
+  let out = ''
+  let inPre = 0
+  let rowCells = 0
+  let lastIndex = 0
+  let match
+
+  const newline = () => {
+    out = out.replace(/[ \t]+$/, '')
+    if (out && !out.endsWith('\n')) out += '\n'
+  }
+  const appendText = (raw) => {
+    let text = decodeHtmlEntities(
+      inPre ? raw : raw.replace(/[\s\u00a0]+/g, ' ')
+    ).replace(/\u00a0/g, ' ')
+    if (!inPre && (!out || out.endsWith('\n') || out.endsWith(' '))) {
+      text = text.replace(/^ +/, '')
+    }
+    out += text
+  }
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    appendText(html.slice(lastIndex, match.index))
+    lastIndex = tagPattern.lastIndex
+    const [, closing, rawName, attrs] = match
+    const name = rawName.toLowerCase()
+
+    if (name === 'br') {
+      out = out.replace(/[ \t]+$/, '') + '\n'
+    } else if (name === 'li' && !closing) {
+      newline()
+      const list = lists[lists.length - 1]
+      const indent = '  '.repeat(Math.max(lists.length - 1, 0))
+      if (list && list.ordered) {
+        list.count++
+        out += indent + list.count + '. '
+      } else {
+        out += indent + '- '
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) lists.pop()
+      else lists.push({ ordered: name === 'ol', count: 0 })
+      newline()
+    } else if (name === 'td' || name === 'th') {
+      if (!closing && rowCells++ > 0) out += ' | '
+    } else if (name === 'a') {
+      if (!closing) {
+        const href = attrs.match(
+          /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i
+        )
+        const target = href
+          ? decodeHtmlEntities(href[1] ?? href[2] ?? href[3])
+          : ''
+        links.push({ href: target, start: out.length })
+      } else if (links.length > 0) {
+        const { href, start } = links.pop()
+        const label = out.slice(start).trim()
+        const bareHref = href.replace(/^mailto:/i, '')
+        if (
+          href &&
+          !href.startsWith('#') &&
+          label !== href &&
+          label !== bareHref
+        ) {
+          out += label ? ' (' + href + ')' : href
+        }
+      }
+    } else if (HTML_BLOCK_TAGS.has(name)) {
+      if (name === 'pre') inPre += closing ? -1 : 1
+      if (name === 'tr') rowCells = 0
+      newline()
+    }
+  }
+  appendText(html.slice(lastIndex))
+
+  return out
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+}
+
+/**
+ * getCleanHtmlBody - clean an HTML email body: strip quoted blocks, convert
+ * to structured text and apply the plain-text getCleanBody heuristics (with
+ * the same options). Gmail wraps forwarded messages in a quote block, so
+ * they are dropped here even with keepForwarded.
+ */
+function getCleanHtmlBody(html, options = {}) {
+  if (!html) return ''
+  return getCleanBody(htmlToText(stripQuotedHtml(html)), options)
+}
+
 /**
  * getFileHash - compute MD5 hex digest of a "blob" (Buffer or object with getBytes())
  */
@@ -60,4 +329,12 @@ function getFileHash(blob) {
   return hash
 }
 
-module.exports = { getCleanBody, getFileHash }
+module.exports = {
+  CLEAN_BODY_RULES,
+  resolveCleanBodyRules,
+  getCleanBody,
+  getCleanHtmlBody,
+  htmlToText,
+  stripQuotedHtml,
+  getFileHash,
+}
@@ -1,18 +1,34 @@
 // @version 1.0.0
+/** Time one run may take: 4 minutes, leaving 2 of the 6 minute Apps Script limit. */
+var MAX_EXECUTION_TIME = 4 * 60 * 1000
+
+/** Delay before a continuation trigger runs a paused entry point again. */
+var CONTINUATION_DELAY = 60 * 1000
+
 /**
  * Main function to trigger the processing of emails.
- * Reads settings from Config.gs
+ * Reads settings from Config.gs. All label groups share one time budget;
+ * when it runs out, the run stops between threads and a one-off trigger
+ * continues at the paused group. Invalid settings (see validateConfigs) stop
+ * the run before anything is archived.
  */
 function storeEmailsAndAttachments() {
   console.log('[storeEmailsAndAttachments] Starting email processing')
-  var PROCESS_CONFIG = getProcessConfig()
+  var configs = getProcessConfig()
+  checkConfigs(configs, 'storeEmailsAndAttachments')
+  var budget = createTimeBudget()
+  var PROCESS_CONFIG = resumeConfigs(
+    configs,
+    takeContinuation('storeEmailsAndAttachments')
+  )
   console.log(
     '[storeEmailsAndAttachments] Processing',
     PROCESS_CONFIG.length,
     'configurations'
   )
 
-  PROCESS_CONFIG.forEach((config, index) => {
+  for (var index = 0; index < PROCESS_CONFIG.length; index++) {
+    var config = PROCESS_CONFIG[index]
     console.log(
       '[storeEmailsAndAttachments] Processing config',
       index + 1,
@@ -21,14 +37,594 @@ function storeEmailsAndAttachments() {
       ':',
       config.triggerLabel
     )
-    processLabelGroup(config)
-  })
+    if (processLabelGroup(config, budget) === false) {
+      console.log('[storeEmailsAndAttachments] Paused due to time constraints.')
+      saveContinuation('storeEmailsAndAttachments', config.triggerLabel)
+      return
+    }
+  }
   console.log('[storeEmailsAndAttachments] Completed all processing')
 }
 
+/**
+ * Export every label group in getProcessConfig() as a ZIP file in Drive (see
+ * exportLabelArchive), e.g. to hand a complete correspondence bundle to an
+ * accountant or lawyer.
+ */
+function exportLabelArchives() {
+  // One time budget for all configs; each export stops at it
+  var budget = createTimeBudget()
+  getProcessConfig().forEach(function (config) {
+    exportLabelArchive(config, budget)
+  })
+}
+
+/**
+ * Log, for every label group with a messageLedger, how its ledger and doc
+ * disagree (see reconcileLedger): messages missing from either side and
+ * attachment files that were deleted or trashed.
+ */
+function reconcileMessageLedgers() {
+  getProcessConfig()
+    .filter(function (config) {
+      return config.messageLedger
+    })
+    .forEach(function (config) {
+      Logger.log(formatLedgerReport(reconcileLedger(config)))
+    })
+}
+
+/**
+ * Dry run of storeEmailsAndAttachments: walks every label group without
+ * archiving, labelling or scheduling anything and returns a report of what
+ * it would do. Pass an address to get the report by email, e.g.
+ * previewEmailsAndAttachments('me@example.com'). Invalid settings are listed
+ * as configuration errors instead of previewing the groups.
+ */
+function previewEmailsAndAttachments(reportTo) {
+  console.log('[storeEmailsAndAttachments] Starting dry run')
+  var budget = createTimeBudget()
+  var report = { dryRun: true, completed: true, groups: [], configErrors: [] }
+  var PROCESS_CONFIG = getProcessConfig()
+  report.configErrors = checkConfigs(
+    PROCESS_CONFIG,
+    'storeEmailsAndAttachments',
+    false
+  )
+  // Invalid settings would stop a real run before any group
+  if (report.configErrors.length > 0) PROCESS_CONFIG = []
+  for (var index = 0; index < PROCESS_CONFIG.length; index++) {
+    if (processLabelGroup(PROCESS_CONFIG[index], budget, report) === false) {
+      report.completed = false
+      break
+    }
+  }
+
+  var text = formatDryRunReport(report)
+  console.log('[storeEmailsAndAttachments] Dry-run report:\n' + text)
+  // A trigger passes an event object, not an address
+  if (typeof reportTo === 'string' && reportTo) {
+    GmailApp.sendEmail(reportTo, 'Gmail archive dry run', text)
+    console.log(
+      '[storeEmailsAndAttachments] Emailed dry-run report to:',
+      reportTo
+    )
+  }
+  return report
+}
+
+/**
+ * Config fields every label group needs (docId too for doc and pdf targets,
+ * processedLabel unless a messageLedger records what was archived).
+ */
+var REQUIRED_CONFIG_FIELDS = ['triggerLabel', 'processedLabel', 'folderId']
+
+/** Run a check of validateConfigs, turning a thrown error into a problem. */
+function collectProblem(problems, prefix, check) {
+  try {
+    check()
+  } catch (e) {
+    problems.push(prefix + e.message)
+  }
+}
+
+/**
+ * Check the label group configs before a run changes anything: required
+ * fields, the options resolved at archive time, filter patterns, labels that
+ * overlap between configs (a shared trigger or processed label, or a
+ * processed label that another config treats as its trigger, which would
+ * archive the same threads again or in a loop) and access to the doc, folder
+ * and sheets. A trigger label that does not exist yet is only a warning:
+ * processLabelGroup skips the config until it does (or creates it, for a
+ * config with a triggerQuery). Returns {errors,
+ * warnings}, each naming its config.
+ */
+function validateConfigs(configs) {
+  var errors = []
+  var warnings = []
+  var describe = function (index) {
+    return (
+      'Config ' +
+      (index + 1) +
+      ' (' +
+      (configs[index].triggerLabel || 'no triggerLabel') +
+      '): '
+    )
+  }
+
+  configs.forEach(function (config, index) {
+    var prefix = describe(index)
+    var target = null
+    collectProblem(errors, prefix, function () {
+      target = resolveOutputTarget(config)
+    })
+    var needsDoc = target && (target.type === 'doc' || target.type === 'pdf')
+    var missing = REQUIRED_CONFIG_FIELDS.concat(needsDoc ? ['docId'] : [])
+      .filter(function (field) {
+        return field !== 'processedLabel' || !config.messageLedger
+      })
+      .filter(function (field) {
+        return !config[field]
+      })
+    if (missing.length > 0) {
+      errors.push(prefix + 'missing ' + missing.join(', '))
+    }
+    if (config.triggerLabel && config.triggerLabel === config.processedLabel) {
+      errors.push(
+        prefix +
+          'triggerLabel and processedLabel are both ' +
+          config.triggerLabel +
+          ', so archived threads would be archived again on every run'
+      )
+    }
+
+    collectProblem(errors, prefix, function () {
+      resolveArchiveOrder(config)
+    })
+    collectProblem(errors, prefix, function () {
+      resolveRetrySettings(config)
+    })
+    collectProblem(errors, prefix, function () {
+      resolveRedactionSettings(config)
+    })
+    collectProblem(errors, prefix, function () {
+      resolveCleanBodyRules(config.bodyCleanup)
+    })
+    var indexSettings = null
+    collectProblem(errors, prefix, function () {
+      indexSettings = resolveThreadIndexSettings(config)
+    })
+    var ledgerSettings = null
+    collectProblem(errors, prefix, function () {
+      ledgerSettings = resolveLedgerSettings(config)
+    })
+    if (target && target.type === 'sheet' && !target.spreadsheetId) {
+      errors.push(prefix + 'sheet target needs a spreadsheetId')
+    }
+    collectProblem(errors, prefix, function () {
+      buildTriggerSearch(config)
+    })
+    var filters = config.filters || {}
+    ;['include', 'exclude'].forEach(function (kind) {
+      ;[].concat(filters[kind] || []).forEach(function (rule, ruleIndex) {
+        ;['from', 'subject'].forEach(function (field) {
+          if (!rule[field]) return
+          collectProblem(
+            errors,
+            prefix +
+              'filters.' +
+              kind +
+              ' rule ' +
+              (ruleIndex + 1) +
+              ' ' +
+              field +
+              ': ',
+            function () {
+              toFilterRegExp(rule[field])
+            }
+          )
+        })
+      })
+    })
+
+    if (needsDoc && config.docId) {
+      collectProblem(errors, prefix + 'cannot open docId: ', function () {
+        DocumentApp.openById(config.docId)
+      })
+    }
+    if (config.folderId) {
+      collectProblem(errors, prefix + 'cannot open folderId: ', function () {
+        DriveApp.getFolderById(config.folderId)
+      })
+    }
+    if (target && target.type === 'sheet' && target.spreadsheetId) {
+      collectProblem(
+        errors,
+        prefix + 'cannot open the sheet target: ',
+        function () {
+          SpreadsheetApp.openById(target.spreadsheetId)
+        }
+      )
+    }
+    if (indexSettings) {
+      collectProblem(
+        errors,
+        prefix + 'cannot open the thread index: ',
+        function () {
+          SpreadsheetApp.openById(indexSettings.spreadsheetId)
+        }
+      )
+    }
+    if (ledgerSettings) {
+      collectProblem(
+        errors,
+        prefix + 'cannot open the message ledger: ',
+        function () {
+          SpreadsheetApp.openById(ledgerSettings.spreadsheetId)
+        }
+      )
+    }
+    if (
+      config.messageLedger &&
+      !config.processedLabel &&
+      config.triggerQuery === undefined
+    ) {
+      warnings.push(
+        prefix +
+          'no processedLabel or triggerQuery, so a rebuild cannot find the archived threads again'
+      )
+    }
+    if (
+      config.triggerLabel &&
+      config.triggerQuery === undefined &&
+      !GmailApp.getUserLabelByName(config.triggerLabel)
+    ) {
+      warnings.push(prefix + 'trigger label not found: ' + config.triggerLabel)
+    }
+  })
+
+  // Labels shared between configs
+  configs.forEach(function (config, index) {
+    configs.forEach(function (other, otherIndex) {
+      if (otherIndex === index) return
+      var otherName = describe(otherIndex).slice(0, -2)
+      if (
+        otherIndex < index &&
+        config.triggerLabel &&
+        config.triggerLabel === other.triggerLabel
+      ) {
+        errors.push(
+          describe(index) + 'triggerLabel is also used by ' + otherName
+        )
+      }
+      if (
+        otherIndex < index &&
+        config.processedLabel &&
+        config.processedLabel === other.processedLabel
+      ) {
+        errors.push(
+          describe(index) +
+            'processedLabel is also used by ' +
+            otherName +
+            ', so a rebuild of either would move the threads of both'
+        )
+      }
+      if (
+        config.processedLabel &&
+        config.processedLabel === other.triggerLabel
+      ) {
+        var circular =
+          other.processedLabel && other.processedLabel === config.triggerLabel
+        // A loop is reported once, by the later config of the pair
+        if (circular && otherIndex > index) return
+        errors.push(
+          describe(index) +
+            'processedLabel ' +
+            config.processedLabel +
+            ' is the triggerLabel of ' +
+            otherName +
+            (circular
+              ? ' and the other way round, so threads would be archived in a loop'
+              : ', so archived threads would be archived again')
+        )
+      }
+    })
+  })
+  return { errors: errors, warnings: warnings }
+}
+
+/**
+ * Validate the configs before a run changes anything (see validateConfigs),
+ * logging the warnings. Throws the consolidated error report unless
+ * `throwOnError` is false, so nothing is archived or cleared until Config.gs
+ * is fixed. Returns the errors.
+ */
+function checkConfigs(configs, handler, throwOnError) {
+  var result = validateConfigs(configs)
+  result.warnings.forEach(function (warning) {
+    console.log('[' + handler + '] Warning: ' + warning)
+  })
+  if (result.errors.length > 0 && throwOnError !== false) {
+    throw new Error(
+      'Invalid configuration in Config.gs:\n- ' + result.errors.join('\n- ')
+    )
+  }
+  return result.errors
+}
+
+/**
+ * Start the dry-run record of one label group ({triggerLabel, threads,
+ * folders, files, duplicates, conversions, inlineImages, labelMoves,
+ * redactions, skippedMessages, errors}). A dry run walks the normal archive
+ * path but collects what it would do here instead of doing it.
+ */
+function createLabelGroupPreview(config) {
+  return {
+    triggerLabel: config.triggerLabel,
+    threads: [],
+    folders: [],
+    files: [],
+    duplicates: [],
+    conversions: [],
+    inlineImages: [],
+    labelMoves: [],
+    redactions: [],
+    skippedMessages: 0,
+    errors: [],
+  }
+}
+
+/**
+ * Output sink of a dry run: every thread is written into a fresh paragraph
+ * buffer whose text is recorded as the thread's paragraphs, so nothing in the
+ * configured target changes. Thread markers follow the configured target.
+ */
+function createPreviewSink(config, preview) {
+  var body = createParagraphBuffer()
+  var type = resolveOutputTarget(config).type
+  var thread = null
+  return {
+    type: 'preview',
+    body: body,
+    removeThread: function () {
+      return false
+    },
+    startThread: function (threadId) {
+      body.clear()
+      thread = { threadId: threadId, paragraphs: [] }
+      preview.threads.push(thread)
+    },
+    endMessage: function () {},
+    endThread: function () {
+      thread.paragraphs = body.getParagraphs().map(function (para) {
+        return para.getText()
+      })
+    },
+    locateThread: function () {
+      return { docId: '', bookmarkId: '' }
+    },
+    marksThreads: type === 'doc' || type === 'pdf',
+    embedsImages: type === 'doc' || type === 'pdf',
+    finish: function () {},
+  }
+}
+
+/**
+ * Wrap a Drive folder for a dry run (folder is null for a folder it would
+ * create, path is relative to the configured folder). Lookups reach the real
+ * folder; files and subfolders it would create are recorded in the preview
+ * and stand in as placeholders (a placeholder folder is empty).
+ */
+function createPreviewFolder(folder, preview, path) {
+  var emptyIterator = {
+    hasNext: function () {
+      return false
+    },
+    next: function () {
+      return null
+    },
+  }
+  var childPath = function (name) {
+    return path ? path + '/' + name : name
+  }
+  var wrapFolders = function (iterator) {
+    return {
+      hasNext: function () {
+        return iterator.hasNext()
+      },
+      next: function () {
+        var child = iterator.next()
+        return createPreviewFolder(child, preview, childPath(child.getName()))
+      },
+    }
+  }
+  return {
+    getId: function () {
+      return folder ? folder.getId() : 'dry-run:' + path
+    },
+    getName: function () {
+      return folder ? folder.getName() : path.split('/').pop()
+    },
+    getFiles: function () {
+      return folder ? folder.getFiles() : emptyIterator
+    },
+    getFilesByName: function (name) {
+      return folder ? folder.getFilesByName(name) : emptyIterator
+    },
+    getFolders: function () {
+      return folder ? wrapFolders(folder.getFolders()) : emptyIterator
+    },
+    getFoldersByName: function (name) {
+      return folder ? wrapFolders(folder.getFoldersByName(name)) : emptyIterator
+    },
+    createFolder: function (name) {
+      preview.folders.push(childPath(name))
+      return createPreviewFolder(null, preview, childPath(name))
+    },
+    createFile: function (blob) {
+      var name = blob.getName()
+      preview.files.push(childPath(name))
+      return {
+        getId: function () {
+          return 'dry-run:' + childPath(name)
+        },
+        getName: function () {
+          return name
+        },
+        getUrl: function () {
+          return ''
+        },
+      }
+    },
+  }
+}
+
+/** Render a dry-run report as plain text, one section per label group. */
+function formatDryRunReport(report) {
+  var lines = [
+    'Dry run of ' +
+      report.groups.length +
+      ' label group(s)' +
+      (report.completed ? '' : ' (stopped early by the time budget)'),
+  ]
+  var list = function (title, items) {
+    if (items.length === 0) return
+    lines.push(title + ':')
+    items.forEach(function (item) {
+      lines.push('- ' + item)
+    })
+  }
+  list('Configuration errors (nothing would run)', report.configErrors)
+  report.groups.forEach(function (group) {
+    lines.push('', '== ' + group.triggerLabel + ' ==')
+    list('Errors', group.errors)
+    group.threads.forEach(function (thread) {
+      lines.push(
+        'Thread ' +
+          thread.threadId +
+          ': ' +
+          thread.paragraphs.length +
+          ' paragraph(s)'
+      )
+      thread.paragraphs.forEach(function (text) {
+        lines.push('    ' + text)
+      })
+    })
+    list('Folders to create', group.folders)
+    list('Files to create', group.files)
+    list('Attachments to convert', group.conversions)
+    list(
+      'Inline images',
+      group.inlineImages.map(function (image) {
+        return (
+          image.name +
+          (image.action === 'embed' ? ' (embed)' : ' (skip as signature)')
+        )
+      })
+    )
+    list(
+      'Duplicates skipped',
+      group.duplicates.map(function (dup) {
+        return dup.name + ' (existing: ' + dup.existing + ')'
+      })
+    )
+    list(
+      'Label moves',
+      group.labelMoves.map(function (move) {
+        return move.threadId + ': ' + move.from + ' -> ' + (move.to || '(none)')
+      })
+    )
+    list(
+      'Redactions',
+      group.redactions.map(function (entry) {
+        return entry.subject + ': ' + formatRedactionCounts(entry.counts)
+      })
+    )
+    if (group.skippedMessages > 0) {
+      lines.push(
+        'Skipped by filter rules: ' + group.skippedMessages + ' message(s)'
+      )
+    }
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Start the time budget of a run. Work is checked against it between items
+ * (threads, batches) so a run stops cleanly before Apps Script ends it.
+ */
+function createTimeBudget() {
+  var startTime = new Date().getTime()
+  return {
+    isExhausted: function () {
+      return new Date().getTime() - startTime > MAX_EXECUTION_TIME
+    },
+  }
+}
+
+/**
+ * Take the continuation cursor ({triggerLabel, triggerId}) a paused run of
+ * handler left behind, or null, and delete its one-off trigger (a fired
+ * trigger stays listed until deleted, and a regular run that gets here first
+ * makes it redundant).
+ */
+function takeContinuation(handler) {
+  var properties = PropertiesService.getUserProperties()
+  var key = 'continuation_' + handler
+  var stored = properties.getProperty(key)
+  if (!stored) return null
+  properties.deleteProperty(key)
+
+  var cursor = JSON.parse(stored)
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getUniqueId() === cursor.triggerId) {
+      ScriptApp.deleteTrigger(trigger)
+    }
+  })
+  console.log('[' + handler + '] Resuming from:', cursor.triggerLabel)
+  return cursor
+}
+
+/**
+ * Persist where a paused run of handler stopped and schedule a one-off
+ * trigger that runs it again shortly. extra holds more settings the
+ * continuation needs (e.g. a rebuild scope).
+ */
+function saveContinuation(handler, triggerLabel, extra) {
+  var trigger = ScriptApp.newTrigger(handler)
+    .timeBased()
+    .after(CONTINUATION_DELAY)
+    .create()
+  PropertiesService.getUserProperties().setProperty(
+    'continuation_' + handler,
+    JSON.stringify(
+      Object.assign({}, extra, {
+        triggerLabel: triggerLabel,
+        triggerId: trigger.getUniqueId(),
+      })
+    )
+  )
+  console.log('[' + handler + '] Scheduled a continuation at:', triggerLabel)
+}
+
+/**
+ * The configs a run works through: all of them, or, when resuming, the
+ * paused config and the ones after it.
+ */
+function resumeConfigs(configs, cursor) {
+  var start = -1
+  if (cursor) {
+    start = configs.findIndex(function (config) {
+      return config.triggerLabel === cursor.triggerLabel
+    })
+  }
+  return start === -1 ? configs : configs.slice(start)
+}
+
 /**
  * Remove existing thread content from the document by finding and deleting
- * all paragraphs between the thread's separator and the next separator (or start).
+ * all paragraphs from the thread's ==== line (or, without one, the previous
+ * thread separator or start) through the thread's separator.
  *
  * @param {Object} body - Document body object
  * @param {string} threadId - The thread ID to search for
@@ -63,12 +659,18 @@ function removeExistingThreadFromDoc(body, threadId) {
     threadSeparatorIndex
   )
 
-  // Find the start of this thread's content (search backwards from thread separator to previous thread separator or start)
+  // Find the start of this thread's content (search backwards from thread separator to the thread's
+  // ==== line, the previous thread separator or start). Stopping at the ==== line keeps content above
+  // the first thread, e.g. a title when threads are appended (order: 'oldest-first')
   var threadStartIndex = 0
   for (var i = threadSeparatorIndex - 1; i >= 0; i--) {
     var child = body.getChild(i)
     if (child.getType() === DocumentApp.ElementType.PARAGRAPH) {
       var text = child.asParagraph().getText()
+      if (text === '==============================') {
+        threadStartIndex = i
+        break
+      }
       // Stop when we hit another thread separator (indicated by [THREAD:])
       if (text.indexOf('[THREAD:') !== -1) {
         threadStartIndex = i + 1 // Start after the previous thread separator
@@ -97,6 +699,143 @@ function removeExistingThreadFromDoc(body, threadId) {
   return true
 }
 
+/** Prefix of the named ranges that delimit archived threads in a Doc. */
+var THREAD_RANGE_PREFIX = 'thread:'
+
+/** Prefix of the named ranges that delimit archived messages in a Doc. */
+var MESSAGE_RANGE_PREFIX = 'message:'
+
+/** Add a named range covering the given body elements (in document order). */
+function addElementRange(doc, name, elements) {
+  var builder = doc.newRange()
+  elements.forEach(function (element) {
+    builder.addElement(element)
+  })
+  return doc.addNamedRange(name, builder.build())
+}
+
+/** Collect the body children first..last. */
+function getChildren(body, first, last) {
+  var children = []
+  for (var i = first; i <= last; i++) children.push(body.getChild(i))
+  return children
+}
+
+/**
+ * Mark body paragraphs first..last as a thread with a named range
+ * "thread:<threadId>". Named ranges are invisible to readers and move with
+ * their paragraphs, so edits elsewhere in the doc (or marker-like text in a
+ * message) cannot shift a thread's boundaries.
+ */
+function markThreadRange(doc, body, threadId, first, last) {
+  return addElementRange(
+    doc,
+    THREAD_RANGE_PREFIX + threadId,
+    getChildren(body, first, last)
+  )
+}
+
+/**
+ * Mark body paragraphs first..last as an archived message with a named range
+ * "message:<messageId>", replacing an earlier range of the message. These
+ * ranges tell a later run which messages a thread already holds.
+ */
+function markMessageRange(doc, body, messageId, first, last) {
+  var name = MESSAGE_RANGE_PREFIX + messageId
+  doc.getNamedRanges(name).forEach(function (namedRange) {
+    namedRange.remove()
+  })
+  return addElementRange(doc, name, getChildren(body, first, last))
+}
+
+/**
+ * Move a thread's paragraphs to the top of the body (or, with toEnd, to the
+ * bottom). Docs cannot move paragraphs, so copies are inserted and the
+ * originals removed; the given message ranges are re-created on the copies.
+ * Unlike rewriting the thread, no message or attachment is processed again.
+ * Returns the moved paragraphs, in document order.
+ */
+function moveThreadElements(doc, body, elements, messageRanges, toEnd) {
+  var copies = new Map()
+  elements.forEach(function (element, i) {
+    var copy = element.copy()
+    if (toEnd) {
+      body.appendParagraph(copy)
+    } else {
+      body.insertParagraph(i, copy)
+    }
+    copies.set(element, copy)
+  })
+  messageRanges.forEach(function (namedRange) {
+    var name = namedRange.getName()
+    var moved = namedRange
+      .getRange()
+      .getRangeElements()
+      .map(function (rangeElement) {
+        return copies.get(rangeElement.getElement())
+      })
+      .filter(Boolean)
+    namedRange.remove()
+    addElementRange(doc, name, moved)
+  })
+  elements.forEach(function (element) {
+    element.removeFromParent()
+  })
+  return elements.map(function (element) {
+    return copies.get(element)
+  })
+}
+
+/**
+ * Remove a thread delimited by its named range (see markThreadRange).
+ * Paragraphs a user added inside the thread are not part of the range and
+ * are kept. Returns true if the thread was found.
+ */
+function removeThreadRange(doc, threadId) {
+  var ranges = doc.getNamedRanges(THREAD_RANGE_PREFIX + threadId)
+  if (ranges.length === 0) return false
+
+  ranges.forEach(function (namedRange) {
+    var elements = namedRange
+      .getRange()
+      .getRangeElements()
+      .map(function (rangeElement) {
+        return rangeElement.getElement()
+      })
+    namedRange.remove()
+    elements.forEach(function (element) {
+      element.removeFromParent()
+    })
+  })
+  console.log('[removeThreadRange] Removed thread:', threadId)
+  return true
+}
+
+/**
+ * Convert a Doc written with [THREAD:id] separator markers to named ranges:
+ * each thread (from after the previous marker through its own) gets a range
+ * and its marker becomes a plain message separator. Returns the number of
+ * threads migrated.
+ */
+function migrateThreadMarkers(doc) {
+  var body = doc.getBody()
+  var start = 0
+  var migrated = 0
+  for (var i = 0; i < body.getNumChildren(); i++) {
+    var child = body.getChild(i)
+    var match = /^-{30}\[THREAD:([^\]]+)\]$/.exec(child.getText())
+    if (!match) continue
+    markThreadRange(doc, body, match[1], start, i)
+    child.asParagraph().setText('------------------------------')
+    start = i + 1
+    migrated++
+  }
+  if (migrated > 0) {
+    console.log('[migrateThreadMarkers] Migrated', migrated, 'threads')
+  }
+  return migrated
+}
+
 /**
  * High-level entry point to rebuild all destination documents for every process configuration.
  *
@@ -106,19 +845,56 @@ function removeExistingThreadFromDoc(body, threadId) {
  *
  * rebuildDoc() is designed to respect Apps Script execution time limits and may return false
  * when it needs to pause. In that case, rebuildAllDocs() stops processing the remaining
- * configurations and logs that it should be run again to continue the rebuild.
+ * configurations and schedules a one-off trigger that continues the rebuild at the paused
+ * configuration, so configurations that already finished are not cleared again.
  *
  * When all configurations have been successfully rebuilt in one or more runs, this function
  * logs that rebuild preparation is complete and instructs the caller to run
  * storeEmailsAndAttachments() to reprocess all emails into the freshly rebuilt documents.
+ *
+ * Invalid settings (see validateConfigs) stop the rebuild before any document is cleared.
+ *
+ * To regenerate only some threads and keep the rest of each document, call it with a
+ * scope (see resolveRebuildScope) from another function, e.g.
+ * rebuildAllDocs({ after: '2026-09-01', before: '2026-10-01' }) or
+ * rebuildAllDocs({ query: 'from:billing@example.com' }). The continuation keeps the scope.
+ *
+ * Progress is kept in the user properties (see showRebuildStatus and doGet), and
+ * cancelRebuild() stops the run between threads.
  */
-function rebuildAllDocs() {
+function rebuildAllDocs(scope) {
   console.log('[rebuildAllDocs] Starting rebuild process')
-  var PROCESS_CONFIG = getProcessConfig()
+  var configs = getProcessConfig()
+  checkConfigs(configs, 'rebuildAllDocs')
+  var properties = PropertiesService.getUserProperties()
+  var budget = watchRebuildCancellation(createTimeBudget(), properties)
+  var cursor = takeContinuation('rebuildAllDocs')
+  // A trigger passes an event object, not a scope; a continuation of a
+  // scoped rebuild stays scoped
+  var isScope =
+    scope && (scope.after || scope.before || scope.query || scope.threadIds)
+  var rebuildScope = isScope ? scope : (cursor && cursor.scope) || null
+  var resolvedScope = resolveRebuildScope(rebuildScope)
+  if (resolvedScope) {
+    configs.forEach(function (config) {
+      checkScopedRebuildOrder(config, resolvedScope)
+    })
+  }
+  if (!cursor) {
+    saveRebuildProgress(properties, {
+      status: 'running',
+      startedAt: new Date().getTime(),
+      scope: rebuildScope,
+      configs: {},
+      lastError: null,
+    })
+  }
+  var PROCESS_CONFIG = resumeConfigs(configs, cursor)
   console.log(
     '[rebuildAllDocs] Rebuilding',
     PROCESS_CONFIG.length,
-    'configurations'
+    'configurations',
+    rebuildScope ? 'in scope ' + JSON.stringify(rebuildScope) : ''
   )
 
   var completed = true
@@ -132,17 +908,54 @@ function rebuildAllDocs() {
       ':',
       config.triggerLabel
     )
-    var configCompleted = rebuildDoc(config)
+    if (budget.isCancelled()) {
+      completed = false
+      break
+    }
+    var configCompleted
+    try {
+      configCompleted = rebuildDoc(config, budget, rebuildScope)
+    } catch (e) {
+      updateRebuildProgress(
+        properties,
+        config.triggerLabel,
+        function (counts, progress) {
+          progress.lastError = {
+            message: config.triggerLabel + ': ' + e.message,
+            at: new Date().getTime(),
+          }
+        }
+      )
+      throw e
+    }
+    if (budget.isCancelled()) {
+      completed = false
+      break
+    }
     if (!configCompleted) {
-      console.log(
-        '[rebuildAllDocs] Paused due to time constraints. Run rebuildAllDocs() again to continue.'
+      console.log('[rebuildAllDocs] Paused due to time constraints.')
+      saveContinuation(
+        'rebuildAllDocs',
+        config.triggerLabel,
+        rebuildScope ? { scope: rebuildScope } : {}
       )
       completed = false
       break
     }
   }
 
-  if (completed) {
+  if (budget.isCancelled()) {
+    // cancelRebuild cleans up too; this catches state saved after it ran
+    configs.forEach(function (config) {
+      properties.deleteProperty(getRebuildStateKey(config.triggerLabel))
+    })
+    console.log('[rebuildAllDocs] Stopped the cancelled rebuild.')
+  } else if (completed) {
+    var progress = loadRebuildProgress(properties)
+    if (progress && progress.status === 'running') {
+      progress.status = 'moved'
+      saveRebuildProgress(properties, progress)
+    }
     console.log('[rebuildAllDocs] Rebuild preparation complete.')
     console.log(
       '[rebuildAllDocs] Now run storeEmailsAndAttachments() to reprocess all emails.'
@@ -151,40 +964,502 @@ function rebuildAllDocs() {
 }
 
 /**
- * Rebuilds a single document by clearing it and moving processed emails back to trigger label.
- * Uses batching and state tracking to handle large label sets without timing out.
- * Returns true if completed, false if needs to continue in another execution.
+ * Log the progress of the last rebuildAllDocs run (see getRebuildStatus):
+ * threads moved back, re-archived and left, an estimated finish and the
+ * last error.
  */
-function rebuildDoc(config) {
-  var MAX_EXECUTION_TIME = 4 * 60 * 1000 // 4 minutes (leaving 2 min buffer for 6 min limit)
-  var BATCH_SIZE = config.batchSize || 250 // Process threads in batches (default: 250)
-  var startTime = new Date().getTime()
-
-  console.log('[rebuildDoc] Starting rebuild for:', config.triggerLabel)
-
-  var triggerLabelName = config.triggerLabel
-  var processedLabelName = config.processedLabel
-  var stateKey =
-    'rebuild_state_' + triggerLabelName.replace(/[^a-zA-Z0-9]/g, '_')
+function showRebuildStatus() {
+  Logger.log(formatRebuildStatus(getRebuildStatus(getProcessConfig())))
+}
 
-  // 1. Validate and get labels
-  console.log('[rebuildDoc] Looking up labels')
-  var triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
-  var processedLabel = GmailApp.getUserLabelByName(processedLabelName)
+/**
+ * Serve the rebuild status as a small page when the script is deployed as a
+ * web app (Deploy > New deployment > Web app, executed as and accessible by
+ * you only).
+ */
+function doGet() {
+  var text = formatRebuildStatus(getRebuildStatus(getProcessConfig()))
+  var escaped = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+  return HtmlService.createHtmlOutput('<pre>' + escaped + '</pre>').setTitle(
+    'Rebuild status'
+  )
+}
 
-  if (!triggerLabel) {
-    console.error('[rebuildDoc] Trigger label not found:', triggerLabelName)
-    Logger.log('Trigger label not found: ' + triggerLabelName)
-    return true // Nothing to do, consider complete
+/**
+ * Cancel a running or paused rebuildAllDocs run. Its continuation trigger
+ * and the rebuild state of every config are deleted, and a run that is in
+ * progress stops at its next cancellation check (see
+ * watchRebuildCancellation). Threads carrying both the trigger and the
+ * processed label (a move cut short) keep only the trigger label, so every
+ * thread the rebuild moved is archived again by the next
+ * storeEmailsAndAttachments run and the rest stay archived.
+ *
+ * A full rebuild clears each doc before moving its threads: threads it had
+ * not moved yet are then missing from the doc. They are logged, and running
+ * rebuildAllDocs() again restores them.
+ */
+function cancelRebuild() {
+  var configs = getProcessConfig()
+  var properties = PropertiesService.getUserProperties()
+  var progress = loadRebuildProgress(properties)
+  if (!progress || progress.status !== 'running') {
+    Logger.log('No rebuild in progress to cancel')
+    return
   }
+  // Counted first: once cancelled, configs not reached are no longer listed
+  var unmoved = getRebuildStatus(configs).configs
+  progress.status = 'cancelled'
+  saveRebuildProgress(properties, progress)
+  takeContinuation('rebuildAllDocs')
 
-  if (!processedLabel) {
-    console.log(
-      '[rebuildDoc] Processed label not found:',
-      processedLabelName,
-      '- nothing to unarchive'
-    )
-  }
+  configs.forEach(function (config) {
+    properties.deleteProperty(getRebuildStateKey(config.triggerLabel))
+    var triggerLabel = GmailApp.getUserLabelByName(config.triggerLabel)
+    var processedLabel =
+      config.processedLabel &&
+      GmailApp.getUserLabelByName(config.processedLabel)
+    if (!triggerLabel || !processedLabel) return
+    var pending = {}
+    triggerLabel.getThreads().forEach(function (thread) {
+      pending[thread.getId()] = true
+    })
+    processedLabel.getThreads().forEach(function (thread) {
+      if (pending[thread.getId()]) processedLabel.removeFromThread(thread)
+    })
+  })
+
+  unmoved.forEach(function (counts) {
+    if (!counts.cleared || counts.remaining === 0) return
+    Logger.log(
+      counts.remaining +
+        ' archived thread(s) of ' +
+        counts.triggerLabel +
+        ' are missing from its cleared doc; run rebuildAllDocs() to restore them'
+    )
+  })
+  Logger.log(
+    'Cancelled the rebuild after moving ' +
+      getRebuildStatus(configs).moved +
+      ' thread(s) back to their trigger labels'
+  )
+}
+
+/** User property holding the progress of the last rebuildAllDocs run. */
+var REBUILD_PROGRESS_KEY = 'rebuild_progress'
+
+/** Budget checks between two looks at the progress for a cancellation. */
+var CANCEL_CHECK_INTERVAL = 25
+
+/** User property key of a config's rebuildDoc state. */
+function getRebuildStateKey(triggerLabel) {
+  return 'rebuild_state_' + triggerLabel.replace(/[^a-zA-Z0-9]/g, '_')
+}
+
+/**
+ * The persisted progress of the last rebuild, or null: its status
+ * ('running', 'moved' once every thread is back under its trigger label, or
+ * 'cancelled'), start and update times, scope, last error and per-config
+ * counts ({total, moved, rearchived, cleared}).
+ */
+function loadRebuildProgress(properties) {
+  var stored = properties.getProperty(REBUILD_PROGRESS_KEY)
+  return stored ? JSON.parse(stored) : null
+}
+
+/** Persist the progress of a rebuild. */
+function saveRebuildProgress(properties, progress) {
+  progress.updatedAt = new Date().getTime()
+  properties.setProperty(REBUILD_PROGRESS_KEY, JSON.stringify(progress))
+}
+
+/**
+ * Apply update(counts, progress) to the progress of a config of the running
+ * rebuild. Does nothing when no rebuildAllDocs run is in progress (e.g. it
+ * was cancelled meanwhile), so a cancellation is never overwritten.
+ */
+function updateRebuildProgress(properties, triggerLabel, update) {
+  var progress = loadRebuildProgress(properties)
+  if (!progress || progress.status !== 'running') return
+  progress.configs[triggerLabel] = progress.configs[triggerLabel] || {
+    total: null,
+    moved: 0,
+    rearchived: 0,
+    cleared: false,
+  }
+  update(progress.configs[triggerLabel], progress)
+  saveRebuildProgress(properties, progress)
+}
+
+/**
+ * Count threads that processLabelGroup archived again after a rebuild moved
+ * them back to the trigger label, and keep its last error. Threads archived
+ * beyond the number moved (new mail) are not counted.
+ */
+function recordRearchivedThreads(triggerLabel, archived, error) {
+  var properties = PropertiesService.getUserProperties()
+  var progress = loadRebuildProgress(properties)
+  var counts = progress && progress.configs[triggerLabel]
+  if (!counts || progress.status === 'cancelled') return
+  counts.rearchived = Math.min(counts.moved, counts.rearchived + archived)
+  if (error) progress.lastError = { message: error, at: new Date().getTime() }
+  saveRebuildProgress(properties, progress)
+}
+
+/**
+ * Wrap the time budget of a rebuild so it also runs out when the rebuild is
+ * cancelled (see cancelRebuild). The progress is read on the first check and
+ * every CANCEL_CHECK_INTERVAL checks after it, and whenever isCancelled is
+ * called (between configs).
+ */
+function watchRebuildCancellation(budget, properties) {
+  var checks = 0
+  var cancelled = false
+  var isCancelled = function () {
+    if (!cancelled) {
+      var progress = loadRebuildProgress(properties)
+      cancelled = !!progress && progress.status === 'cancelled'
+      if (cancelled) console.log('[rebuildAllDocs] The rebuild was cancelled')
+    }
+    return cancelled
+  }
+  return {
+    isExhausted: function () {
+      var stop =
+        checks++ % CANCEL_CHECK_INTERVAL === 0 ? isCancelled() : cancelled
+      return stop || budget.isExhausted()
+    },
+    isCancelled: isCancelled,
+  }
+}
+
+/**
+ * Report the progress of the last rebuildAllDocs run: its state ('idle' if
+ * none ran, 'moving' while threads go back to their trigger labels,
+ * 'rearchiving' until storeEmailsAndAttachments archived them all again,
+ * 'complete' or 'cancelled'), the threads moved, re-archived and left to
+ * move, an estimated finish (eta) and the last error. Configs a running
+ * rebuild has not reached yet count their processed threads (in scope) as
+ * left. The estimate extrapolates the time taken so far, pauses between
+ * continuations included, over the threads left to move and re-archive.
+ */
+function getRebuildStatus(configs) {
+  var progress = loadRebuildProgress(PropertiesService.getUserProperties())
+  if (!progress) return { state: 'idle', configs: [] }
+
+  var now = new Date().getTime()
+  var running = progress.status === 'running'
+  var scope = resolveRebuildScope(progress.scope)
+  var countWaiting = function (config) {
+    var processedLabel =
+      config.processedLabel &&
+      GmailApp.getUserLabelByName(config.processedLabel)
+    if (!processedLabel) return 0
+    return scope
+      ? findThreadsInScope(processedLabel, scope).length
+      : processedLabel.getThreads().length
+  }
+  var perConfig = []
+  configs.forEach(function (config) {
+    var counts = progress.configs[config.triggerLabel]
+    if (!counts && !running) return
+    counts = counts || { total: null, moved: 0, rearchived: 0, cleared: false }
+    var remaining = 0
+    if (counts.total !== null) remaining = counts.total - counts.moved
+    else if (running) remaining = countWaiting(config)
+    perConfig.push({
+      triggerLabel: config.triggerLabel,
+      moved: counts.moved,
+      rearchived: counts.rearchived,
+      remaining: remaining,
+      cleared: counts.cleared,
+    })
+  })
+  var sum = function (field) {
+    return perConfig.reduce(function (total, counts) {
+      return total + counts[field]
+    }, 0)
+  }
+  var moved = sum('moved')
+  var rearchived = sum('rearchived')
+  var remaining = sum('remaining')
+
+  var state = 'complete'
+  if (progress.status === 'cancelled') state = 'cancelled'
+  else if (running) state = 'moving'
+  else if (rearchived < moved) state = 'rearchiving'
+
+  var done = moved + rearchived
+  var left = remaining + (moved + remaining - rearchived)
+  var active = state === 'moving' || state === 'rearchiving'
+  return {
+    state: state,
+    startedAt: new Date(progress.startedAt),
+    updatedAt: new Date(progress.updatedAt),
+    scope: progress.scope,
+    moved: moved,
+    rearchived: rearchived,
+    remaining: remaining,
+    eta:
+      active && done > 0
+        ? new Date(now + ((now - progress.startedAt) * left) / done)
+        : null,
+    lastError: progress.lastError
+      ? {
+          message: progress.lastError.message,
+          at: new Date(progress.lastError.at),
+        }
+      : null,
+    configs: perConfig,
+  }
+}
+
+/**
+ * Render a rebuild status (see getRebuildStatus) as plain-text lines, for
+ * the log and the status web page.
+ */
+function formatRebuildStatus(status) {
+  if (status.state === 'idle') return 'No rebuild has run yet.'
+  var lines = [
+    'Rebuild ' +
+      status.state +
+      ' (started ' +
+      status.startedAt.toISOString() +
+      (status.scope ? ', scope ' + JSON.stringify(status.scope) : '') +
+      ')',
+    'Moved back to trigger labels: ' +
+      status.moved +
+      ' thread(s), ' +
+      status.remaining +
+      ' left',
+    'Re-archived: ' + status.rearchived + ' of ' + status.moved + ' thread(s)',
+  ]
+  if (status.eta) lines.push('Estimated finish: ' + status.eta.toISOString())
+  if (status.lastError) {
+    lines.push(
+      'Last error (' +
+        status.lastError.at.toISOString() +
+        '): ' +
+        status.lastError.message
+    )
+  }
+  status.configs.forEach(function (counts) {
+    var missing =
+      status.state === 'cancelled' && counts.cleared && counts.remaining > 0
+    lines.push(
+      '- ' +
+        counts.triggerLabel +
+        ': moved ' +
+        counts.moved +
+        ', re-archived ' +
+        counts.rearchived +
+        ', ' +
+        counts.remaining +
+        ' left' +
+        (missing ? ' (missing from the cleared doc)' : '')
+    )
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Resolve the scope of a selective rebuild ({after, before, query,
+ * threadIds}), or null for a full rebuild. A thread is in scope when its last
+ * message is on or after after and before before (Dates or date strings), it
+ * matches the Gmail search query, and its ID is in threadIds; criteria that
+ * are not set are ignored. Throws on invalid dates and empty scopes.
+ */
+function resolveRebuildScope(scope) {
+  if (!scope) return null
+  var toDate = function (name) {
+    if (!scope[name]) return null
+    var date = new Date(scope[name])
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid rebuild ' + name + ' date: ' + scope[name])
+    }
+    return date
+  }
+  var resolved = {
+    after: toDate('after'),
+    before: toDate('before'),
+    query: scope.query || null,
+    threadIds: scope.threadIds || null,
+  }
+  if (
+    !resolved.after &&
+    !resolved.before &&
+    !resolved.query &&
+    !resolved.threadIds
+  ) {
+    throw new Error('A rebuild scope needs after, before, query or threadIds')
+  }
+  return resolved
+}
+
+/**
+ * Reject a scoped rebuild that touches a config with order: 'oldest-first':
+ * the next run would append the moved threads after newer ones, out of order.
+ * A config with no archived threads in the scope is left alone.
+ */
+function checkScopedRebuildOrder(config, scope) {
+  if (resolveArchiveOrder(config) !== 'oldest-first') return
+  var processedLabel =
+    config.processedLabel && GmailApp.getUserLabelByName(config.processedLabel)
+  if (processedLabel && findThreadsInScope(processedLabel, scope).length > 0) {
+    throw new Error(
+      config.triggerLabel +
+        ": a scoped rebuild would append its threads out of order (order: 'oldest-first'); run a full rebuild instead"
+    )
+  }
+}
+
+/** Threads fetched per GmailApp.search call (its maximum). */
+var SEARCH_PAGE_SIZE = 500
+
+/** The IDs (as a lookup object) of all threads matching a Gmail search. */
+function searchThreadIds(query) {
+  var ids = {}
+  for (var start = 0; ; start += SEARCH_PAGE_SIZE) {
+    var page = GmailApp.search(query, start, SEARCH_PAGE_SIZE)
+    page.forEach(function (thread) {
+      ids[thread.getId()] = true
+    })
+    if (page.length < SEARCH_PAGE_SIZE) return ids
+  }
+}
+
+/** The processed threads of a config that a scoped rebuild regenerates. */
+function findThreadsInScope(processedLabel, scope) {
+  var matches = scope.query ? searchThreadIds(scope.query) : null
+  return processedLabel.getThreads().filter(function (thread) {
+    var threadId = thread.getId()
+    var lastDate = thread.getLastMessageDate().getTime()
+    return (
+      (!scope.after || lastDate >= scope.after.getTime()) &&
+      (!scope.before || lastDate < scope.before.getTime()) &&
+      (!matches || matches[threadId] === true) &&
+      (!scope.threadIds || scope.threadIds.indexOf(threadId) !== -1)
+    )
+  })
+}
+
+/**
+ * Scoped part of rebuildDoc: remove each thread in scope from the output
+ * target (through the sink, so every target type and rollover volume is
+ * handled) and move it back to the trigger label. The rest of the output is
+ * left alone. Threads that were moved are no longer under the processed
+ * label, so a paused rebuild simply runs again. Returns false to rerun.
+ */
+function rebuildThreadsInScope(config, labels, scope, limits) {
+  var threads = findThreadsInScope(labels.processedLabel, scope)
+  console.log('[rebuildDoc] Found', threads.length, 'threads in scope')
+  if (threads.length === 0) return true
+
+  var indexSettings = resolveThreadIndexSettings(config)
+  var threadIndex = indexSettings ? openThreadIndex(indexSettings) : null
+  var sink = createOutputSink(config, threadIndex)
+  // Dropped up front, so a thread moved back is never skipped as archived
+  var ledgerSettings = resolveLedgerSettings(config)
+  if (ledgerSettings) {
+    dropLedgerRows(
+      openMessageLedger(ledgerSettings),
+      config.triggerLabel,
+      threads.map(function (thread) {
+        return thread.getId()
+      })
+    )
+  }
+  var recordMoved = function (moved) {
+    updateRebuildProgress(
+      PropertiesService.getUserProperties(),
+      config.triggerLabel,
+      function (counts) {
+        if (counts.total === null) counts.total = counts.moved + threads.length
+        counts.moved += moved
+      }
+    )
+  }
+  for (var i = 0; i < threads.length; i++) {
+    if (i >= limits.batchSize || limits.budget.isExhausted()) {
+      console.log(
+        '[rebuildDoc] Pausing with',
+        threads.length - i,
+        'threads in scope left'
+      )
+      if (sink.flush) sink.flush()
+      recordMoved(i)
+      return false
+    }
+    var thread = threads[i]
+    sink.removeThread(thread.getId())
+    labels.processedLabel.removeFromThread(thread)
+    labels.triggerLabel.addToThread(thread)
+  }
+  // Writes out targets that buffer their content (Markdown)
+  if (sink.flush) sink.flush()
+  console.log('[rebuildDoc] Moved', threads.length, 'threads in scope')
+  recordMoved(threads.length)
+  return true
+}
+
+/**
+ * Rebuilds a single document by clearing it (dropping any rollover volumes) and moving
+ * processed emails back to trigger label.
+ * Uses batching and state tracking to handle large label sets without timing out.
+ * The time budget is shared with the other configs of the run (see createTimeBudget).
+ * With a scope, only the threads in it are removed from the output and moved back
+ * (see rebuildThreadsInScope); the rest of the output is kept.
+ * Returns true if completed, false if needs to continue in another execution.
+ */
+function rebuildDoc(config, budget, scope) {
+  var BATCH_SIZE = config.batchSize || 250 // Process threads in batches (default: 250)
+  budget = budget || createTimeBudget()
+
+  console.log('[rebuildDoc] Starting rebuild for:', config.triggerLabel)
+
+  var triggerLabelName = config.triggerLabel
+  var processedLabelName = config.processedLabel
+  var stateKey = getRebuildStateKey(triggerLabelName)
+
+  // 1. Validate and get labels
+  console.log('[rebuildDoc] Looking up labels')
+  var triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
+  var processedLabel =
+    processedLabelName && GmailApp.getUserLabelByName(processedLabelName)
+
+  if (!triggerLabel) {
+    console.error('[rebuildDoc] Trigger label not found:', triggerLabelName)
+    Logger.log('Trigger label not found: ' + triggerLabelName)
+    return true // Nothing to do, consider complete
+  }
+
+  if (!processedLabel) {
+    console.log(
+      '[rebuildDoc] Processed label not found:',
+      processedLabelName,
+      '- nothing to unarchive'
+    )
+  }
+
+  var rebuildScope = resolveRebuildScope(scope)
+  if (rebuildScope) {
+    checkScopedRebuildOrder(config, rebuildScope)
+    if (!processedLabel) return true
+    var complete = rebuildThreadsInScope(
+      config,
+      { triggerLabel: triggerLabel, processedLabel: processedLabel },
+      rebuildScope,
+      { budget: budget, batchSize: BATCH_SIZE }
+    )
+    if (complete) {
+      console.log(
+        '[rebuildDoc] Run storeEmailsAndAttachments() to reprocess these emails'
+      )
+    }
+    return complete
+  }
 
   // 2. Check if we need to clear the document (only on first run)
   var properties = PropertiesService.getUserProperties()
@@ -194,19 +1469,29 @@ function rebuildDoc(config) {
   if (state.phase === 'clear_doc') {
     console.log('[rebuildDoc] Clearing document:', config.docId)
     try {
-      var doc = DocumentApp.openById(config.docId)
-      var body = doc.getBody()
-
-      // Clear all content from the document body in a single operation
-      body.setText('')
+      clearOutputTarget(config)
       console.log('[rebuildDoc] Document cleared')
 
       // Move to next phase
       state.phase = 'move_emails'
       properties.setProperty(stateKey, JSON.stringify(state))
+      updateRebuildProgress(properties, triggerLabelName, function (counts) {
+        counts.cleared = true
+      })
     } catch (e) {
       console.error('[rebuildDoc] Error clearing document:', e.message)
       Logger.log('Error clearing document: ' + e.message)
+      updateRebuildProgress(
+        properties,
+        triggerLabelName,
+        function (counts, progress) {
+          progress.lastError = {
+            message:
+              triggerLabelName + ': error clearing document: ' + e.message,
+            at: new Date().getTime(),
+          }
+        }
+      )
       // Keep the state key so the next run retries the clear_doc phase.
       throw new Error(
         'rebuildDoc failed to clear document ' + config.docId + ': ' + e.message
@@ -218,13 +1503,28 @@ function rebuildDoc(config) {
   if (state.phase === 'move_emails' && processedLabel) {
     console.log('[rebuildDoc] Moving processed emails back to trigger label')
 
+    // An append-only archive is rebuilt oldest thread first, so a run that
+    // archives between two batches still appends in chronological order
     var allThreads = processedLabel.getThreads()
+    if (resolveArchiveOrder(config) === 'oldest-first') {
+      allThreads.sort(function (a, b) {
+        return (
+          a.getLastMessageDate().getTime() - b.getLastMessageDate().getTime()
+        )
+      })
+    }
     var totalThreads = allThreads.length
     console.log(
       '[rebuildDoc] Found',
       totalThreads,
       'processed threads remaining'
     )
+    var recordMoved = function (moved) {
+      updateRebuildProgress(properties, triggerLabelName, function (counts) {
+        if (counts.total === null) counts.total = counts.moved + totalThreads
+        counts.moved += moved
+      })
+    }
 
     if (totalThreads === 0) {
       // No threads to process, we're done
@@ -244,14 +1544,14 @@ function rebuildDoc(config) {
 
     for (var i = 0; i < threadsToProcess; i++) {
       // Check if we're approaching time limit
-      var elapsed = new Date().getTime() - startTime
-      if (elapsed > MAX_EXECUTION_TIME) {
+      if (budget.isExhausted()) {
         console.log(
           '[rebuildDoc] Approaching time limit, saving progress. Processed',
           threadsProcessed,
           'threads this run'
         )
         properties.setProperty(stateKey, JSON.stringify(state))
+        recordMoved(threadsProcessed)
         return false // Not completed, need another run
       }
 
@@ -278,6 +1578,7 @@ function rebuildDoc(config) {
       totalThreads - threadsToProcess,
       'remaining'
     )
+    recordMoved(threadsProcessed)
 
     if (threadsToProcess >= totalThreads) {
       // All threads processed
@@ -292,7 +1593,7 @@ function rebuildDoc(config) {
       // More threads to process
       properties.setProperty(stateKey, JSON.stringify(state))
       console.log(
-        '[rebuildDoc] Batch complete. Run rebuildAllDocs() again to continue.'
+        '[rebuildDoc] Batch complete. rebuildAllDocs() continues with the rest.'
       )
       return false
     }
@@ -307,328 +1608,3489 @@ function rebuildDoc(config) {
   return true
 }
 
+/** Name of the JSON manifest holding the attachment content-hash index. */
+var ATTACHMENT_INDEX_FILE_NAME = '.attachment-index.json'
+
 /**
- * Processes a single configuration group (Label -> Doc + Folder).
+ * Create a lazily loaded content-hash index for the attachments stored under a
+ * folder. The index maps the MD5 of each saved file to its Drive file ID and
+ * is persisted as a JSON manifest (ATTACHMENT_INDEX_FILE_NAME) in the folder,
+ * so duplicate checks do not re-download existing files.
  */
-function processLabelGroup(config) {
-  console.log(
-    '[processLabelGroup] Starting processing for:',
-    config.triggerLabel
-  )
-  var triggerLabelName = config.triggerLabel
-  var processedLabelName = config.processedLabel
+function createAttachmentIndex(folder) {
+  return {
+    folder: folder,
+    manifestFile: null,
+    hashes: null,
+    files: {},
+    dirty: false,
+  }
+}
 
-  // 1. Validate Labels
-  console.log('[processLabelGroup] Looking up trigger label:', triggerLabelName)
-  var triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
-  var processedLabel = GmailApp.getUserLabelByName(processedLabelName)
+/**
+ * Load the index from its manifest, or build it by hashing every file in the
+ * folder tree when no (readable) manifest exists yet.
+ */
+function loadAttachmentIndex(index) {
+  if (index.hashes) return
 
-  // Create processed label if it doesn't exist
-  if (!processedLabel) {
-    console.log(
-      '[processLabelGroup] Processed label not found, creating:',
-      processedLabelName
-    )
+  var manifests = index.folder.getFilesByName(ATTACHMENT_INDEX_FILE_NAME)
+  if (manifests.hasNext()) {
+    index.manifestFile = manifests.next()
     try {
-      processedLabel = GmailApp.createLabel(processedLabelName)
-      console.log('[processLabelGroup] Created label:', processedLabelName)
+      var manifest = JSON.parse(index.manifestFile.getBlob().getDataAsString())
+      index.hashes = manifest.md5 || {}
+      console.log(
+        '[processMessageToDoc] Loaded attachment index with',
+        Object.keys(index.hashes).length,
+        'entries'
+      )
+      return
     } catch (e) {
-      Logger.log('Could not create label: ' + processedLabelName)
-      console.error('[processLabelGroup] Error creating label:', e.message)
+      console.warn(
+        '[processMessageToDoc] Unreadable attachment index, rebuilding:',
+        e.message
+      )
     }
   }
 
-  if (!triggerLabel) {
-    Logger.log('Trigger label not found: ' + triggerLabelName)
-    console.error(
-      '[processLabelGroup] Trigger label not found:',
-      triggerLabelName
-    )
-    return
+  console.log('[processMessageToDoc] Building attachment index from folder')
+  index.hashes = {}
+  var files = createFolderTreeIterator(index.folder)
+  while (files.hasNext()) {
+    var file = files.next()
+    if (file.getName() === ATTACHMENT_INDEX_FILE_NAME) continue
+    // Converted Google Docs/Sheets are not attachments
+    if (file.getMimeType().indexOf('application/vnd.google-apps.') === 0) {
+      continue
+    }
+    try {
+      var hash = getFileHash(file.getBlob())
+      if (!index.hashes[hash]) {
+        index.hashes[hash] = file.getId()
+        index.files[hash] = file
+      }
+    } catch (e) {
+      console.warn(
+        '[processMessageToDoc] Could not hash file:',
+        file.getName(),
+        e.message
+      )
+    }
   }
+  index.dirty = true
+}
 
-  // 2. Get Threads
-  console.log(
-    '[processLabelGroup] Retrieving threads for label:',
-    triggerLabelName
-  )
-  var threads = triggerLabel.getThreads()
-  if (!threads || threads.length === 0) {
-    Logger.log('No emails found for: ' + triggerLabelName)
-    console.log(
-      '[processLabelGroup] No threads found for label:',
-      triggerLabelName
-    )
-    return
+/**
+ * Look up a saved attachment by content hash. Returns the existing Drive file,
+ * or null when the content is new. Entries whose file was deleted or trashed
+ * are dropped from the index.
+ */
+function findIndexedAttachment(index, hash) {
+  loadAttachmentIndex(index)
+  var fileId = index.hashes[hash]
+  if (!fileId) return null
+
+  var file = index.files[hash] || null
+  if (!file) {
+    try {
+      file = DriveApp.getFileById(fileId)
+    } catch (e) {
+      console.log('[processMessageToDoc] Indexed file not found:', e.message)
+      file = null
+    }
   }
-  console.log('[processLabelGroup] Found', threads.length, 'threads to process')
+  if (!file || file.isTrashed()) {
+    console.log('[processMessageToDoc] Dropping stale index entry:', fileId)
+    delete index.hashes[hash]
+    delete index.files[hash]
+    index.dirty = true
+    return null
+  }
+  index.files[hash] = file
+  return file
+}
 
-  // Sort threads by last message date (newest first) to ensure reverse chronological order
-  // This handles cases where Gmail API returns threads in random order or when older threads are labeled
-  // Precompute last message timestamps to avoid repeated Gmail service calls during sort
-  var threadLastDates = {}
-  threads.forEach(function (thread) {
-    threadLastDates[thread.getId()] = thread.getLastMessageDate().getTime()
-  })
+/**
+ * Record a newly saved attachment in the index.
+ */
+function recordAttachment(index, hash, file) {
+  loadAttachmentIndex(index)
+  index.hashes[hash] = file.getId()
+  index.files[hash] = file
+  index.dirty = true
+}
 
-  threads.sort(function (a, b) {
-    var aLastDate = threadLastDates[a.getId()]
-    var bLastDate = threadLastDates[b.getId()]
-    return bLastDate - aLastDate // Descending order (newest first)
-  })
+/**
+ * Write the index manifest back to the folder if it changed.
+ */
+function saveAttachmentIndex(index) {
+  if (!index.dirty) return
+  var content = JSON.stringify({ version: 1, md5: index.hashes })
+  if (index.manifestFile) {
+    index.manifestFile.setContent(content)
+  } else {
+    index.manifestFile = index.folder.createFile(
+      ATTACHMENT_INDEX_FILE_NAME,
+      content,
+      'application/json'
+    )
+  }
+  index.dirty = false
   console.log(
-    '[processLabelGroup] Sorted threads by last message date (newest first)'
+    '[processMessageToDoc] Saved attachment index with',
+    Object.keys(index.hashes).length,
+    'entries'
   )
+}
 
-  // 3. Open Destination Doc and Folder
-  console.log(
-    '[processLabelGroup] Opening doc:',
-    config.docId,
-    'and folder:',
-    config.folderId
-  )
-  try {
-    var doc = DocumentApp.openById(config.docId)
-    var body = doc.getBody()
-    var folder = DriveApp.getFolderById(config.folderId)
-    console.log('[processLabelGroup] Successfully opened doc and folder')
-  } catch (e) {
-    Logger.log(
-      'Error opening Doc or Folder. Check IDs in Config.gs. Error: ' + e.message
-    )
-    console.error('[processLabelGroup] Error opening Doc/Folder:', e.message)
-    return
+/**
+ * Resolve a name conflict for a new attachment. If a file with the same name
+ * already exists, append a timestamp before the extension and rename the blob.
+ */
+function resolveAttachmentName(folder, fileName, newFileBlob) {
+  if (!folder.getFilesByName(fileName).hasNext()) {
+    return fileName
   }
 
-  // 4. Process Emails
-  var totalMessages = 0
-  threads.forEach((thread, threadIndex) => {
-    var messages = thread.getMessages()
-    var threadId = thread.getId()
-    console.log(
-      '[processLabelGroup] Thread',
-      threadIndex + 1,
-      'has',
-      messages.length,
-      'messages, ID:',
-      threadId
-    )
+  console.log('[processMessageToDoc] Name conflict detected, adding timestamp')
+  var timeTag = Utilities.formatDate(
+    new Date(),
+    Session.getScriptTimeZone(),
+    '_HHmmssSSS'
+  )
+  // Insert timestamp before the file extension
+  var finalName = fileName.replace(/(\.[\w-]+)$/i, timeTag + '$1')
+  // Fallback if regex fails (files without extension)
+  if (finalName === fileName) finalName += timeTag
 
-    // Remove existing thread content only if this thread's ID is present in the document
-    if (body.findText(threadId)) {
-      removeExistingThreadFromDoc(body, threadId)
+  newFileBlob.setName(finalName)
+  console.log('[processMessageToDoc] Renamed to:', finalName)
+  return finalName
+}
+
+/**
+ * Lazily iterate every file in a folder and all of its subfolders, exposing
+ * the same hasNext()/next() interface as a Drive FileIterator.
+ */
+function createFolderTreeIterator(rootFolder) {
+  var pendingFolders = [rootFolder]
+  var files = null
+  function advance() {
+    while ((!files || !files.hasNext()) && pendingFolders.length > 0) {
+      var folder = pendingFolders.shift()
+      files = folder.getFiles()
+      var subfolders = folder.getFolders()
+      while (subfolders.hasNext()) pendingFolders.push(subfolders.next())
     }
+  }
+  return {
+    hasNext: function () {
+      advance()
+      return files.hasNext()
+    },
+    next: function () {
+      advance()
+      return files.next()
+    },
+  }
+}
 
-    // Sort messages by date (oldest first) so when we prepend (insert at index 0),
-    // the newest messages end up at the top of the document
-    messages.sort(function (a, b) {
-      return a.getDate().getTime() - b.getDate().getTime()
-    })
+/**
+ * Extract the bare, lower-cased email address from a "Name <address>" header.
+ */
+function getSenderAddress(from) {
+  var match = (from || '').match(/<([^>]+)>/)
+  return (match ? match[1] : from || '').trim().toLowerCase()
+}
 
-    messages.forEach((message, msgIndex) => {
-      totalMessages++
-      var subject = message.getSubject()
-      var rawContent = message.getPlainBody()
+/**
+ * Make a folder-layout segment safe to use as a Drive folder name.
+ */
+function sanitizeFolderName(value) {
+  var name = String(value)
+    .replace(/[\\/]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100)
+  return name || '_'
+}
 
-      // Clean Content (removes replies, quote lines, and legal footers)
-      var cleanContent = getCleanBody(rawContent)
-      console.log(
-        '[processLabelGroup] Cleaned content length:',
-        cleanContent.length,
-        'chars (from',
-        rawContent.length,
-        ')'
+/**
+ * Expand a folder layout such as "{yyyy}/{MM}" or "{senderDomain}" into the
+ * list of folder names for a message. Supported tokens: {yyyy}, {MM}, {dd}
+ * (message date in the script time zone), {sender}, {senderDomain} and
+ * {threadSubject}. Unknown tokens are kept literally.
+ */
+function expandFolderLayout(layout, message, threadSubject) {
+  var dateParts = Utilities.formatDate(
+    message.getDate(),
+    Session.getScriptTimeZone(),
+    'yyyy-MM-dd'
+  ).split('-')
+  var sender = getSenderAddress(message.getFrom())
+  var tokens = {
+    yyyy: dateParts[0],
+    MM: dateParts[1],
+    dd: dateParts[2],
+    sender: sender || 'unknown-sender',
+    senderDomain: sender.split('@')[1] || 'unknown-sender',
+    threadSubject: threadSubject || message.getSubject() || '(No Subject)',
+  }
+
+  return layout
+    .split('/')
+    .filter(function (segment) {
+      return segment.trim()
+    })
+    .map(function (segment) {
+      return sanitizeFolderName(
+        segment.replace(/\{(\w+)\}/g, function (match, token) {
+          return token in tokens ? tokens[token] : match
+        })
+      )
+    })
+}
+
+/**
+ * Find a subfolder by name, creating it when it does not exist yet.
+ */
+function getOrCreateSubfolder(parent, name) {
+  var existing = parent.getFoldersByName(name)
+  if (existing.hasNext()) return existing.next()
+  console.log('[processMessageToDoc] Creating folder:', name)
+  return parent.createFolder(name)
+}
+
+/**
+ * Resolve (and create if needed) the folder an attachment of this message is
+ * saved to. Without a `folderLayout` in the config this is the root folder.
+ */
+function resolveAttachmentFolder(rootFolder, message, options) {
+  var layout = options.config && options.config.folderLayout
+  if (!layout) return rootFolder
+  return expandFolderLayout(layout, message, options.threadSubject).reduce(
+    getOrCreateSubfolder,
+    rootFolder
+  )
+}
+
+/**
+ * Default settings for `convertAttachments: true`.
+ */
+var DEFAULT_CONVERSION_SETTINGS = {
+  office: true,
+  ocr: true,
+  excerptLength: 200,
+  ocrLanguage: null,
+}
+
+var GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document'
+var GOOGLE_SHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet'
+
+/** Office formats converted to native Google files, by source MIME type. */
+var OFFICE_CONVERSIONS = {
+  'application/msword': GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.oasis.opendocument.text': GOOGLE_DOC_MIME_TYPE,
+  'application/rtf': GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.ms-excel': GOOGLE_SHEET_MIME_TYPE,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+    GOOGLE_SHEET_MIME_TYPE,
+  'application/vnd.oasis.opendocument.spreadsheet': GOOGLE_SHEET_MIME_TYPE,
+}
+
+/** Formats OCR'd into a searchable Google Doc. */
+var OCR_CONTENT_TYPES = ['application/pdf', 'image/*']
+
+/**
+ * Resolve the config's `convertAttachments` option. `true` enables every
+ * conversion with defaults; an object overrides individual settings. Returns
+ * null when conversion is disabled.
+ */
+function resolveConversionSettings(config) {
+  var option = config && config.convertAttachments
+  if (!option) return null
+  var settings = {}
+  Object.keys(DEFAULT_CONVERSION_SETTINGS).forEach(function (key) {
+    settings[key] =
+      option !== true && option[key] !== undefined
+        ? option[key]
+        : DEFAULT_CONVERSION_SETTINGS[key]
+  })
+  return settings
+}
+
+/**
+ * Pick the Google file type an attachment is converted to, or null to skip.
+ */
+function getConversionTarget(contentType, settings) {
+  var type = (contentType || '').toLowerCase()
+  if (settings.office && OFFICE_CONVERSIONS[type]) {
+    return OFFICE_CONVERSIONS[type]
+  }
+  if (settings.ocr && isAllowedContentType(type, OCR_CONTENT_TYPES)) {
+    return GOOGLE_DOC_MIME_TYPE
+  }
+  return null
+}
+
+/**
+ * Collapse extracted text to a single line and cut it to the excerpt length.
+ */
+function makeExcerpt(text, maxLength) {
+  var flat = (text || '').replace(/\s+/g, ' ').trim()
+  return flat.length > maxLength
+    ? flat.slice(0, maxLength).trimEnd() + '\u2026'
+    : flat
+}
+
+/**
+ * Read the text of a converted Google Doc or Sheet (first sheet, cells joined
+ * with " | ").
+ */
+function extractConvertedText(fileId, mimeType) {
+  if (mimeType === GOOGLE_SHEET_MIME_TYPE) {
+    return SpreadsheetApp.openById(fileId)
+      .getSheets()[0]
+      .getDataRange()
+      .getDisplayValues()
+      .map(function (row) {
+        return row.filter(Boolean).join(' | ')
+      })
+      .join('\n')
+  }
+  return DocumentApp.openById(fileId).getBody().getText()
+}
+
+/**
+ * Convert a saved attachment into a native Google Doc/Sheet next to it using
+ * the Drive advanced service (v3), OCR-ing PDFs and images. Returns the
+ * converted file and a text excerpt, or null when skipped. Failures are logged
+ * and leave the original file in place. A dry-run preview only records the
+ * attachment.
+ */
+function convertAttachment(blob, targetFolder, settings, preview) {
+  var target = getConversionTarget(blob.getContentType(), settings)
+  if (!target) return null
+  if (preview) {
+    preview.conversions.push(blob.getName())
+    return null
+  }
+  if (typeof Drive === 'undefined') {
+    console.warn(
+      '[processMessageToDoc] Drive advanced service not enabled, skipping conversion'
+    )
+    return null
+  }
+
+  var name = blob.getName().replace(/\.[\w-]+$/, '')
+  try {
+    console.log('[processMessageToDoc] Converting attachment:', blob.getName())
+    var created = Drive.Files.create(
+      { name: name, mimeType: target, parents: [targetFolder.getId()] },
+      blob,
+      settings.ocrLanguage ? { ocrLanguage: settings.ocrLanguage } : {}
+    )
+    var file = DriveApp.getFileById(created.id)
+    var excerpt =
+      settings.excerptLength > 0
+        ? makeExcerpt(
+            extractConvertedText(created.id, target),
+            settings.excerptLength
+          )
+        : ''
+    return { file: file, excerpt: excerpt }
+  } catch (e) {
+    Logger.log(
+      'Could not convert attachment: ' + blob.getName() + ' - ' + e.message
+    )
+    console.error('[processMessageToDoc] Conversion failed:', e.message)
+    return null
+  }
+}
+
+/**
+ * Insert the converted-copy link and text excerpt paragraphs below a saved
+ * attachment entry. The excerpt is redacted like the message text. Returns
+ * the updated index.
+ */
+function insertConvertedAttachment(converted, body, currentIndex, options) {
+  var link = body.insertParagraph(
+    currentIndex++,
+    '  Converted: ' + converted.file.getName()
+  )
+  link.setLinkUrl(converted.file.getUrl())
+  applyParagraphStyle(link, options.attachmentStyle)
+  if (converted.excerpt) {
+    var excerpt = body.insertParagraph(
+      currentIndex++,
+      '  Excerpt: ' + redactMessageText(converted.excerpt, options)
+    )
+    applyParagraphStyle(excerpt, options.attachmentStyle)
+  }
+  return currentIndex
+}
+
+/**
+ * Process a single attachment: check for duplicates, save to Drive if new, and
+ * insert a reference paragraph (linked to the saved file) in the document.
+ * With `convertAttachments` enabled, new files also get a converted Google
+ * copy and a text excerpt. Returns the updated index.
+ */
+function processSingleAttachment(
+  att,
+  body,
+  folder,
+  currentIndex,
+  attIndex,
+  totalCount,
+  options
+) {
+  var fileName = att.getName()
+  console.log(
+    '[processMessageToDoc] Processing attachment',
+    attIndex + 1,
+    'of',
+    totalCount,
+    ':',
+    fileName
+  )
+  var newFileBlob = att.copyBlob()
+  var hash = getFileHash(newFileBlob)
+  console.log('[processMessageToDoc] Looking up attachment hash:', hash)
+
+  var existingFile = findIndexedAttachment(options.attachmentIndex, hash)
+  if (existingFile) {
+    Logger.log('Skipping exact duplicate: ' + fileName)
+    console.log('[processMessageToDoc] Skipping duplicate:', fileName)
+    var existingName = existingFile.getName()
+    if (options.preview) {
+      options.preview.duplicates.push({
+        name: fileName,
+        existing: existingName,
+      })
+    }
+    var duplicatePara = body.insertParagraph(
+      currentIndex++,
+      '- ' +
+        fileName +
+        (existingName === fileName
+          ? ' (existing copy)'
+          : ' (existing copy: ' + existingName + ')')
+    )
+    duplicatePara.setLinkUrl(existingFile.getUrl())
+    applyParagraphStyle(duplicatePara, options.attachmentStyle)
+    if (options.savedAttachments) {
+      options.savedAttachments.push({
+        name: fileName,
+        url: existingFile.getUrl(),
+        fileId: existingFile.getId(),
+      })
+    }
+  } else {
+    // It's a new file (or a file with same name but different content)
+    var targetFolder = options.getTargetFolder()
+    var finalName = resolveAttachmentName(targetFolder, fileName, newFileBlob)
+    console.log('[processMessageToDoc] Saving new file:', finalName)
+    var file = targetFolder.createFile(newFileBlob)
+    recordAttachment(options.attachmentIndex, hash, file)
+    var para = body.insertParagraph(currentIndex++, '- ' + file.getName())
+    para.setLinkUrl(file.getUrl())
+    applyParagraphStyle(para, options.attachmentStyle)
+    if (options.savedAttachments) {
+      options.savedAttachments.push({
+        name: file.getName(),
+        url: file.getUrl(),
+        fileId: file.getId(),
+      })
+    }
+    console.log('[processMessageToDoc] File saved successfully')
+
+    var settings = resolveConversionSettings(options.config)
+    var converted =
+      settings &&
+      convertAttachment(newFileBlob, targetFolder, settings, options.preview)
+    if (converted) {
+      currentIndex = insertConvertedAttachment(
+        converted,
+        body,
+        currentIndex,
+        options
+      )
+    }
+  }
+  return currentIndex
+}
+
+/**
+ * Extract the cleaned body text of a message. When the config opts into HTML
+ * ingestion (bodyFormat: 'html') and the message carries an HTML body, it is
+ * cleaned with getCleanHtmlBody so links, lists and tables survive; otherwise
+ * the plain-text body is cleaned with getCleanBody. Both follow the config's
+ * `bodyCleanup` options (detectors, patterns, keepForwarded).
+ */
+function getMessageBody(message, config) {
+  var cleanup = config && config.bodyCleanup
+  if (config && config.bodyFormat === 'html') {
+    var html = message.getBody()
+    if (html && /<[a-z][^>]*>/i.test(html)) {
+      return getCleanHtmlBody(html, cleanup)
+    }
+  }
+  return getCleanBody(message.getPlainBody(), cleanup)
+}
+
+var GMAIL_THREAD_URL = 'https://mail.google.com/mail/u/0/#all/'
+
+// Default per-message layout: heading-styled subject, date, cleaned body and
+// the attachment list (the original archive format).
+var DEFAULT_MESSAGE_TEMPLATE = {
+  sections: ['subject', 'date', 'body', 'attachments'],
+  styles: { subject: 'heading' },
+}
+
+/**
+ * Apply a template style to a paragraph. Styles are 'heading' (HEADING_3,
+ * falling back to bold if the Doc is busy), 'bold', 'italic' and 'monospace';
+ * an array combines several.
+ */
+function applyParagraphStyle(para, style) {
+  if (!style) return
+
+  var attributes = {}
+  var hasAttributes = false
+  var styleNames = Array.isArray(style) ? style : [style]
+  styleNames.forEach(function (name) {
+    if (name === 'heading') {
+      // Try to set heading, fallback to bold if Doc is busy
+      try {
+        para.setHeading(DocumentApp.ParagraphHeading.HEADING_3)
+        return
+      } catch (e) {
+        attributes[DocumentApp.Attribute.BOLD] = true
+      }
+    } else if (name === 'bold') {
+      attributes[DocumentApp.Attribute.BOLD] = true
+    } else if (name === 'italic') {
+      attributes[DocumentApp.Attribute.ITALIC] = true
+    } else if (name === 'monospace') {
+      attributes[DocumentApp.Attribute.FONT_FAMILY] = 'Courier New'
+    } else {
+      console.warn('[processMessageToDoc] Unknown template style:', name)
+      return
+    }
+    hasAttributes = true
+  })
+
+  if (hasAttributes) {
+    para.setAttributes(attributes)
+  }
+}
+
+/**
+ * Resolve the message template for a config entry, filling in any part the
+ * config leaves out from DEFAULT_MESSAGE_TEMPLATE.
+ */
+function resolveMessageTemplate(config) {
+  var template = (config && config.template) || {}
+  return {
+    sections: template.sections || DEFAULT_MESSAGE_TEMPLATE.sections,
+    styles: template.styles || DEFAULT_MESSAGE_TEMPLATE.styles,
+  }
+}
+
+/**
+ * Render a single-paragraph template section. Returns { text, linkUrl } or
+ * null to skip the section for this message (e.g. empty Cc line).
+ */
+function renderMessageSection(section, message, options) {
+  var value
+  switch (section) {
+    case 'subject':
+      var subject = message.getSubject()
+      return { text: 'Subject: ' + (subject ? subject : '(No Subject)') }
+    case 'from':
+      value = message.getFrom()
+      return value ? { text: 'From: ' + value } : null
+    case 'to':
+      value = message.getTo()
+      return value ? { text: 'To: ' + value } : null
+    case 'cc':
+      value = message.getCc()
+      return value ? { text: 'Cc: ' + value } : null
+    case 'date':
+      return { text: 'Date: ' + message.getDate() }
+    case 'threadLink':
+      value = options.threadId || message.getThread().getId()
+      return {
+        text: 'Open thread in Gmail',
+        linkUrl: GMAIL_THREAD_URL + value,
+      }
+    case 'body':
+      return { text: getMessageBody(message, options.config) }
+    default:
+      console.warn('[processMessageToDoc] Unknown template section:', section)
+      return null
+  }
+}
+
+/**
+ * Defaults for the inlineImages option: inline images under minBytes or whose
+ * MD5 is in blocklist are dropped as signature images; the rest are embedded
+ * in Doc targets (embed), scaled down to maxWidth pixels.
+ */
+var DEFAULT_INLINE_IMAGE_SETTINGS = {
+  minBytes: 10 * 1024,
+  blocklist: [],
+  embed: true,
+  maxWidth: 600,
+}
+
+/**
+ * Resolve the config's inlineImages option (true or an object overriding
+ * DEFAULT_INLINE_IMAGE_SETTINGS), or null when disabled. Without it, inline
+ * images are saved like any other attachment.
+ */
+function resolveInlineImageSettings(config) {
+  var option = config && config.inlineImages
+  if (!option) return null
+  return Object.assign(
+    {},
+    DEFAULT_INLINE_IMAGE_SETTINGS,
+    option === true ? {} : option
+  )
+}
+
+/**
+ * Split a message's attachments into {attachments, images}: regular
+ * attachments to save and inline images to embed. Inline signature images
+ * are dropped; the others are embedded when canEmbed, otherwise saved as
+ * attachments. A dry run records each decision in the preview.
+ */
+function splitInlineImages(message, settings, canEmbed, preview) {
+  var attachments = message.getAttachments({ includeInlineImages: false })
+  var images = []
+  message
+    .getAttachments({ includeAttachments: false })
+    .forEach(function (image) {
+      var name = image.getName()
+      if (
+        image.getBytes().length < settings.minBytes ||
+        settings.blocklist.indexOf(getFileHash(image)) !== -1
+      ) {
+        Logger.log('Skipping inline image: ' + name)
+        if (preview) preview.inlineImages.push({ name: name, action: 'skip' })
+        return
+      }
+      if (canEmbed && settings.embed) {
+        if (preview) preview.inlineImages.push({ name: name, action: 'embed' })
+        images.push(image)
+      } else {
+        attachments.push(image)
+      }
+    })
+  return { attachments: attachments, images: images }
+}
+
+/**
+ * Embed images in the document, one paragraph each, scaled down to the
+ * settings' maxWidth. Returns the updated index.
+ */
+function insertInlineImages(images, body, currentIndex, settings) {
+  images.forEach(function (blob) {
+    var image = body.insertParagraph(currentIndex++, '').appendInlineImage(blob)
+    var width = image.getWidth()
+    if (width > settings.maxWidth) {
+      image.setHeight(
+        Math.round((image.getHeight() * settings.maxWidth) / width)
+      )
+      image.setWidth(settings.maxWidth)
+    }
+  })
+  return currentIndex
+}
+
+/**
+ * Insert the message's attachment list ("[Attachments]:" followed by one entry
+ * per attachment, or per blob in options.attachments when given) at the given
+ * index. Returns the updated index.
+ */
+function insertAttachmentsSection(
+  message,
+  body,
+  folder,
+  currentIndex,
+  options
+) {
+  var attachments = options.attachments || message.getAttachments()
+  console.log('[processMessageToDoc] Found', attachments.length, 'attachments')
+  if (attachments.length > 0) {
+    var header = body.insertParagraph(currentIndex++, '[Attachments]:')
+    applyParagraphStyle(header, options.attachmentStyle)
+
+    // Callers archiving many messages share one index; otherwise load one
+    // for this message and persist it afterwards
+    var attachmentIndex =
+      options.attachmentIndex || createAttachmentIndex(folder)
+
+    // Resolve the layout folder on first save so all-duplicate messages do
+    // not create empty folders
+    var targetFolder = null
+    var attachmentOptions = {
+      config: options.config,
+      attachmentIndex: attachmentIndex,
+      attachmentStyle: options.attachmentStyle,
+      savedAttachments: options.savedAttachments,
+      preview: options.preview,
+      redaction: options.redaction,
+      redactionCounts: options.redactionCounts,
+      getTargetFolder: function () {
+        if (!targetFolder) {
+          targetFolder = resolveAttachmentFolder(folder, message, options)
+        }
+        return targetFolder
+      },
+    }
+
+    attachments.forEach(function (att, attIndex) {
+      currentIndex = processSingleAttachment(
+        att,
+        body,
+        folder,
+        currentIndex,
+        attIndex,
+        attachments.length,
+        attachmentOptions
+      )
+    })
+
+    if (!options.attachmentIndex) saveAttachmentIndex(attachmentIndex)
+  }
+  return currentIndex
+}
+
+/**
+ * Process a single message and insert its content into the document body,
+ * at the top unless options.insertAt is given. The paragraphs written and
+ * their styles follow the config's template (see DEFAULT_MESSAGE_TEMPLATE).
+ * Returns the index after the last inserted paragraph (the number of
+ * paragraphs inserted when writing at the top).
+ */
+function processMessageToDoc(message, body, folder, options) {
+  var template = resolveMessageTemplate(options.config)
+  var redaction = resolveRedactionSettings(options.config)
+  var redactionCounts = {}
+  // Logs and the redaction audit only see the redacted subject
+  var subject = redactText(message.getSubject(), redaction)
+
+  Logger.log('Processing: ' + subject)
+  console.log('[processMessageToDoc] Processing message:', subject)
+
+  // Prepend text to doc: currentIndex starts at 0 for each message, so each
+  // new message is inserted at the top of the document, pushing previous
+  // content down. This ensures the most recent emails appear first. When
+  // appending (order: 'oldest-first'), the caller passes the end position.
+  var currentIndex = options.insertAt || 0
+
+  // Inline images are embedded below the body when the output holds images
+  var imageSettings = resolveInlineImageSettings(options.config)
+  var inline =
+    imageSettings &&
+    splitInlineImages(
+      message,
+      imageSettings,
+      Boolean(options.sink && options.sink.embedsImages) &&
+        template.sections.indexOf('body') !== -1,
+      options.preview
+    )
+
+  template.sections.forEach(function (section) {
+    var style = template.styles[section]
+    if (section === 'attachments') {
+      currentIndex = insertAttachmentsSection(
+        message,
+        body,
+        folder,
+        currentIndex,
+        {
+          config: options.config,
+          threadSubject: options.threadSubject,
+          attachmentIndex: options.attachmentIndex,
+          attachmentStyle: style,
+          savedAttachments: options.savedAttachments,
+          preview: options.preview,
+          redaction: redaction,
+          redactionCounts: redactionCounts,
+          attachments: inline ? inline.attachments : null,
+        }
+      )
+      return
+    }
+
+    var content = renderMessageSection(section, message, options)
+    if (content) {
+      var para = body.insertParagraph(
+        currentIndex++,
+        redactText(content.text, redaction, redactionCounts)
+      )
+      if (content.linkUrl) para.setLinkUrl(content.linkUrl)
+      applyParagraphStyle(para, style)
+    }
+    if (section === 'body' && inline) {
+      currentIndex = insertInlineImages(
+        inline.images,
+        body,
+        currentIndex,
+        imageSettings
+      )
+    }
+  })
+
+  // Add separator - use thread separator for the thread's bottom message,
+  // unless the output sink delimits threads itself (see OUTPUT_SINKS)
+  var sinkMarksThreads = options.sink && options.sink.marksThreads
+  if (options.threadId && options.isBottomMessage && !sinkMarksThreads) {
+    var threadSeparator =
+      '------------------------------[THREAD:' + options.threadId + ']'
+    body.insertParagraph(currentIndex++, threadSeparator)
+    console.log(
+      '[processMessageToDoc] Added thread separator:',
+      options.threadId
+    )
+  } else {
+    body.insertParagraph(currentIndex++, '------------------------------')
+  }
+
+  // Audit what was redacted without logging the redacted values
+  var redacted = Object.keys(redactionCounts).reduce(function (sum, name) {
+    return sum + redactionCounts[name]
+  }, 0)
+  if (redacted > 0) {
+    Logger.log(
+      'Redacted ' +
+        redacted +
+        ' match(es) in: ' +
+        subject +
+        ' (' +
+        formatRedactionCounts(redactionCounts) +
+        ')'
+    )
+    if (options.redactions) {
+      options.redactions.push({ subject: subject, counts: redactionCounts })
+    }
+  }
+
+  // Pause briefly to allow Google Doc to save (prevents crash)
+  Utilities.sleep(500)
+
+  return currentIndex
+}
+
+/**
+ * Process multiple messages from a thread, prepending them to the document.
+ * Messages are sorted by date (oldest first) so newest appear at top; with
+ * order: 'oldest-first' in the config the thread is appended at the end
+ * instead, oldest message first. If a
+ * threadId is provided, any existing content for that thread is removed first
+ * (by options.sink when archiving to an output sink, which is also told about
+ * every written message). A sink that tracks archived messages
+ * (resumeThread) keeps the thread's earlier copy instead and only the new
+ * messages are written into it. Returns the number of messages written.
+ */
+function processMessagesToDoc(messages, body, folder, options) {
+  var threadId = options.threadId
+  var sink = options.sink
+
+  // Sort messages by date (oldest first) so when we prepend (insert at index 0),
+  // the newest messages end up at the top of the document
+  var sortedMessages = messages.slice().sort(function (a, b) {
+    return a.getDate().getTime() - b.getDate().getTime()
+  })
+  var appending = resolveArchiveOrder(options.config) === 'oldest-first'
+
+  // Extend the thread's earlier copy with its new messages when the sink
+  // can, otherwise remove existing thread content only if this thread's ID
+  // is present in the document (an output sink knows where its earlier copy
+  // lives)
+  var resumed =
+    threadId && sink && sink.resumeThread
+      ? sink.resumeThread(threadId, sortedMessages)
+      : null
+  if (threadId && !resumed && sink) {
+    sink.removeThread(threadId)
+  } else if (threadId && !resumed && body.findText(threadId)) {
+    removeExistingThreadFromDoc(body, threadId)
+  }
+  var pending = resumed ? resumed.messages : sortedMessages
+
+  var attachmentIndex = options.attachmentIndex || createAttachmentIndex(folder)
+
+  // Appended threads start with their thread separator and grow downwards
+  var insertAt = resumed ? resumed.insertAt : 0
+  if (!resumed && appending && pending.length > 0) {
+    insertAt = body.getNumChildren()
+    body.insertParagraph(insertAt++, '==============================')
+  }
+
+  pending.forEach(function (message, msgIndex) {
+    console.log(
+      '[processMessagesToDoc] Processing message',
+      msgIndex + 1,
+      'of',
+      pending.length
+    )
+    // When prepending, the oldest message is inserted last and ends up at the
+    // bottom; when appending, the newest does. That message carries the
+    // thread separator
+    var messageOptions = {
+      config: options.config,
+      threadId: threadId,
+      isBottomMessage:
+        !resumed &&
+        (appending ? msgIndex === pending.length - 1 : msgIndex === 0),
+      insertAt: insertAt,
+      threadSubject: sortedMessages[0].getSubject(),
+      attachmentIndex: attachmentIndex,
+      savedAttachments: options.savedAttachments,
+      sink: sink,
+      preview: options.preview,
+      redactions: options.redactions,
+    }
+    var savedBefore = options.savedAttachments
+      ? options.savedAttachments.length
+      : 0
+    var nextIndex = processMessageToDoc(message, body, folder, messageOptions)
+    if (sink) {
+      sink.endMessage(
+        message,
+        Object.assign({}, messageOptions, { endAt: nextIndex })
+      )
+    }
+    if (options.archivedMessages) {
+      options.archivedMessages.push({
+        messageId: message.getId(),
+        fileIds: (options.savedAttachments || [])
+          .slice(savedBefore)
+          .map(function (att) {
+            return att.fileId
+          }),
+      })
+    }
+    if (appending) insertAt = nextIndex
+  })
+
+  if (!options.attachmentIndex) saveAttachmentIndex(attachmentIndex)
+
+  // Add a clear separator between threads (after all messages in a thread are processed)
+  if (!resumed && !appending && pending.length > 0) {
+    body.insertParagraph(0, '==============================')
+  }
+
+  return pending.length
+}
+
+/**
+ * Convert a filter pattern (RegExp or string) into a case-insensitive RegExp.
+ */
+function toFilterRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')
+}
+
+/**
+ * Built-in redaction detectors, in the order they run. Patterns use
+ * lookbehinds so only the sensitive part after a keyword is replaced.
+ */
+var REDACTION_DETECTORS = {
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
+  // Card numbers must pass the Luhn check (see isLuhnValid)
+  creditCard: /\b\d(?:[ -]?\d){12,18}\b/g,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+  accountNumber:
+    /(?<=\b(?:account|acct|a\/c)\.?(?:\s+(?:no\.?|number|#))?\s*[:#]?\s*)\d[\d -]{4,18}\d\b/gi,
+  otp: /(?<=\b(?:code|otp|passcode|pin)\b[^\d\n]{0,20})\b\d{4,8}\b/gi,
+  phone:
+    /(?<![\w+])(?:\+\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}(?!\w)/g,
+}
+
+/** Text that replaces a redacted match unless the config sets `replacement`. */
+var DEFAULT_REDACTION_REPLACEMENT = '[REDACTED]'
+
+/**
+ * Check a card number candidate (digits, optionally separated by spaces or
+ * dashes) with the Luhn checksum.
+ */
+function isLuhnValid(value) {
+  var digits = value.replace(/\D/g, '')
+  var sum = 0
+  for (var i = 0; i < digits.length; i++) {
+    var digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Resolve the config's `redact` option into {rules, replacement}, or null
+ * when disabled. `true` enables every built-in detector; an object picks
+ * `detectors` by name (default: all) and adds custom `patterns` (RegExp or
+ * case-insensitive string). Throws on unknown detector names.
+ */
+function resolveRedactionSettings(config) {
+  var option = config.redact
+  if (!option) return null
+  var settings = option === true ? {} : option
+  var names = settings.detectors || Object.keys(REDACTION_DETECTORS)
+  var rules = names.map(function (name) {
+    if (!REDACTION_DETECTORS[name]) {
+      throw new Error('Unknown redaction detector: ' + name)
+    }
+    return { name: name, pattern: REDACTION_DETECTORS[name] }
+  })
+  ;(settings.patterns || []).forEach(function (pattern) {
+    var regExp = toFilterRegExp(pattern)
+    rules.push({
+      name: 'custom',
+      pattern: regExp.global
+        ? regExp
+        : new RegExp(regExp.source, regExp.flags + 'g'),
+    })
+  })
+  return {
+    rules: rules,
+    replacement: settings.replacement || DEFAULT_REDACTION_REPLACEMENT,
+  }
+}
+
+/**
+ * Replace every match of the redaction rules in a text, counting the
+ * replacements per detector name into `counts` when given.
+ */
+function redactText(text, settings, counts) {
+  if (!settings || !text) return text
+  var tally = counts || {}
+  return settings.rules.reduce(function (result, rule) {
+    return result.replace(rule.pattern, function (match) {
+      if (rule.name === 'creditCard' && !isLuhnValid(match)) return match
+      tally[rule.name] = (tally[rule.name] || 0) + 1
+      return settings.replacement
+    })
+  }, text)
+}
+
+/**
+ * Format redaction counts like "ssn x2, phone x1" for the audit log and the
+ * dry-run report.
+ */
+function formatRedactionCounts(counts) {
+  return Object.keys(counts)
+    .map(function (name) {
+      return name + ' x' + counts[name]
+    })
+    .join(', ')
+}
+
+/**
+ * Redact text about to be written for a message (see processMessageToDoc),
+ * counting into the message's audit counts.
+ */
+function redactMessageText(text, options) {
+  return redactText(text, options.redaction, options.redactionCounts)
+}
+
+/**
+ * Check whether a MIME type is listed in a whitelist. Entries ending in "/*"
+ * match the whole family (e.g. "image/*").
+ */
+function isAllowedContentType(contentType, allowedTypes) {
+  var type = (contentType || '').toLowerCase()
+  return allowedTypes.some(function (allowed) {
+    var entry = allowed.toLowerCase()
+    return entry.endsWith('/*')
+      ? type.startsWith(entry.slice(0, -1))
+      : type === entry
+  })
+}
+
+/**
+ * Check whether a message satisfies every criterion set on a filter rule:
+ * from (regex), subject (regex), minDate, hasAttachment and attachmentTypes
+ * (MIME whitelist; at least one attachment must match).
+ */
+function messageMatchesRule(message, rule) {
+  if (rule.from && !toFilterRegExp(rule.from).test(message.getFrom() || '')) {
+    return false
+  }
+  if (
+    rule.subject &&
+    !toFilterRegExp(rule.subject).test(message.getSubject() || '')
+  ) {
+    return false
+  }
+  if (
+    rule.minDate &&
+    message.getDate().getTime() < new Date(rule.minDate).getTime()
+  ) {
+    return false
+  }
+  if (typeof rule.hasAttachment === 'boolean') {
+    var hasAttachment = message.getAttachments().length > 0
+    if (hasAttachment !== rule.hasAttachment) return false
+  }
+  if (rule.attachmentTypes) {
+    var matchesType = message.getAttachments().some(function (att) {
+      return isAllowedContentType(att.getContentType(), rule.attachmentTypes)
+    })
+    if (!matchesType) return false
+  }
+  return true
+}
+
+/**
+ * Split messages into those to archive and those skipped by the config's
+ * filters. A message is kept when it matches at least one include rule (or no
+ * include rules are set) and matches no exclude rule. Returns
+ * { accepted, skipped } where skipped entries are { message, reason }.
+ */
+function filterMessages(messages, filters) {
+  function toRules(rules) {
+    if (!rules) return []
+    return Array.isArray(rules) ? rules : [rules]
+  }
+  var includeRules = toRules(filters && filters.include)
+  var excludeRules = toRules(filters && filters.exclude)
+
+  var accepted = []
+  var skipped = []
+  messages.forEach(function (message) {
+    var reason = null
+    if (
+      includeRules.length > 0 &&
+      !includeRules.some(function (rule) {
+        return messageMatchesRule(message, rule)
+      })
+    ) {
+      reason = 'no include rule matched'
+    } else {
+      var excludeIndex = excludeRules.findIndex(function (rule) {
+        return messageMatchesRule(message, rule)
+      })
+      if (excludeIndex !== -1) {
+        reason = 'matched exclude rule ' + (excludeIndex + 1)
+      }
+    }
+
+    if (reason) {
+      console.log(
+        '[filterMessages] Skipping message (' + reason + '):',
+        message.getSubject()
+      )
+      skipped.push({ message: message, reason: reason })
+    } else {
+      accepted.push(message)
+    }
+  })
+  return { accepted: accepted, skipped: skipped }
+}
+
+/** Default title of rollover volumes, e.g. "Archive – 2026 Q4". */
+var DEFAULT_VOLUME_TITLE = '{name} – {yyyy} Q{q}'
+
+/**
+ * Script-property key holding the volume chain of an archive doc.
+ */
+function getDocChainKey(docId) {
+  return 'doc_chain_' + docId
+}
+
+/**
+ * Load the chain of archive volumes for a configured doc. The first entry is
+ * the configured doc itself and the last one is the volume currently written.
+ */
+function loadDocChain(docId) {
+  var stored = PropertiesService.getScriptProperties().getProperty(
+    getDocChainKey(docId)
+  )
+  if (stored) {
+    try {
+      var chain = JSON.parse(stored)
+      if (Array.isArray(chain) && chain.length > 0) return chain
+    } catch (e) {
+      console.warn(
+        '[processLabelGroup] Ignoring unreadable doc chain:',
+        e.message
+      )
+    }
+  }
+  return [{ id: docId, title: null }]
+}
+
+/**
+ * Persist the chain of archive volumes in script properties.
+ */
+function saveDocChain(docId, chain) {
+  PropertiesService.getScriptProperties().setProperty(
+    getDocChainKey(docId),
+    JSON.stringify(chain)
+  )
+}
+
+/**
+ * Check whether a doc body has reached the config's rollover limits
+ * (maxParagraphs and/or maxCharacters).
+ */
+function needsRollover(body, rollover) {
+  if (
+    rollover.maxParagraphs > 0 &&
+    body.getNumChildren() >= rollover.maxParagraphs
+  ) {
+    return true
+  }
+  return (
+    rollover.maxCharacters > 0 &&
+    body.getText().length >= rollover.maxCharacters
+  )
+}
+
+/**
+ * Current [yyyy, MM] in the script time zone.
+ */
+function getCurrentDateParts() {
+  return Utilities.formatDate(
+    new Date(),
+    Session.getScriptTimeZone(),
+    'yyyy-MM-dd'
+  )
+    .split('-')
+    .slice(0, 2)
+}
+
+/**
+ * Replace {token} placeholders in a title format. Unknown tokens are kept.
+ */
+function expandTitle(format, tokens) {
+  return format.replace(/\{(\w+)\}/g, function (match, token) {
+    return token in tokens ? tokens[token] : match
+  })
+}
+
+/**
+ * Create the next archive volume: a new Doc titled after the rollover title
+ * format ({name}, {yyyy}, {MM}, {q}) and moved into the original doc's folder.
+ */
+function createArchiveVolume(config, chain) {
+  var parts = getCurrentDateParts()
+  var baseTitle = expandTitle(config.rollover.title || DEFAULT_VOLUME_TITLE, {
+    name: DocumentApp.openById(config.docId).getName(),
+    yyyy: parts[0],
+    MM: parts[1],
+    q: String(Math.ceil(Number(parts[1]) / 3)),
+  })
+
+  // A second rollover in the same quarter gets a counter
+  var titles = chain.map(function (volume) {
+    return volume.title
+  })
+  var title = baseTitle
+  for (var n = 2; titles.indexOf(title) !== -1; n++) {
+    title = baseTitle + ' (' + n + ')'
+  }
+
+  var doc = DocumentApp.create(title)
+  try {
+    var parents = DriveApp.getFileById(config.docId).getParents()
+    if (parents.hasNext()) {
+      DriveApp.getFileById(doc.getId()).moveTo(parents.next())
+    }
+  } catch (e) {
+    console.warn(
+      '[processLabelGroup] Could not move new volume next to the original doc:',
+      e.message
+    )
+  }
+  Logger.log('Started new archive volume: ' + title)
+  console.log('[processLabelGroup] Rolled over to new volume:', doc.getId())
+  return { id: doc.getId(), title: title, doc: doc }
+}
+
+/**
+ * Drop the rollover volumes of an archive doc: trash every volume after the
+ * configured doc and forget the chain, so the rebuild starts again from the
+ * configured doc.
+ */
+function resetDocChain(config) {
+  var chain = loadDocChain(config.docId)
+  chain.slice(1).forEach(function (volume) {
+    try {
+      DriveApp.getFileById(volume.id).setTrashed(true)
+      console.log('[rebuildDoc] Trashed archive volume:', volume.title)
+    } catch (e) {
+      console.warn('[rebuildDoc] Could not trash archive volume:', e.message)
+    }
+  })
+  PropertiesService.getScriptProperties().deleteProperty(
+    getDocChainKey(config.docId)
+  )
+}
+
+/** Default title of monthly PDF snapshots, e.g. "Archive – 2026-11". */
+var DEFAULT_SNAPSHOT_TITLE = '{name} – {yyyy}-{MM}'
+
+/** Header row of the Google Sheet target (one row per message). */
+var SHEET_TARGET_HEADERS = [
+  'Thread ID',
+  'Date',
+  'From',
+  'Subject',
+  'Body',
+  'Attachments',
+]
+
+/** Google Sheets rejects cells longer than this many characters. */
+var SHEET_CELL_LIMIT = 50000
+
+var THREAD_SEPARATOR = '=============================='
+var MESSAGE_SEPARATOR = '------------------------------'
+
+/** Supported values of the config's order (default 'newest-first'). */
+var ARCHIVE_ORDERS = ['newest-first', 'oldest-first']
+
+/**
+ * Resolve the config's order: 'newest-first' prepends threads and messages
+ * at the top of the archive, 'oldest-first' appends them at the end for a
+ * chronological, append-only log. Throws for unknown orders.
+ */
+function resolveArchiveOrder(config) {
+  var order = (config && config.order) || 'newest-first'
+  if (ARCHIVE_ORDERS.indexOf(order) === -1) {
+    throw new Error('Unknown order: ' + order)
+  }
+  return order
+}
+
+/**
+ * Normalize a config's target ('doc', 'markdown', 'pdf', 'sheet' or an
+ * object with a type and target settings) into an object. Throws for
+ * unknown target types.
+ */
+function resolveOutputTarget(config) {
+  var target = config.target || 'doc'
+  var resolved =
+    typeof target === 'string' ? { type: target } : Object.assign({}, target)
+  if (!OUTPUT_SINKS[resolved.type]) {
+    throw new Error('Unknown output target: ' + resolved.type)
+  }
+  return resolved
+}
+
+/**
+ * Create an in-memory stand-in for a Doc body. It supports the body and
+ * paragraph methods used by the archive flow, so non-Doc targets can reuse
+ * processMessagesToDoc and removeExistingThreadFromDoc unchanged.
+ */
+function createParagraphBuffer(initial) {
+  var paragraphs = []
+  function createParagraph(text, markdown) {
+    var para = {
+      text: text,
+      // Paragraphs read back from a Markdown file are kept verbatim
+      markdown: !!markdown,
+      heading: null,
+      attributes: {},
+      linkUrl: null,
+      getType: function () {
+        return DocumentApp.ElementType.PARAGRAPH
+      },
+      asParagraph: function () {
+        return para
+      },
+      getText: function () {
+        return para.text
+      },
+      getLinkUrl: function () {
+        return para.linkUrl
+      },
+      setLinkUrl: function (url) {
+        para.linkUrl = url
+        return para
+      },
+      setHeading: function (heading) {
+        para.heading = heading
+        return para
+      },
+      setAttributes: function (attributes) {
+        Object.assign(para.attributes, attributes)
+        return para
+      },
+      // Images are kept as blobs; a buffer has no layout, so no size
+      appendInlineImage: function (blob) {
+        para.images = (para.images || []).concat(blob)
+        return {
+          getWidth: function () {
+            return 0
+          },
+          getHeight: function () {
+            return 0
+          },
+          setWidth: function () {},
+          setHeight: function () {},
+        }
+      },
+      removeFromParent: function () {
+        var index = paragraphs.indexOf(para)
+        if (index !== -1) paragraphs.splice(index, 1)
+      },
+    }
+    return para
+  }
+
+  var body = {
+    insertParagraph: function (index, text) {
+      var para = createParagraph(text)
+      paragraphs.splice(index, 0, para)
+      return para
+    },
+    appendParagraph: function (text) {
+      return body.insertParagraph(paragraphs.length, text)
+    },
+    getParagraphs: function () {
+      return paragraphs.slice()
+    },
+    getNumChildren: function () {
+      return paragraphs.length
+    },
+    getChild: function (index) {
+      return paragraphs[index]
+    },
+    removeChild: function (child) {
+      child.removeFromParent()
+    },
+    findText: function (text) {
+      return paragraphs.some(function (para) {
+        return para.text.indexOf(text) !== -1
+      })
+        ? {}
+        : null
+    },
+    getText: function () {
+      return paragraphs
+        .map(function (para) {
+          return para.text
+        })
+        .join('\n')
+    },
+    clear: function () {
+      paragraphs.length = 0
+    },
+  }
+  ;(initial || []).forEach(function (para) {
+    paragraphs.push(createParagraph(para.text, para.markdown))
+  })
+  return body
+}
+
+// Lines Markdown reads as a rule, an HTML comment or a code fence; alone in
+// a block, parseMarkdown would also take the first two for separators
+var MARKDOWN_CONTROL_LINE =
+  /^ {0,3}(?:([-*_])(?:[ \t]*\1){2,}[ \t]*$|<!--|```|~~~)/
+
+// Lines of a rendered block that open or close a code block
+var MARKDOWN_FENCE_LINE = /^(?:### )?\s*(?:- )?\[?```/gm
+
+/**
+ * Escape a line of text that Markdown would read as markup of its own.
+ */
+function escapeMarkdownLine(line) {
+  return MARKDOWN_CONTROL_LINE.test(line)
+    ? line.replace(/^ {0,3}/, function (indent) {
+        return indent + '\\'
+      })
+    : line
+}
+
+/**
+ * Render one buffered paragraph as a Markdown block. Separator lines become
+ * a rule and HTML comments (which keep the thread marker), template styles
+ * become heading/bold/italic/code syntax and links become inline links.
+ * Body lines that look like separators or other Markdown blocks are escaped.
+ */
+function renderMarkdownParagraph(para) {
+  var text = para.getText()
+  if (para.markdown) return text
+  if (text === THREAD_SEPARATOR) return '---'
+  if (text === MESSAGE_SEPARATOR) return '<!-- message -->'
+  if (text.indexOf(MESSAGE_SEPARATOR + '[THREAD:') === 0) {
+    return '<!-- ' + text.slice(MESSAGE_SEPARATOR.length) + ' -->'
+  }
+
+  var attributes = para.attributes
+  // Code is shown as is, inside its fence
+  var escaped = attributes[DocumentApp.Attribute.FONT_FAMILY]
+    ? text
+    : text.split('\n').map(escapeMarkdownLine).join('\n')
+  // Keep list markers and indentation outside of the styled text
+  var match = /^(\s*(?:- )?)([\s\S]*)$/.exec(escaped)
+  var content = match[2]
+  var markdown = content
+  function wrap(marker) {
+    return markdown
+      .split('\n')
+      .map(function (line) {
+        return line.trim() ? marker + line + marker : line
+      })
+      .join('\n')
+  }
+  if (attributes[DocumentApp.Attribute.FONT_FAMILY]) {
+    markdown =
+      content.indexOf('\n') !== -1
+        ? '```\n' + content + '\n```'
+        : '`' + content + '`'
+  } else {
+    if (attributes[DocumentApp.Attribute.ITALIC]) markdown = wrap('_')
+    if (attributes[DocumentApp.Attribute.BOLD]) markdown = wrap('**')
+  }
+  if (para.linkUrl) markdown = '[' + markdown + '](' + para.linkUrl + ')'
+  return (para.heading ? '### ' : '') + match[1] + markdown
+}
+
+/**
+ * Render a paragraph buffer as a Markdown document.
+ */
+function renderMarkdown(body) {
+  var blocks = body.getParagraphs().map(renderMarkdownParagraph)
+  return blocks.length > 0 ? blocks.join('\n\n') + '\n' : ''
+}
+
+/**
+ * Split a Markdown document written by renderMarkdown back into paragraphs,
+ * restoring the separator lines so threads can be found and replaced. Blocks
+ * inside a code block (which may hold blank lines) are never separators.
+ */
+function parseMarkdown(content) {
+  if (!content || !content.trim()) return []
+  var inCode = false
+  return content
+    .replace(/\r\n/g, '\n')
+    .trim()
+    .split(/\n{2,}/)
+    .map(function (block) {
+      var wasInCode = inCode
+      var fences = block.match(MARKDOWN_FENCE_LINE) || []
+      if (fences.length % 2 === 1) inCode = !inCode
+      if (wasInCode) return { text: block, markdown: true }
+      if (block === '---') return { text: THREAD_SEPARATOR, markdown: false }
+      if (block === '<!-- message -->') {
+        return { text: MESSAGE_SEPARATOR, markdown: false }
+      }
+      var marker = /^<!-- (\[THREAD:[^\]]+\]) -->$/.exec(block)
+      if (marker) {
+        return { text: MESSAGE_SEPARATOR + marker[1], markdown: false }
+      }
+      return { text: block, markdown: true }
+    })
+}
+
+/**
+ * Output sink for the configured Google Doc (the default target). Thread
+ * boundaries are kept as named ranges (see markThreadRange) instead of text
+ * markers; older marker-based volumes are migrated when first opened.
+ * Handles rollover: new content goes to the newest volume in the chain, a
+ * full volume is continued in a new one, and replaced threads are removed
+ * from whichever volume holds them (the one in the thread index, if any).
+ */
+function createDocSink(config, threadIndex) {
+  var chain = loadDocChain(config.docId)
+  var activeDocId = chain[chain.length - 1].id
+  var doc = DocumentApp.openById(activeDocId)
+  var volumeDocs = {}
+  volumeDocs[activeDocId] = doc
+  var openVolume = function (id) {
+    if (!volumeDocs[id]) volumeDocs[id] = DocumentApp.openById(id)
+    return volumeDocs[id]
+  }
+
+  // One-time migration of volumes written with [THREAD:id] markers
+  var unmigrated = chain.filter(function (volume) {
+    return !volume.ranges
+  })
+  if (unmigrated.length > 0) {
+    unmigrated.forEach(function (volume) {
+      migrateThreadMarkers(openVolume(volume.id))
+      volume.ranges = true
+    })
+    saveDocChain(config.docId, chain)
+  }
+
+  // A new index starts with the threads already in the volumes
+  if (threadIndex && threadIndex.created) {
+    backfillThreadIndex(
+      threadIndex,
+      chain.map(function (volume) {
+        return { id: volume.id, doc: openVolume(volume.id) }
+      })
+    )
+  }
+
+  var appending = resolveArchiveOrder(config) === 'oldest-first'
+  var currentThreadId = null
+  var threadStart = 0
+  var threadFirst = 0
+  var resumedElements = null
+  var sink = {
+    type: 'doc',
+    body: doc.getBody(),
+    getDocument: function () {
+      return doc
+    },
+    // The thread's named range says exactly what to remove, so no volume is
+    // scanned; the thread index narrows it down to the indexed volume plus
+    // the active one, which holds the partial output of a failed write
+    removeThread: function (threadId) {
+      var volumes = chain
+      var bookmarkId = null
+      if (threadIndex) {
+        var entry = findThreadIndexEntry(threadIndex, threadId)
+        volumes = [{ id: activeDocId }]
+        var inChain =
+          entry &&
+          chain.some(function (volume) {
+            return volume.id === entry.docId
+          })
+        if (inChain) {
+          if (entry.docId !== activeDocId) volumes.unshift({ id: entry.docId })
+          bookmarkId = entry.bookmarkId
+        }
+      }
+
+      volumes.forEach(function (volume) {
+        try {
+          var volumeDoc = openVolume(volume.id)
+          removeThreadRange(volumeDoc, threadId)
+          var bookmark = bookmarkId && volumeDoc.getBookmark(bookmarkId)
+          if (bookmark) bookmark.remove()
+        } catch (e) {
+          console.warn(
+            '[processLabelGroup] Could not open archive volume:',
+            volume.id,
+            e.message
+          )
+        }
+      })
+      threadStart = sink.body.getNumChildren()
+    },
+    // A thread in the active volume whose archived messages (see
+    // markMessageRange) are its oldest ones is kept and moved to where a
+    // rewrite would put it; only the messages after them are written.
+    // Returns those messages and where to insert them, or null to rewrite
+    resumeThread: function (threadId, messages) {
+      resumedElements = null
+      var threadRange = doc.getNamedRanges(THREAD_RANGE_PREFIX + threadId)[0]
+      if (!threadRange) return null
+      var entry = threadIndex && findThreadIndexEntry(threadIndex, threadId)
+      if (threadIndex && (!entry || entry.docId !== activeDocId)) return null
+
+      var messageRanges = messages.map(function (message) {
+        return doc.getNamedRanges(MESSAGE_RANGE_PREFIX + message.getId())[0]
+      })
+      var firstNew = messageRanges.findIndex(function (namedRange) {
+        return !namedRange
+      })
+      var archived = firstNew === -1 ? messages.length : firstNew
+      if (archived === 0 || messageRanges.slice(archived).some(Boolean)) {
+        return null
+      }
+
+      var body = sink.body
+      var elements = threadRange
+        .getRange()
+        .getRangeElements()
+        .map(function (rangeElement) {
+          return rangeElement.getElement()
+        })
+      var inPlace = appending
+        ? body.getChildIndex(elements[elements.length - 1]) ===
+          body.getNumChildren() - 1
+        : body.getChildIndex(elements[0]) === 0
+      threadRange.remove()
+      if (!inPlace) {
+        elements = moveThreadElements(
+          doc,
+          body,
+          elements,
+          messageRanges.slice(0, archived),
+          appending
+        )
+      }
+      var bookmark =
+        entry && entry.bookmarkId && doc.getBookmark(entry.bookmarkId)
+      if (bookmark) bookmark.remove()
+      console.log(
+        '[processLabelGroup] Keeping',
+        archived,
+        'archived messages of thread:',
+        threadId
+      )
+
+      resumedElements = elements
+      threadStart = body.getNumChildren()
+      // New messages go below the thread's ==== line, or at its end
+      return {
+        messages: messages.slice(archived),
+        insertAt: appending
+          ? body.getChildIndex(elements[elements.length - 1]) + 1
+          : body.getChildIndex(elements[0]) + 1,
+      }
+    },
+    // Start a new volume once the active doc has grown past its limits
+    startThread: function (threadId) {
+      currentThreadId = threadId
+      if (config.rollover && needsRollover(sink.body, config.rollover)) {
+        var volume = createArchiveVolume(config, chain)
+        chain.push({ id: volume.id, title: volume.title, ranges: true })
+        saveDocChain(config.docId, chain)
+        activeDocId = volume.id
+        doc = volume.doc
+        volumeDocs[activeDocId] = doc
+        sink.body = doc.getBody()
+      }
+      threadStart = sink.body.getNumChildren()
+    },
+    // Track each message so a later run can tell which ones are archived
+    endMessage: function (message, options) {
+      markMessageRange(
+        doc,
+        sink.body,
+        message.getId(),
+        options.insertAt,
+        options.endAt - 1
+      )
+    },
+    // The thread spans the new paragraphs at the top (or, when appending,
+    // at the end); a resumed thread spans its kept paragraphs and the new
+    // ones written into it
+    endThread: function () {
+      var body = sink.body
+      var count = body.getNumChildren() - threadStart
+      if (resumedElements) {
+        var first = body.getChildIndex(resumedElements[0])
+        var last = body.getChildIndex(
+          resumedElements[resumedElements.length - 1]
+        )
+        var elements = appending
+          ? resumedElements.concat(getChildren(body, last + 1, last + count))
+          : [resumedElements[0]]
+              .concat(getChildren(body, first + 1, first + count))
+              .concat(resumedElements.slice(1))
+        addElementRange(doc, THREAD_RANGE_PREFIX + currentThreadId, elements)
+        threadFirst = first
+      } else {
+        threadFirst = appending ? body.getNumChildren() - count : 0
+        if (currentThreadId && count > 0) {
+          markThreadRange(
+            doc,
+            body,
+            currentThreadId,
+            threadFirst,
+            threadFirst + count - 1
+          )
+        }
+      }
+      currentThreadId = null
+      resumedElements = null
+    },
+    // Bookmark the thread's first line so the index can link to it
+    locateThread: function (withBookmark) {
+      if (withBookmark === false) {
+        return { docId: activeDocId, bookmarkId: '' }
+      }
+      var bookmark = doc.addBookmark(
+        doc.newPosition(sink.body.getChild(threadFirst), 0)
+      )
+      return { docId: activeDocId, bookmarkId: bookmark.getId() }
+    },
+    // Doc threads are delimited by named ranges, not [THREAD:id] markers
+    marksThreads: true,
+    embedsImages: true,
+    finish: function () {},
+  }
+  return sink
+}
+
+/**
+ * Output sink that archives into the Google Doc like the doc target and
+ * saves a PDF snapshot of it at the end of each run. There is one snapshot
+ * per month: a later run in the same month replaces it.
+ */
+function createPdfSink(config, target, threadIndex) {
+  var sink = createDocSink(config, threadIndex)
+  sink.type = 'pdf'
+  sink.finish = function () {
+    saveMonthlySnapshot(sink.getDocument(), target)
+  }
+  return sink
+}
+
+/**
+ * Export a Doc as this month's PDF snapshot, replacing an earlier snapshot
+ * of the same month. Snapshots go to target.folderId or next to the doc.
+ */
+function saveMonthlySnapshot(doc, target) {
+  var parts = getCurrentDateParts()
+  var fileName =
+    expandTitle(target.title || DEFAULT_SNAPSHOT_TITLE, {
+      name: doc.getName(),
+      yyyy: parts[0],
+      MM: parts[1],
+    }) + '.pdf'
+
+  // The export only sees DocumentApp edits once they are saved
+  doc.saveAndClose()
+  var docFile = DriveApp.getFileById(doc.getId())
+  var folder
+  if (target.folderId) {
+    folder = DriveApp.getFolderById(target.folderId)
+  } else {
+    var parents = docFile.getParents()
+    folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder()
+  }
+
+  var previous = folder.getFilesByName(fileName)
+  while (previous.hasNext()) previous.next().setTrashed(true)
+
+  var blob = docFile.getAs('application/pdf')
+  blob.setName(fileName)
+  var file = folder.createFile(blob)
+  Logger.log('Saved PDF snapshot: ' + fileName)
+  console.log('[processLabelGroup] Saved PDF snapshot:', file.getId())
+  return file
+}
+
+/**
+ * Open (or create) the Markdown file of a markdown target: target.fileId, or
+ * target.fileName (default: "<trigger label>.md") in target.folderId or the
+ * attachment folder.
+ */
+function openMarkdownFile(config, target) {
+  if (target.fileId) return DriveApp.getFileById(target.fileId)
+  var folder = DriveApp.getFolderById(target.folderId || config.folderId)
+  var fileName =
+    target.fileName || sanitizeFolderName(config.triggerLabel) + '.md'
+  var files = folder.getFilesByName(fileName)
+  return files.hasNext()
+    ? files.next()
+    : folder.createFile(fileName, '', 'text/markdown')
+}
+
+/**
+ * Output sink that archives into a Markdown file in Drive. The file is
+ * parsed into a paragraph buffer, so threads are prepended and replaced
+ * exactly like in a Doc, and written back once at the end of the run.
+ */
+function createMarkdownSink(config, target) {
+  var file = openMarkdownFile(config, target)
+  var body = createParagraphBuffer(
+    parseMarkdown(file.getBlob().getDataAsString())
+  )
+  var changed = false
+  var sink = {
+    type: 'markdown',
+    body: body,
+    removeThread: function (threadId) {
+      if (!body.findText(threadId)) return
+      removeExistingThreadFromDoc(body, threadId)
+      changed = true
+    },
+    startThread: function () {},
+    endMessage: function () {},
+    endThread: function () {
+      changed = true
+    },
+    locateThread: function () {
+      return { docId: file.getId(), bookmarkId: '' }
+    },
+    flush: function () {
+      if (changed) file.setContent(renderMarkdown(body))
+      changed = false
+    },
+    finish: function () {
+      sink.flush()
+    },
+  }
+  return sink
+}
+
+/**
+ * Open the sheet of a sheet target (target.sheetName, default "Messages")
+ * and add the header row to an empty sheet. Throws if no spreadsheetId is
+ * configured.
+ */
+function openTargetSheet(target) {
+  if (!target.spreadsheetId) {
+    throw new Error('Sheet target needs a spreadsheetId')
+  }
+  var spreadsheet = SpreadsheetApp.openById(target.spreadsheetId)
+  var sheetName = target.sheetName || 'Messages'
+  var sheet =
+    spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName)
+  if (sheet.getLastRow() === 0) sheet.appendRow(SHEET_TARGET_HEADERS)
+  return sheet
+}
+
+/**
+ * Delete the rows of a thread (first column) from a sheet target.
+ */
+function removeSheetRows(sheet, threadId) {
+  var values = sheet.getDataRange().getValues()
+  // Delete bottom-up so the remaining row numbers stay valid
+  for (var i = values.length - 1; i >= 1; i--) {
+    if (String(values[i][0]) === threadId) sheet.deleteRow(i + 1)
+  }
+}
+
+/**
+ * Build the sheet row of a message. Attachments are read from the entries
+ * the archive flow wrote into the buffer, as "name <url>" lines.
+ */
+function buildMessageRow(message, body, options) {
+  var attachments = body
+    .getParagraphs()
+    .filter(function (para) {
+      return para.getLinkUrl() && para.getText().indexOf('- ') === 0
+    })
+    .map(function (para) {
+      return para.getText().slice(2) + ' <' + para.getLinkUrl() + '>'
+    })
+  // Redacted again here since the cells hold the raw sender, body and
+  // subject; the buffer's copy was already counted (see processMessageToDoc)
+  var redaction = resolveRedactionSettings(options.config)
+  var text = redactText(getMessageBody(message, options.config), redaction)
+  if (text.length > SHEET_CELL_LIMIT) {
+    text = text.slice(0, SHEET_CELL_LIMIT - 1) + '…'
+  }
+  return [
+    options.threadId || '',
+    message.getDate(),
+    redactText(message.getFrom(), redaction),
+    redactText(message.getSubject(), redaction) || '(No Subject)',
+    text,
+    attachments.join('\n'),
+  ]
+}
+
+/**
+ * Output sink that writes one Google Sheet row per message. The archive flow
+ * still runs (saving attachments) into a scratch buffer, which is turned
+ * into a row after each message. A replaced thread's rows are deleted and
+ * its messages appended again.
+ */
+function createSheetSink(config, target) {
+  var sheet = openTargetSheet(target)
+  var body = createParagraphBuffer()
+  var rows = []
+  return {
+    type: 'sheet',
+    body: body,
+    removeThread: function (threadId) {
+      removeSheetRows(sheet, threadId)
+    },
+    startThread: function () {},
+    endMessage: function (message, options) {
+      rows.push(buildMessageRow(message, body, options))
+      body.clear()
+    },
+    endThread: function () {
+      rows.forEach(function (row) {
+        sheet.appendRow(row)
+      })
+      rows.length = 0
+      body.clear()
+    },
+    locateThread: function () {
+      return { docId: target.spreadsheetId, bookmarkId: '' }
+    },
+    finish: function () {},
+  }
+}
+
+/**
+ * Output sink factories by target type. A sink exposes the body the archive
+ * flow writes into, removeThread(threadId), and the hooks
+ * startThread(threadId), endMessage(message, options), endThread() and
+ * finish() called by processLabelGroup/processMessagesToDoc. locateThread() returns where the
+ * thread just written lives ({docId, bookmarkId}) for the thread index;
+ * locateThread(false) leaves out the bookmark.
+ * Sinks that set marksThreads delimit threads themselves, so no [THREAD:id]
+ * marker is written; the others find threads by that marker. Inline images
+ * are only embedded into sinks that set embedsImages. Sinks that buffer
+ * their content (Markdown) write it out in flush(), which finish() also
+ * calls.
+ */
+var OUTPUT_SINKS = {
+  doc: function (config, target, threadIndex) {
+    return createDocSink(config, threadIndex)
+  },
+  markdown: createMarkdownSink,
+  pdf: createPdfSink,
+  sheet: createSheetSink,
+}
+
+/**
+ * Create the output sink selected by the config's target. The thread index
+ * (from openThreadIndex) is optional.
+ */
+function createOutputSink(config, threadIndex) {
+  var target = resolveOutputTarget(config)
+  return OUTPUT_SINKS[target.type](config, target, threadIndex || null)
+}
+
+/**
+ * Empty the output target of a config for a rebuild. Doc-based targets are
+ * cleared and lose their rollover volumes (see resetDocChain); PDF snapshots
+ * of earlier months are kept. The thread index, if any, keeps only its
+ * header row, the message ledger drops the config's rows and the search
+ * window (see loadSearchWindow) is reset.
+ */
+function clearOutputTarget(config) {
+  var target = resolveOutputTarget(config)
+  if (target.type === 'markdown') {
+    openMarkdownFile(config, target).setContent('')
+  } else if (target.type === 'sheet') {
+    var sheet = openTargetSheet(target)
+    if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1)
+  } else {
+    // Clear all content from the document body in a single operation
+    DocumentApp.openById(config.docId).getBody().setText('')
+    resetDocChain(config)
+  }
+
+  var indexSettings = resolveThreadIndexSettings(config)
+  if (indexSettings) {
+    var indexSheet = openThreadIndex(indexSettings).sheet
+    if (indexSheet.getLastRow() > 1) {
+      indexSheet.deleteRows(2, indexSheet.getLastRow() - 1)
+    }
+  }
+  // Rebuilt threads must not look archived already
+  var ledgerSettings = resolveLedgerSettings(config)
+  if (ledgerSettings) {
+    dropLedgerRows(openMessageLedger(ledgerSettings), config.triggerLabel)
+  }
+  // ...and the trigger search must match them again
+  PropertiesService.getScriptProperties().deleteProperty(
+    getSearchWindowKey(config.triggerLabel)
+  )
+}
+
+/** Header row of the companion thread index sheet (one row per thread). */
+var THREAD_INDEX_HEADERS = [
+  'Thread ID',
+  'Subject',
+  'Participants',
+  'First Date',
+  'Last Date',
+  'Messages',
+  'Attachments',
+  'Doc ID',
+  'Bookmark ID',
+]
+
+/**
+ * Resolve the config's threadIndex setting: a spreadsheet ID or
+ * { spreadsheetId, sheetName } (sheet name defaults to "Threads"). Returns
+ * null when disabled and throws if no spreadsheetId is set.
+ */
+function resolveThreadIndexSettings(config) {
+  var setting = config.threadIndex
+  if (!setting) return null
+  var settings =
+    typeof setting === 'string' ? { spreadsheetId: setting } : setting
+  if (!settings.spreadsheetId) {
+    throw new Error('threadIndex needs a spreadsheetId')
+  }
+  return {
+    spreadsheetId: settings.spreadsheetId,
+    sheetName: settings.sheetName || 'Threads',
+  }
+}
+
+/**
+ * Open the companion thread index sheet, adding the header row to a new
+ * sheet, and read its rows into a lookup by thread ID.
+ */
+function openThreadIndex(settings) {
+  var spreadsheet = SpreadsheetApp.openById(settings.spreadsheetId)
+  var sheet =
+    spreadsheet.getSheetByName(settings.sheetName) ||
+    spreadsheet.insertSheet(settings.sheetName)
+  var created = sheet.getLastRow() === 0
+  if (created) sheet.appendRow(THREAD_INDEX_HEADERS)
+
+  var rows = {}
+  sheet
+    .getDataRange()
+    .getValues()
+    .forEach(function (values, i) {
+      if (i === 0 || !values[0]) return
+      // Sheets reads numeric-looking IDs back as numbers
+      values[0] = String(values[0])
+      rows[values[0]] = { rowNumber: i + 1, values: values }
+    })
+  return { sheet: sheet, rows: rows, created: created }
+}
+
+/**
+ * Look up a thread's location and attachment lines ({docId, bookmarkId,
+ * attachments}) in the index, or null if it is not indexed.
+ */
+function findThreadIndexEntry(index, threadId) {
+  var row = index.rows[threadId]
+  if (!row) return null
+  return {
+    docId: row.values[7],
+    bookmarkId: row.values[8],
+    attachments: row.values[6],
+  }
+}
+
+/**
+ * Write a thread's row, updating it in place when the thread is indexed.
+ */
+function writeThreadIndexRow(index, values) {
+  var row = index.rows[values[0]]
+  if (row) {
+    index.sheet.getRange(row.rowNumber, 1, 1, values.length).setValues([values])
+    row.values = values
+  } else {
+    index.sheet.appendRow(values)
+    index.rows[values[0]] = {
+      rowNumber: index.sheet.getLastRow(),
+      values: values,
+    }
+  }
+}
+
+/**
+ * Split address headers ("Name <a@x>, b@y") into unique lower-cased
+ * addresses. Commas inside quoted names are kept.
+ */
+function collectParticipants(headers) {
+  var participants = []
+  headers.forEach(function (header) {
+    ;(header || '')
+      .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+      .forEach(function (part) {
+        var address = getSenderAddress(part)
+        if (address && participants.indexOf(address) === -1) {
+          participants.push(address)
+        }
+      })
+  })
+  return participants
+}
+
+/**
+ * Build the index row (see THREAD_INDEX_HEADERS) of an archived thread.
+ * keptAttachments holds the attachment lines of messages kept from an
+ * earlier run; the redaction settings (optional) apply to the subject and
+ * participants.
+ */
+function buildThreadIndexRow(
+  threadId,
+  messages,
+  attachments,
+  location,
+  keptAttachments,
+  redaction
+) {
+  var sorted = messages.slice().sort(function (a, b) {
+    return a.getDate().getTime() - b.getDate().getTime()
+  })
+  var headers = []
+  sorted.forEach(function (message) {
+    headers.push(message.getFrom(), message.getTo(), message.getCc())
+  })
+  return [
+    threadId,
+    redactText(sorted[0].getSubject(), redaction) || '(No Subject)',
+    redactText(collectParticipants(headers).join(', '), redaction),
+    sorted[0].getDate(),
+    sorted[sorted.length - 1].getDate(),
+    sorted.length,
+    [keptAttachments]
+      .concat(
+        attachments.map(function (att) {
+          return att.name + ' <' + att.url + '>'
+        })
       )
+      .filter(Boolean)
+      .join('\n'),
+    location.docId,
+    location.bookmarkId,
+  ]
+}
+
+/**
+ * Add the threads already archived in the given volumes ([{id, doc}],
+ * oldest first) to a new index, with their location only. A bookmark is
+ * placed at the start of each thread's named range; the other columns are
+ * filled when the thread is next archived.
+ */
+function backfillThreadIndex(index, volumes) {
+  volumes.forEach(function (volume) {
+    var body = volume.doc.getBody()
+    volume.doc
+      .getNamedRanges()
+      .filter(function (namedRange) {
+        return namedRange.getName().indexOf(THREAD_RANGE_PREFIX) === 0
+      })
+      .map(function (namedRange) {
+        return {
+          threadId: namedRange.getName().slice(THREAD_RANGE_PREFIX.length),
+          first: namedRange.getRange().getRangeElements()[0].getElement(),
+        }
+      })
+      // Top of the doc first, like the archive itself
+      .sort(function (a, b) {
+        return body.getChildIndex(a.first) - body.getChildIndex(b.first)
+      })
+      .forEach(function (thread) {
+        var bookmark = volume.doc.addBookmark(
+          volume.doc.newPosition(thread.first, 0)
+        )
+        writeThreadIndexRow(index, [
+          thread.threadId,
+          '',
+          '',
+          '',
+          '',
+          '',
+          '',
+          volume.id,
+          bookmark.getId(),
+        ])
+      })
+  })
+  console.log(
+    '[processLabelGroup] Indexed',
+    Object.keys(index.rows).length,
+    'existing threads'
+  )
+}
+
+/** Header row of the message ledger sheet. */
+var MESSAGE_LEDGER_HEADERS = [
+  'Message ID',
+  'Thread ID',
+  'Label',
+  'Doc ID',
+  'Attachment IDs',
+  'Archived At',
+]
+
+/**
+ * Resolve the config's messageLedger setting: a spreadsheet ID or
+ * { spreadsheetId, sheetName } (sheet name defaults to "Ledger"). Returns
+ * null when disabled and throws if no spreadsheetId is set.
+ */
+function resolveLedgerSettings(config) {
+  var setting = config.messageLedger
+  if (!setting) return null
+  var settings =
+    typeof setting === 'string' ? { spreadsheetId: setting } : setting
+  if (!settings.spreadsheetId) {
+    throw new Error('messageLedger needs a spreadsheetId')
+  }
+  return {
+    spreadsheetId: settings.spreadsheetId,
+    sheetName: settings.sheetName || 'Ledger',
+  }
+}
+
+/**
+ * Lookup key of a ledger row. Configs may share a ledger sheet, so a row
+ * belongs to the trigger label that archived the message.
+ */
+function getLedgerKey(label, messageId) {
+  return label + '\n' + messageId
+}
+
+/**
+ * Open the message ledger sheet, adding the header row to a new sheet, and
+ * read its rows into a lookup by label and message ID.
+ */
+function openMessageLedger(settings) {
+  var spreadsheet = SpreadsheetApp.openById(settings.spreadsheetId)
+  var sheet =
+    spreadsheet.getSheetByName(settings.sheetName) ||
+    spreadsheet.insertSheet(settings.sheetName)
+  if (sheet.getLastRow() === 0) sheet.appendRow(MESSAGE_LEDGER_HEADERS)
+
+  var rows = {}
+  sheet
+    .getDataRange()
+    .getValues()
+    .forEach(function (values, i) {
+      if (i === 0 || !values[0]) return
+      // Sheets reads numeric-looking IDs and labels back as numbers; the
+      // lookups and label comparisons expect strings
+      for (var col = 0; col < 3; col++) values[col] = String(values[col])
+      rows[getLedgerKey(values[2], values[0])] = {
+        rowNumber: i + 1,
+        values: values,
+      }
+    })
+  return { sheet: sheet, rows: rows }
+}
+
+/**
+ * Whether the ledger lists every message of a thread for the label, i.e.
+ * the thread was archived before and has nothing new.
+ */
+function isArchivedInLedger(ledger, label, messages) {
+  return (
+    messages.length > 0 &&
+    messages.every(function (message) {
+      return !!ledger.rows[getLedgerKey(label, message.getId())]
+    })
+  )
+}
+
+/**
+ * Record the messages of an archived thread. Messages written by this run
+ * ({messageId, fileIds}) get the Drive file IDs of their attachments;
+ * messages the output kept from an earlier run keep their row (or get one
+ * without file IDs).
+ */
+function recordLedgerMessages(
+  ledger,
+  label,
+  threadId,
+  messages,
+  written,
+  docId
+) {
+  var archivedAt = new Date()
+  messages.forEach(function (message) {
+    var messageId = message.getId()
+    var key = getLedgerKey(label, messageId)
+    var entry = written.filter(function (candidate) {
+      return candidate.messageId === messageId
+    })[0]
+    var row = ledger.rows[key]
+    if (row && !entry) return
+    var values = [
+      messageId,
+      threadId,
+      label,
+      docId,
+      entry ? entry.fileIds.join(', ') : '',
+      archivedAt,
+    ]
+    if (row) {
+      ledger.sheet
+        .getRange(row.rowNumber, 1, 1, values.length)
+        .setValues([values])
+      row.values = values
+    } else {
+      ledger.sheet.appendRow(values)
+      ledger.rows[key] = {
+        rowNumber: ledger.sheet.getLastRow(),
+        values: values,
+      }
+    }
+  })
+}
+
+/**
+ * Drop the ledger rows of a label (only of the given threadIds, if any),
+ * e.g. when a rebuild removes them from the output, so they are archived
+ * again. The kept rows are written back in one go.
+ */
+function dropLedgerRows(ledger, label, threadIds) {
+  var rows = Object.keys(ledger.rows)
+    .map(function (key) {
+      return ledger.rows[key]
+    })
+    .sort(function (a, b) {
+      return a.rowNumber - b.rowNumber
+    })
+  var kept = rows.filter(function (row) {
+    return (
+      row.values[2] !== label ||
+      (!!threadIds && threadIds.indexOf(String(row.values[1])) === -1)
+    )
+  })
+  if (kept.length === rows.length) return
+
+  var sheet = ledger.sheet
+  if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1)
+  var width = MESSAGE_LEDGER_HEADERS.length
+  if (kept.length > 0) {
+    sheet.getRange(2, 1, kept.length, width).setValues(
+      kept.map(function (row) {
+        return row.values.slice(0, width)
+      })
+    )
+  }
+  ledger.rows = {}
+  kept.forEach(function (row, i) {
+    ledger.rows[getLedgerKey(row.values[2], row.values[0])] = {
+      rowNumber: i + 2,
+      values: row.values,
+    }
+  })
+}
+
+/**
+ * Compare a config's message ledger with its doc: ledger messages whose
+ * message:<id> range is in none of the doc's volumes (removed by hand or by
+ * a rebuild), messages in the doc that the ledger does not list, and
+ * attachment files that were deleted or trashed since. Returns
+ * {triggerLabel, ledgerMessages, missingFromDoc, missingFromLedger,
+ * missingFiles}.
+ */
+function reconcileLedger(config) {
+  var settings = resolveLedgerSettings(config)
+  if (!settings) {
+    throw new Error('No messageLedger set for ' + config.triggerLabel)
+  }
+  var type = resolveOutputTarget(config).type
+  if (type !== 'doc' && type !== 'pdf') {
+    throw new Error('Ledger reconciliation needs a doc or pdf target')
+  }
+
+  var inDoc = {}
+  loadDocChain(config.docId).forEach(function (volume) {
+    DocumentApp.openById(volume.id)
+      .getNamedRanges()
+      .forEach(function (namedRange) {
+        var name = namedRange.getName()
+        if (name.indexOf(MESSAGE_RANGE_PREFIX) === 0) {
+          inDoc[name.slice(MESSAGE_RANGE_PREFIX.length)] = true
+        }
+      })
+  })
+  var fileExists = function (fileId) {
+    try {
+      return !DriveApp.getFileById(fileId).isTrashed()
+    } catch (e) {
+      return false
+    }
+  }
+
+  var ledgerRows = openMessageLedger(settings).rows
+  var rows = Object.keys(ledgerRows)
+    .map(function (key) {
+      return ledgerRows[key]
+    })
+    .filter(function (row) {
+      return row.values[2] === config.triggerLabel
+    })
+  var listed = {}
+  var report = {
+    triggerLabel: config.triggerLabel,
+    ledgerMessages: rows.length,
+    missingFromDoc: [],
+    missingFromLedger: [],
+    missingFiles: [],
+  }
+  rows.forEach(function (row) {
+    var messageId = row.values[0]
+    listed[messageId] = true
+    if (!inDoc[messageId]) {
+      report.missingFromDoc.push({
+        messageId: messageId,
+        threadId: row.values[1],
+      })
+    }
+    String(row.values[4])
+      .split(', ')
+      .forEach(function (fileId) {
+        if (fileId && !fileExists(fileId)) {
+          report.missingFiles.push({ messageId: messageId, fileId: fileId })
+        }
+      })
+  })
+  report.missingFromLedger = Object.keys(inDoc).filter(function (messageId) {
+    return !listed[messageId]
+  })
+  return report
+}
+
+/**
+ * Render a reconciliation report (see reconcileLedger) as plain-text lines.
+ */
+function formatLedgerReport(report) {
+  var lines = [
+    report.triggerLabel +
+      ': ' +
+      report.ledgerMessages +
+      ' message(s) in the ledger',
+  ]
+  var section = function (title, entries) {
+    if (entries.length === 0) return
+    lines.push(title + ' (' + entries.length + '):')
+    entries.forEach(function (entry) {
+      lines.push('- ' + entry)
+    })
+  }
+  section(
+    'In the ledger but not in the doc',
+    report.missingFromDoc.map(function (entry) {
+      return entry.messageId + ' (thread ' + entry.threadId + ')'
+    })
+  )
+  section('In the doc but not in the ledger', report.missingFromLedger)
+  section(
+    'Missing attachment files',
+    report.missingFiles.map(function (entry) {
+      return entry.fileId + ' (message ' + entry.messageId + ')'
+    })
+  )
+  if (lines.length === 1) lines.push('Ledger and doc match.')
+  return lines.join('\n')
+}
+
+/** Defaults for the retry option (see resolveRetrySettings). */
+var DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 5,
+  backoffMinutes: 15,
+  notify: null,
+}
+
+/**
+ * Resolve the config's retry option for threads that fail to archive: how
+ * many attempts a thread gets (maxRetries), the wait before the first retry
+ * in minutes (backoffMinutes, doubled after every failure), the label a
+ * thread gets once it runs out of attempts (failedLabel, default
+ * '<triggerLabel>-failed') and who is emailed about such threads (notify,
+ * default: the script's user).
+ */
+function resolveRetrySettings(config) {
+  var settings = Object.assign(
+    {},
+    DEFAULT_RETRY_SETTINGS,
+    { failedLabel: config.triggerLabel + '-failed' },
+    config.retry
+  )
+  if (!(settings.maxRetries >= 1)) {
+    throw new Error('retry.maxRetries must be at least 1')
+  }
+  if (settings.failedLabel === config.triggerLabel) {
+    throw new Error('retry.failedLabel must differ from triggerLabel')
+  }
+  return settings
+}
+
+/** Script property key of a thread's retry state. */
+function getRetryKey(threadId) {
+  return 'retry_' + threadId
+}
+
+/** Retry state ({attempts, nextAttempt, error}) of a thread, or null. */
+function loadRetryState(threadId) {
+  var stored = PropertiesService.getScriptProperties().getProperty(
+    getRetryKey(threadId)
+  )
+  return stored ? JSON.parse(stored) : null
+}
+
+/**
+ * Record a failed archive attempt of a thread. Until the thread has used up
+ * maxRetries attempts, the state is stored and the next attempt waits
+ * backoffMinutes * 2^(attempts - 1) minutes; after the last attempt the state
+ * is dropped (the caller moves the thread to the failed label).
+ */
+function recordThreadFailure(threadId, error, settings) {
+  var previous = loadRetryState(threadId)
+  var attempts = (previous ? previous.attempts : 0) + 1
+  var state = {
+    attempts: attempts,
+    nextAttempt:
+      Date.now() +
+      settings.backoffMinutes * 60 * 1000 * Math.pow(2, attempts - 1),
+    error: error.message,
+  }
+  var properties = PropertiesService.getScriptProperties()
+  if (attempts >= settings.maxRetries) {
+    properties.deleteProperty(getRetryKey(threadId))
+  } else {
+    properties.setProperty(getRetryKey(threadId), JSON.stringify(state))
+  }
+  return state
+}
+
+/** Email the threads of a label group that used up their retries. */
+function sendRetrySummary(failed, config, settings) {
+  var recipient = settings.notify || Session.getEffectiveUser().getEmail()
+  var lines = [
+    failed.length +
+      ' thread(s) of ' +
+      config.triggerLabel +
+      ' could not be archived and were moved to ' +
+      settings.failedLabel +
+      '. Fix the cause and move them back to ' +
+      config.triggerLabel +
+      ' to try again.',
+    '',
+  ]
+  failed.forEach(function (thread) {
+    lines.push(
+      '- ' +
+        (thread.subject || '(No Subject)') +
+        ' (' +
+        thread.threadId +
+        ', ' +
+        thread.attempts +
+        ' attempt(s)): ' +
+        thread.error
+    )
+  })
+  GmailApp.sendEmail(
+    recipient,
+    'Gmail archive: ' +
+      failed.length +
+      ' failed thread(s) in ' +
+      config.triggerLabel,
+    lines.join('\n')
+  )
+  console.log('[processLabelGroup] Emailed failed threads to:', recipient)
+}
+
+/**
+ * A label name as a Gmail search term value, quoted so it needs no
+ * rewriting for spaces or the / of nested labels.
+ */
+function toSearchLabel(labelName) {
+  return '"' + labelName + '"'
+}
+
+/**
+ * Build the Gmail search of a config with a triggerQuery: the query, minus
+ * threads already under the processed (if set), trigger or failed label, so
+ * the processed label records what was archived. Without a processed label,
+ * archived threads still match; the search window keeps them out (see
+ * loadSearchWindow). Returns null for a label-only config and throws if
+ * triggerQuery is not a non-empty string.
+ */
+function buildTriggerSearch(config) {
+  if (config.triggerQuery === undefined) return null
+  if (typeof config.triggerQuery !== 'string' || !config.triggerQuery.trim()) {
+    throw new Error('triggerQuery must be a non-empty Gmail search')
+  }
+  var excluded = [
+    config.processedLabel,
+    config.triggerLabel,
+    resolveRetrySettings(config).failedLabel,
+  ].filter(Boolean)
+  return (
+    '(' +
+    config.triggerQuery +
+    ') ' +
+    excluded
+      .map(function (name) {
+        return '-label:' + toSearchLabel(name)
+      })
+      .join(' ')
+  )
+}
+
+/** Property key of a config's search window (see loadSearchWindow). */
+function getSearchWindowKey(triggerLabel) {
+  return 'search_window_' + triggerLabel
+}
+
+/**
+ * Load the search window of a config without a processed label. Archived
+ * threads of such a config match its trigger search again, so the search is
+ * narrowed to mail after the last complete pass over the matches (after). A
+ * pass with more matches than one search returns works back through them:
+ * before is the oldest thread taken so far, passStart when the pass began.
+ * Bounds are Unix seconds.
+ */
+function loadSearchWindow(triggerLabel) {
+  var stored = PropertiesService.getScriptProperties().getProperty(
+    getSearchWindowKey(triggerLabel)
+  )
+  return stored ? JSON.parse(stored) : {}
+}
+
+/** Narrow a trigger search to a search window (see loadSearchWindow). */
+function applySearchWindow(search, window) {
+  return (
+    search +
+    (window.after ? ' after:' + window.after : '') +
+    (window.before ? ' before:' + window.before : '')
+  )
+}
+
+/**
+ * Move a config's search window on after a search: a full page continues the
+ * pass before its oldest thread, a shorter one ends it, so the next pass
+ * starts at the time this one began. A thread on a bound can be taken twice;
+ * the message ledger skips it.
+ */
+function saveSearchWindow(triggerLabel, window, threads, searchedAt) {
+  var toSeconds = function (time) {
+    return Math.floor(time / 1000)
+  }
+  var passStart = window.passStart || searchedAt
+  var oldest = Math.min.apply(
+    null,
+    threads.map(function (thread) {
+      return thread.getLastMessageDate().getTime()
+    })
+  )
+  var next =
+    threads.length < SEARCH_PAGE_SIZE
+      ? { after: toSeconds(passStart) }
+      : {
+          after: window.after,
+          before: toSeconds(oldest) + 1,
+          passStart: passStart,
+        }
+  PropertiesService.getScriptProperties().setProperty(
+    getSearchWindowKey(triggerLabel),
+    JSON.stringify(next)
+  )
+}
+
+/**
+ * Find the threads a config's trigger search matches (one search page per
+ * run; the rest follow in later runs) and give them the trigger label (unless
+ * it is null, in a dry run), so they go through the same queue, retries and
+ * rebuilds as labelled threads.
+ */
+function takeQueryThreads(search, triggerLabel) {
+  var threads = GmailApp.search(search, 0, SEARCH_PAGE_SIZE)
+  if (triggerLabel) {
+    threads.forEach(function (thread) {
+      triggerLabel.addToThread(thread)
+    })
+  }
+  console.log('[processLabelGroup] Search matched', threads.length, 'threads')
+  return threads
+}
+
+/**
+ * Processes a single configuration group (Label -> output target + Folder).
+ * Stops between threads once the run's time budget (see createTimeBudget) is
+ * used up; the remaining threads keep the trigger label. Returns false if it
+ * stopped early.
+ * Given a dry-run report, it changes nothing and adds a preview of the group
+ * (see createLabelGroupPreview) to report.groups instead: threads are written
+ * into a paragraph buffer, Drive writes and label changes are only recorded,
+ * and the thread index is not opened.
+ * A thread that fails to archive does not stop the group: its partial output
+ * is removed, it keeps the trigger label and is retried by later runs with an
+ * exponential back-off (see recordThreadFailure). After its last attempt it
+ * is moved to the failed label and listed in a summary email.
+ * A config with a triggerQuery first labels the threads its search matches
+ * (see takeQueryThreads); the trigger label is created when missing.
+ */
+function processLabelGroup(config, budget, report) {
+  budget = budget || createTimeBudget()
+  var preview = report ? createLabelGroupPreview(config) : null
+  if (preview) report.groups.push(preview)
+  console.log(
+    '[processLabelGroup] Starting processing for:',
+    config.triggerLabel
+  )
+  var triggerLabelName = config.triggerLabel
+  var processedLabelName = config.processedLabel
+
+  // 1. Validate Labels
+  console.log('[processLabelGroup] Looking up trigger label:', triggerLabelName)
+  var triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
+  var triggerSearch = null
+  try {
+    triggerSearch = buildTriggerSearch(config)
+  } catch (e) {
+    Logger.log(
+      'Invalid triggerQuery for ' + triggerLabelName + ': ' + e.message
+    )
+    if (preview) preview.errors.push('Invalid triggerQuery: ' + e.message)
+    return true
+  }
+  if (!triggerLabel && triggerSearch && !preview) {
+    triggerLabel = GmailApp.createLabel(triggerLabelName)
+    console.log('[processLabelGroup] Created trigger label:', triggerLabelName)
+  }
+  // Optional with a message ledger
+  var processedLabel =
+    processedLabelName && GmailApp.getUserLabelByName(processedLabelName)
+
+  // Create processed label if it doesn't exist
+  if (processedLabelName && !processedLabel && !preview) {
+    console.log(
+      '[processLabelGroup] Processed label not found, creating:',
+      processedLabelName
+    )
+    try {
+      processedLabel = GmailApp.createLabel(processedLabelName)
+      console.log('[processLabelGroup] Created label:', processedLabelName)
+    } catch (e) {
+      Logger.log('Could not create label: ' + processedLabelName)
+      console.error('[processLabelGroup] Error creating label:', e.message)
+    }
+  }
 
-      var timestamp = message.getDate()
+  if (!triggerLabel && !triggerSearch) {
+    Logger.log('Trigger label not found: ' + triggerLabelName)
+    if (preview) {
+      preview.errors.push('Trigger label not found: ' + triggerLabelName)
+    }
+    console.error(
+      '[processLabelGroup] Trigger label not found:',
+      triggerLabelName
+    )
+    return true
+  }
 
-      Logger.log('Processing: ' + subject)
-      console.log(
-        '[processLabelGroup] Processing message',
-        msgIndex + 1,
-        ':',
-        subject
-      )
+  // 2. Get Threads
+  console.log(
+    '[processLabelGroup] Retrieving threads for label:',
+    triggerLabelName
+  )
+  var threads = triggerLabel ? triggerLabel.getThreads() : []
+  if (triggerSearch) {
+    var queued = {}
+    threads.forEach(function (thread) {
+      queued[thread.getId()] = true
+    })
+    var window = processedLabelName ? null : loadSearchWindow(triggerLabelName)
+    var searchedAt = Date.now()
+    var matched = takeQueryThreads(
+      window ? applySearchWindow(triggerSearch, window) : triggerSearch,
+      preview ? null : triggerLabel
+    )
+    if (window && !preview) {
+      saveSearchWindow(triggerLabelName, window, matched, searchedAt)
+    }
+    threads = threads.concat(
+      matched.filter(function (thread) {
+        return !queued[thread.getId()]
+      })
+    )
+  }
+  if (!threads || threads.length === 0) {
+    Logger.log('No emails found for: ' + triggerLabelName)
+    console.log(
+      '[processLabelGroup] No threads found for label:',
+      triggerLabelName
+    )
+    return true
+  }
+  console.log('[processLabelGroup] Found', threads.length, 'threads to process')
 
-      // --- A. Prepend Text to Doc (insert at top, newest first) ---
-      // Note: currentIndex starts at 0 for each message, so each new message
-      // is inserted at the top of the document, pushing previous content down.
-      // This ensures the most recent emails appear first.
-      var currentIndex = 0
+  // Sort threads by last message date (newest first) to ensure reverse chronological order
+  // This handles cases where Gmail API returns threads in random order or when older threads are labeled
+  // Precompute last message timestamps to avoid repeated Gmail service calls during sort
+  var appending = config.order === 'oldest-first'
+  var threadLastDates = {}
+  threads.forEach(function (thread) {
+    threadLastDates[thread.getId()] = thread.getLastMessageDate().getTime()
+  })
 
-      var subjectText = 'Subject: ' + (subject ? subject : '(No Subject)')
-      var headingPara = body.insertParagraph(currentIndex++, subjectText)
+  // Appended threads (order: 'oldest-first') go oldest first so the newest
+  // ends up at the bottom
+  threads.sort(function (a, b) {
+    var aLastDate = threadLastDates[a.getId()]
+    var bLastDate = threadLastDates[b.getId()]
+    return appending ? aLastDate - bLastDate : bLastDate - aLastDate // Descending order (newest first) unless appending
+  })
+  console.log(
+    '[processLabelGroup] Sorted threads by last message date',
+    appending ? '(oldest first)' : '(newest first)'
+  )
 
-      // Try to set heading, fallback to bold if Doc is busy
-      try {
-        headingPara.setHeading(DocumentApp.ParagraphHeading.HEADING_3)
-      } catch (e) {
-        var style = {}
-        style[DocumentApp.Attribute.BOLD] = true
-        headingPara.setAttributes(style)
-      }
+  try {
+    var indexSettings = resolveThreadIndexSettings(config)
+    var threadIndex =
+      indexSettings && !preview ? openThreadIndex(indexSettings) : null
+  } catch (e) {
+    Logger.log(
+      'Error opening thread index. Check threadIndex in Config.gs. Error: ' +
+        e.message
+    )
+    console.error('[processLabelGroup] Error opening thread index:', e.message)
+    if (preview) {
+      preview.errors.push('Error opening thread index: ' + e.message)
+    }
+    return true
+  }
+  try {
+    var ledgerSettings = resolveLedgerSettings(config)
+    var ledger =
+      ledgerSettings && !preview ? openMessageLedger(ledgerSettings) : null
+  } catch (e) {
+    Logger.log(
+      'Error opening message ledger. Check messageLedger in Config.gs. Error: ' +
+        e.message
+    )
+    console.error(
+      '[processLabelGroup] Error opening message ledger:',
+      e.message
+    )
+    if (preview) {
+      preview.errors.push('Error opening message ledger: ' + e.message)
+    }
+    return true
+  }
 
-      body.insertParagraph(currentIndex++, 'Date: ' + timestamp)
-      body.insertParagraph(currentIndex++, cleanContent)
+  // 3. Open Output Target and Folder
+  console.log(
+    '[processLabelGroup] Opening output target:',
+    config.target || 'doc',
+    'and folder:',
+    config.folderId
+  )
+  try {
+    resolveArchiveOrder(config)
+    var retrySettings = resolveRetrySettings(config)
+    var redaction = resolveRedactionSettings(config)
+    resolveCleanBodyRules(config.bodyCleanup)
+    var sink = preview
+      ? createPreviewSink(config, preview)
+      : createOutputSink(config, threadIndex)
+    var folder = DriveApp.getFolderById(config.folderId)
+    if (preview) folder = createPreviewFolder(folder, preview, '')
+    console.log('[processLabelGroup] Successfully opened output and folder')
+  } catch (e) {
+    Logger.log(
+      'Error opening output target or Folder. Check IDs in Config.gs. Error: ' +
+        e.message
+    )
+    console.error('[processLabelGroup] Error opening output/Folder:', e.message)
+    if (preview) {
+      preview.errors.push('Error opening output target or folder: ' + e.message)
+    }
+    return true
+  }
 
-      // --- B. Save Attachments (CONTENT-BASED DEDUPLICATION) ---
-      var attachments = message.getAttachments()
+  // 4. Process Emails
+  var attachmentIndex = createAttachmentIndex(folder)
+  var totalMessages = 0
+  var totalSkipped = 0
+  var redactions = preview ? preview.redactions : []
+  var failedThreads = []
+  var failedLabel = null
+  var archivedThreads = 0
+  var lastError = null
+  var paused = false
+  for (
+    var threadPosition = 0;
+    threadPosition < threads.length;
+    threadPosition++
+  ) {
+    // Stop between threads so none is left half-written; the rest keep the
+    // trigger label and are picked up by the next run
+    if (budget.isExhausted()) {
       console.log(
-        '[processLabelGroup] Found',
-        attachments.length,
-        'attachments'
-      )
-      if (attachments.length > 0) {
-        body.insertParagraph(currentIndex++, '[Attachments]:')
-
-        attachments.forEach((att, attIndex) => {
-          console.log(
-            '[processLabelGroup] Processing attachment',
-            attIndex + 1,
-            'of',
-            attachments.length,
-            ':',
-            att.getName()
-          )
-          var fileName = att.getName()
-          var newFileBlob = att.copyBlob()
-          var isDuplicate = false
-
-          // 1. Get all files in folder with this name
-          var existingFiles = folder.getFilesByName(fileName)
-          console.log(
-            '[processLabelGroup] Checking for existing files named:',
-            fileName
-          )
+        '[processLabelGroup] Approaching time limit, stopping with',
+        threads.length - threadPosition,
+        'threads left'
+      )
+      paused = true
+      break
+    }
+    var thread = threads[threadPosition]
+    var threadId = thread.getId()
+    var retryState = preview ? null : loadRetryState(threadId)
+    if (retryState && retryState.nextAttempt > Date.now()) {
+      console.log('[processLabelGroup] Retrying thread later:', threadId)
+      continue
+    }
+    var subject = ''
+    var threadStarted = false
+    try {
+      var messages = thread.getMessages()
+      subject = messages.length > 0 ? messages[0].getSubject() : ''
+      console.log(
+        '[processLabelGroup] Thread',
+        threadPosition + 1,
+        'has',
+        messages.length,
+        'messages, ID:',
+        threadId
+      )
 
-          var existingCount = 0
-          while (existingFiles.hasNext()) {
-            existingCount++
-            var existingFile = existingFiles.next()
-            console.log(
-              '[processLabelGroup] Comparing with existing file',
-              existingCount
-            )
+      // Apply the config's include/exclude rules before archiving
+      var filtered = filterMessages(messages, config.filters)
+      totalSkipped += filtered.skipped.length
 
-            // 2. Fast Fail: Compare sizes first
-            if (existingFile.getSize() === newFileBlob.getBytes().length) {
-              console.log('[processLabelGroup] Size match, checking hash')
-
-              // 3. Deep Check: Compare MD5 Hashes (The "Fingerprint")
-              var existingHash = getFileHash(existingFile.getBlob())
-              var newHash = getFileHash(newFileBlob)
-
-              if (existingHash === newHash) {
-                console.log(
-                  '[processLabelGroup] Hash match - duplicate detected'
-                )
-                isDuplicate = true
-                break // Stop checking, we found the twin
-              } else {
-                console.log(
-                  '[processLabelGroup] Hash mismatch - different content'
-                )
-              }
-            } else {
-              console.log('[processLabelGroup] Size mismatch - different file')
-            }
-          }
+      // A thread re-labelled with nothing new is only moved back
+      var alreadyArchived =
+        ledger &&
+        isArchivedInLedger(ledger, triggerLabelName, filtered.accepted)
+      if (alreadyArchived) {
+        Logger.log('Already archived: ' + subject)
+        console.log('[processLabelGroup] Already archived thread:', threadId)
+      }
 
-          if (isDuplicate) {
-            Logger.log('Skipping exact duplicate: ' + fileName)
-            console.log('[processLabelGroup] Skipping duplicate:', fileName)
-            body.insertParagraph(
-              currentIndex++,
-              '- [DUPLICATE SKIPPED] ' + fileName
+      // Replace any existing content for this thread and prepend all messages
+      // (or, when the sink keeps the thread's earlier copy, its new messages).
+      // Threads whose messages were all filtered out leave the output untouched.
+      if (filtered.accepted.length > 0 && !alreadyArchived) {
+        var savedAttachments = []
+        var archivedMessages = []
+        var entry = threadIndex && findThreadIndexEntry(threadIndex, threadId)
+        sink.startThread(threadId)
+        threadStarted = true
+        var written = processMessagesToDoc(
+          filtered.accepted,
+          sink.body,
+          folder,
+          {
+            config: config,
+            threadId: threadId,
+            attachmentIndex: attachmentIndex,
+            savedAttachments: savedAttachments,
+            sink: sink,
+            preview: preview,
+            redactions: redactions,
+            archivedMessages: archivedMessages,
+          }
+        )
+        totalMessages += written
+        sink.endThread()
+        threadStarted = false
+        // Only the thread index links to a bookmark
+        var location =
+          threadIndex || ledger ? sink.locateThread(!!threadIndex) : null
+        if (threadIndex) {
+          // Attachments of kept messages were listed by an earlier run
+          writeThreadIndexRow(
+            threadIndex,
+            buildThreadIndexRow(
+              threadId,
+              filtered.accepted,
+              savedAttachments,
+              location,
+              written < filtered.accepted.length && entry
+                ? entry.attachments
+                : '',
+              redaction
             )
-          } else {
-            // It's a new file (or a file with same name but different content)
-
-            // If name exists but content is different, rename to avoid overwrite
-            if (folder.getFilesByName(fileName).hasNext()) {
-              console.log(
-                '[processLabelGroup] Name conflict detected, adding timestamp'
-              )
-              var timeTag = Utilities.formatDate(
-                new Date(),
-                Session.getScriptTimeZone(),
-                '_HHmmss'
-              )
-              // Insert timestamp before the file extension
-              var newName = fileName.replace(/(\.[\w\d_-]+)$/i, timeTag + '$1')
-              // Fallback if regex fails (files without extension)
-              if (newName === fileName) newName += timeTag
-
-              newFileBlob.setName(newName)
-              fileName = newName // Update for log
-              console.log('[processLabelGroup] Renamed to:', fileName)
-            }
+          )
+        }
+        if (ledger) {
+          recordLedgerMessages(
+            ledger,
+            triggerLabelName,
+            threadId,
+            filtered.accepted,
+            archivedMessages,
+            location.docId
+          )
+        }
+        // Persist after every thread so a timeout does not lose index entries
+        if (!preview) saveAttachmentIndex(attachmentIndex)
+      }
 
-            console.log('[processLabelGroup] Saving new file:', fileName)
-            var file = folder.createFile(newFileBlob)
-            body.insertParagraph(currentIndex++, '- ' + file.getName())
-            console.log('[processLabelGroup] File saved successfully')
-          }
+      // 5. Cleanup Labels
+      if (preview) {
+        preview.labelMoves.push({
+          threadId: threadId,
+          from: triggerLabelName,
+          to: processedLabelName || null,
         })
+        continue
       }
-
-      // Add separator - use thread separator for oldest message (first in sorted array)
-      var isOldestMessage = msgIndex === 0
-      if (isOldestMessage) {
-        var threadSeparator =
-          '------------------------------[THREAD:' + threadId + ']'
-        body.insertParagraph(currentIndex++, threadSeparator)
-        console.log(
-          '[processLabelGroup] Added thread separator for thread:',
-          threadId
+      console.log('[processLabelGroup] Updating labels for thread')
+      triggerLabel.removeFromThread(thread)
+      if (processedLabel) processedLabel.addToThread(thread)
+      archivedThreads++
+      if (retryState) {
+        PropertiesService.getScriptProperties().deleteProperty(
+          getRetryKey(threadId)
         )
-      } else {
-        body.insertParagraph(currentIndex++, '------------------------------')
       }
-
-      // Pause briefly to allow Google Doc to save (prevents crash)
-      Utilities.sleep(500)
-    })
-
-    // Add a clear separator between threads (after all messages in a thread are processed)
-    if (messages.length > 0) {
-      body.insertParagraph(0, '==============================')
+    } catch (e) {
+      Logger.log('Error archiving thread ' + threadId + ': ' + e.message)
+      console.error(
+        '[processLabelGroup] Error archiving thread:',
+        threadId,
+        e.message
+      )
+      // Drop the partial copy so the retry writes the thread afresh
+      if (threadStarted) {
+        try {
+          sink.endThread()
+          sink.removeThread(threadId)
+        } catch (cleanupError) {
+          console.error(
+            '[processLabelGroup] Could not remove partial thread:',
+            cleanupError.message
+          )
+        }
+      }
+      if (preview) {
+        preview.errors.push(
+          'Error archiving thread ' + threadId + ': ' + e.message
+        )
+        continue
+      }
+      lastError = 'Error archiving thread ' + threadId + ': ' + e.message
+      var failure = recordThreadFailure(threadId, e, retrySettings)
+      if (failure.attempts >= retrySettings.maxRetries) {
+        failedLabel =
+          failedLabel ||
+          GmailApp.getUserLabelByName(retrySettings.failedLabel) ||
+          GmailApp.createLabel(retrySettings.failedLabel)
+        triggerLabel.removeFromThread(thread)
+        failedLabel.addToThread(thread)
+        failedThreads.push({
+          threadId: threadId,
+          subject: subject,
+          attempts: failure.attempts,
+          error: failure.error,
+        })
+      }
     }
-
-    // 5. Cleanup Labels
-    console.log('[processLabelGroup] Updating labels for thread')
-    triggerLabel.removeFromThread(thread)
-    if (processedLabel) processedLabel.addToThread(thread)
-  })
+  }
+  if (totalMessages > 0) sink.finish()
+  if (preview) preview.skippedMessages = totalSkipped
   console.log('[processLabelGroup] Processed', totalMessages, 'total messages')
+  if (redactions.length > 0) {
+    Logger.log(
+      'Redacted content in ' +
+        redactions.length +
+        ' message(s) for: ' +
+        triggerLabelName
+    )
+  }
+  if (totalSkipped > 0) {
+    Logger.log(
+      'Skipped ' +
+        totalSkipped +
+        ' message(s) by filter rules for: ' +
+        triggerLabelName
+    )
+    console.log(
+      '[processLabelGroup] Skipped',
+      totalSkipped,
+      'messages by filter rules'
+    )
+  }
+  if (failedThreads.length > 0) {
+    Logger.log(
+      'Moved ' +
+        failedThreads.length +
+        ' failed thread(s) to ' +
+        retrySettings.failedLabel +
+        ' for: ' +
+        triggerLabelName
+    )
+    sendRetrySummary(failedThreads, config, retrySettings)
+  }
+  if (archivedThreads > 0 || lastError) {
+    recordRearchivedThreads(triggerLabelName, archivedThreads, lastError)
+  }
+  if (paused) return false
   console.log(
     '[processLabelGroup] Completed processing for:',
     config.triggerLabel
   )
+  return true
 }
 
+/** Formats of the exported message files (see exportLabelArchive). */
+var EXPORT_FORMATS = ['mbox', 'eml']
+
+/** Default size cap of an export's content (Apps Script's blob limit). */
+var EXPORT_MAX_BYTES = 50 * 1024 * 1024
+
 /**
- * Helper function to remove quoted replies, specific line patterns, and footers.
- * NOTE: This implementation is duplicated from src/gas-utils.js. Both versions must be
- * kept in sync to prevent behavior divergence. The GAS-specific version exists because
- * Google Apps Script cannot import from src/gas-utils.js during deployment.
- * Tests for this function are in src/gmail-to-drive-by-labels/tests/gas-utils.test.js
- * and validate both implementations' behavior.
+ * Resolve the config's exportBundle option: format ('mbox' or 'eml', default
+ * 'mbox'), the Drive folderId the ZIP goes to (default: the attachment
+ * folder), maxBytes, the cap on the zipped content, and attachments, whether
+ * attachments are also added as separate files (default false; the messages
+ * hold them already). Throws on unknown formats and a maxBytes that is not
+ * positive.
  */
-function getCleanBody(text) {
-  if (!text) return ''
+function resolveExportSettings(config) {
+  var settings = Object.assign(
+    {
+      format: 'mbox',
+      folderId: config.folderId,
+      maxBytes: EXPORT_MAX_BYTES,
+      attachments: false,
+    },
+    config.exportBundle
+  )
+  if (EXPORT_FORMATS.indexOf(settings.format) === -1) {
+    throw new Error(
+      'Unknown export format: ' +
+        settings.format +
+        ' (expected ' +
+        EXPORT_FORMATS.join(' or ') +
+        ')'
+    )
+  }
+  if (!(settings.maxBytes > 0)) {
+    throw new Error('exportBundle.maxBytes must be a positive number')
+  }
+  return settings
+}
 
-  // 1. FIRST PASS: Cut off at headers or footers
-  var headerPatterns = [
-    /^[ \t ]*On[ \t ].+(?<=[ \t ])wrote:/m, // Gmail Reply Header
-    /^[ \t ]*From:[ \t ].+(?<=[ \t ])Sent:[ \t ]+/m, // Outlook Reply Header
-    /^[ \t ]*_{10,}[ \t ]*$/m, // Underscore Separators
-    /confidentiality notice/im, // Legal Footer (Case Insensitive)
-  ]
+/**
+ * A ZIP entry name that is not in used yet (and is added to it): a taken
+ * name gets " (2)", " (3)", ... before its extension.
+ */
+function toUniqueEntryName(name, used) {
+  var unique = name
+  for (var n = 2; used[unique]; n++) {
+    unique = name.replace(/(\.[^./]*)?$/, ' (' + n + ')$1')
+  }
+  used[unique] = true
+  return unique
+}
 
-  var splitIndex = -1
+/**
+ * Build the mbox entry of a message (mboxrd): a "From " separator line with the
+ * sender and date, then the raw message with LF line endings and body lines
+ * starting with "From " (after any ">") quoted with one more ">".
+ */
+function toMboxEntry(message) {
+  // asctime date, e.g. "Thu Oct 01 00:00:00 2026"
+  var parts = message.getDate().toUTCString().replace(',', '').split(' ')
+  var raw = message
+    .getRawContent()
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+  return (
+    'From ' +
+    (getSenderAddress(message.getFrom()) || 'MAILER-DAEMON') +
+    ' ' +
+    [parts[0], parts[2], parts[1], parts[4], parts[3]].join(' ') +
+    '\n' +
+    raw.replace(/\n*$/, '\n') +
+    '\n'
+  )
+}
+
+/**
+ * Export a label group's correspondence as a single ZIP file in Drive: the
+ * messages of every thread under the trigger and processed labels (passing the
+ * config's filters) as one messages.mbox or one .eml file each under
+ * messages/. The raw messages include their attachments; with
+ * exportBundle.attachments they are also added under attachments/<message id>/.
+ * The ZIP is built in memory, so threads are added oldest first until the time
+ * budget runs out or the next thread would take the content past
+ * exportBundle.maxBytes. The content is counted in bytes as it is read, so the
+ * thread that passes the cap is not read any further. Such a partial export is
+ * named "... (partial).zip".
+ * Returns the ZIP file, or null when there is nothing to export.
+ */
+function exportLabelArchive(config, budget) {
+  var settings = resolveExportSettings(config)
+  budget = budget || createTimeBudget()
+  var formatDay = function (date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+  }
+
+  // Archived threads first; a thread under both labels is exported once
+  var threads = []
+  var seen = {}
+  ;[config.processedLabel, config.triggerLabel].forEach(function (labelName) {
+    var label = labelName && GmailApp.getUserLabelByName(labelName)
+    if (!label) return
+    label.getThreads().forEach(function (thread) {
+      if (seen[thread.getId()]) return
+      seen[thread.getId()] = true
+      threads.push(thread)
+    })
+  })
+  threads.sort(function (a, b) {
+    return a.getLastMessageDate().getTime() - b.getLastMessageDate().getTime()
+  })
+
+  var files = []
+  var mbox = []
+  var entryNames = {}
+  var messageCount = 0
+  var size = 0
+  var exportedThreads = 0
+  var stopReason = null
+  for (var i = 0; i < threads.length; i++) {
+    if (budget.isExhausted()) {
+      stopReason = 'time budget'
+      break
+    }
+    var threadFiles = []
+    var threadMbox = []
+    var threadSize = 0
+    var fits = function (bytes) {
+      threadSize += bytes
+      return size + threadSize <= settings.maxBytes
+    }
+    var accepted = filterMessages(
+      threads[i].getMessages(),
+      config.filters
+    ).accepted
+    var complete = accepted.every(function (message) {
+      var messageId = message.getId()
+      if (settings.format === 'mbox') {
+        var entry = toMboxEntry(message)
+        threadMbox.push(entry)
+        if (!fits(Utilities.newBlob(entry).getBytes().length)) return false
+      } else {
+        // "<date> <subject> <id>.eml" sorts by date and stays unique
+        var subject = sanitizeFolderName(
+          message.getSubject() || '(No Subject)'
+        ).slice(0, 60)
+        var fileName = [formatDay(message.getDate()), subject, messageId]
+        var blob = Utilities.newBlob(
+          message.getRawContent(),
+          'message/rfc822',
+          'messages/' + fileName.join(' ') + '.eml'
+        )
+        threadFiles.push(blob)
+        if (!fits(blob.getBytes().length)) return false
+      }
+      if (!settings.attachments) return true
+      return message.getAttachments().every(function (attachment) {
+        var attachmentBlob = attachment.copyBlob()
+        attachmentBlob.setName(
+          toUniqueEntryName(
+            'attachments/' +
+              messageId +
+              '/' +
+              sanitizeFolderName(attachment.getName()),
+            entryNames
+          )
+        )
+        threadFiles.push(attachmentBlob)
+        return fits(attachmentBlob.getBytes().length)
+      })
+    })
+    if (!complete) {
+      stopReason = 'size cap'
+      break
+    }
+    files = files.concat(threadFiles)
+    mbox = mbox.concat(threadMbox)
+    messageCount += accepted.length
+    size += threadSize
+    exportedThreads++
+  }
+
+  var stopped = stopReason
+    ? '; stopped at the ' +
+      stopReason +
+      ' after ' +
+      exportedThreads +
+      ' of ' +
+      threads.length +
+      ' thread(s)'
+    : ''
+  if (messageCount === 0) {
+    Logger.log('Nothing to export for: ' + config.triggerLabel + stopped)
+    return null
+  }
+  if (mbox.length > 0) {
+    files.unshift(
+      Utilities.newBlob(mbox.join(''), 'application/mbox', 'messages.mbox')
+    )
+  }
+
+  var zipName =
+    sanitizeFolderName(config.triggerLabel) +
+    ' export ' +
+    formatDay(new Date()) +
+    (stopReason ? ' (partial)' : '') +
+    '.zip'
+  var file = DriveApp.getFolderById(settings.folderId).createFile(
+    Utilities.zip(files, zipName)
+  )
+  Logger.log(
+    'Exported ' +
+      messageCount +
+      ' message(s) of ' +
+      config.triggerLabel +
+      ' to ' +
+      zipName +
+      stopped
+  )
+  return file
+}
+
+/**
+ * Built-in getCleanBody detectors, by name. `cut` patterns truncate the body at
+ * the start of the line holding the earliest match; a `line` pattern drops
+ * every matching line. `forwarded` detectors mark where forwarded content
+ * starts (see getCleanBody's keepForwarded).
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+var CLEAN_BODY_RULES = {
+  replyHeader: {
+    cut: [
+      /^[ \t ]*On[ \t ].+(?<=[ \t ])wrote:/m, // Gmail (English)
+      /^[ \t ]*From:[ \t ].+(?<=[ \t ])Sent:[ \t ]+/m, // Outlook
+      /^[ \t ]*-{2,}[ \t ]*Original Message[ \t ]*-{2,}/im, // Outlook plain text
+      /^[ \t ]*Le[ \t ].+(?<=[ \t ])a écrit[ \t ]?:/m, // French
+      /^[ \t ]*Am[ \t ].+(?<=[ \t ])schrieb[ \t ].*:\s*$/m, // German
+      /^[ \t ]*El[ \t ].+(?<=[ \t ])escribió:/m, // Spanish
+      /^[ \t ]*Op[ \t ].+(?<=[ \t ])schreef[ \t ].*:\s*$/m, // Dutch
+    ],
+  },
+  separator: { cut: [/^[ \t ]*_{10,}[ \t ]*$/m] },
+  confidentiality: { cut: [/confidentiality notice/im] },
+  signature: {
+    cut: [
+      /^--[ \t ]?\r?$/m, // Standard "-- " delimiter
+      /^[ \t ]*Sent from my (iPhone|iPad|Android|mobile|BlackBerry)/im,
+      /^[ \t ]*Get Outlook for (iOS|Android)/im,
+    ],
+  },
+  forwarded: {
+    forwarded: true,
+    cut: [
+      /^[ \t ]*-{2,}[ \t ]*(Forwarded message|Message transféré|Weitergeleitete Nachricht|Mensaje reenviado)[ \t ]*-{2,}/im,
+      /^[ \t ]*Begin forwarded message:/im, // Apple Mail
+    ],
+  },
+  quotedLines: { line: /^\s*[<>]/ },
+}
+
+/**
+ * Collect the cut, forwarded and line patterns for getCleanBody options
+ * ({detectors, patterns}). Detectors default to every built-in rule; custom
+ * `patterns` (RegExp, or a case-insensitive multiline string) are cut
+ * patterns. Throws on unknown detector names.
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function resolveCleanBodyRules(options) {
+  var settings = options || {}
+  var rules = { cut: [], forwarded: [], line: [] }
+  var names = settings.detectors || Object.keys(CLEAN_BODY_RULES)
+  names.forEach(function (name) {
+    var rule = CLEAN_BODY_RULES[name]
+    if (!rule) throw new Error('Unknown body cleanup detector: ' + name)
+    if (rule.cut) {
+      var key = rule.forwarded ? 'forwarded' : 'cut'
+      rules[key] = rules[key].concat(rule.cut)
+    }
+    if (rule.line) rules.line.push(rule.line)
+  })
+  ;(settings.patterns || []).forEach(function (pattern) {
+    rules.cut.push(
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, 'im')
+    )
+  })
+  return rules
+}
 
-  headerPatterns.forEach((pattern) => {
+/**
+ * Start of the line holding the earliest match of any pattern, or -1.
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function findCutIndex(text, patterns) {
+  var splitIndex = -1
+  patterns.forEach(function (pattern) {
     var match = text.match(pattern)
     if (match) {
       var nlIndex = text.lastIndexOf('\n', match.index)
@@ -638,25 +5100,263 @@ function getCleanBody(text) {
       }
     }
   })
+  return splitIndex
+}
+
+/**
+ * Helper function to remove quoted replies, signatures, specific line patterns,
+ * and footers. Options pick the detectors and custom patterns (see
+ * resolveCleanBodyRules); with `keepForwarded`, forwarded content is kept as-is
+ * after the cleaned text above it instead of being cut.
+ * NOTE: This implementation is duplicated from src/gas-utils.js. Both versions must be
+ * kept in sync to prevent behavior divergence. The GAS-specific version exists because
+ * Google Apps Script cannot import from src/gas-utils.js during deployment.
+ * Tests for this function are in src/gmail-to-drive-by-labels/tests/gas-utils.test.js
+ * and validate both implementations' behavior.
+ */
+function getCleanBody(text, options) {
+  if (!text) return ''
+  var settings = options || {}
+  var rules = resolveCleanBodyRules(settings)
+
+  // 1. Split off forwarded content to keep, or cut at it like a reply header
+  var ownText = text
+  var forwardedText = ''
+  if (settings.keepForwarded) {
+    var forwardIndex = findCutIndex(text, rules.forwarded)
+    if (forwardIndex !== -1) {
+      ownText = text.substring(0, forwardIndex)
+      forwardedText = text.substring(forwardIndex).trim()
+    }
+  } else {
+    rules.cut = rules.cut.concat(rules.forwarded)
+  }
 
-  var workingText = splitIndex !== -1 ? text.substring(0, splitIndex) : text
+  // 2. FIRST PASS: Cut off at headers, signatures or footers
+  var splitIndex = findCutIndex(ownText, rules.cut)
+  var workingText =
+    splitIndex !== -1 ? ownText.substring(0, splitIndex) : ownText
 
-  // 2. SECOND PASS: Line Sweeper (Removes lines starting with > or <)
+  // 3. SECOND PASS: Line Sweeper (removes lines matching a line rule, such as
+  // quoted lines starting with > or <)
   var lines = workingText.split('\n')
   var cleanLines = lines.filter(function (line) {
-    var trimmed = line.trim()
-    // Returns FALSE (removes line) if it starts with > or <
-    return !(trimmed.startsWith('>') || trimmed.startsWith('<'))
+    return !rules.line.some(function (pattern) {
+      return pattern.test(line)
+    })
   })
 
-  // 3. THIRD PASS: Normalize line breaks (collapse 3+ consecutive newlines to 2)
+  // 4. THIRD PASS: Normalize line breaks (collapse 3+ consecutive newlines to 2)
   // This preserves intentional paragraph spacing while preventing excessive blank lines
-  var result = cleanLines.join('\n').trim()
+  var result = [cleanLines.join('\n').trim(), forwardedText]
+    .filter(Boolean)
+    .join('\n\n')
   result = result.replace(/\n{3,}/g, '\n\n')
 
   return result
 }
 
+var HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+}
+
+var HTML_BLOCK_TAGS = [
+  'p',
+  'div',
+  'table',
+  'tr',
+  'ul',
+  'ol',
+  'pre',
+  'hr',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+]
+
+/**
+ * Decode named and numeric HTML character references. Numeric references
+ * outside Unicode or to a lone surrogate are kept as written.
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(
+    /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+    function (match, entity) {
+      if (entity[0] === '#') {
+        var code =
+          entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10)
+        if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+          return match
+        }
+        return String.fromCodePoint(code)
+      }
+      var decoded = HTML_ENTITIES[entity.toLowerCase()]
+      return decoded === undefined ? match : decoded
+    }
+  )
+}
+
+/**
+ * Remove quoted reply blocks from an HTML email body: <blockquote> and Gmail
+ * "gmail_quote" elements (with nested content) are dropped and the body is
+ * truncated at Outlook's "divRplyFwdMsg" reply header.
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function stripQuotedHtml(html) {
+  var outlookHeader = html.search(/<div\b[^>]*\bid\s*=\s*["']?divRplyFwdMsg/i)
+  var source = (outlookHeader === -1 ? html : html.slice(0, outlookHeader))
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1\s*>/gi, '')
+
+  var tagPattern = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi
+  var result = ''
+  var lastIndex = 0
+  var skipTag = null
+  var skipDepth = 0
+  var match
+  while ((match = tagPattern.exec(source)) !== null) {
+    var closing = match[1]
+    var name = match[2].toLowerCase()
+    var attrs = match[3]
+    if (skipTag) {
+      if (name === skipTag && !attrs.endsWith('/')) {
+        skipDepth += closing ? -1 : 1
+      }
+      if (skipDepth === 0) {
+        skipTag = null
+        lastIndex = tagPattern.lastIndex
+      }
+      continue
+    }
+    var isQuote =
+      name === 'blockquote' ||
+      /\bclass\s*=\s*["']?[^"'>]*\bgmail_quote(?![\w-])/i.test(attrs)
+    if (!closing && isQuote) {
+      result += source.slice(lastIndex, match.index)
+      skipTag = name
+      skipDepth = 1
+    }
+  }
+  if (!skipTag) result += source.slice(lastIndex)
+  return result
+}
+
+/**
+ * Convert HTML into structured plain text: block elements become line breaks,
+ * list items become "- " / "1. " bullets, table cells are joined with " | "
+ * and hyperlinks keep their target as "text (url)".
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function htmlToText(html) {
+  var tagPattern = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi
+  var lists = []
+  var links = []
+  var out = ''
+  var inPre = 0
+  var rowCells = 0
+  var lastIndex = 0
+  var match
+
+  function newline() {
+    out = out.replace(/[ \t]+$/, '')
+    if (out && !out.endsWith('\n')) out += '\n'
+  }
+  function appendText(raw) {
+    var text = decodeHtmlEntities(
+      inPre ? raw : raw.replace(/[\s\u00a0]+/g, ' ')
+    ).replace(/\u00a0/g, ' ')
+    if (!inPre && (!out || out.endsWith('\n') || out.endsWith(' '))) {
+      text = text.replace(/^ +/, '')
+    }
+    out += text
+  }
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    appendText(html.slice(lastIndex, match.index))
+    lastIndex = tagPattern.lastIndex
+    var closing = match[1]
+    var name = match[2].toLowerCase()
+    var attrs = match[3]
+
+    if (name === 'br') {
+      out = out.replace(/[ \t]+$/, '') + '\n'
+    } else if (name === 'li' && !closing) {
+      newline()
+      var list = lists[lists.length - 1]
+      var indent = '  '.repeat(Math.max(lists.length - 1, 0))
+      if (list && list.ordered) {
+        list.count++
+        out += indent + list.count + '. '
+      } else {
+        out += indent + '- '
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) lists.pop()
+      else lists.push({ ordered: name === 'ol', count: 0 })
+      newline()
+    } else if (name === 'td' || name === 'th') {
+      if (!closing && rowCells++ > 0) out += ' | '
+    } else if (name === 'a') {
+      if (!closing) {
+        var href = attrs.match(
+          /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i
+        )
+        var target = href
+          ? decodeHtmlEntities(href[1] || href[2] || href[3] || '')
+          : ''
+        links.push({ href: target, start: out.length })
+      } else if (links.length > 0) {
+        var link = links.pop()
+        var label = out.slice(link.start).trim()
+        var bareHref = link.href.replace(/^mailto:/i, '')
+        if (
+          link.href &&
+          link.href.charAt(0) !== '#' &&
+          label !== link.href &&
+          label !== bareHref
+        ) {
+          out += label ? ' (' + link.href + ')' : link.href
+        }
+      }
+    } else if (HTML_BLOCK_TAGS.indexOf(name) !== -1) {
+      if (name === 'pre') inPre += closing ? -1 : 1
+      if (name === 'tr') rowCells = 0
+      newline()
+    }
+  }
+  appendText(html.slice(lastIndex))
+
+  return out
+    .split('\n')
+    .map(function (line) {
+      return line.replace(/[ \t]+$/, '')
+    })
+    .join('\n')
+}
+
+/**
+ * Clean an HTML email body: strip quoted blocks, convert to structured text
+ * and apply the plain-text getCleanBody heuristics (with the same options).
+ * Gmail wraps forwarded messages in a quote block, so they are dropped here
+ * even with keepForwarded.
+ * NOTE: Duplicated from src/gas-utils.js - keep both versions in sync.
+ */
+function getCleanHtmlBody(html, options) {
+  if (!html) return ''
+  return getCleanBody(htmlToText(stripQuotedHtml(html)), options)
+}
+
 /**
  * Generates an MD5 hash (fingerprint) for a file blob.
  * Returns a string representing the binary content.
@@ -9,9 +9,31 @@
 //     {
 //       triggerLabel: 'my-label',
 //       processedLabel: 'my-label-archived',
+//       triggerQuery: 'from:bank.com has:attachment', // Optional: also archive the threads this Gmail search matches (they get triggerLabel first)
 //       docId: 'GOOGLE_DOC_ID', // Text goes here
 //       folderId: 'DRIVE_FOLDER_ID', // Attachments go here
 //       batchSize: 250, // Optional: threads per batch (default: 250)
+//       folderLayout: '{yyyy}/{MM}', // Optional: attachment subfolders ({yyyy}, {MM}, {dd}, {sender}, {senderDomain}, {threadSubject})
+//       convertAttachments: { office: true, ocr: true, excerptLength: 200 }, // Optional: Google Docs/Sheets copies + OCR (needs Drive API service)
+//       inlineImages: true, // Optional: skip signature logos, embed screenshots below the body, e.g. { minBytes: 10240, blocklist: ['MD5'], embed: true }
+//       target: 'doc', // Optional: 'doc' (default), 'markdown', 'pdf' or 'sheet', e.g. { type: 'sheet', spreadsheetId: 'SHEET_ID' }
+//       rollover: { maxParagraphs: 5000, maxCharacters: 1000000 }, // Optional: new doc volume once full (title: '{name} – {yyyy} Q{q}')
+//       threadIndex: 'SHEET_ID', // Optional: one row per thread in a Google Sheet, e.g. { spreadsheetId: 'SHEET_ID', sheetName: 'Threads' }
+//       messageLedger: 'SHEET_ID', // Optional: one row per archived message; threads with nothing new are not rewritten (reconcileMessageLedgers reports doc/ledger gaps)
+//       order: 'newest-first', // Optional: 'oldest-first' appends threads and messages at the end of the doc
+//       bodyFormat: 'plain', // Optional: 'html' keeps links, lists and tables (default: 'plain')
+//       bodyCleanup: { keepForwarded: true }, // Optional: body cleaning detectors, extra cut patterns, keep forwarded messages
+//       redact: true, // Optional: mask card numbers, SSNs, IBANs, account numbers, codes and phones, e.g. { detectors: ['iban'], patterns: ['CASE-\\d+'] }
+//       retry: { maxRetries: 5, backoffMinutes: 15 }, // Optional: failed threads are retried with doubling waits, then labelled '<triggerLabel>-failed' and emailed (failedLabel, notify)
+//       exportBundle: { format: 'eml', folderId: 'EXPORT_FOLDER_ID' }, // Optional: exportLabelArchives output ('mbox' (default) or 'eml', default folder: folderId, maxBytes: size cap, default 50 MB, attachments: true to also add attachments as separate files)
+//       template: { // Optional: per-message layout (default: subject, date, body, attachments)
+//         sections: ['subject', 'from', 'to', 'cc', 'date', 'threadLink', 'body', 'attachments'],
+//         styles: { subject: 'heading', from: 'bold', body: 'monospace' },
+//       },
+//       filters: { // Optional: per-message include/exclude rules
+//         include: { from: '@example\\.com$' },
+//         exclude: [{ subject: '^(Automatic reply|Out of office)' }, { attachmentTypes: ['text/calendar'] }],
+//       },
 //     },
 //   ]
 // }
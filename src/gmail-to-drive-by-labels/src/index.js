@@ -5,12 +5,32 @@
  * objects that match the minimal interfaces used.
  */
 
-const { getCleanBody, getFileHash } = require('../../gas-utils')
+const {
+  resolveCleanBodyRules,
+  getCleanBody,
+  getCleanHtmlBody,
+  getFileHash,
+} = require('../../gas-utils')
+
+const GMAIL_THREAD_URL = 'https://mail.google.com/mail/u/0/#all/'
+
+/** Name of the JSON manifest holding the attachment content-hash index. */
+const ATTACHMENT_INDEX_FILE_NAME = '.attachment-index.json'
+
+/**
+ * Default per-message layout. Reproduces the original archive format: a
+ * heading-styled subject, the date, the cleaned body and the attachment list.
+ */
+const DEFAULT_MESSAGE_TEMPLATE = {
+  sections: ['subject', 'date', 'body', 'attachments'],
+  styles: { subject: 'heading' },
+}
 
 /**
  * Remove existing thread content from the document by finding the separator
- * containing the given thread ID and deleting all paragraphs from the previous
- * thread separator (or start of the document) through that separator (inclusive).
+ * containing the given thread ID and deleting all paragraphs from the thread's
+ * `====` line (or, without one, the previous thread separator or start of the
+ * document) through that separator (inclusive).
  *
  * @param {Object} body - Document body object
  * @param {string} threadId - The thread ID to search for
@@ -42,10 +62,16 @@ function removeExistingThread(body, threadId) {
     threadSeparatorIndex
   )
 
-  // Find the start of this thread's content (search backwards from thread separator to previous thread separator or start)
+  // Find the start of this thread's content (search backwards from thread separator to the thread's
+  // ==== line, the previous thread separator or start). Stopping at the ==== line keeps content above
+  // the first thread, e.g. a title when threads are appended (order: 'oldest-first')
   let threadStartIndex = 0
   for (let i = threadSeparatorIndex - 1; i >= 0; i--) {
     const text = paragraphs[i].getText()
+    if (text === '==============================') {
+      threadStartIndex = i
+      break
+    }
     // Stop when we hit another thread separator (indicated by [THREAD:])
     if (text.includes('[THREAD:')) {
       threadStartIndex = i + 1 // Start after the previous thread separator
@@ -71,45 +97,338 @@ function removeExistingThread(body, threadId) {
   return true
 }
 
+/** Prefix of the named ranges that delimit archived threads in a Doc. */
+const THREAD_RANGE_PREFIX = 'thread:'
+
+/** Prefix of the named ranges that delimit archived messages in a Doc. */
+const MESSAGE_RANGE_PREFIX = 'message:'
+
 /**
- * Determine whether an attachment already exists in the folder by comparing
- * file size (fast fail) then MD5 hash against every existing file of the same name.
+ * Add a named range covering the given body elements.
  *
- * @param {Object} existingFiles - Drive file iterator (from getFilesByName)
- * @param {Object} newFileBlob - Blob of the incoming attachment
- * @returns {boolean} True if an exact-content duplicate exists
+ * @param {Object} doc - Document holding the elements
+ * @param {string} name - Range name
+ * @param {Array} elements - Body elements, in document order
+ * @returns {Object} The named range
  */
-function isDuplicateAttachment(existingFiles, newFileBlob) {
-  // Try getBytes() for GAS blobs, bytes property for test mocks, empty buffer as fallback.
-  const newFileBytes = newFileBlob.getBytes
-    ? newFileBlob.getBytes()
-    : newFileBlob.bytes || Buffer.from('')
-  const newFileLength = newFileBytes.length
-  const newFileHash = getFileHash(newFileBlob)
+function addElementRange(doc, name, elements) {
+  const builder = doc.newRange()
+  elements.forEach((element) => builder.addElement(element))
+  return doc.addNamedRange(name, builder.build())
+}
 
-  let existingCount = 0
-  while (existingFiles.hasNext()) {
-    existingCount++
-    const existingFile = existingFiles.next()
-    console.log(
-      '[processMessageToDoc] Comparing with existing file',
-      existingCount
-    )
+/**
+ * Collect the body children `first`..`last`.
+ *
+ * @param {Object} body - Document body object
+ * @param {number} first - Index of the first child
+ * @param {number} last - Index of the last child
+ * @returns {Array} Body elements
+ */
+function getChildren(body, first, last) {
+  const children = []
+  for (let i = first; i <= last; i++) children.push(body.getChild(i))
+  return children
+}
+
+/**
+ * Mark body paragraphs `first`..`last` as a thread with a named range
+ * `thread:<threadId>`. Named ranges are invisible to readers and move with
+ * their paragraphs, so edits elsewhere in the doc (or marker-like text in a
+ * message) cannot shift a thread's boundaries.
+ *
+ * @param {Object} doc - Document holding the body
+ * @param {Object} body - Document body object
+ * @param {string} threadId - Thread ID
+ * @param {number} first - Index of the thread's first paragraph
+ * @param {number} last - Index of the thread's last paragraph
+ * @returns {Object} The named range
+ */
+function markThreadRange(doc, body, threadId, first, last) {
+  return addElementRange(
+    doc,
+    THREAD_RANGE_PREFIX + threadId,
+    getChildren(body, first, last)
+  )
+}
+
+/**
+ * Mark body paragraphs `first`..`last` as an archived message with a named
+ * range `message:<messageId>`, replacing an earlier range of the message.
+ * These ranges tell a later run which messages a thread already holds.
+ *
+ * @param {Object} doc - Document holding the body
+ * @param {Object} body - Document body object
+ * @param {string} messageId - Gmail message ID
+ * @param {number} first - Index of the message's first paragraph
+ * @param {number} last - Index of the message's last paragraph
+ * @returns {Object} The named range
+ */
+function markMessageRange(doc, body, messageId, first, last) {
+  const name = MESSAGE_RANGE_PREFIX + messageId
+  doc.getNamedRanges(name).forEach((namedRange) => namedRange.remove())
+  return addElementRange(doc, name, getChildren(body, first, last))
+}
+
+/**
+ * Move a thread's paragraphs to the top of the body (or, with `toEnd`, to
+ * the bottom). Docs cannot move paragraphs, so copies are inserted and the
+ * originals removed; the given message ranges are re-created on the
+ * copies. Unlike rewriting the thread, no message or attachment is
+ * processed again.
+ *
+ * @param {Object} doc - Document holding the thread
+ * @param {Object} body - Document body object
+ * @param {Array} elements - The thread's paragraphs, in document order
+ * @param {Array} messageRanges - Named ranges of the thread's messages
+ * @param {boolean} toEnd - Move to the bottom instead of the top
+ * @returns {Array} The moved paragraphs, in document order
+ */
+function moveThreadElements(doc, body, elements, messageRanges, toEnd) {
+  const copies = new Map()
+  elements.forEach((element, i) => {
+    const copy = element.copy()
+    if (toEnd) {
+      body.appendParagraph(copy)
+    } else {
+      body.insertParagraph(i, copy)
+    }
+    copies.set(element, copy)
+  })
+  messageRanges.forEach((namedRange) => {
+    const name = namedRange.getName()
+    const moved = namedRange
+      .getRange()
+      .getRangeElements()
+      .map((rangeElement) => copies.get(rangeElement.getElement()))
+      .filter(Boolean)
+    namedRange.remove()
+    addElementRange(doc, name, moved)
+  })
+  elements.forEach((element) => element.removeFromParent())
+  return elements.map((element) => copies.get(element))
+}
+
+/**
+ * Remove a thread delimited by its named range (see markThreadRange).
+ * Paragraphs a user added inside the thread are not part of the range and
+ * are kept.
+ *
+ * @param {Object} doc - Document holding the thread
+ * @param {string} threadId - Thread ID
+ * @returns {boolean} True if the thread was found and removed
+ */
+function removeThreadRange(doc, threadId) {
+  const ranges = doc.getNamedRanges(THREAD_RANGE_PREFIX + threadId)
+  if (ranges.length === 0) return false
+
+  ranges.forEach((namedRange) => {
+    const elements = namedRange
+      .getRange()
+      .getRangeElements()
+      .map((rangeElement) => rangeElement.getElement())
+    namedRange.remove()
+    elements.forEach((element) => element.removeFromParent())
+  })
+  console.log('[removeThreadRange] Removed thread:', threadId)
+  return true
+}
+
+/**
+ * Convert a Doc written with `[THREAD:id]` separator markers to named
+ * ranges: each thread (from after the previous marker through its own)
+ * gets a range and its marker becomes a plain message separator.
+ *
+ * @param {Object} doc - Document to migrate
+ * @returns {number} Number of threads migrated
+ */
+function migrateThreadMarkers(doc) {
+  const body = doc.getBody()
+  const paragraphs = body.getParagraphs()
+  let start = 0
+  let migrated = 0
+  paragraphs.forEach((para, i) => {
+    const match = /^-{30}\[THREAD:([^\]]+)\]$/.exec(para.getText())
+    if (!match) return
+    markThreadRange(doc, body, match[1], start, i)
+    para.setText('------------------------------')
+    start = i + 1
+    migrated++
+  })
+  if (migrated > 0) {
+    console.log('[migrateThreadMarkers] Migrated', migrated, 'threads')
+  }
+  return migrated
+}
+
+/**
+ * Create a lazily loaded content-hash index for the attachments stored under a
+ * folder. The index maps the MD5 of each saved file to its Drive file ID and
+ * is persisted as a JSON manifest (ATTACHMENT_INDEX_FILE_NAME) in the folder,
+ * so duplicate checks do not re-download existing files.
+ *
+ * @param {Object} folder - Root attachment folder
+ * @param {Object} DriveApp - Optional GAS DriveApp used to resolve file IDs
+ * @returns {Object} Attachment index (loaded on first lookup)
+ */
+function createAttachmentIndex(folder, DriveApp) {
+  return {
+    folder,
+    DriveApp,
+    manifestFile: null,
+    hashes: null,
+    files: {},
+    dirty: false,
+  }
+}
+
+/**
+ * Load the index from its manifest, or build it by hashing every file in the
+ * folder tree when no (readable) manifest exists yet.
+ *
+ * @param {Object} index - Attachment index from createAttachmentIndex
+ */
+function loadAttachmentIndex(index) {
+  if (index.hashes) return
+
+  const manifests = index.folder.getFilesByName(ATTACHMENT_INDEX_FILE_NAME)
+  if (manifests.hasNext()) {
+    index.manifestFile = manifests.next()
+    try {
+      const manifest = JSON.parse(
+        index.manifestFile.getBlob().getDataAsString()
+      )
+      index.hashes = manifest.md5 || {}
+      console.log(
+        '[processMessageToDoc] Loaded attachment index with',
+        Object.keys(index.hashes).length,
+        'entries'
+      )
+      return
+    } catch (e) {
+      console.warn(
+        '[processMessageToDoc] Unreadable attachment index, rebuilding:',
+        e.message
+      )
+    }
+  }
 
-    // Compare sizes first (fast fail)
-    if (existingFile.getSize() !== newFileLength) {
-      console.log('[processMessageToDoc] Size mismatch - different file')
+  console.log('[processMessageToDoc] Building attachment index from folder')
+  index.hashes = {}
+  const files = createFolderTreeIterator(index.folder)
+  while (files.hasNext()) {
+    const file = files.next()
+    if (file.getName() === ATTACHMENT_INDEX_FILE_NAME) continue
+    // Converted Google Docs/Sheets are not attachments
+    if (file.getMimeType().startsWith('application/vnd.google-apps.')) {
       continue
     }
+    try {
+      const hash = getFileHash(file.getBlob())
+      if (!index.hashes[hash]) {
+        index.hashes[hash] = file.getId()
+        index.files[hash] = file
+      }
+    } catch (e) {
+      console.warn(
+        '[processMessageToDoc] Could not hash file:',
+        file.getName(),
+        e.message
+      )
+    }
+  }
+  index.dirty = true
+}
 
-    console.log('[processMessageToDoc] Size match, checking hash')
-    if (getFileHash(existingFile.getBlob()) === newFileHash) {
-      console.log('[processMessageToDoc] Hash match - duplicate detected')
-      return true
+/**
+ * Look up a saved attachment by content hash. Entries whose file was deleted
+ * or trashed are dropped from the index.
+ *
+ * @param {Object} index - Attachment index from createAttachmentIndex
+ * @param {string} hash - MD5 hex digest of the attachment
+ * @returns {Object|null} Existing Drive file, or null when the content is new
+ */
+function findIndexedAttachment(index, hash) {
+  loadAttachmentIndex(index)
+  const fileId = index.hashes[hash]
+  if (!fileId) return null
+
+  let file = index.files[hash] || null
+  if (!file) {
+    try {
+      file = index.DriveApp
+        ? index.DriveApp.getFileById(fileId)
+        : findFileInTree(index.folder, fileId)
+    } catch (e) {
+      console.log('[processMessageToDoc] Indexed file not found:', e.message)
+      file = null
     }
-    console.log('[processMessageToDoc] Hash mismatch - different content')
   }
-  return false
+  if (!file || (file.isTrashed && file.isTrashed())) {
+    console.log('[processMessageToDoc] Dropping stale index entry:', fileId)
+    delete index.hashes[hash]
+    delete index.files[hash]
+    index.dirty = true
+    return null
+  }
+  index.files[hash] = file
+  return file
+}
+
+/**
+ * Find a file by ID anywhere under a folder. Used to resolve index entries
+ * when no DriveApp is available.
+ *
+ * @param {Object} folder - Root folder to search
+ * @param {string} fileId - Drive file ID
+ * @returns {Object|null} Matching file or null
+ */
+function findFileInTree(folder, fileId) {
+  const files = createFolderTreeIterator(folder)
+  while (files.hasNext()) {
+    const file = files.next()
+    if (file.getId() === fileId) return file
+  }
+  return null
+}
+
+/**
+ * Record a newly saved attachment in the index.
+ *
+ * @param {Object} index - Attachment index from createAttachmentIndex
+ * @param {string} hash - MD5 hex digest of the attachment
+ * @param {Object} file - Saved Drive file
+ */
+function recordAttachment(index, hash, file) {
+  loadAttachmentIndex(index)
+  index.hashes[hash] = file.getId()
+  index.files[hash] = file
+  index.dirty = true
+}
+
+/**
+ * Write the index manifest back to the folder if it changed.
+ *
+ * @param {Object} index - Attachment index from createAttachmentIndex
+ */
+function saveAttachmentIndex(index) {
+  if (!index.dirty) return
+  const content = JSON.stringify({ version: 1, md5: index.hashes })
+  if (index.manifestFile) {
+    index.manifestFile.setContent(content)
+  } else {
+    index.manifestFile = index.folder.createFile(
+      ATTACHMENT_INDEX_FILE_NAME,
+      content,
+      'application/json'
+    )
+  }
+  index.dirty = false
+  console.log(
+    '[processMessageToDoc] Saved attachment index with',
+    Object.keys(index.hashes).length,
+    'entries'
+  )
 }
 
 /**
@@ -147,15 +466,327 @@ function resolveAttachmentName(folder, fileName, newFileBlob, options) {
   return finalName
 }
 
+/**
+ * Lazily iterate every file in a folder and all of its subfolders, exposing
+ * the same hasNext()/next() interface as a Drive FileIterator.
+ *
+ * @param {Object} rootFolder - Drive folder to walk
+ * @returns {{hasNext: Function, next: Function}} File iterator over the tree
+ */
+function createFolderTreeIterator(rootFolder) {
+  const pendingFolders = [rootFolder]
+  let files = null
+  const advance = () => {
+    while ((!files || !files.hasNext()) && pendingFolders.length > 0) {
+      const folder = pendingFolders.shift()
+      files = folder.getFiles()
+      const subfolders = folder.getFolders()
+      while (subfolders.hasNext()) pendingFolders.push(subfolders.next())
+    }
+  }
+  return {
+    hasNext: () => {
+      advance()
+      return files.hasNext()
+    },
+    next: () => {
+      advance()
+      return files.next()
+    },
+  }
+}
+
+/**
+ * Extract the bare email address from a "Name <address>" header value.
+ *
+ * @param {string} from - Sender header value
+ * @returns {string} Lower-cased email address (or the trimmed header)
+ */
+function getSenderAddress(from) {
+  const match = (from || '').match(/<([^>]+)>/)
+  return (match ? match[1] : from || '').trim().toLowerCase()
+}
+
+/**
+ * Make a folder-layout segment safe to use as a Drive folder name.
+ *
+ * @param {string} value - Expanded segment text
+ * @returns {string} Sanitized folder name
+ */
+function sanitizeFolderName(value) {
+  const name = String(value)
+    .replace(/[\\/]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100)
+  return name || '_'
+}
+
+/**
+ * Expand a folder layout such as "{yyyy}/{MM}" or "{senderDomain}" into the
+ * list of folder names for a message. Supported tokens: {yyyy}, {MM}, {dd}
+ * (message date in the script time zone), {sender}, {senderDomain} and
+ * {threadSubject}. Unknown tokens are kept literally.
+ *
+ * @param {string} layout - Layout string from the config
+ * @param {Object} message - Gmail message object
+ * @param {Object} options - Settings (threadSubject, Utilities, Session)
+ * @returns {Array<string>} Folder names from the root down
+ */
+function expandFolderLayout(layout, message, options = {}) {
+  const { Utilities, Session, threadSubject } = options
+  const date = message.getDate()
+  const [yyyy, MM, dd] = (
+    Utilities && Session
+      ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : date.toISOString().slice(0, 10)
+  ).split('-')
+  const sender = getSenderAddress(message.getFrom())
+  const tokens = {
+    yyyy,
+    MM,
+    dd,
+    sender: sender || 'unknown-sender',
+    senderDomain: sender.split('@')[1] || 'unknown-sender',
+    threadSubject: threadSubject || message.getSubject() || '(No Subject)',
+  }
+
+  return layout
+    .split('/')
+    .filter((segment) => segment.trim())
+    .map((segment) =>
+      sanitizeFolderName(
+        segment.replace(/\{(\w+)\}/g, (match, token) =>
+          token in tokens ? tokens[token] : match
+        )
+      )
+    )
+}
+
+/**
+ * Find a subfolder by name, creating it when it does not exist yet.
+ *
+ * @param {Object} parent - Drive folder object
+ * @param {string} name - Subfolder name
+ * @returns {Object} Existing or newly created subfolder
+ */
+function getOrCreateSubfolder(parent, name) {
+  const existing = parent.getFoldersByName(name)
+  if (existing.hasNext()) return existing.next()
+  console.log('[processMessageToDoc] Creating folder:', name)
+  return parent.createFolder(name)
+}
+
+/**
+ * Resolve (and create if needed) the folder an attachment of this message is
+ * saved to. Without a `folderLayout` in the config this is the root folder.
+ *
+ * @param {Object} rootFolder - Configured Drive folder
+ * @param {Object} message - Gmail message object
+ * @param {Object} options - Settings (config, threadSubject, Utilities, Session)
+ * @returns {Object} Target Drive folder
+ */
+function resolveAttachmentFolder(rootFolder, message, options = {}) {
+  const layout = options.config?.folderLayout
+  if (!layout) return rootFolder
+  return expandFolderLayout(layout, message, options).reduce(
+    getOrCreateSubfolder,
+    rootFolder
+  )
+}
+
+/**
+ * Default settings for `convertAttachments: true`.
+ */
+const DEFAULT_CONVERSION_SETTINGS = {
+  office: true,
+  ocr: true,
+  excerptLength: 200,
+  ocrLanguage: null,
+}
+
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document'
+const GOOGLE_SHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet'
+
+/** Office formats converted to native Google files, by source MIME type. */
+const OFFICE_CONVERSIONS = {
+  'application/msword': GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.oasis.opendocument.text': GOOGLE_DOC_MIME_TYPE,
+  'application/rtf': GOOGLE_DOC_MIME_TYPE,
+  'application/vnd.ms-excel': GOOGLE_SHEET_MIME_TYPE,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+    GOOGLE_SHEET_MIME_TYPE,
+  'application/vnd.oasis.opendocument.spreadsheet': GOOGLE_SHEET_MIME_TYPE,
+}
+
+/** Formats OCR'd into a searchable Google Doc. */
+const OCR_CONTENT_TYPES = ['application/pdf', 'image/*']
+
+/**
+ * Resolve the config's `convertAttachments` option. `true` enables every
+ * conversion with defaults; an object overrides individual settings.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Conversion settings, or null when disabled
+ */
+function resolveConversionSettings(config = {}) {
+  const option = config.convertAttachments
+  if (!option) return null
+  return option === true
+    ? { ...DEFAULT_CONVERSION_SETTINGS }
+    : { ...DEFAULT_CONVERSION_SETTINGS, ...option }
+}
+
+/**
+ * Pick the Google file type an attachment is converted to.
+ *
+ * @param {string} contentType - Attachment MIME type
+ * @param {Object} settings - Settings from resolveConversionSettings
+ * @returns {string|null} Target Google MIME type, or null to skip
+ */
+function getConversionTarget(contentType, settings) {
+  const type = (contentType || '').toLowerCase()
+  if (settings.office && OFFICE_CONVERSIONS[type]) {
+    return OFFICE_CONVERSIONS[type]
+  }
+  if (settings.ocr && isAllowedContentType(type, OCR_CONTENT_TYPES)) {
+    return GOOGLE_DOC_MIME_TYPE
+  }
+  return null
+}
+
+/**
+ * Collapse extracted text to a single line and cut it to the excerpt length.
+ *
+ * @param {string} text - Extracted text
+ * @param {number} maxLength - Maximum excerpt length
+ * @returns {string} Excerpt (empty when there is no text)
+ */
+function makeExcerpt(text, maxLength) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim()
+  return flat.length > maxLength
+    ? flat.slice(0, maxLength).trimEnd() + '\u2026'
+    : flat
+}
+
+/**
+ * Read the text of a converted Google Doc or Sheet (first sheet, cells joined
+ * with " | ").
+ *
+ * @param {string} fileId - Converted file ID
+ * @param {string} mimeType - Google MIME type of the converted file
+ * @param {Object} options - GAS services (DocumentApp, SpreadsheetApp)
+ * @returns {string} Extracted text
+ */
+function extractConvertedText(fileId, mimeType, options) {
+  const { DocumentApp, SpreadsheetApp } = options
+  if (mimeType === GOOGLE_SHEET_MIME_TYPE) {
+    if (!SpreadsheetApp) return ''
+    return SpreadsheetApp.openById(fileId)
+      .getSheets()[0]
+      .getDataRange()
+      .getDisplayValues()
+      .map((row) => row.filter(Boolean).join(' | '))
+      .join('\n')
+  }
+  return DocumentApp ? DocumentApp.openById(fileId).getBody().getText() : ''
+}
+
+/**
+ * Convert a saved attachment into a native Google Doc/Sheet next to it using
+ * the Drive advanced service (v3), OCR-ing PDFs and images. Failures are
+ * logged and leave the original file in place.
+ *
+ * @param {Object} blob - Attachment blob
+ * @param {Object} targetFolder - Folder the attachment was saved to
+ * @param {Object} settings - Settings from resolveConversionSettings
+ * @param {Object} options - GAS services (Drive, DriveApp, DocumentApp, SpreadsheetApp, Logger)
+ * @returns {{file: Object, excerpt: string}|null} Converted file and excerpt
+ */
+function convertAttachment(blob, targetFolder, settings, options) {
+  const { Drive, DriveApp, Logger } = options
+  const target = getConversionTarget(blob.getContentType(), settings)
+  if (!target) return null
+  if (options.preview) {
+    options.preview.conversions.push(blob.getName())
+    return null
+  }
+  if (!Drive || !DriveApp) {
+    console.warn(
+      '[processMessageToDoc] Drive advanced service not enabled, skipping conversion'
+    )
+    return null
+  }
+
+  const name = blob.getName().replace(/\.[\w-]+$/, '')
+  try {
+    console.log('[processMessageToDoc] Converting attachment:', blob.getName())
+    const created = Drive.Files.create(
+      { name, mimeType: target, parents: [targetFolder.getId()] },
+      blob,
+      settings.ocrLanguage ? { ocrLanguage: settings.ocrLanguage } : {}
+    )
+    const file = DriveApp.getFileById(created.id)
+    const excerpt =
+      settings.excerptLength > 0
+        ? makeExcerpt(
+            extractConvertedText(created.id, target, options),
+            settings.excerptLength
+          )
+        : ''
+    return { file, excerpt }
+  } catch (e) {
+    if (Logger) {
+      Logger.log(
+        'Could not convert attachment: ' + blob.getName() + ' - ' + e.message
+      )
+    }
+    console.error('[processMessageToDoc] Conversion failed:', e.message)
+    return null
+  }
+}
+
+/**
+ * Insert the converted-copy link and text excerpt paragraphs below a saved
+ * attachment entry. Returns the updated index.
+ *
+ * @param {Object} converted - Result of convertAttachment
+ * @param {Object} body - Document body object
+ * @param {number} currentIndex - Current paragraph insertion index
+ * @param {Object} options - Settings (attachmentStyle, DocumentApp)
+ * @returns {number} Updated paragraph insertion index
+ */
+function insertConvertedAttachment(converted, body, currentIndex, options) {
+  const { attachmentStyle, DocumentApp } = options
+  const link = body.insertParagraph(
+    currentIndex++,
+    '  Converted: ' + converted.file.getName()
+  )
+  link.setLinkUrl(converted.file.getUrl())
+  applyParagraphStyle(link, attachmentStyle, DocumentApp)
+  if (converted.excerpt) {
+    const excerpt = body.insertParagraph(
+      currentIndex++,
+      '  Excerpt: ' + redactMessageText(converted.excerpt, options)
+    )
+    applyParagraphStyle(excerpt, attachmentStyle, DocumentApp)
+  }
+  return currentIndex
+}
+
 /**
  * Process a single attachment: check for duplicates, save to Drive if new, and
- * insert a reference paragraph in the document. Returns the updated index.
+ * insert a reference paragraph in the document. With `convertAttachments`
+ * enabled, new files also get a converted Google copy and a text excerpt.
+ * Returns the updated index.
  *
  * @param {Object} att - Attachment blob from Gmail message
  * @param {Object} body - Document body object
  * @param {Object} folder - Drive folder object
  * @param {number} currentIndex - Current paragraph insertion index
- * @param {Object} options - GAS services passed through (Logger, Utilities, Session)
+ * @param {Object} options - GAS services passed through (Logger, Utilities, Session, DocumentApp, Drive, DriveApp, SpreadsheetApp), config, attachmentStyle, attachmentIndex, getTargetFolder and savedAttachments (collects `{name, url, fileId}` of every entry)
  * @param {number} attIndex - Zero-based index of this attachment (for logging)
  * @param {number} totalCount - Total number of attachments (for logging)
  * @returns {number} Updated paragraph insertion index
@@ -169,7 +800,14 @@ function processSingleAttachment(
   attIndex,
   totalCount
 ) {
-  const { Logger } = options
+  const {
+    Logger,
+    DocumentApp,
+    attachmentStyle,
+    attachmentIndex,
+    getTargetFolder,
+    savedAttachments,
+  } = options
   console.log(
     '[processMessageToDoc] Processing attachment',
     attIndex + 1,
@@ -181,225 +819,3113 @@ function processSingleAttachment(
   const fileName = att.getName()
   // In GAS environment, copyBlob() creates a copy; in test environment, att itself is the blob
   const newFileBlob = att.copyBlob ? att.copyBlob() : att
-  const existingFiles = folder.getFilesByName(fileName)
-  console.log(
-    '[processMessageToDoc] Checking for existing files named:',
-    fileName
-  )
-  if (isDuplicateAttachment(existingFiles, newFileBlob)) {
+  const hash = getFileHash(newFileBlob)
+  console.log('[processMessageToDoc] Looking up attachment hash:', hash)
+
+  const existingFile = findIndexedAttachment(attachmentIndex, hash)
+  if (existingFile) {
     if (Logger) Logger.log('Skipping exact duplicate: ' + fileName)
     console.log('[processMessageToDoc] Skipping duplicate:', fileName)
-    body.insertParagraph(currentIndex++, '- [DUPLICATE SKIPPED] ' + fileName)
+    const existingName = existingFile.getName()
+    if (options.preview) {
+      options.preview.duplicates.push({
+        name: fileName,
+        existing: existingName,
+      })
+    }
+    const para = body.insertParagraph(
+      currentIndex++,
+      '- ' +
+        fileName +
+        (existingName === fileName
+          ? ' (existing copy)'
+          : ' (existing copy: ' + existingName + ')')
+    )
+    para.setLinkUrl(existingFile.getUrl())
+    applyParagraphStyle(para, attachmentStyle, DocumentApp)
+    if (savedAttachments) {
+      savedAttachments.push({
+        name: fileName,
+        url: existingFile.getUrl(),
+        fileId: existingFile.getId(),
+      })
+    }
   } else {
+    const targetFolder = getTargetFolder ? getTargetFolder() : folder
     const finalName = resolveAttachmentName(
-      folder,
+      targetFolder,
       fileName,
       newFileBlob,
       options
     )
     console.log('[processMessageToDoc] Saving new file:', finalName)
-    const file = folder.createFile(newFileBlob)
-    body.insertParagraph(currentIndex++, '- ' + file.getName())
+    const file = targetFolder.createFile(newFileBlob)
+    recordAttachment(attachmentIndex, hash, file)
+    const para = body.insertParagraph(currentIndex++, '- ' + file.getName())
+    para.setLinkUrl(file.getUrl())
+    applyParagraphStyle(para, attachmentStyle, DocumentApp)
+    if (savedAttachments) {
+      savedAttachments.push({
+        name: file.getName(),
+        url: file.getUrl(),
+        fileId: file.getId(),
+      })
+    }
     console.log('[processMessageToDoc] File saved successfully')
+
+    const settings = resolveConversionSettings(options.config)
+    const converted =
+      settings &&
+      convertAttachment(newFileBlob, targetFolder, settings, options)
+    if (converted) {
+      currentIndex = insertConvertedAttachment(
+        converted,
+        body,
+        currentIndex,
+        options
+      )
+    }
   }
   return currentIndex
 }
 
 /**
- * Process a single message and prepend its content to the document body.
- * Returns the number of paragraphs inserted.
+ * Extract the cleaned body text of a message. When the config opts into HTML
+ * ingestion (`bodyFormat: 'html'`) and the message carries an HTML body, it is
+ * cleaned with getCleanHtmlBody so links, lists and tables survive; otherwise
+ * the plain-text body is cleaned with getCleanBody. Both follow the config's
+ * `bodyCleanup` options (detectors, patterns, keepForwarded).
  *
  * @param {Object} message - Gmail message object
- * @param {Object} body - Document body object
- * @param {Object} folder - Drive folder object
- * @param {Object} options - Optional settings (DocumentApp, Utilities, Logger, Session for GAS)
- * @returns {number} Number of paragraphs inserted
+ * @param {Object} config - Configuration object (reads bodyFormat, bodyCleanup)
+ * @returns {string} Cleaned body text
  */
-function processMessageToDoc(message, body, folder, options = {}) {
-  const { DocumentApp, Utilities, Logger } = options
-
-  const subject = message.getSubject()
-  const rawContent = message.getPlainBody()
-  const cleanContent = getCleanBody(rawContent)
-  const timestamp = message.getDate()
-
-  if (Logger) {
-    Logger.log('Processing: ' + subject)
+function getMessageBody(message, config = {}) {
+  if (config.bodyFormat === 'html' && typeof message.getBody === 'function') {
+    const html = message.getBody()
+    if (html && /<[a-z][^>]*>/i.test(html)) {
+      return getCleanHtmlBody(html, config.bodyCleanup)
+    }
   }
-  console.log('[processMessageToDoc] Processing message:', subject)
+  return getCleanBody(message.getPlainBody(), config.bodyCleanup)
+}
 
-  let currentIndex = 0
+/**
+ * Built-in redaction detectors, in the order they run. Patterns use
+ * lookbehinds so only the sensitive part after a keyword is replaced.
+ */
+const REDACTION_DETECTORS = {
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
+  // Card numbers must pass the Luhn check (see isLuhnValid)
+  creditCard: /\b\d(?:[ -]?\d){12,18}\b/g,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+  accountNumber:
+    /(?<=\b(?:account|acct|a\/c)\.?(?:\s+(?:no\.?|number|#))?\s*[:#]?\s*)\d[\d -]{4,18}\d\b/gi,
+  otp: /(?<=\b(?:code|otp|passcode|pin)\b[^\d\n]{0,20})\b\d{4,8}\b/gi,
+  phone:
+    /(?<![\w+])(?:\+\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}(?!\w)/g,
+}
 
-  // Insert subject
-  const subjectText = 'Subject: ' + (subject || '(No Subject)')
-  const headingPara = body.insertParagraph(currentIndex++, subjectText)
+/** Text that replaces a redacted match unless the config sets `replacement`. */
+const DEFAULT_REDACTION_REPLACEMENT = '[REDACTED]'
 
-  // Try to set heading style (GAS only)
-  if (DocumentApp) {
-    try {
-      headingPara.setHeading(DocumentApp.ParagraphHeading.HEADING_3)
-    } catch (e) {
-      const style = {}
-      style[DocumentApp.Attribute.BOLD] = true
-      headingPara.setAttributes(style)
-    }
+/**
+ * Check a card number candidate with the Luhn checksum.
+ *
+ * @param {string} value - Digits, optionally separated by spaces or dashes
+ * @returns {boolean} True if the checksum holds
+ */
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, '')
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+    sum += digit
   }
+  return sum % 10 === 0
+}
 
-  // Insert date and content
-  body.insertParagraph(currentIndex++, 'Date: ' + timestamp)
-  body.insertParagraph(currentIndex++, cleanContent)
+/**
+ * Resolve the config's `redact` option into redaction rules. `true` enables
+ * every built-in detector; an object picks `detectors` by name (default: all)
+ * and adds custom `patterns` (RegExp or case-insensitive string).
+ *
+ * @param {Object} config - Configuration object
+ * @returns {{rules: Array<{name: string, pattern: RegExp}>, replacement: string}|null} Redaction settings, or null when disabled
+ * @throws {Error} If a detector name is unknown
+ */
+function resolveRedactionSettings(config = {}) {
+  const option = config.redact
+  if (!option) return null
+  const settings = option === true ? {} : option
+  const names = settings.detectors || Object.keys(REDACTION_DETECTORS)
+  const rules = names.map((name) => {
+    if (!REDACTION_DETECTORS[name]) {
+      throw new Error('Unknown redaction detector: ' + name)
+    }
+    return { name, pattern: REDACTION_DETECTORS[name] }
+  })
+  ;(settings.patterns || []).forEach((pattern) => {
+    const regExp = toFilterRegExp(pattern)
+    rules.push({
+      name: 'custom',
+      pattern: regExp.global
+        ? regExp
+        : new RegExp(regExp.source, regExp.flags + 'g'),
+    })
+  })
+  return {
+    rules,
+    replacement: settings.replacement || DEFAULT_REDACTION_REPLACEMENT,
+  }
+}
 
-  // Process attachments
-  const attachments = message.getAttachments()
-  console.log('[processMessageToDoc] Found', attachments.length, 'attachments')
+/**
+ * Replace every match of the redaction rules in a text, counting the
+ * replacements per detector into `counts`.
+ *
+ * @param {string} text - Text to redact
+ * @param {Object} settings - Settings from resolveRedactionSettings
+ * @param {Object} counts - Replacements per detector name, updated in place
+ * @returns {string} Redacted text
+ */
+function redactText(text, settings, counts = {}) {
+  if (!settings || !text) return text
+  return settings.rules.reduce(
+    (result, { name, pattern }) =>
+      result.replace(pattern, (match) => {
+        if (name === 'creditCard' && !isLuhnValid(match)) return match
+        counts[name] = (counts[name] || 0) + 1
+        return settings.replacement
+      }),
+    text
+  )
+}
+
+/**
+ * Format redaction counts for the audit log and dry-run report.
+ *
+ * @param {Object} counts - Replacements per detector name
+ * @returns {string} Counts like "ssn x2, phone x1"
+ */
+function formatRedactionCounts(counts) {
+  return Object.keys(counts)
+    .map((name) => name + ' x' + counts[name])
+    .join(', ')
+}
+
+/**
+ * Redact text about to be written for a message (see processMessageToDoc),
+ * counting into the message's audit counts.
+ *
+ * @param {string} text - Text to redact
+ * @param {Object} options - Message options (redaction, redactionCounts)
+ * @returns {string} Redacted text
+ */
+function redactMessageText(text, options) {
+  return redactText(text, options.redaction, options.redactionCounts)
+}
+
+/**
+ * Apply a template style to a paragraph. Styles are 'heading' (HEADING_3,
+ * falling back to bold if the Doc is busy), 'bold', 'italic' and 'monospace';
+ * an array combines several. Styling is skipped outside GAS (no DocumentApp).
+ *
+ * @param {Object} para - Document paragraph
+ * @param {string|Array<string>} style - Style name(s) from the template
+ * @param {Object} DocumentApp - GAS DocumentApp service
+ */
+function applyParagraphStyle(para, style, DocumentApp) {
+  if (!style || !DocumentApp) return
+
+  const attributes = {}
+  const styleNames = Array.isArray(style) ? style : [style]
+  styleNames.forEach((name) => {
+    if (name === 'heading') {
+      try {
+        para.setHeading(DocumentApp.ParagraphHeading.HEADING_3)
+      } catch (e) {
+        attributes[DocumentApp.Attribute.BOLD] = true
+      }
+    } else if (name === 'bold') {
+      attributes[DocumentApp.Attribute.BOLD] = true
+    } else if (name === 'italic') {
+      attributes[DocumentApp.Attribute.ITALIC] = true
+    } else if (name === 'monospace') {
+      attributes[DocumentApp.Attribute.FONT_FAMILY] = 'Courier New'
+    } else {
+      console.warn('[processMessageToDoc] Unknown template style:', name)
+    }
+  })
+
+  if (Object.keys(attributes).length > 0) {
+    para.setAttributes(attributes)
+  }
+}
+
+/**
+ * Resolve the message template for a config entry, filling in any part the
+ * config leaves out from DEFAULT_MESSAGE_TEMPLATE.
+ *
+ * @param {Object} config - Configuration object (reads template)
+ * @returns {{sections: Array<string>, styles: Object}} Resolved template
+ */
+function resolveMessageTemplate(config = {}) {
+  return { ...DEFAULT_MESSAGE_TEMPLATE, ...config.template }
+}
+
+/**
+ * Header line renderer: returns null when the message has no value so empty
+ * To/Cc lines are omitted.
+ */
+function headerSection(label, value) {
+  return value ? { text: label + ': ' + value } : null
+}
+
+/**
+ * Renderers for single-paragraph template sections. Each returns
+ * `{ text, linkUrl? }` or null to skip the section for this message.
+ */
+const MESSAGE_SECTIONS = {
+  subject: (message) => ({
+    text: 'Subject: ' + (message.getSubject() || '(No Subject)'),
+  }),
+  from: (message) => headerSection('From', message.getFrom()),
+  to: (message) => headerSection('To', message.getTo()),
+  cc: (message) => headerSection('Cc', message.getCc()),
+  date: (message) => ({ text: 'Date: ' + message.getDate() }),
+  threadLink: (message, options) => {
+    const threadId =
+      options.threadId || (message.getThread && message.getThread().getId())
+    return threadId
+      ? { text: 'Open thread in Gmail', linkUrl: GMAIL_THREAD_URL + threadId }
+      : null
+  },
+  body: (message, options) => ({
+    text: getMessageBody(message, options.config),
+  }),
+}
+
+/**
+ * Defaults for the `inlineImages` option: inline images under `minBytes` or
+ * whose MD5 is in `blocklist` are dropped as signature images; the rest are
+ * embedded in Doc targets (`embed`), scaled down to `maxWidth` pixels.
+ */
+const DEFAULT_INLINE_IMAGE_SETTINGS = {
+  minBytes: 10 * 1024,
+  blocklist: [],
+  embed: true,
+  maxWidth: 600,
+}
+
+/**
+ * Resolve the config's `inlineImages` option (`true` or an object overriding
+ * DEFAULT_INLINE_IMAGE_SETTINGS). Without it, inline images are saved like
+ * any other attachment.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Inline image settings, or null when disabled
+ */
+function resolveInlineImageSettings(config = {}) {
+  const option = config.inlineImages
+  if (!option) return null
+  return {
+    ...DEFAULT_INLINE_IMAGE_SETTINGS,
+    ...(option === true ? {} : option),
+  }
+}
+
+/**
+ * Split a message's attachments into regular attachments and inline images
+ * to embed. Inline signature images (see DEFAULT_INLINE_IMAGE_SETTINGS) are
+ * dropped; the others are embedded when `canEmbed`, otherwise saved as
+ * attachments. A dry run records each decision in `options.preview`.
+ *
+ * @param {Object} message - Gmail message object
+ * @param {Object} settings - Settings from resolveInlineImageSettings
+ * @param {boolean} canEmbed - Whether the output can hold images
+ * @param {Object} options - Message options (Logger, preview)
+ * @returns {{attachments: Array, images: Array}} Blobs to save and to embed
+ */
+function splitInlineImages(message, settings, canEmbed, options = {}) {
+  const attachments = message.getAttachments({ includeInlineImages: false })
+  const images = []
+  message.getAttachments({ includeAttachments: false }).forEach((image) => {
+    const name = image.getName()
+    const size = image.getBytes().length
+    if (
+      size < settings.minBytes ||
+      settings.blocklist.includes(getFileHash(image))
+    ) {
+      if (options.Logger) options.Logger.log('Skipping inline image: ' + name)
+      options.preview?.inlineImages.push({ name, action: 'skip' })
+      return
+    }
+    if (canEmbed && settings.embed) {
+      options.preview?.inlineImages.push({ name, action: 'embed' })
+      images.push(image)
+    } else {
+      attachments.push(image)
+    }
+  })
+  return { attachments, images }
+}
+
+/**
+ * Embed images in the document, one paragraph each, scaled down to the
+ * settings' `maxWidth`. Returns the updated index.
+ *
+ * @param {Array} images - Image blobs
+ * @param {Object} body - Document body object
+ * @param {number} currentIndex - Current paragraph insertion index
+ * @param {Object} settings - Settings from resolveInlineImageSettings
+ * @returns {number} Updated paragraph insertion index
+ */
+function insertInlineImages(images, body, currentIndex, settings) {
+  images.forEach((blob) => {
+    const image = body
+      .insertParagraph(currentIndex++, '')
+      .appendInlineImage(blob)
+    const width = image.getWidth()
+    if (width > settings.maxWidth) {
+      image.setHeight(
+        Math.round((image.getHeight() * settings.maxWidth) / width)
+      )
+      image.setWidth(settings.maxWidth)
+    }
+  })
+  return currentIndex
+}
+
+/**
+ * Insert the message's attachment list ("[Attachments]:" followed by one entry
+ * per attachment, or per blob in `options.attachments` when given) at the given
+ * index. Returns the updated index.
+ *
+ * @param {Object} message - Gmail message object
+ * @param {Object} body - Document body object
+ * @param {Object} folder - Drive folder object
+ * @param {number} currentIndex - Current paragraph insertion index
+ * @param {Object} options - Settings passed through to processSingleAttachment
+ * @returns {number} Updated paragraph insertion index
+ */
+function insertAttachmentsSection(
+  message,
+  body,
+  folder,
+  currentIndex,
+  options
+) {
+  const attachments = options.attachments || message.getAttachments()
+  console.log('[processMessageToDoc] Found', attachments.length, 'attachments')
+
+  if (attachments.length > 0) {
+    const header = body.insertParagraph(currentIndex++, '[Attachments]:')
+    applyParagraphStyle(header, options.attachmentStyle, options.DocumentApp)
+
+    // Callers archiving many messages share one index; otherwise load one
+    // for this message and persist it afterwards
+    const attachmentIndex =
+      options.attachmentIndex || createAttachmentIndex(folder, options.DriveApp)
+
+    // Resolve the layout folder on first save so all-duplicate messages do
+    // not create empty folders
+    let targetFolder = null
+    const getTargetFolder = () => {
+      if (!targetFolder) {
+        targetFolder = resolveAttachmentFolder(folder, message, options)
+      }
+      return targetFolder
+    }
+
+    attachments.forEach((att, attIndex) => {
+      currentIndex = processSingleAttachment(
+        att,
+        body,
+        folder,
+        currentIndex,
+        { ...options, attachmentIndex, getTargetFolder },
+        attIndex,
+        attachments.length
+      )
+    })
+
+    if (!options.attachmentIndex) saveAttachmentIndex(attachmentIndex)
+  }
+  return currentIndex
+}
+
+/**
+ * Process a single message and insert its content into the document body,
+ * at the top unless `options.insertAt` is given. The paragraphs written and
+ * their styles follow the config's `template` (see DEFAULT_MESSAGE_TEMPLATE).
+ * Returns the index after the last inserted paragraph (the number of
+ * paragraphs inserted when writing at the top).
+ *
+ * @param {Object} message - Gmail message object
+ * @param {Object} body - Document body object
+ * @param {Object} folder - Drive folder object
+ * @param {Object} options - Optional settings (config, threadId, insertAt, DocumentApp, Utilities, Logger, Session for GAS)
+ * @returns {number} Index after the inserted paragraphs
+ */
+function processMessageToDoc(message, body, folder, options = {}) {
+  const { DocumentApp, Utilities, Logger, config } = options
+  const template = resolveMessageTemplate(config)
+  const redactionCounts = {}
+  const messageOptions = {
+    ...options,
+    redaction: resolveRedactionSettings(config),
+    redactionCounts,
+  }
+
+  // Logs and the redaction audit only see the redacted subject
+  const subject = redactText(message.getSubject(), messageOptions.redaction)
+  if (Logger) {
+    Logger.log('Processing: ' + subject)
+  }
+  console.log('[processMessageToDoc] Processing message:', subject)
+
+  // Inline images are embedded below the body when the output holds images
+  const imageSettings = resolveInlineImageSettings(config)
+  const inline =
+    imageSettings &&
+    splitInlineImages(
+      message,
+      imageSettings,
+      Boolean(options.sink?.embedsImages) && template.sections.includes('body'),
+      options
+    )
+
+  let currentIndex = options.insertAt || 0
+
+  template.sections.forEach((section) => {
+    const style = template.styles[section]
+    if (section === 'attachments') {
+      currentIndex = insertAttachmentsSection(
+        message,
+        body,
+        folder,
+        currentIndex,
+        {
+          ...messageOptions,
+          attachmentStyle: style,
+          attachments: inline?.attachments,
+        }
+      )
+      return
+    }
+
+    const render = MESSAGE_SECTIONS[section]
+    if (!render) {
+      console.warn('[processMessageToDoc] Unknown template section:', section)
+      return
+    }
+    const content = render(message, options)
+    if (content) {
+      const para = body.insertParagraph(
+        currentIndex++,
+        redactMessageText(content.text, messageOptions)
+      )
+      if (content.linkUrl) para.setLinkUrl(content.linkUrl)
+      applyParagraphStyle(para, style, DocumentApp)
+    }
+    if (section === 'body' && inline) {
+      currentIndex = insertInlineImages(
+        inline.images,
+        body,
+        currentIndex,
+        imageSettings
+      )
+    }
+  })
+
+  // Insert separator - use thread separator for the thread's bottom message if threadId provided,
+  // unless the output sink delimits threads itself (see OUTPUT_SINKS)
+  const { threadId, isBottomMessage, sink } = options
+  if (threadId && isBottomMessage && !sink?.marksThreads) {
+    const separator = `------------------------------[THREAD:${threadId}]`
+    body.insertParagraph(currentIndex++, separator)
+    console.log('[processMessageToDoc] Added thread separator:', threadId)
+  } else {
+    body.insertParagraph(currentIndex++, '------------------------------')
+  }
+
+  // Audit what was redacted without logging the redacted values
+  const redacted = Object.values(redactionCounts).reduce((a, b) => a + b, 0)
+  if (redacted > 0) {
+    if (Logger) {
+      Logger.log(
+        'Redacted ' +
+          redacted +
+          ' match(es) in: ' +
+          subject +
+          ' (' +
+          formatRedactionCounts(redactionCounts) +
+          ')'
+      )
+    }
+    options.redactions?.push({ subject, counts: redactionCounts })
+  }
+
+  // Pause in GAS environment to prevent crashes
+  if (Utilities) {
+    Utilities.sleep(500)
+  }
+
+  return currentIndex
+}
+
+/**
+ * Process multiple messages from a thread, prepending them to the document.
+ * Messages are sorted by date (oldest first) so newest appear at top; with
+ * `order: 'oldest-first'` in the config the thread is appended at the end
+ * instead, oldest message first.
+ * If a threadId is provided, any existing content for that thread will be removed first,
+ * and the bottom message separator will be replaced with a thread separator containing the ID.
+ * A sink that tracks archived messages (`resumeThread`) keeps the thread's
+ * earlier copy instead and only the new messages are written into it.
+ *
+ * @param {Array} messages - Array of Gmail message objects
+ * @param {Object} body - Document body object
+ * @param {Object} folder - Drive folder object
+ * @param {Object} options - Optional settings (threadId, config, sink, removeThreadFn, attachmentIndex, DocumentApp, DriveApp, Utilities, Logger, Session for GAS; archivedMessages collects `{messageId, fileIds}` of every message written)
+ * @returns {number} Number of messages written
+ */
+function processMessagesToDoc(messages, body, folder, options = {}) {
+  const { threadId, sink, removeThreadFn = removeExistingThread } = options
+
+  // Sort messages by date (oldest first) so when we prepend (insert at index 0),
+  // the newest messages end up at the top of the document
+  const sortedMessages = messages.slice().sort(function (a, b) {
+    return a.getDate().getTime() - b.getDate().getTime()
+  })
+  const appending = resolveArchiveOrder(options.config) === 'oldest-first'
+
+  // Extend the thread's earlier copy with its new messages when the sink
+  // can, otherwise remove any existing content for this thread (an output
+  // sink knows where its earlier copy lives)
+  const resumed =
+    threadId && sink?.resumeThread
+      ? sink.resumeThread(threadId, sortedMessages)
+      : null
+  if (threadId && !resumed) {
+    if (sink) {
+      sink.removeThread(threadId)
+    } else {
+      removeThreadFn(body, threadId)
+    }
+  }
+  const pending = resumed ? resumed.messages : sortedMessages
+
+  const attachmentIndex =
+    options.attachmentIndex || createAttachmentIndex(folder, options.DriveApp)
+
+  // Appended threads start with their thread separator and grow downwards
+  let insertAt = resumed ? resumed.insertAt : 0
+  if (!resumed && appending && pending.length > 0) {
+    insertAt = body.getNumChildren()
+    body.insertParagraph(insertAt++, '==============================')
+  }
+
+  pending.forEach((message, msgIndex) => {
+    console.log(
+      '[processMessagesToDoc] Processing message',
+      msgIndex + 1,
+      'of',
+      pending.length
+    )
+    // When prepending, the first message in sorted array (oldest) will be inserted last and end up
+    // at bottom; when appending, the newest does. That message gets the thread separator
+    const isBottomMessage =
+      !resumed && (appending ? msgIndex === pending.length - 1 : msgIndex === 0)
+    const messageOptions = {
+      ...options,
+      attachmentIndex,
+      isBottomMessage,
+      insertAt,
+      threadSubject: sortedMessages[0].getSubject(),
+    }
+    const savedBefore = options.savedAttachments?.length || 0
+    const nextIndex = processMessageToDoc(message, body, folder, messageOptions)
+    if (sink) sink.endMessage(message, { ...messageOptions, endAt: nextIndex })
+    options.archivedMessages?.push({
+      messageId: message.getId(),
+      fileIds: (options.savedAttachments || [])
+        .slice(savedBefore)
+        .map((att) => att.fileId),
+    })
+    if (appending) insertAt = nextIndex
+  })
+
+  if (!options.attachmentIndex) saveAttachmentIndex(attachmentIndex)
+
+  // Add a clear separator between threads (after all messages in a thread are processed)
+  if (!resumed && !appending && pending.length > 0) {
+    body.insertParagraph(0, '==============================')
+  }
+
+  return pending.length
+}
+
+/**
+ * Sort threads by their last message date in reverse chronological order (newest first).
+ * This ensures threads are always processed in the correct order regardless of how
+ * the Gmail API returns them or when they were labeled.
+ *
+ * @param {Array} threads - Array of Gmail thread objects
+ * @returns {Array} Sorted array of threads (newest first)
+ */
+/**
+ * Sort threads by last message date (oldest first) for prepend-based processing.
+ * Since messages are prepended at index 0, sorting oldest-first ensures the newest
+ * thread is processed last and ends up at the top of the document. The same
+ * order puts the newest thread at the bottom when appending (`order: 'oldest-first'`).
+ *
+ * @param {Array} threads - Array of Gmail thread objects
+ * @returns {Array} Sorted array of threads (oldest first)
+ */
+function sortThreadsByLastMessageDate(threads) {
+  return threads.slice().sort(function (a, b) {
+    const aMessages = a.getMessages()
+    const bMessages = b.getMessages()
+    const aLastDate = aMessages[aMessages.length - 1].getDate().getTime()
+    const bLastDate = bMessages[bMessages.length - 1].getDate().getTime()
+    return aLastDate - bLastDate // Ascending order (oldest first)
+  })
+}
+
+/**
+ * Convert a filter pattern (RegExp or string) into a case-insensitive RegExp.
+ *
+ * @param {RegExp|string} pattern - Pattern from the config
+ * @returns {RegExp} Compiled regular expression
+ */
+function toFilterRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')
+}
+
+/**
+ * Check whether a MIME type is listed in a whitelist. Entries ending in "/*"
+ * match the whole family (e.g. "image/*").
+ *
+ * @param {string} contentType - Attachment MIME type
+ * @param {Array<string>} allowedTypes - MIME whitelist
+ * @returns {boolean} True if the type is allowed
+ */
+function isAllowedContentType(contentType, allowedTypes) {
+  const type = (contentType || '').toLowerCase()
+  return allowedTypes.some((allowed) => {
+    const entry = allowed.toLowerCase()
+    return entry.endsWith('/*')
+      ? type.startsWith(entry.slice(0, -1))
+      : type === entry
+  })
+}
+
+/**
+ * Check whether a message satisfies every criterion set on a filter rule.
+ * Supported criteria: from (regex), subject (regex), minDate (date string or
+ * Date), hasAttachment (boolean) and attachmentTypes (MIME whitelist; at
+ * least one attachment must match).
+ *
+ * @param {Object} message - Gmail message object
+ * @param {Object} rule - Filter rule
+ * @returns {boolean} True if all criteria on the rule match
+ */
+function messageMatchesRule(message, rule) {
+  if (rule.from && !toFilterRegExp(rule.from).test(message.getFrom() || '')) {
+    return false
+  }
+  if (
+    rule.subject &&
+    !toFilterRegExp(rule.subject).test(message.getSubject() || '')
+  ) {
+    return false
+  }
+  if (
+    rule.minDate &&
+    message.getDate().getTime() < new Date(rule.minDate).getTime()
+  ) {
+    return false
+  }
+  if (typeof rule.hasAttachment === 'boolean') {
+    const hasAttachment = message.getAttachments().length > 0
+    if (hasAttachment !== rule.hasAttachment) return false
+  }
+  if (rule.attachmentTypes) {
+    const matchesType = message
+      .getAttachments()
+      .some((att) =>
+        isAllowedContentType(att.getContentType(), rule.attachmentTypes)
+      )
+    if (!matchesType) return false
+  }
+  return true
+}
+
+/**
+ * Split messages into those to archive and those skipped by the config's
+ * `filters`. A message is kept when it matches at least one include rule (or
+ * no include rules are set) and matches no exclude rule. Each of `include`
+ * and `exclude` may be a single rule object or an array of rules.
+ *
+ * @param {Array} messages - Array of Gmail message objects
+ * @param {Object} filters - { include, exclude } from the config
+ * @returns {{accepted: Array, skipped: Array<{message: Object, reason: string}>}}
+ */
+function filterMessages(messages, filters = {}) {
+  const toRules = (rules) => {
+    if (!rules) return []
+    return Array.isArray(rules) ? rules : [rules]
+  }
+  const includeRules = toRules(filters.include)
+  const excludeRules = toRules(filters.exclude)
+
+  const accepted = []
+  const skipped = []
+  messages.forEach((message) => {
+    let reason = null
+    if (
+      includeRules.length > 0 &&
+      !includeRules.some((rule) => messageMatchesRule(message, rule))
+    ) {
+      reason = 'no include rule matched'
+    } else {
+      const excludeIndex = excludeRules.findIndex((rule) =>
+        messageMatchesRule(message, rule)
+      )
+      if (excludeIndex !== -1) {
+        reason = 'matched exclude rule ' + (excludeIndex + 1)
+      }
+    }
+
+    if (reason) {
+      console.log(
+        '[filterMessages] Skipping message (' + reason + '):',
+        message.getSubject()
+      )
+      skipped.push({ message, reason })
+    } else {
+      accepted.push(message)
+    }
+  })
+  return { accepted, skipped }
+}
+
+/** Default title of rollover volumes, e.g. "Archive – 2026 Q4". */
+const DEFAULT_VOLUME_TITLE = '{name} \u2013 {yyyy} Q{q}'
+
+/**
+ * Script-property key holding the volume chain of an archive doc.
+ *
+ * @param {string} docId - Configured (first) doc ID
+ * @returns {string} Property key
+ */
+function getDocChainKey(docId) {
+  return 'doc_chain_' + docId
+}
+
+/**
+ * Load the chain of archive volumes for a configured doc. The first entry is
+ * the configured doc itself and the last one is the volume currently written.
+ *
+ * @param {Object} PropertiesService - GAS PropertiesService (optional)
+ * @param {string} docId - Configured doc ID
+ * @returns {Array<{id: string, title: string}>} Volumes, oldest first
+ */
+function loadDocChain(PropertiesService, docId) {
+  const stored = PropertiesService?.getScriptProperties().getProperty(
+    getDocChainKey(docId)
+  )
+  if (stored) {
+    try {
+      const chain = JSON.parse(stored)
+      if (Array.isArray(chain) && chain.length > 0) return chain
+    } catch (e) {
+      console.warn(
+        '[processLabelGroup] Ignoring unreadable doc chain:',
+        e.message
+      )
+    }
+  }
+  return [{ id: docId, title: null }]
+}
+
+/**
+ * Persist the chain of archive volumes in script properties.
+ *
+ * @param {Object} PropertiesService - GAS PropertiesService
+ * @param {string} docId - Configured doc ID
+ * @param {Array<{id: string, title: string}>} chain - Volumes, oldest first
+ */
+function saveDocChain(PropertiesService, docId, chain) {
+  PropertiesService.getScriptProperties().setProperty(
+    getDocChainKey(docId),
+    JSON.stringify(chain)
+  )
+}
+
+/**
+ * Check whether a doc body has reached the config's rollover limits
+ * (`maxParagraphs` and/or `maxCharacters`).
+ *
+ * @param {Object} body - Document body object
+ * @param {Object} rollover - Rollover settings from the config
+ * @returns {boolean} True when a new volume should be started
+ */
+function needsRollover(body, rollover) {
+  if (
+    rollover.maxParagraphs > 0 &&
+    body.getNumChildren() >= rollover.maxParagraphs
+  ) {
+    return true
+  }
+  return (
+    rollover.maxCharacters > 0 &&
+    body.getText().length >= rollover.maxCharacters
+  )
+}
+
+/**
+ * Current year and month in the script time zone (UTC outside GAS).
+ *
+ * @param {Object} services - GAS services (Utilities, Session; optional)
+ * @returns {Array<string>} [yyyy, MM]
+ */
+function getCurrentDateParts({ Utilities, Session } = {}) {
+  const now = new Date()
+  return (
+    Utilities && Session
+      ? Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : now.toISOString().slice(0, 10)
+  )
+    .split('-')
+    .slice(0, 2)
+}
+
+/**
+ * Replace {token} placeholders in a title format. Unknown tokens are kept.
+ *
+ * @param {string} format - Title format, e.g. '{name} – {yyyy} Q{q}'
+ * @param {Object} tokens - Token values by name
+ * @returns {string} Expanded title
+ */
+function expandTitle(format, tokens) {
+  return format.replace(/\{(\w+)\}/g, (match, token) =>
+    token in tokens ? tokens[token] : match
+  )
+}
+
+/**
+ * Create the next archive volume: a new Doc titled after the rollover title
+ * format ({name}, {yyyy}, {MM}, {q}) and moved into the original doc's folder.
+ *
+ * @param {Object} config - Configuration object (docId, rollover)
+ * @param {Array<{id: string, title: string}>} chain - Current volume chain
+ * @param {Object} services - GAS services (DocumentApp, DriveApp, Logger, Utilities, Session)
+ * @returns {{id: string, title: string, doc: Object}} The new volume
+ */
+function createArchiveVolume(config, chain, services) {
+  const { DocumentApp, DriveApp, Logger } = services
+  const [yyyy, MM] = getCurrentDateParts(services)
+  const baseTitle = expandTitle(config.rollover.title || DEFAULT_VOLUME_TITLE, {
+    name: DocumentApp.openById(config.docId).getName(),
+    yyyy,
+    MM,
+    q: String(Math.ceil(Number(MM) / 3)),
+  })
+
+  // A second rollover in the same quarter gets a counter
+  const titles = chain.map((volume) => volume.title)
+  let title = baseTitle
+  for (let n = 2; titles.includes(title); n++) {
+    title = baseTitle + ' (' + n + ')'
+  }
+
+  const doc = DocumentApp.create(title)
+  try {
+    const parents = DriveApp.getFileById(config.docId).getParents()
+    if (parents.hasNext()) {
+      DriveApp.getFileById(doc.getId()).moveTo(parents.next())
+    }
+  } catch (e) {
+    console.warn(
+      '[processLabelGroup] Could not move new volume next to the original doc:',
+      e.message
+    )
+  }
+  Logger.log('Started new archive volume: ' + title)
+  console.log('[processLabelGroup] Rolled over to new volume:', doc.getId())
+  return { id: doc.getId(), title, doc }
+}
+
+/** Default title of monthly PDF snapshots, e.g. "Archive – 2026-11". */
+const DEFAULT_SNAPSHOT_TITLE = '{name} \u2013 {yyyy}-{MM}'
+
+/** Header row of the Google Sheet target (one row per message). */
+const SHEET_TARGET_HEADERS = [
+  'Thread ID',
+  'Date',
+  'From',
+  'Subject',
+  'Body',
+  'Attachments',
+]
+
+/** Google Sheets rejects cells longer than this many characters. */
+const SHEET_CELL_LIMIT = 50000
+
+const THREAD_SEPARATOR = '=============================='
+const MESSAGE_SEPARATOR = '------------------------------'
+
+/** Supported values of the config's `order` (default 'newest-first'). */
+const ARCHIVE_ORDERS = ['newest-first', 'oldest-first']
+
+/**
+ * Resolve the config's `order`: 'newest-first' prepends threads and
+ * messages at the top of the archive, 'oldest-first' appends them at the
+ * end for a chronological, append-only log.
+ *
+ * @param {Object} config - Configuration object (reads order)
+ * @returns {string} 'newest-first' or 'oldest-first'
+ * @throws {Error} If the order is unknown
+ */
+function resolveArchiveOrder(config = {}) {
+  const order = config.order || 'newest-first'
+  if (!ARCHIVE_ORDERS.includes(order)) {
+    throw new Error('Unknown order: ' + order)
+  }
+  return order
+}
+
+/**
+ * Normalize a config's `target` ('doc', 'markdown', 'pdf', 'sheet' or an
+ * object with a `type` and target settings) into an object.
+ *
+ * @param {Object} config - Configuration object (reads target)
+ * @returns {Object} Target settings with `type`
+ * @throws {Error} If the target type is unknown
+ */
+function resolveOutputTarget(config = {}) {
+  const target = config.target || 'doc'
+  const resolved = typeof target === 'string' ? { type: target } : { ...target }
+  if (!OUTPUT_SINKS[resolved.type]) {
+    throw new Error('Unknown output target: ' + resolved.type)
+  }
+  return resolved
+}
+
+/**
+ * Create an in-memory stand-in for a Doc body. It supports the body and
+ * paragraph methods used by the archive flow, so non-Doc targets can reuse
+ * processMessagesToDoc and removeExistingThread unchanged.
+ *
+ * @param {Array<{text: string, markdown: boolean}>} initial - Paragraphs to start with
+ * @returns {Object} Body-like paragraph buffer
+ */
+function createParagraphBuffer(initial = []) {
+  const paragraphs = []
+  const createParagraph = (text, markdown = false) => {
+    const para = {
+      text,
+      // Paragraphs read back from a Markdown file are kept verbatim
+      markdown,
+      heading: null,
+      attributes: {},
+      linkUrl: null,
+      getText: () => para.text,
+      getLinkUrl: () => para.linkUrl,
+      setLinkUrl: (url) => {
+        para.linkUrl = url
+        return para
+      },
+      setHeading: (heading) => {
+        para.heading = heading
+        return para
+      },
+      setAttributes: (attributes) => {
+        Object.assign(para.attributes, attributes)
+        return para
+      },
+      // Images are kept as blobs; a buffer has no layout, so no size
+      appendInlineImage: (blob) => {
+        para.images = (para.images || []).concat(blob)
+        return {
+          getWidth: () => 0,
+          getHeight: () => 0,
+          setWidth: () => {},
+          setHeight: () => {},
+        }
+      },
+      removeFromParent: () => {
+        const index = paragraphs.indexOf(para)
+        if (index !== -1) paragraphs.splice(index, 1)
+      },
+    }
+    return para
+  }
+
+  const body = {
+    insertParagraph: (index, text) => {
+      const para = createParagraph(text)
+      paragraphs.splice(index, 0, para)
+      return para
+    },
+    appendParagraph: (text) => body.insertParagraph(paragraphs.length, text),
+    getParagraphs: () => paragraphs.slice(),
+    getNumChildren: () => paragraphs.length,
+    getChild: (index) => paragraphs[index],
+    removeChild: (child) => child.removeFromParent(),
+    getText: () => paragraphs.map((para) => para.text).join('\n'),
+    clear: () => {
+      paragraphs.length = 0
+    },
+  }
+  initial.forEach(({ text, markdown }) =>
+    paragraphs.push(createParagraph(text, markdown))
+  )
+  return body
+}
+
+// Lines Markdown reads as a rule, an HTML comment or a code fence; alone in
+// a block, parseMarkdown would also take the first two for separators
+const MARKDOWN_CONTROL_LINE =
+  /^ {0,3}(?:([-*_])(?:[ \t]*\1){2,}[ \t]*$|<!--|```|~~~)/
+
+// Lines of a rendered block that open or close a code block (see
+// renderMarkdownParagraph: after a heading, list marker or link bracket)
+const MARKDOWN_FENCE_LINE = /^(?:### )?\s*(?:- )?\[?```/gm
+
+/**
+ * Escape a line of text that Markdown would read as markup of its own.
+ *
+ * @param {string} line - Line of a paragraph
+ * @returns {string} The line, escaped with a backslash if needed
+ */
+function escapeMarkdownLine(line) {
+  return MARKDOWN_CONTROL_LINE.test(line)
+    ? line.replace(/^ {0,3}/, (indent) => indent + '\\')
+    : line
+}
+
+/**
+ * Render one buffered paragraph as a Markdown block. Separator lines become
+ * a rule and HTML comments (which keep the thread marker), template styles
+ * become heading/bold/italic/code syntax and links become inline links.
+ * Body lines that look like separators or other Markdown blocks are escaped.
+ *
+ * @param {Object} para - Paragraph from createParagraphBuffer
+ * @returns {string} Markdown block
+ */
+function renderMarkdownParagraph(para) {
+  const text = para.getText()
+  if (para.markdown) return text
+  if (text === THREAD_SEPARATOR) return '---'
+  if (text === MESSAGE_SEPARATOR) return '<!-- message -->'
+  if (text.startsWith(MESSAGE_SEPARATOR + '[THREAD:')) {
+    return '<!-- ' + text.slice(MESSAGE_SEPARATOR.length) + ' -->'
+  }
+
+  // Code is shown as is, inside its fence
+  const escaped = para.attributes.FONT_FAMILY
+    ? text
+    : text.split('\n').map(escapeMarkdownLine).join('\n')
+  // Keep list markers and indentation outside of the styled text
+  const [, prefix, content] = /^(\s*(?:- )?)([\s\S]*)$/.exec(escaped)
+  let markdown = content
+  if (para.attributes.FONT_FAMILY) {
+    markdown = content.includes('\n')
+      ? '```\n' + content + '\n```'
+      : '`' + content + '`'
+  } else {
+    const wrap = (marker) =>
+      markdown
+        .split('\n')
+        .map((line) => (line.trim() ? marker + line + marker : line))
+        .join('\n')
+    if (para.attributes.ITALIC) markdown = wrap('_')
+    if (para.attributes.BOLD) markdown = wrap('**')
+  }
+  if (para.linkUrl) markdown = '[' + markdown + '](' + para.linkUrl + ')'
+  return (para.heading ? '### ' : '') + prefix + markdown
+}
+
+/**
+ * Render a paragraph buffer as a Markdown document.
+ *
+ * @param {Object} body - Paragraph buffer
+ * @returns {string} Markdown text
+ */
+function renderMarkdown(body) {
+  const blocks = body.getParagraphs().map(renderMarkdownParagraph)
+  return blocks.length > 0 ? blocks.join('\n\n') + '\n' : ''
+}
+
+/**
+ * Split a Markdown document written by renderMarkdown back into paragraphs,
+ * restoring the separator lines so threads can be found and replaced. Blocks
+ * inside a code block (which may hold blank lines) are never separators.
+ *
+ * @param {string} content - Markdown text
+ * @returns {Array<{text: string, markdown: boolean}>} Paragraphs
+ */
+function parseMarkdown(content) {
+  if (!content || !content.trim()) return []
+  let inCode = false
+  return content
+    .replace(/\r\n/g, '\n')
+    .trim()
+    .split(/\n{2,}/)
+    .map((block) => {
+      const wasInCode = inCode
+      const fences = block.match(MARKDOWN_FENCE_LINE) || []
+      if (fences.length % 2 === 1) inCode = !inCode
+      if (wasInCode) return { text: block, markdown: true }
+      if (block === '---') return { text: THREAD_SEPARATOR, markdown: false }
+      if (block === '<!-- message -->') {
+        return { text: MESSAGE_SEPARATOR, markdown: false }
+      }
+      const marker = /^<!-- (\[THREAD:[^\]]+\]) -->$/.exec(block)
+      if (marker) {
+        return { text: MESSAGE_SEPARATOR + marker[1], markdown: false }
+      }
+      return { text: block, markdown: true }
+    })
+}
+
+/**
+ * Output sink for the configured Google Doc (the default target). Thread
+ * boundaries are kept as named ranges (see markThreadRange) instead of text
+ * markers; older marker-based volumes are migrated when first opened.
+ * Handles rollover: new content goes to the newest volume in the chain, a
+ * full volume is continued in a new one, and replaced threads are removed
+ * from whichever volume holds them (the one in the thread index, if any).
+ *
+ * @param {Object} config - Configuration object (docId, rollover)
+ * @param {Object} services - GAS services (DocumentApp, DriveApp, PropertiesService, Logger, Utilities, Session)
+ * @param {Object} threadIndex - Thread index from openThreadIndex (optional)
+ * @returns {Object} Output sink
+ */
+function createDocSink(config, services, threadIndex) {
+  const { DocumentApp, PropertiesService } = services
+  const chain = loadDocChain(PropertiesService, config.docId)
+  let activeDocId = chain[chain.length - 1].id
+  let doc = DocumentApp.openById(activeDocId)
+  const volumeDocs = { [activeDocId]: doc }
+  const openVolume = (id) => {
+    if (!volumeDocs[id]) volumeDocs[id] = DocumentApp.openById(id)
+    return volumeDocs[id]
+  }
+
+  // One-time migration of volumes written with [THREAD:id] markers
+  const unmigrated = chain.filter((volume) => !volume.ranges)
+  if (unmigrated.length > 0) {
+    unmigrated.forEach((volume) => {
+      migrateThreadMarkers(openVolume(volume.id))
+      volume.ranges = true
+    })
+    if (PropertiesService) saveDocChain(PropertiesService, config.docId, chain)
+  }
+
+  // A new index starts with the threads already in the volumes
+  if (threadIndex?.created) {
+    backfillThreadIndex(
+      threadIndex,
+      chain.map((volume) => ({ id: volume.id, doc: openVolume(volume.id) }))
+    )
+  }
+
+  const appending = resolveArchiveOrder(config) === 'oldest-first'
+  let currentThreadId = null
+  let threadStart = 0
+  let threadFirst = 0
+  let resumedElements = null
+  const sink = {
+    type: 'doc',
+    body: doc.getBody(),
+    getDocument: () => doc,
+    // The thread's named range says exactly what to remove, so no volume is
+    // scanned; the thread index narrows it down to the indexed volume plus
+    // the active one, which holds the partial output of a failed write
+    removeThread: (threadId) => {
+      let volumes = chain
+      let bookmarkId = null
+      if (threadIndex) {
+        const entry = findThreadIndexEntry(threadIndex, threadId)
+        volumes = [{ id: activeDocId }]
+        if (entry && chain.some((volume) => volume.id === entry.docId)) {
+          if (entry.docId !== activeDocId) volumes.unshift({ id: entry.docId })
+          bookmarkId = entry.bookmarkId
+        }
+      }
+
+      let removed = false
+      volumes.forEach((volume) => {
+        try {
+          const volumeDoc = openVolume(volume.id)
+          removed = removeThreadRange(volumeDoc, threadId) || removed
+          if (bookmarkId) volumeDoc.getBookmark(bookmarkId)?.remove()
+        } catch (e) {
+          console.warn(
+            '[processLabelGroup] Could not open archive volume:',
+            volume.id,
+            e.message
+          )
+        }
+      })
+      threadStart = sink.body.getNumChildren()
+      return removed
+    },
+    // A thread in the active volume whose archived messages (see
+    // markMessageRange) are its oldest ones is kept and moved to where a
+    // rewrite would put it; only the messages after them are written.
+    // Returns those messages and where to insert them, or null to rewrite
+    resumeThread: (threadId, messages) => {
+      resumedElements = null
+      const [threadRange] = doc.getNamedRanges(THREAD_RANGE_PREFIX + threadId)
+      if (!threadRange) return null
+      const entry = threadIndex && findThreadIndexEntry(threadIndex, threadId)
+      if (threadIndex && entry?.docId !== activeDocId) return null
+
+      const messageRanges = messages.map(
+        (message) =>
+          doc.getNamedRanges(MESSAGE_RANGE_PREFIX + message.getId())[0]
+      )
+      const firstNew = messageRanges.findIndex((namedRange) => !namedRange)
+      const archived = firstNew === -1 ? messages.length : firstNew
+      if (archived === 0 || messageRanges.slice(archived).some(Boolean)) {
+        return null
+      }
+
+      const body = sink.body
+      let elements = threadRange
+        .getRange()
+        .getRangeElements()
+        .map((rangeElement) => rangeElement.getElement())
+      const inPlace = appending
+        ? body.getChildIndex(elements[elements.length - 1]) ===
+          body.getNumChildren() - 1
+        : body.getChildIndex(elements[0]) === 0
+      threadRange.remove()
+      if (!inPlace) {
+        elements = moveThreadElements(
+          doc,
+          body,
+          elements,
+          messageRanges.slice(0, archived),
+          appending
+        )
+      }
+      if (entry?.bookmarkId) doc.getBookmark(entry.bookmarkId)?.remove()
+      console.log(
+        '[processLabelGroup] Keeping',
+        archived,
+        'archived messages of thread:',
+        threadId
+      )
+
+      resumedElements = elements
+      threadStart = body.getNumChildren()
+      // New messages go below the thread's ==== line, or at its end
+      return {
+        messages: messages.slice(archived),
+        insertAt: appending
+          ? body.getChildIndex(elements[elements.length - 1]) + 1
+          : body.getChildIndex(elements[0]) + 1,
+      }
+    },
+    // Start a new volume once the active doc has grown past its limits
+    startThread: (threadId) => {
+      currentThreadId = threadId
+      if (config.rollover && needsRollover(sink.body, config.rollover)) {
+        const volume = createArchiveVolume(config, chain, services)
+        chain.push({ id: volume.id, title: volume.title, ranges: true })
+        saveDocChain(PropertiesService, config.docId, chain)
+        activeDocId = volume.id
+        doc = volume.doc
+        volumeDocs[activeDocId] = doc
+        sink.body = doc.getBody()
+      }
+      threadStart = sink.body.getNumChildren()
+    },
+    // Track each message so a later run can tell which ones are archived
+    endMessage: (message, options) => {
+      markMessageRange(
+        doc,
+        sink.body,
+        message.getId(),
+        options.insertAt,
+        options.endAt - 1
+      )
+    },
+    // The thread spans the new paragraphs at the top (or, when appending,
+    // at the end); a resumed thread spans its kept paragraphs and the new
+    // ones written into it
+    endThread: () => {
+      const body = sink.body
+      const count = body.getNumChildren() - threadStart
+      if (resumedElements) {
+        const first = body.getChildIndex(resumedElements[0])
+        const last = body.getChildIndex(
+          resumedElements[resumedElements.length - 1]
+        )
+        const added = appending
+          ? getChildren(body, last + 1, last + count)
+          : getChildren(body, first + 1, first + count)
+        const elements = appending
+          ? resumedElements.concat(added)
+          : [resumedElements[0], ...added, ...resumedElements.slice(1)]
+        addElementRange(doc, THREAD_RANGE_PREFIX + currentThreadId, elements)
+        threadFirst = first
+      } else {
+        threadFirst = appending ? body.getNumChildren() - count : 0
+        if (currentThreadId && count > 0) {
+          markThreadRange(
+            doc,
+            body,
+            currentThreadId,
+            threadFirst,
+            threadFirst + count - 1
+          )
+        }
+      }
+      currentThreadId = null
+      resumedElements = null
+    },
+    // Bookmark the thread's first line so the index can link to it
+    locateThread: (withBookmark = true) => {
+      if (!withBookmark) return { docId: activeDocId, bookmarkId: '' }
+      const bookmark = doc.addBookmark(
+        doc.newPosition(sink.body.getChild(threadFirst), 0)
+      )
+      return { docId: activeDocId, bookmarkId: bookmark.getId() }
+    },
+    // Doc threads are delimited by named ranges, not [THREAD:id] markers
+    marksThreads: true,
+    embedsImages: true,
+    finish: () => {},
+  }
+  return sink
+}
+
+/**
+ * Output sink that archives into the Google Doc like the doc target and
+ * saves a PDF snapshot of it at the end of each run. There is one snapshot
+ * per month: a later run in the same month replaces it.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} target - Target settings (folderId, title)
+ * @param {Object} services - GAS services (as for the doc target)
+ * @param {Object} threadIndex - Thread index (optional)
+ * @returns {Object} Output sink
+ */
+function createPdfSink(config, target, services, threadIndex) {
+  const sink = createDocSink(config, services, threadIndex)
+  return Object.assign(sink, {
+    type: 'pdf',
+    finish: () => saveMonthlySnapshot(sink.getDocument(), target, services),
+  })
+}
+
+/**
+ * Export a Doc as this month's PDF snapshot, replacing an earlier snapshot
+ * of the same month. Snapshots go to `target.folderId` or next to the doc.
+ *
+ * @param {Object} doc - Document to export
+ * @param {Object} target - Target settings (folderId, title)
+ * @param {Object} services - GAS services (DriveApp, Logger, Utilities, Session)
+ * @returns {Object} The saved PDF file
+ */
+function saveMonthlySnapshot(doc, target, services) {
+  const { DriveApp, Logger } = services
+  const [yyyy, MM] = getCurrentDateParts(services)
+  const fileName =
+    expandTitle(target.title || DEFAULT_SNAPSHOT_TITLE, {
+      name: doc.getName(),
+      yyyy,
+      MM,
+    }) + '.pdf'
+
+  // The export only sees DocumentApp edits once they are saved
+  doc.saveAndClose()
+  const docFile = DriveApp.getFileById(doc.getId())
+  let folder
+  if (target.folderId) {
+    folder = DriveApp.getFolderById(target.folderId)
+  } else {
+    const parents = docFile.getParents()
+    folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder()
+  }
+
+  const previous = folder.getFilesByName(fileName)
+  while (previous.hasNext()) previous.next().setTrashed(true)
+
+  const blob = docFile.getAs('application/pdf')
+  blob.setName(fileName)
+  const file = folder.createFile(blob)
+  Logger.log('Saved PDF snapshot: ' + fileName)
+  console.log('[processLabelGroup] Saved PDF snapshot:', file.getId())
+  return file
+}
+
+/**
+ * Open (or create) the Markdown file of a markdown target: `target.fileId`,
+ * or `target.fileName` (default: "<trigger label>.md") in `target.folderId`
+ * or the attachment folder.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} target - Target settings (fileId, fileName, folderId)
+ * @param {Object} DriveApp - GAS DriveApp service
+ * @returns {Object} Drive file
+ */
+function openMarkdownFile(config, target, DriveApp) {
+  if (target.fileId) return DriveApp.getFileById(target.fileId)
+  const folder = DriveApp.getFolderById(target.folderId || config.folderId)
+  const fileName =
+    target.fileName || sanitizeFolderName(config.triggerLabel) + '.md'
+  const files = folder.getFilesByName(fileName)
+  return files.hasNext()
+    ? files.next()
+    : folder.createFile(fileName, '', 'text/markdown')
+}
+
+/**
+ * Output sink that archives into a Markdown file in Drive. The file is
+ * parsed into a paragraph buffer, so threads are prepended and replaced
+ * exactly like in a Doc, and written back once at the end of the run.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} target - Target settings (fileId, fileName, folderId)
+ * @param {Object} services - GAS services (DriveApp)
+ * @param {Function} removeFromDoc - Removes a thread from a body
+ * @returns {Object} Output sink
+ */
+function createMarkdownSink(config, target, services, removeFromDoc) {
+  const file = openMarkdownFile(config, target, services.DriveApp)
+  const body = createParagraphBuffer(
+    parseMarkdown(file.getBlob().getDataAsString())
+  )
+  let changed = false
+  const sink = {
+    type: 'markdown',
+    body,
+    removeThread: (threadId) => {
+      const removed = removeFromDoc(body, threadId)
+      if (removed) changed = true
+      return removed
+    },
+    startThread: () => {},
+    endMessage: () => {},
+    endThread: () => {
+      changed = true
+    },
+    locateThread: () => ({ docId: file.getId(), bookmarkId: '' }),
+    flush: () => {
+      if (changed) file.setContent(renderMarkdown(body))
+      changed = false
+    },
+    finish: () => sink.flush(),
+  }
+  return sink
+}
+
+/**
+ * Open the sheet of a sheet target (`target.sheetName`, default "Messages")
+ * and add the header row to an empty sheet.
+ *
+ * @param {Object} target - Target settings (spreadsheetId, sheetName)
+ * @param {Object} SpreadsheetApp - GAS SpreadsheetApp service
+ * @returns {Object} Sheet
+ * @throws {Error} If no spreadsheetId is configured
+ */
+function openTargetSheet(target, SpreadsheetApp) {
+  if (!target.spreadsheetId) {
+    throw new Error('Sheet target needs a spreadsheetId')
+  }
+  const spreadsheet = SpreadsheetApp.openById(target.spreadsheetId)
+  const sheetName = target.sheetName || 'Messages'
+  const sheet =
+    spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName)
+  if (sheet.getLastRow() === 0) sheet.appendRow(SHEET_TARGET_HEADERS)
+  return sheet
+}
+
+/**
+ * Delete the rows of a thread from a sheet target.
+ *
+ * @param {Object} sheet - Sheet
+ * @param {string} threadId - Thread ID (first column)
+ * @returns {boolean} True if any row was deleted
+ */
+function removeSheetRows(sheet, threadId) {
+  const values = sheet.getDataRange().getValues()
+  let removed = false
+  // Delete bottom-up so the remaining row numbers stay valid
+  for (let i = values.length - 1; i >= 1; i--) {
+    if (String(values[i][0]) === threadId) {
+      sheet.deleteRow(i + 1)
+      removed = true
+    }
+  }
+  return removed
+}
+
+/**
+ * Build the sheet row of a message. Attachments are read from the entries
+ * the archive flow wrote into the buffer, as "name <url>" lines.
+ *
+ * @param {Object} message - Gmail message object
+ * @param {Object} body - Paragraph buffer holding the message's paragraphs
+ * @param {Object} options - Archive options (threadId, config)
+ * @returns {Array} Row values (see SHEET_TARGET_HEADERS)
+ */
+function buildMessageRow(message, body, options) {
+  const attachments = body
+    .getParagraphs()
+    .filter((para) => para.getLinkUrl() && para.getText().startsWith('- '))
+    .map((para) => para.getText().slice(2) + ' <' + para.getLinkUrl() + '>')
+  // Redacted again here since the cells hold the raw sender, body and
+  // subject; the buffer's copy was already counted (see processMessageToDoc)
+  const redaction = resolveRedactionSettings(options.config)
+  let text = redactText(getMessageBody(message, options.config), redaction)
+  if (text.length > SHEET_CELL_LIMIT) {
+    text = text.slice(0, SHEET_CELL_LIMIT - 1) + '…'
+  }
+  return [
+    options.threadId || '',
+    message.getDate(),
+    redactText(message.getFrom(), redaction),
+    redactText(message.getSubject(), redaction) || '(No Subject)',
+    text,
+    attachments.join('\n'),
+  ]
+}
+
+/**
+ * Output sink that writes one Google Sheet row per message. The archive
+ * flow still runs (saving attachments) into a scratch buffer, which is
+ * turned into a row after each message. A replaced thread's rows are
+ * deleted and its messages appended again.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} target - Target settings (spreadsheetId, sheetName)
+ * @param {Object} services - GAS services (SpreadsheetApp)
+ * @returns {Object} Output sink
+ */
+function createSheetSink(config, target, services) {
+  const sheet = openTargetSheet(target, services.SpreadsheetApp)
+  const body = createParagraphBuffer()
+  const rows = []
+  return {
+    type: 'sheet',
+    body,
+    removeThread: (threadId) => removeSheetRows(sheet, threadId),
+    startThread: () => {},
+    endMessage: (message, options) => {
+      rows.push(buildMessageRow(message, body, options))
+      body.clear()
+    },
+    endThread: () => {
+      rows.forEach((row) => sheet.appendRow(row))
+      rows.length = 0
+      body.clear()
+    },
+    locateThread: () => ({ docId: target.spreadsheetId, bookmarkId: '' }),
+    finish: () => {},
+  }
+}
+
+/**
+ * Output sink factories by target type. A sink exposes the `body` the
+ * archive flow writes into, `removeThread(threadId)`, and the hooks
+ * `startThread(threadId)`, `endMessage(message, options)`, `endThread()` and
+ * `finish()` called by processLabelGroup/processMessagesToDoc.
+ * `locateThread()` returns where the thread just written lives
+ * (`{docId, bookmarkId}`) for the thread index; `locateThread(false)`
+ * leaves out the bookmark. Sinks that set
+ * `marksThreads` delimit threads themselves, so no `[THREAD:id]` marker is
+ * written; the others find threads by that marker. Inline images are only
+ * embedded into sinks that set `embedsImages`. Sinks that buffer their
+ * content (Markdown) write it out in `flush()`, which `finish()` also calls.
+ */
+const OUTPUT_SINKS = {
+  doc: (config, target, services, removeFromDoc, threadIndex) =>
+    createDocSink(config, services, threadIndex),
+  markdown: createMarkdownSink,
+  pdf: (config, target, services, removeFromDoc, threadIndex) =>
+    createPdfSink(config, target, services, threadIndex),
+  sheet: createSheetSink,
+}
+
+/**
+ * Create the output sink selected by the config's `target`.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} services - GAS services
+ * @param {Function} removeFromDoc - Removes a thread from a (Doc) body
+ * @param {Object} threadIndex - Thread index from openThreadIndex (optional)
+ * @returns {Object} Output sink
+ */
+function createOutputSink(
+  config,
+  services,
+  removeFromDoc = removeExistingThread,
+  threadIndex = null
+) {
+  const target = resolveOutputTarget(config)
+  return OUTPUT_SINKS[target.type](
+    config,
+    target,
+    services,
+    removeFromDoc,
+    threadIndex
+  )
+}
+
+/**
+ * Empty the output target of a config for a rebuild. Doc-based targets are
+ * cleared and lose their rollover volumes (see resetDocChain); PDF
+ * snapshots of earlier months are kept. The thread index, if any, keeps
+ * only its header row, the message ledger drops the config's rows and the
+ * search window (see loadSearchWindow) is reset.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} services - GAS services (DocumentApp, DriveApp, PropertiesService, SpreadsheetApp)
+ */
+function clearOutputTarget(config, services) {
+  const target = resolveOutputTarget(config)
+  if (target.type === 'markdown') {
+    openMarkdownFile(config, target, services.DriveApp).setContent('')
+  } else if (target.type === 'sheet') {
+    const sheet = openTargetSheet(target, services.SpreadsheetApp)
+    if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1)
+  } else {
+    const doc = services.DocumentApp.openById(config.docId)
+    // Clear all content from the document body in a single operation
+    doc.getBody().setText('')
+    resetDocChain(config, services)
+  }
+
+  const indexSettings = resolveThreadIndexSettings(config)
+  if (indexSettings) {
+    const { sheet } = openThreadIndex(indexSettings, services.SpreadsheetApp)
+    if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1)
+  }
+  // Rebuilt threads must not look archived already
+  const ledgerSettings = resolveLedgerSettings(config)
+  if (ledgerSettings) {
+    dropLedgerRows(
+      openMessageLedger(ledgerSettings, services.SpreadsheetApp),
+      config.triggerLabel
+    )
+  }
+  // ...and the trigger search must match them again
+  services.PropertiesService?.getScriptProperties().deleteProperty(
+    getSearchWindowKey(config.triggerLabel)
+  )
+}
+
+/** Header row of the companion thread index sheet (one row per thread). */
+const THREAD_INDEX_HEADERS = [
+  'Thread ID',
+  'Subject',
+  'Participants',
+  'First Date',
+  'Last Date',
+  'Messages',
+  'Attachments',
+  'Doc ID',
+  'Bookmark ID',
+]
+
+/**
+ * Resolve the config's `threadIndex` setting: a spreadsheet ID or
+ * `{ spreadsheetId, sheetName }` (sheet name defaults to "Threads").
+ *
+ * @param {Object} config - Configuration object (reads threadIndex)
+ * @returns {{spreadsheetId: string, sheetName: string}|null} Settings, or null when disabled
+ * @throws {Error} If the setting has no spreadsheetId
+ */
+function resolveThreadIndexSettings(config = {}) {
+  const setting = config.threadIndex
+  if (!setting) return null
+  const settings =
+    typeof setting === 'string' ? { spreadsheetId: setting } : setting
+  if (!settings.spreadsheetId) {
+    throw new Error('threadIndex needs a spreadsheetId')
+  }
+  return { sheetName: 'Threads', ...settings }
+}
+
+/**
+ * Open the companion thread index sheet, adding the header row to a new
+ * sheet, and read its rows into a lookup by thread ID.
+ *
+ * @param {Object} settings - Settings from resolveThreadIndexSettings
+ * @param {Object} SpreadsheetApp - GAS SpreadsheetApp service
+ * @returns {Object} Thread index ({sheet, rows, created})
+ */
+function openThreadIndex(settings, SpreadsheetApp) {
+  const spreadsheet = SpreadsheetApp.openById(settings.spreadsheetId)
+  const sheet =
+    spreadsheet.getSheetByName(settings.sheetName) ||
+    spreadsheet.insertSheet(settings.sheetName)
+  const created = sheet.getLastRow() === 0
+  if (created) sheet.appendRow(THREAD_INDEX_HEADERS)
+
+  const rows = {}
+  sheet
+    .getDataRange()
+    .getValues()
+    .forEach((values, i) => {
+      if (i === 0 || !values[0]) return
+      // Sheets reads numeric-looking IDs back as numbers
+      values[0] = String(values[0])
+      rows[values[0]] = { rowNumber: i + 1, values }
+    })
+  return { sheet, rows, created }
+}
+
+/**
+ * Look up a thread in the index.
+ *
+ * @param {Object} index - Thread index
+ * @param {string} threadId - Thread ID
+ * @returns {{docId: string, bookmarkId: string, attachments: string}|null} Location and attachment lines, or null if not indexed
+ */
+function findThreadIndexEntry(index, threadId) {
+  const row = index.rows[threadId]
+  if (!row) return null
+  return {
+    docId: row.values[7],
+    bookmarkId: row.values[8],
+    attachments: row.values[6],
+  }
+}
+
+/**
+ * Write a thread's row, updating it in place when the thread is indexed.
+ *
+ * @param {Object} index - Thread index
+ * @param {Array} values - Row values (see THREAD_INDEX_HEADERS)
+ */
+function writeThreadIndexRow(index, values) {
+  const row = index.rows[values[0]]
+  if (row) {
+    index.sheet.getRange(row.rowNumber, 1, 1, values.length).setValues([values])
+    row.values = values
+  } else {
+    index.sheet.appendRow(values)
+    index.rows[values[0]] = { rowNumber: index.sheet.getLastRow(), values }
+  }
+}
+
+/**
+ * Split address headers ("Name <a@x>, b@y") into unique lower-cased
+ * addresses. Commas inside quoted names are kept.
+ *
+ * @param {Array<string>} headers - From/To/Cc header values
+ * @returns {Array<string>} Addresses in first-seen order
+ */
+function collectParticipants(headers) {
+  const participants = []
+  headers.forEach((header) => {
+    ;(header || '').split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).forEach((part) => {
+      const address = getSenderAddress(part)
+      if (address && !participants.includes(address)) participants.push(address)
+    })
+  })
+  return participants
+}
+
+/**
+ * Build the index row of an archived thread.
+ *
+ * @param {string} threadId - Thread ID
+ * @param {Array} messages - Archived messages of the thread
+ * @param {Array<{name: string, url: string}>} attachments - Attachment entries written
+ * @param {{docId: string, bookmarkId: string}} location - Where the thread was written
+ * @param {string} keptAttachments - Attachment lines of messages kept from an earlier run
+ * @param {Object} redaction - Settings from resolveRedactionSettings, applied to the subject and participants (optional)
+ * @returns {Array} Row values (see THREAD_INDEX_HEADERS)
+ */
+function buildThreadIndexRow(
+  threadId,
+  messages,
+  attachments,
+  location,
+  keptAttachments = '',
+  redaction = null
+) {
+  const sorted = messages
+    .slice()
+    .sort((a, b) => a.getDate().getTime() - b.getDate().getTime())
+  const participants = collectParticipants(
+    sorted.flatMap((message) => [
+      message.getFrom(),
+      message.getTo(),
+      message.getCc(),
+    ])
+  )
+  return [
+    threadId,
+    redactText(sorted[0].getSubject(), redaction) || '(No Subject)',
+    redactText(participants.join(', '), redaction),
+    sorted[0].getDate(),
+    sorted[sorted.length - 1].getDate(),
+    sorted.length,
+    [keptAttachments]
+      .concat(attachments.map((att) => att.name + ' <' + att.url + '>'))
+      .filter(Boolean)
+      .join('\n'),
+    location.docId,
+    location.bookmarkId,
+  ]
+}
+
+/**
+ * Add the threads already archived in the given volumes to a new index,
+ * with their location only. A bookmark is placed at the start of each
+ * thread's named range; the other columns are filled when the thread is
+ * next archived.
+ *
+ * @param {Object} index - Thread index
+ * @param {Array<{id: string, doc: Object}>} volumes - Volumes, oldest first
+ */
+function backfillThreadIndex(index, volumes) {
+  volumes.forEach(({ id, doc }) => {
+    const body = doc.getBody()
+    doc
+      .getNamedRanges()
+      .filter((namedRange) =>
+        namedRange.getName().startsWith(THREAD_RANGE_PREFIX)
+      )
+      .map((namedRange) => ({
+        threadId: namedRange.getName().slice(THREAD_RANGE_PREFIX.length),
+        first: namedRange.getRange().getRangeElements()[0].getElement(),
+      }))
+      // Top of the doc first, like the archive itself
+      .sort((a, b) => body.getChildIndex(a.first) - body.getChildIndex(b.first))
+      .forEach(({ threadId, first }) => {
+        const bookmark = doc.addBookmark(doc.newPosition(first, 0))
+        writeThreadIndexRow(index, [
+          threadId,
+          '',
+          '',
+          '',
+          '',
+          '',
+          '',
+          id,
+          bookmark.getId(),
+        ])
+      })
+  })
+  console.log(
+    '[processLabelGroup] Indexed',
+    Object.keys(index.rows).length,
+    'existing threads'
+  )
+}
+
+/** Header row of the message ledger sheet. */
+const MESSAGE_LEDGER_HEADERS = [
+  'Message ID',
+  'Thread ID',
+  'Label',
+  'Doc ID',
+  'Attachment IDs',
+  'Archived At',
+]
+
+/**
+ * Resolve the config's `messageLedger` setting: a spreadsheet ID or
+ * `{ spreadsheetId, sheetName }` (sheet name defaults to "Ledger").
+ *
+ * @param {Object} config - Configuration object (reads messageLedger)
+ * @returns {{spreadsheetId: string, sheetName: string}|null} Settings, or null when disabled
+ * @throws {Error} If the setting has no spreadsheetId
+ */
+function resolveLedgerSettings(config = {}) {
+  const setting = config.messageLedger
+  if (!setting) return null
+  const settings =
+    typeof setting === 'string' ? { spreadsheetId: setting } : setting
+  if (!settings.spreadsheetId) {
+    throw new Error('messageLedger needs a spreadsheetId')
+  }
+  return { sheetName: 'Ledger', ...settings }
+}
+
+/**
+ * Lookup key of a ledger row. Configs may share a ledger sheet, so a row
+ * belongs to the trigger label that archived the message.
+ *
+ * @param {string} label - Trigger label
+ * @param {string} messageId - Gmail message ID
+ * @returns {string} Row key
+ */
+function getLedgerKey(label, messageId) {
+  return label + '\n' + messageId
+}
+
+/**
+ * Open the message ledger sheet, adding the header row to a new sheet, and
+ * read its rows into a lookup by label and message ID.
+ *
+ * @param {Object} settings - Settings from resolveLedgerSettings
+ * @param {Object} SpreadsheetApp - GAS SpreadsheetApp service
+ * @returns {Object} Ledger ({sheet, rows})
+ */
+function openMessageLedger(settings, SpreadsheetApp) {
+  const spreadsheet = SpreadsheetApp.openById(settings.spreadsheetId)
+  const sheet =
+    spreadsheet.getSheetByName(settings.sheetName) ||
+    spreadsheet.insertSheet(settings.sheetName)
+  if (sheet.getLastRow() === 0) sheet.appendRow(MESSAGE_LEDGER_HEADERS)
+
+  const rows = {}
+  sheet
+    .getDataRange()
+    .getValues()
+    .forEach((values, i) => {
+      if (i === 0 || !values[0]) return
+      // Sheets reads numeric-looking IDs and labels back as numbers; the
+      // lookups and label comparisons expect strings
+      for (let col = 0; col < 3; col++) values[col] = String(values[col])
+      rows[getLedgerKey(values[2], values[0])] = { rowNumber: i + 1, values }
+    })
+  return { sheet, rows }
+}
+
+/**
+ * Whether the ledger lists every message of a thread for the label, i.e.
+ * the thread was archived before and has nothing new.
+ *
+ * @param {Object} ledger - Message ledger
+ * @param {string} label - Trigger label
+ * @param {Array} messages - Messages of the thread (after filters)
+ * @returns {boolean} True if all messages are archived already
+ */
+function isArchivedInLedger(ledger, label, messages) {
+  return (
+    messages.length > 0 &&
+    messages.every(
+      (message) => ledger.rows[getLedgerKey(label, message.getId())]
+    )
+  )
+}
+
+/**
+ * Record the messages of an archived thread. Messages written by this run
+ * get the Drive file IDs of their attachments; messages the output kept
+ * from an earlier run keep their row (or get one without file IDs).
+ *
+ * @param {Object} ledger - Message ledger
+ * @param {string} label - Trigger label
+ * @param {string} threadId - Gmail thread ID
+ * @param {Array} messages - Messages of the thread (after filters)
+ * @param {Array<{messageId: string, fileIds: Array<string>}>} written - Messages written by this run
+ * @param {string} docId - Doc (volume) or file the thread was written to
+ */
+function recordLedgerMessages(
+  ledger,
+  label,
+  threadId,
+  messages,
+  written,
+  docId
+) {
+  const archivedAt = new Date()
+  messages.forEach((message) => {
+    const messageId = message.getId()
+    const key = getLedgerKey(label, messageId)
+    const entry = written.find((candidate) => candidate.messageId === messageId)
+    const row = ledger.rows[key]
+    if (row && !entry) return
+    const values = [
+      messageId,
+      threadId,
+      label,
+      docId,
+      entry ? entry.fileIds.join(', ') : '',
+      archivedAt,
+    ]
+    if (row) {
+      ledger.sheet
+        .getRange(row.rowNumber, 1, 1, values.length)
+        .setValues([values])
+      row.values = values
+    } else {
+      ledger.sheet.appendRow(values)
+      ledger.rows[key] = { rowNumber: ledger.sheet.getLastRow(), values }
+    }
+  })
+}
+
+/**
+ * Drop the ledger rows of a label (only of the given threads, if any), e.g.
+ * when a rebuild removes them from the output, so they are archived again.
+ * The kept rows are written back in one go.
+ *
+ * @param {Object} ledger - Message ledger
+ * @param {string} label - Trigger label
+ * @param {Array<string>} threadIds - Threads to drop (optional, default: all)
+ */
+function dropLedgerRows(ledger, label, threadIds = null) {
+  const rows = Object.values(ledger.rows).sort(
+    (a, b) => a.rowNumber - b.rowNumber
+  )
+  const kept = rows.filter(
+    ({ values }) =>
+      values[2] !== label ||
+      (threadIds !== null && !threadIds.includes(String(values[1])))
+  )
+  if (kept.length === rows.length) return
+
+  const { sheet } = ledger
+  if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1)
+  const width = MESSAGE_LEDGER_HEADERS.length
+  if (kept.length > 0) {
+    sheet
+      .getRange(2, 1, kept.length, width)
+      .setValues(kept.map((row) => row.values.slice(0, width)))
+  }
+  ledger.rows = {}
+  kept.forEach((row, i) => {
+    ledger.rows[getLedgerKey(row.values[2], row.values[0])] = {
+      rowNumber: i + 2,
+      values: row.values,
+    }
+  })
+}
+
+/**
+ * Compare a config's message ledger with its doc: ledger messages whose
+ * `message:<id>` range is in none of the doc's volumes (removed by hand or
+ * by a rebuild), messages in the doc that the ledger does not list, and
+ * attachment files that were deleted or trashed since.
+ *
+ * @param {Object} config - Configuration object with a messageLedger
+ * @param {Object} services - GAS services (DocumentApp, DriveApp, SpreadsheetApp, PropertiesService)
+ * @returns {{triggerLabel: string, ledgerMessages: number, missingFromDoc: Array<{messageId: string, threadId: string}>, missingFromLedger: Array<string>, missingFiles: Array<{messageId: string, fileId: string}>}} Report
+ * @throws {Error} If the config has no ledger or does not archive into a doc
+ */
+function reconcileLedger(config, services) {
+  const { DocumentApp, DriveApp, SpreadsheetApp, PropertiesService } = services
+  const settings = resolveLedgerSettings(config)
+  if (!settings) {
+    throw new Error('No messageLedger set for ' + config.triggerLabel)
+  }
+  const { type } = resolveOutputTarget(config)
+  if (type !== 'doc' && type !== 'pdf') {
+    throw new Error('Ledger reconciliation needs a doc or pdf target')
+  }
+
+  const inDoc = new Set()
+  loadDocChain(PropertiesService, config.docId).forEach((volume) => {
+    DocumentApp.openById(volume.id)
+      .getNamedRanges()
+      .forEach((namedRange) => {
+        const name = namedRange.getName()
+        if (name.startsWith(MESSAGE_RANGE_PREFIX)) {
+          inDoc.add(name.slice(MESSAGE_RANGE_PREFIX.length))
+        }
+      })
+  })
+  const fileExists = (fileId) => {
+    try {
+      return !DriveApp.getFileById(fileId).isTrashed()
+    } catch (e) {
+      return false
+    }
+  }
+
+  const rows = Object.values(
+    openMessageLedger(settings, SpreadsheetApp).rows
+  ).filter((row) => row.values[2] === config.triggerLabel)
+  const listed = new Set(rows.map((row) => row.values[0]))
+  return {
+    triggerLabel: config.triggerLabel,
+    ledgerMessages: rows.length,
+    missingFromDoc: rows
+      .filter((row) => !inDoc.has(row.values[0]))
+      .map((row) => ({ messageId: row.values[0], threadId: row.values[1] })),
+    missingFromLedger: [...inDoc].filter((messageId) => !listed.has(messageId)),
+    missingFiles: rows.flatMap((row) =>
+      String(row.values[4])
+        .split(', ')
+        .filter((fileId) => fileId && !fileExists(fileId))
+        .map((fileId) => ({ messageId: row.values[0], fileId }))
+    ),
+  }
+}
+
+/**
+ * Render a reconciliation report (see reconcileLedger) as plain-text lines.
+ *
+ * @param {Object} report - Report from reconcileLedger
+ * @returns {string} Report text
+ */
+function formatLedgerReport(report) {
+  const lines = [
+    report.triggerLabel +
+      ': ' +
+      report.ledgerMessages +
+      ' message(s) in the ledger',
+  ]
+  const section = (title, entries) => {
+    if (entries.length === 0) return
+    lines.push(title + ' (' + entries.length + '):')
+    entries.forEach((entry) => lines.push('- ' + entry))
+  }
+  section(
+    'In the ledger but not in the doc',
+    report.missingFromDoc.map(
+      (entry) => entry.messageId + ' (thread ' + entry.threadId + ')'
+    )
+  )
+  section('In the doc but not in the ledger', report.missingFromLedger)
+  section(
+    'Missing attachment files',
+    report.missingFiles.map(
+      (entry) => entry.fileId + ' (message ' + entry.messageId + ')'
+    )
+  )
+  if (lines.length === 1) lines.push('Ledger and doc match.')
+  return lines.join('\n')
+}
+
+/**
+ * Start the dry-run record of one label group. A dry run walks the normal
+ * archive path but collects what it would do here instead of doing it.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object} Preview ({triggerLabel, threads, folders, files, duplicates, conversions, inlineImages, labelMoves, redactions, skippedMessages, errors})
+ */
+function createLabelGroupPreview(config) {
+  return {
+    triggerLabel: config.triggerLabel,
+    threads: [],
+    folders: [],
+    files: [],
+    duplicates: [],
+    conversions: [],
+    inlineImages: [],
+    labelMoves: [],
+    redactions: [],
+    skippedMessages: 0,
+    errors: [],
+  }
+}
+
+/**
+ * Output sink of a dry run: every thread is written into a fresh paragraph
+ * buffer whose text is recorded as the thread's paragraphs, so nothing in
+ * the configured target changes. Thread markers follow the configured
+ * target (see OUTPUT_SINKS).
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} preview - Preview from createLabelGroupPreview
+ * @returns {Object} Output sink
+ */
+function createPreviewSink(config, preview) {
+  const body = createParagraphBuffer()
+  const { type } = resolveOutputTarget(config)
+  let thread = null
+  return {
+    type: 'preview',
+    body,
+    removeThread: () => false,
+    startThread: (threadId) => {
+      body.clear()
+      thread = { threadId, paragraphs: [] }
+      preview.threads.push(thread)
+    },
+    endMessage: () => {},
+    endThread: () => {
+      thread.paragraphs = body.getParagraphs().map((para) => para.getText())
+    },
+    locateThread: () => ({ docId: '', bookmarkId: '' }),
+    marksThreads: type === 'doc' || type === 'pdf',
+    embedsImages: type === 'doc' || type === 'pdf',
+    finish: () => {},
+  }
+}
+
+/**
+ * Wrap a Drive folder for a dry run. Lookups reach the real folder; files
+ * and subfolders it would create are recorded in the preview and stand in
+ * as placeholders (a placeholder folder is empty).
+ *
+ * @param {Object|null} folder - Drive folder, or null for a folder to create
+ * @param {Object} preview - Preview from createLabelGroupPreview
+ * @param {string} path - Path below the configured folder ('' for the root)
+ * @returns {Object} Folder with the Drive folder interface
+ */
+function createPreviewFolder(folder, preview, path = '') {
+  const emptyIterator = { hasNext: () => false, next: () => null }
+  const childPath = (name) => (path ? path + '/' + name : name)
+  const wrapFolders = (iterator) => ({
+    hasNext: () => iterator.hasNext(),
+    next: () => {
+      const child = iterator.next()
+      return createPreviewFolder(child, preview, childPath(child.getName()))
+    },
+  })
+  return {
+    getId: () => (folder ? folder.getId() : 'dry-run:' + path),
+    getName: () => (folder ? folder.getName() : path.split('/').pop()),
+    getFiles: () => (folder ? folder.getFiles() : emptyIterator),
+    getFilesByName: (name) =>
+      folder ? folder.getFilesByName(name) : emptyIterator,
+    getFolders: () =>
+      folder ? wrapFolders(folder.getFolders()) : emptyIterator,
+    getFoldersByName: (name) =>
+      folder ? wrapFolders(folder.getFoldersByName(name)) : emptyIterator,
+    createFolder: (name) => {
+      preview.folders.push(childPath(name))
+      return createPreviewFolder(null, preview, childPath(name))
+    },
+    createFile: (blob) => {
+      const name = blob.getName()
+      preview.files.push(childPath(name))
+      return {
+        getId: () => 'dry-run:' + childPath(name),
+        getName: () => name,
+        getUrl: () => '',
+      }
+    },
+  }
+}
+
+/**
+ * Render a dry-run report as plain text, one section per label group.
+ *
+ * @param {Object} report - Report returned by a dry run of storeEmailsAndAttachments
+ * @returns {string} Report text
+ */
+function formatDryRunReport(report) {
+  const lines = [
+    'Dry run of ' +
+      report.groups.length +
+      ' label group(s)' +
+      (report.completed ? '' : ' (stopped early by the time budget)'),
+  ]
+  const list = (title, items) => {
+    if (items.length === 0) return
+    lines.push(title + ':')
+    items.forEach((item) => lines.push('- ' + item))
+  }
+  list('Configuration errors (nothing would run)', report.configErrors)
+  report.groups.forEach((group) => {
+    lines.push('', '== ' + group.triggerLabel + ' ==')
+    list('Errors', group.errors)
+    group.threads.forEach((thread) => {
+      lines.push(
+        'Thread ' +
+          thread.threadId +
+          ': ' +
+          thread.paragraphs.length +
+          ' paragraph(s)'
+      )
+      thread.paragraphs.forEach((text) => lines.push('    ' + text))
+    })
+    list('Folders to create', group.folders)
+    list('Files to create', group.files)
+    list('Attachments to convert', group.conversions)
+    list(
+      'Inline images',
+      group.inlineImages.map(
+        (image) =>
+          image.name +
+          (image.action === 'embed' ? ' (embed)' : ' (skip as signature)')
+      )
+    )
+    list(
+      'Duplicates skipped',
+      group.duplicates.map(
+        (dup) => dup.name + ' (existing: ' + dup.existing + ')'
+      )
+    )
+    list(
+      'Label moves',
+      group.labelMoves.map(
+        (move) =>
+          move.threadId + ': ' + move.from + ' -> ' + (move.to || '(none)')
+      )
+    )
+    list(
+      'Redactions',
+      group.redactions.map(
+        (entry) => entry.subject + ': ' + formatRedactionCounts(entry.counts)
+      )
+    )
+    if (group.skippedMessages > 0) {
+      lines.push(
+        'Skipped by filter rules: ' + group.skippedMessages + ' message(s)'
+      )
+    }
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Config fields every label group needs (docId too for doc and pdf targets,
+ * processedLabel unless a messageLedger records what was archived).
+ */
+const REQUIRED_CONFIG_FIELDS = ['triggerLabel', 'processedLabel', 'folderId']
+
+/**
+ * Run a check of validateConfigs, turning a thrown error into a problem.
+ *
+ * @param {Array<string>} problems - List to add the problem to
+ * @param {string} prefix - Text naming the config and setting
+ * @param {Function} check - Check to run
+ */
+function collectProblem(problems, prefix, check) {
+  try {
+    check()
+  } catch (e) {
+    problems.push(prefix + e.message)
+  }
+}
+
+/**
+ * Check the label group configs before a run changes anything: required
+ * fields, the options resolved at archive time, filter patterns, labels
+ * that overlap between configs (a shared trigger or processed label, or a
+ * processed label that another config treats as its trigger, which would
+ * archive the same threads again or in a loop) and, with the services
+ * given, access to the doc, folder and sheets. A trigger label that does not
+ * exist yet is only a warning: processLabelGroup skips the config until it
+ * does (or creates it, for a config with a triggerQuery).
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Object} services - GAS services to check access with (GmailApp, DocumentApp, DriveApp, SpreadsheetApp; each optional)
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Problems, each naming its config
+ */
+function validateConfigs(configs, services = {}) {
+  const { GmailApp, DocumentApp, DriveApp, SpreadsheetApp } = services
+  const errors = []
+  const warnings = []
+  const describe = (index) =>
+    'Config ' +
+    (index + 1) +
+    ' (' +
+    (configs[index].triggerLabel || 'no triggerLabel') +
+    '): '
+
+  configs.forEach((config, index) => {
+    const prefix = describe(index)
+    let target = null
+    collectProblem(errors, prefix, () => {
+      target = resolveOutputTarget(config)
+    })
+    const needsDoc = target && (target.type === 'doc' || target.type === 'pdf')
+    const missing = REQUIRED_CONFIG_FIELDS.concat(needsDoc ? ['docId'] : [])
+      // The message ledger can record what was archived instead
+      .filter((field) => field !== 'processedLabel' || !config.messageLedger)
+      .filter((field) => !config[field])
+    if (missing.length > 0) {
+      errors.push(prefix + 'missing ' + missing.join(', '))
+    }
+    if (config.triggerLabel && config.triggerLabel === config.processedLabel) {
+      errors.push(
+        prefix +
+          'triggerLabel and processedLabel are both ' +
+          config.triggerLabel +
+          ', so archived threads would be archived again on every run'
+      )
+    }
+
+    collectProblem(errors, prefix, () => resolveArchiveOrder(config))
+    collectProblem(errors, prefix, () => resolveRetrySettings(config))
+    collectProblem(errors, prefix, () => resolveRedactionSettings(config))
+    collectProblem(errors, prefix, () =>
+      resolveCleanBodyRules(config.bodyCleanup)
+    )
+    let indexSettings = null
+    collectProblem(errors, prefix, () => {
+      indexSettings = resolveThreadIndexSettings(config)
+    })
+    let ledgerSettings = null
+    collectProblem(errors, prefix, () => {
+      ledgerSettings = resolveLedgerSettings(config)
+    })
+    if (target?.type === 'sheet' && !target.spreadsheetId) {
+      errors.push(prefix + 'sheet target needs a spreadsheetId')
+    }
+    collectProblem(errors, prefix, () => buildTriggerSearch(config))
+    const filters = config.filters || {}
+    ;['include', 'exclude'].forEach((kind) => {
+      ;[].concat(filters[kind] || []).forEach((rule, ruleIndex) => {
+        ;['from', 'subject'].forEach((field) => {
+          if (!rule[field]) return
+          collectProblem(
+            errors,
+            prefix +
+              'filters.' +
+              kind +
+              ' rule ' +
+              (ruleIndex + 1) +
+              ' ' +
+              field +
+              ': ',
+            () => toFilterRegExp(rule[field])
+          )
+        })
+      })
+    })
+
+    // Access checks, for the services the caller passed in
+    if (needsDoc && config.docId && DocumentApp) {
+      collectProblem(errors, prefix + 'cannot open docId: ', () =>
+        DocumentApp.openById(config.docId)
+      )
+    }
+    if (config.folderId && DriveApp) {
+      collectProblem(errors, prefix + 'cannot open folderId: ', () =>
+        DriveApp.getFolderById(config.folderId)
+      )
+    }
+    if (SpreadsheetApp) {
+      if (target?.type === 'sheet' && target.spreadsheetId) {
+        collectProblem(errors, prefix + 'cannot open the sheet target: ', () =>
+          SpreadsheetApp.openById(target.spreadsheetId)
+        )
+      }
+      if (indexSettings) {
+        collectProblem(errors, prefix + 'cannot open the thread index: ', () =>
+          SpreadsheetApp.openById(indexSettings.spreadsheetId)
+        )
+      }
+      if (ledgerSettings) {
+        collectProblem(
+          errors,
+          prefix + 'cannot open the message ledger: ',
+          () => SpreadsheetApp.openById(ledgerSettings.spreadsheetId)
+        )
+      }
+    }
+    if (
+      config.messageLedger &&
+      !config.processedLabel &&
+      config.triggerQuery === undefined
+    ) {
+      warnings.push(
+        prefix +
+          'no processedLabel or triggerQuery, so a rebuild cannot find the archived threads again'
+      )
+    }
+    if (
+      config.triggerLabel &&
+      config.triggerQuery === undefined &&
+      GmailApp &&
+      !GmailApp.getUserLabelByName(config.triggerLabel)
+    ) {
+      warnings.push(prefix + 'trigger label not found: ' + config.triggerLabel)
+    }
+  })
+
+  // Labels shared between configs
+  configs.forEach((config, index) => {
+    configs.forEach((other, otherIndex) => {
+      if (otherIndex === index) return
+      const otherName = describe(otherIndex).slice(0, -2)
+      if (
+        otherIndex < index &&
+        config.triggerLabel &&
+        config.triggerLabel === other.triggerLabel
+      ) {
+        errors.push(
+          describe(index) + 'triggerLabel is also used by ' + otherName
+        )
+      }
+      if (
+        otherIndex < index &&
+        config.processedLabel &&
+        config.processedLabel === other.processedLabel
+      ) {
+        errors.push(
+          describe(index) +
+            'processedLabel is also used by ' +
+            otherName +
+            ', so a rebuild of either would move the threads of both'
+        )
+      }
+      if (
+        config.processedLabel &&
+        config.processedLabel === other.triggerLabel
+      ) {
+        const circular =
+          other.processedLabel && other.processedLabel === config.triggerLabel
+        // A loop is reported once, by the later config of the pair
+        if (circular && otherIndex > index) return
+        errors.push(
+          describe(index) +
+            'processedLabel ' +
+            config.processedLabel +
+            ' is the triggerLabel of ' +
+            otherName +
+            (circular
+              ? ' and the other way round, so threads would be archived in a loop'
+              : ', so archived threads would be archived again')
+        )
+      }
+    })
+  })
+  return { errors, warnings }
+}
+
+/**
+ * Validate the configs before a run changes anything (see validateConfigs),
+ * logging the warnings. A real run throws the consolidated error report, so
+ * nothing is archived or cleared until Config.gs is fixed.
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Object} services - GAS services to check access with
+ * @param {string} handler - Entry point name for the log
+ * @param {boolean} throwOnError - Throw instead of returning the errors
+ * @returns {Array<string>} Errors (empty when the configs are valid)
+ * @throws {Error} Listing every error, when `throwOnError` is set
+ */
+function checkConfigs(configs, services, handler, throwOnError = true) {
+  const { errors, warnings } = validateConfigs(configs, services)
+  warnings.forEach((warning) =>
+    console.log('[' + handler + '] Warning: ' + warning)
+  )
+  if (errors.length > 0 && throwOnError) {
+    throw new Error(
+      'Invalid configuration in Config.gs:\n- ' + errors.join('\n- ')
+    )
+  }
+  return errors
+}
+
+/** Time one run may take: 4 minutes, leaving 2 of the 6 minute Apps Script limit. */
+const DEFAULT_MAX_EXECUTION_TIME = 4 * 60 * 1000
+
+/** Delay before a continuation trigger runs a paused entry point again. */
+const CONTINUATION_DELAY = 60 * 1000
+
+/**
+ * Start the time budget of a run. Work is checked against it between
+ * items (threads, batches) so a run stops cleanly before Apps Script ends
+ * it.
+ *
+ * @param {number} maxExecutionTime - Milliseconds the run may take
+ * @returns {{startTime: number, maxExecutionTime: number, isExhausted: Function}} Budget
+ */
+function createTimeBudget(maxExecutionTime = DEFAULT_MAX_EXECUTION_TIME) {
+  const startTime = Date.now()
+  return {
+    startTime,
+    maxExecutionTime,
+    isExhausted: () => Date.now() - startTime > maxExecutionTime,
+  }
+}
+
+/**
+ * Property key of an entry point's continuation cursor.
+ *
+ * @param {string} handler - Entry point function name
+ * @returns {string} User property key
+ */
+function getContinuationKey(handler) {
+  return 'continuation_' + handler
+}
+
+/**
+ * Take the continuation cursor a paused run of `handler` left behind, and
+ * delete its one-off trigger (a fired trigger stays listed until deleted,
+ * and a regular run that gets here first makes it redundant).
+ *
+ * @param {Object} services - GAS services (PropertiesService, ScriptApp)
+ * @param {string} handler - Entry point function name
+ * @returns {{triggerLabel: string, triggerId: string}|null} Cursor (plus any settings saved with it), or null
+ */
+function takeContinuation(services, handler) {
+  const { PropertiesService, ScriptApp } = services
+  if (!PropertiesService) return null
+  const properties = PropertiesService.getUserProperties()
+  const key = getContinuationKey(handler)
+  const stored = properties.getProperty(key)
+  if (!stored) return null
+  properties.deleteProperty(key)
+
+  const cursor = JSON.parse(stored)
+  const trigger = ScriptApp?.getProjectTriggers().find(
+    (candidate) => candidate.getUniqueId() === cursor.triggerId
+  )
+  if (trigger) ScriptApp.deleteTrigger(trigger)
+  console.log('[' + handler + '] Resuming from:', cursor.triggerLabel)
+  return cursor
+}
+
+/**
+ * Persist where a paused run of `handler` stopped and schedule a one-off
+ * trigger that runs it again shortly.
+ *
+ * @param {Object} services - GAS services (PropertiesService, ScriptApp)
+ * @param {string} handler - Entry point function name
+ * @param {string} triggerLabel - Trigger label of the config to resume at
+ * @param {Object} extra - More settings the continuation needs (e.g. a rebuild scope)
+ */
+function saveContinuation(services, handler, triggerLabel, extra = {}) {
+  const { PropertiesService, ScriptApp } = services
+  if (!PropertiesService || !ScriptApp) {
+    console.log('[' + handler + '] Run ' + handler + '() again to continue.')
+    return
+  }
+  const trigger = ScriptApp.newTrigger(handler)
+    .timeBased()
+    .after(CONTINUATION_DELAY)
+    .create()
+  PropertiesService.getUserProperties().setProperty(
+    getContinuationKey(handler),
+    JSON.stringify({ ...extra, triggerLabel, triggerId: trigger.getUniqueId() })
+  )
+  console.log('[' + handler + '] Scheduled a continuation at:', triggerLabel)
+}
+
+/**
+ * The configs a run works through: all of them, or, when resuming, the
+ * paused config and the ones after it.
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Object|null} cursor - Continuation cursor (see takeContinuation)
+ * @returns {Array} Configs to process, in order
+ */
+function resumeConfigs(configs, cursor) {
+  const start = cursor
+    ? configs.findIndex((config) => config.triggerLabel === cursor.triggerLabel)
+    : -1
+  return start === -1 ? configs : configs.slice(start)
+}
+
+/**
+ * Main function to process all configurations.
+ * Reads settings and processes each label group. All groups share one time
+ * budget; when it runs out, the run stops between threads and a
+ * continuation trigger picks up at the paused group.
+ *
+ * With `options.dryRun` nothing is archived, labelled or scheduled: every
+ * group walks the archive path with a preview (see processLabelGroup) and
+ * the collected report is returned, and emailed to `options.reportTo` if
+ * given.
+ *
+ * The configs are validated first (see validateConfigs): a real run throws
+ * the list of errors before touching anything, a dry run reports them in
+ * `configErrors` instead of previewing the groups.
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Function} processLabelGroupFn - Function to process each label group, given the config, the time budget and (in a dry run) the report
+ * @param {Object} services - GAS services for the continuation (PropertiesService, ScriptApp), the report email (GmailApp) and config validation (GmailApp, DocumentApp, DriveApp, SpreadsheetApp)
+ * @param {{dryRun: boolean, reportTo: string}} options - Dry-run settings
+ * @returns {boolean|Object} True if all completed, false if paused; the report in a dry run
+ * @throws {Error} If the configs are invalid (not in a dry run)
+ */
+function storeEmailsAndAttachments(
+  configs,
+  processLabelGroupFn,
+  services = {},
+  options = {}
+) {
+  console.log(
+    '[storeEmailsAndAttachments] Starting email processing',
+    options.dryRun ? '(dry run)' : ''
+  )
+  const budget = createTimeBudget()
+  const report = options.dryRun
+    ? { dryRun: true, completed: true, groups: [], configErrors: [] }
+    : null
+  const configErrors = checkConfigs(
+    configs,
+    services,
+    'storeEmailsAndAttachments',
+    !report
+  )
+  if (report && configErrors.length > 0) {
+    report.configErrors = configErrors
+    return sendDryRunReport(report, services, options.reportTo)
+  }
+  const cursor = report
+    ? null
+    : takeContinuation(services, 'storeEmailsAndAttachments')
+  const pending = resumeConfigs(configs, cursor)
+  console.log(
+    '[storeEmailsAndAttachments] Processing',
+    pending.length,
+    'configurations'
+  )
 
-  if (attachments.length > 0) {
-    body.insertParagraph(currentIndex++, '[Attachments]:')
-    attachments.forEach((att, attIndex) => {
-      currentIndex = processSingleAttachment(
-        att,
-        body,
-        folder,
-        currentIndex,
-        options,
-        attIndex,
-        attachments.length
+  for (let index = 0; index < pending.length; index++) {
+    const config = pending[index]
+    console.log(
+      '[storeEmailsAndAttachments] Processing config',
+      index + 1,
+      'of',
+      pending.length,
+      ':',
+      config.triggerLabel
+    )
+    if (processLabelGroupFn(config, budget, report) === false) {
+      console.log('[storeEmailsAndAttachments] Paused due to time constraints.')
+      if (report) {
+        report.completed = false
+        break
+      }
+      saveContinuation(
+        services,
+        'storeEmailsAndAttachments',
+        config.triggerLabel
       )
-    })
+      return false
+    }
   }
+  if (report) return sendDryRunReport(report, services, options.reportTo)
+  console.log('[storeEmailsAndAttachments] Completed all processing')
+  return true
+}
 
-  // Insert separator - use thread separator for bottom message (oldest, first in sorted array) if threadId provided
-  const { threadId, isBottomMessage } = options
-  if (threadId && isBottomMessage) {
-    const separator = `------------------------------[THREAD:${threadId}]`
-    body.insertParagraph(currentIndex++, separator)
-    console.log('[processMessageToDoc] Added thread separator:', threadId)
-  } else {
-    body.insertParagraph(currentIndex++, '------------------------------')
+/**
+ * Log a dry-run report and email it to `reportTo`, if given.
+ *
+ * @param {Object} report - Dry-run report
+ * @param {Object} services - GAS services (GmailApp)
+ * @param {string} reportTo - Recipient address (optional)
+ * @returns {Object} The report
+ */
+function sendDryRunReport(report, services, reportTo) {
+  const text = formatDryRunReport(report)
+  console.log('[storeEmailsAndAttachments] Dry-run report:\n' + text)
+  if (reportTo) {
+    services.GmailApp.sendEmail(reportTo, 'Gmail archive dry run', text)
+    console.log(
+      '[storeEmailsAndAttachments] Emailed dry-run report to:',
+      reportTo
+    )
   }
+  return report
+}
 
-  // Pause in GAS environment to prevent crashes
-  if (Utilities) {
-    Utilities.sleep(500)
+/** Defaults for the `retry` option (see resolveRetrySettings). */
+const DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 5,
+  backoffMinutes: 15,
+  notify: null,
+}
+
+/**
+ * Resolve the config's `retry` option for threads that fail to archive:
+ * how many attempts a thread gets (`maxRetries`), the wait before the first
+ * retry in minutes (`backoffMinutes`, doubled after every failure), the
+ * label a thread gets once it runs out of attempts (`failedLabel`, default
+ * `<triggerLabel>-failed`) and who is emailed about such threads (`notify`,
+ * default: the script's user).
+ *
+ * @param {Object} config - Configuration object (reads retry)
+ * @returns {{maxRetries: number, backoffMinutes: number, failedLabel: string, notify: string|null}} Settings
+ * @throws {Error} If maxRetries is below 1 or failedLabel is the trigger label
+ */
+function resolveRetrySettings(config = {}) {
+  const settings = {
+    ...DEFAULT_RETRY_SETTINGS,
+    failedLabel: config.triggerLabel + '-failed',
+    ...config.retry,
   }
+  if (!(settings.maxRetries >= 1)) {
+    throw new Error('retry.maxRetries must be at least 1')
+  }
+  if (settings.failedLabel === config.triggerLabel) {
+    throw new Error('retry.failedLabel must differ from triggerLabel')
+  }
+  return settings
+}
 
-  return currentIndex
+/**
+ * Script property key of a thread's retry state.
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @returns {string} Script property key
+ */
+function getRetryKey(threadId) {
+  return 'retry_' + threadId
 }
 
 /**
- * Process multiple messages from a thread, prepending them to the document.
- * Messages are sorted by date (oldest first) so newest appear at top.
- * If a threadId is provided, any existing content for that thread will be removed first,
- * and the last message separator will be replaced with a thread separator containing the ID.
+ * Read the retry state a failed archive attempt left for a thread.
  *
- * @param {Array} messages - Array of Gmail message objects
- * @param {Object} body - Document body object
- * @param {Object} folder - Drive folder object
- * @param {Object} options - Optional settings (threadId, DocumentApp, Utilities, Logger, Session for GAS)
- * @returns {number} Total number of messages processed
+ * @param {Object} PropertiesService - GAS PropertiesService (optional)
+ * @param {string} threadId - Gmail thread ID
+ * @returns {{attempts: number, nextAttempt: number, error: string}|null} State, or null
  */
-function processMessagesToDoc(messages, body, folder, options = {}) {
-  const { threadId } = options
+function loadRetryState(PropertiesService, threadId) {
+  const stored = PropertiesService?.getScriptProperties().getProperty(
+    getRetryKey(threadId)
+  )
+  return stored ? JSON.parse(stored) : null
+}
 
-  // If threadId is provided, remove any existing content for this thread
-  if (threadId) {
-    removeExistingThread(body, threadId)
+/**
+ * Record a failed archive attempt of a thread. Until the thread has used up
+ * `maxRetries` attempts, the state is stored and the next attempt waits
+ * `backoffMinutes * 2^(attempts - 1)` minutes; after the last attempt the
+ * state is dropped (the caller moves the thread to the failed label).
+ *
+ * @param {Object} PropertiesService - GAS PropertiesService (optional)
+ * @param {string} threadId - Gmail thread ID
+ * @param {Error} error - Error of the attempt
+ * @param {Object} settings - Settings from resolveRetrySettings
+ * @returns {{attempts: number, nextAttempt: number, error: string}} New state
+ */
+function recordThreadFailure(PropertiesService, threadId, error, settings) {
+  const previous = loadRetryState(PropertiesService, threadId)
+  const attempts = (previous ? previous.attempts : 0) + 1
+  const state = {
+    attempts,
+    nextAttempt:
+      Date.now() + settings.backoffMinutes * 60 * 1000 * 2 ** (attempts - 1),
+    error: error.message,
   }
+  if (PropertiesService) {
+    const properties = PropertiesService.getScriptProperties()
+    if (attempts >= settings.maxRetries) {
+      properties.deleteProperty(getRetryKey(threadId))
+    } else {
+      properties.setProperty(getRetryKey(threadId), JSON.stringify(state))
+    }
+  }
+  return state
+}
 
-  // Sort messages by date (oldest first) so when we prepend (insert at index 0),
-  // the newest messages end up at the top of the document
-  const sortedMessages = messages.slice().sort(function (a, b) {
-    return a.getDate().getTime() - b.getDate().getTime()
-  })
-
-  sortedMessages.forEach((message, msgIndex) => {
-    console.log(
-      '[processMessagesToDoc] Processing message',
-      msgIndex + 1,
-      'of',
-      sortedMessages.length
+/**
+ * Email the threads of a label group that used up their retries.
+ *
+ * @param {Array<{threadId: string, subject: string, attempts: number, error: string}>} failed - Failed threads
+ * @param {Object} config - Configuration object
+ * @param {Object} settings - Settings from resolveRetrySettings
+ * @param {Object} services - GAS services (GmailApp, Session)
+ */
+function sendRetrySummary(failed, config, settings, services) {
+  const { GmailApp, Session } = services
+  const recipient = settings.notify || Session.getEffectiveUser().getEmail()
+  const lines = [
+    failed.length +
+      ' thread(s) of ' +
+      config.triggerLabel +
+      ' could not be archived and were moved to ' +
+      settings.failedLabel +
+      '. Fix the cause and move them back to ' +
+      config.triggerLabel +
+      ' to try again.',
+    '',
+  ]
+  failed.forEach((thread) =>
+    lines.push(
+      '- ' +
+        (thread.subject || '(No Subject)') +
+        ' (' +
+        thread.threadId +
+        ', ' +
+        thread.attempts +
+        ' attempt(s)): ' +
+        thread.error
     )
-    // The first message in sorted array (oldest) will be inserted last and end up at bottom
-    // So it should get the thread separator
-    const isBottomMessage = msgIndex === 0
-    processMessageToDoc(message, body, folder, { ...options, isBottomMessage })
-  })
+  )
+  GmailApp.sendEmail(
+    recipient,
+    'Gmail archive: ' +
+      failed.length +
+      ' failed thread(s) in ' +
+      config.triggerLabel,
+    lines.join('\n')
+  )
+  console.log('[processLabelGroup] Emailed failed threads to:', recipient)
+}
 
-  // Add a clear separator between threads (after all messages in a thread are processed)
-  if (sortedMessages.length > 0) {
-    body.insertParagraph(0, '==============================')
+/**
+ * A label name as a Gmail search term value, quoted so it needs no
+ * rewriting for spaces or the `/` of nested labels.
+ *
+ * @param {string} labelName - Gmail label name
+ * @returns {string} Search term value
+ */
+function toSearchLabel(labelName) {
+  return '"' + labelName + '"'
+}
+
+/**
+ * Build the Gmail search of a config with a `triggerQuery`: the query,
+ * minus threads already under the processed (if set), trigger or failed
+ * label, so the processed label records what was archived. Without a
+ * processed label, archived threads still match; the search window keeps
+ * them out (see loadSearchWindow).
+ *
+ * @param {Object} config - Configuration object (reads triggerQuery, triggerLabel, processedLabel, retry)
+ * @returns {string|null} Search, or null for a label-only config
+ * @throws {Error} If triggerQuery is not a non-empty string
+ */
+function buildTriggerSearch(config) {
+  if (config.triggerQuery === undefined) return null
+  if (typeof config.triggerQuery !== 'string' || !config.triggerQuery.trim()) {
+    throw new Error('triggerQuery must be a non-empty Gmail search')
   }
+  const excluded = [
+    config.processedLabel,
+    config.triggerLabel,
+    resolveRetrySettings(config).failedLabel,
+  ].filter(Boolean)
+  return (
+    '(' +
+    config.triggerQuery +
+    ') ' +
+    excluded.map((name) => '-label:' + toSearchLabel(name)).join(' ')
+  )
+}
 
-  return sortedMessages.length
+/**
+ * Property key of a config's search window (see loadSearchWindow).
+ *
+ * @param {string} triggerLabel - Trigger label of the config
+ * @returns {string} Property key
+ */
+function getSearchWindowKey(triggerLabel) {
+  return 'search_window_' + triggerLabel
 }
 
 /**
- * Sort threads by their last message date in reverse chronological order (newest first).
- * This ensures threads are always processed in the correct order regardless of how
- * the Gmail API returns them or when they were labeled.
+ * Load the search window of a config without a processed label. Archived
+ * threads of such a config match its trigger search again, so the search is
+ * narrowed to mail after the last complete pass over the matches (`after`).
+ * A pass with more matches than one search returns works back through them:
+ * `before` is the oldest thread taken so far, `passStart` when the pass
+ * began. Bounds are Unix seconds.
  *
- * @param {Array} threads - Array of Gmail thread objects
- * @returns {Array} Sorted array of threads (newest first)
+ * @param {Object} PropertiesService - GAS PropertiesService (optional)
+ * @param {string} triggerLabel - Trigger label of the config
+ * @returns {{after: number, before: number, passStart: number}|null} Window (fields optional), or null without PropertiesService
  */
+function loadSearchWindow(PropertiesService, triggerLabel) {
+  if (!PropertiesService) return null
+  const stored = PropertiesService.getScriptProperties().getProperty(
+    getSearchWindowKey(triggerLabel)
+  )
+  return stored ? JSON.parse(stored) : {}
+}
+
 /**
- * Sort threads by last message date (oldest first) for prepend-based processing.
- * Since messages are prepended at index 0, sorting oldest-first ensures the newest
- * thread is processed last and ends up at the top of the document.
+ * Narrow a trigger search to a search window (see loadSearchWindow).
  *
- * @param {Array} threads - Array of Gmail thread objects
- * @returns {Array} Sorted array of threads (oldest first)
+ * @param {string} search - Search from buildTriggerSearch
+ * @param {Object} window - Search window
+ * @returns {string} Search
  */
-function sortThreadsByLastMessageDate(threads) {
-  return threads.slice().sort(function (a, b) {
-    const aMessages = a.getMessages()
-    const bMessages = b.getMessages()
-    const aLastDate = aMessages[aMessages.length - 1].getDate().getTime()
-    const bLastDate = bMessages[bMessages.length - 1].getDate().getTime()
-    return aLastDate - bLastDate // Ascending order (oldest first)
-  })
+function applySearchWindow(search, window) {
+  return (
+    search +
+    (window.after ? ' after:' + window.after : '') +
+    (window.before ? ' before:' + window.before : '')
+  )
 }
 
 /**
- * Main function to process all configurations.
- * Reads settings and processes each label group.
+ * Move a config's search window on after a search: a full page continues
+ * the pass before its oldest thread, a shorter one ends it, so the next
+ * pass starts at the time this one began. A thread on a bound can be taken
+ * twice; the message ledger skips it.
  *
- * @param {Array} configs - Array of configuration objects
- * @param {Function} processLabelGroupFn - Function to process each label group
+ * @param {Object} PropertiesService - GAS PropertiesService
+ * @param {string} triggerLabel - Trigger label of the config
+ * @param {Object} window - Search window the search used
+ * @param {Array} threads - Threads the search returned
+ * @param {number} searchedAt - Time of the search (ms)
  */
-function storeEmailsAndAttachments(configs, processLabelGroupFn) {
-  console.log('[storeEmailsAndAttachments] Starting email processing')
-  console.log(
-    '[storeEmailsAndAttachments] Processing',
-    configs.length,
-    'configurations'
+function saveSearchWindow(
+  PropertiesService,
+  triggerLabel,
+  window,
+  threads,
+  searchedAt
+) {
+  const toSeconds = (time) => Math.floor(time / 1000)
+  const passStart = window.passStart || searchedAt
+  const oldest = Math.min(
+    ...threads.map((thread) => thread.getLastMessageDate().getTime())
+  )
+  const next =
+    threads.length < SEARCH_PAGE_SIZE
+      ? { after: toSeconds(passStart) }
+      : { after: window.after, before: toSeconds(oldest) + 1, passStart }
+  PropertiesService.getScriptProperties().setProperty(
+    getSearchWindowKey(triggerLabel),
+    JSON.stringify(next)
   )
+}
 
-  configs.forEach((config, index) => {
-    console.log(
-      '[storeEmailsAndAttachments] Processing config',
-      index + 1,
-      'of',
-      configs.length,
-      ':',
-      config.triggerLabel
-    )
-    processLabelGroupFn(config)
-  })
-  console.log('[storeEmailsAndAttachments] Completed all processing')
+/**
+ * Find the threads a config's trigger search matches (one search page per
+ * run; the rest follow in later runs) and give them the trigger label, so
+ * they go through the same queue, retries and rebuilds as labelled threads.
+ *
+ * @param {string} search - Search from buildTriggerSearch
+ * @param {Object} GmailApp - GAS GmailApp service
+ * @param {Object|null} triggerLabel - Label to apply (null in a dry run)
+ * @returns {Array} Matching threads
+ */
+function takeQueryThreads(search, GmailApp, triggerLabel) {
+  const threads = GmailApp.search(search, 0, SEARCH_PAGE_SIZE)
+  if (triggerLabel)
+    threads.forEach((thread) => triggerLabel.addToThread(thread))
+  console.log('[processLabelGroup] Search matched', threads.length, 'threads')
+  return threads
 }
 
 /**
- * Processes a single configuration group (Label -> Doc + Folder).
+ * Processes a single configuration group (Label -> output target + Folder).
  * Extracts threads from trigger label, processes them, and moves to processed label.
+ * A config with a `triggerQuery` first labels the threads its search matches
+ * (see takeQueryThreads); the trigger label is created when missing.
+ * Given a dry-run report, it changes nothing and adds a preview of the group
+ * (see createLabelGroupPreview) to `report.groups` instead: threads are
+ * written into a paragraph buffer, Drive writes and label changes are only
+ * recorded, and the thread index is not opened.
  *
- * @param {Object} config - Configuration object with triggerLabel, processedLabel, docId, folderId
- * @param {Object} services - GAS services object with GmailApp, DocumentApp, DriveApp, Logger, Utilities, Session
- * @param {Object} helperFns - Helper functions object with getCleanBody, getFileHash, removeExistingThreadFromDoc
+ * A thread that fails to archive does not stop the group: its partial output
+ * is removed, it keeps the trigger label and is retried by later runs with
+ * an exponential back-off (see recordThreadFailure). After its last attempt
+ * it is moved to the failed label and listed in a summary email.
+ *
+ * @param {Object} config - Configuration object with triggerLabel, processedLabel, docId, folderId (and optional target, triggerQuery)
+ * @param {Object} services - GAS services object with GmailApp, DocumentApp, DriveApp, Logger, Utilities, Session (plus Drive and SpreadsheetApp for attachment conversion, sheet targets and the thread index, PropertiesService for doc rollover and thread retries)
+ * @param {Object} helperFns - Helper functions object with removeExistingThreadFromDoc
+ * @param {Object} budget - Time budget of the run (see createTimeBudget)
+ * @param {Object} report - Dry-run report to add the group's preview to (optional)
+ * @returns {boolean} False if the budget ran out before every thread was archived
  */
-function processLabelGroup(config, services, helperFns) {
-  const { GmailApp, DocumentApp, DriveApp, Logger, Utilities, Session } =
-    services
-  const { getCleanBody, getFileHash, removeExistingThreadFromDoc } = helperFns
+function processLabelGroup(
+  config,
+  services,
+  helperFns,
+  budget = createTimeBudget(),
+  report = null
+) {
+  const {
+    GmailApp,
+    DocumentApp,
+    DriveApp,
+    Drive,
+    SpreadsheetApp,
+    PropertiesService,
+    Logger,
+    Utilities,
+    Session,
+  } = services
+  const { removeExistingThreadFromDoc } = helperFns
+  const preview = report ? createLabelGroupPreview(config) : null
+  if (preview) report.groups.push(preview)
 
   console.log(
     '[processLabelGroup] Starting processing for:',
@@ -410,11 +3936,27 @@ function processLabelGroup(config, services, helperFns) {
 
   // 1. Validate Labels
   console.log('[processLabelGroup] Looking up trigger label:', triggerLabelName)
-  const triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
-  let processedLabel = GmailApp.getUserLabelByName(processedLabelName)
+  let triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
+  let triggerSearch = null
+  try {
+    triggerSearch = buildTriggerSearch(config)
+  } catch (e) {
+    Logger.log(
+      'Invalid triggerQuery for ' + triggerLabelName + ': ' + e.message
+    )
+    preview?.errors.push('Invalid triggerQuery: ' + e.message)
+    return true
+  }
+  if (!triggerLabel && triggerSearch && !preview) {
+    triggerLabel = GmailApp.createLabel(triggerLabelName)
+    console.log('[processLabelGroup] Created trigger label:', triggerLabelName)
+  }
+  // Optional with a message ledger
+  let processedLabel =
+    processedLabelName && GmailApp.getUserLabelByName(processedLabelName)
 
   // Create processed label if it doesn't exist
-  if (!processedLabel) {
+  if (processedLabelName && !processedLabel && !preview) {
     console.log(
       '[processLabelGroup] Processed label not found, creating:',
       processedLabelName
@@ -428,13 +3970,14 @@ function processLabelGroup(config, services, helperFns) {
     }
   }
 
-  if (!triggerLabel) {
+  if (!triggerLabel && !triggerSearch) {
     Logger.log('Trigger label not found: ' + triggerLabelName)
+    preview?.errors.push('Trigger label not found: ' + triggerLabelName)
     console.error(
       '[processLabelGroup] Trigger label not found:',
       triggerLabelName
     )
-    return
+    return true
   }
 
   // 2. Get Threads
@@ -442,14 +3985,38 @@ function processLabelGroup(config, services, helperFns) {
     '[processLabelGroup] Retrieving threads for label:',
     triggerLabelName
   )
-  const threads = triggerLabel.getThreads()
+  let threads = triggerLabel ? triggerLabel.getThreads() : []
+  if (triggerSearch) {
+    const queued = new Set(threads.map((thread) => thread.getId()))
+    const window = processedLabelName
+      ? null
+      : loadSearchWindow(PropertiesService, triggerLabelName)
+    const searchedAt = Date.now()
+    const matched = takeQueryThreads(
+      window ? applySearchWindow(triggerSearch, window) : triggerSearch,
+      GmailApp,
+      preview ? null : triggerLabel
+    )
+    if (window && !preview) {
+      saveSearchWindow(
+        PropertiesService,
+        triggerLabelName,
+        window,
+        matched,
+        searchedAt
+      )
+    }
+    threads = threads.concat(
+      matched.filter((thread) => !queued.has(thread.getId()))
+    )
+  }
   if (!threads || threads.length === 0) {
     Logger.log('No emails found for: ' + triggerLabelName)
     console.log(
       '[processLabelGroup] No threads found for label:',
       triggerLabelName
     )
-    return
+    return true
   }
   console.log('[processLabelGroup] Found', threads.length, 'threads to process')
 
@@ -460,260 +4027,543 @@ function processLabelGroup(config, services, helperFns) {
     '[processLabelGroup] Sorted threads by last message date (newest first)'
   )
 
-  // 3. Open Destination Doc and Folder
+  // 3. Open Output Target and Folder
   console.log(
-    '[processLabelGroup] Opening doc:',
-    config.docId,
+    '[processLabelGroup] Opening output target:',
+    config.target || 'doc',
     'and folder:',
     config.folderId
   )
-  let doc, body, folder
+  let threadIndex = null
+  try {
+    const indexSettings = resolveThreadIndexSettings(config)
+    if (indexSettings && !preview) {
+      threadIndex = openThreadIndex(indexSettings, SpreadsheetApp)
+    }
+  } catch (e) {
+    Logger.log(
+      'Error opening thread index. Check threadIndex in Config.gs. Error: ' +
+        e.message
+    )
+    console.error('[processLabelGroup] Error opening thread index:', e.message)
+    preview?.errors.push('Error opening thread index: ' + e.message)
+    return true
+  }
+  let ledger = null
+  try {
+    const ledgerSettings = resolveLedgerSettings(config)
+    if (ledgerSettings && !preview) {
+      ledger = openMessageLedger(ledgerSettings, SpreadsheetApp)
+    }
+  } catch (e) {
+    Logger.log(
+      'Error opening message ledger. Check messageLedger in Config.gs. Error: ' +
+        e.message
+    )
+    console.error(
+      '[processLabelGroup] Error opening message ledger:',
+      e.message
+    )
+    preview?.errors.push('Error opening message ledger: ' + e.message)
+    return true
+  }
+
+  let sink, folder, retrySettings, redaction
   try {
-    doc = DocumentApp.openById(config.docId)
-    body = doc.getBody()
+    resolveArchiveOrder(config)
+    retrySettings = resolveRetrySettings(config)
+    redaction = resolveRedactionSettings(config)
+    resolveCleanBodyRules(config.bodyCleanup)
+    sink = preview
+      ? createPreviewSink(config, preview)
+      : createOutputSink(
+          config,
+          services,
+          removeExistingThreadFromDoc,
+          threadIndex
+        )
     folder = DriveApp.getFolderById(config.folderId)
-    console.log('[processLabelGroup] Successfully opened doc and folder')
+    if (preview) folder = createPreviewFolder(folder, preview)
+    console.log('[processLabelGroup] Successfully opened output and folder')
   } catch (e) {
     Logger.log(
-      'Error opening Doc or Folder. Check IDs in Config.gs. Error: ' + e.message
+      'Error opening output target or Folder. Check IDs in Config.gs. Error: ' +
+        e.message
     )
-    console.error('[processLabelGroup] Error opening Doc/Folder:', e.message)
-    return
+    console.error('[processLabelGroup] Error opening output/Folder:', e.message)
+    preview?.errors.push('Error opening output target or folder: ' + e.message)
+    return true
   }
 
   // 4. Process Emails
+  const attachmentIndex = createAttachmentIndex(folder, DriveApp)
   let totalMessages = 0
-  sortedThreads.forEach((thread, threadIndex) => {
-    const messages = thread.getMessages()
-    const threadId = thread.getId()
-    console.log(
-      '[processLabelGroup] Thread',
-      threadIndex + 1,
-      'has',
-      messages.length,
-      'messages, ID:',
-      threadId
-    )
-
-    // Remove existing thread content if it already exists in the document
-    removeExistingThreadFromDoc(body, threadId)
-
-    // Sort messages by date (oldest first) so when we prepend (insert at index 0),
-    // the newest messages end up at the top of the document
-    messages.sort(function (a, b) {
-      return a.getDate().getTime() - b.getDate().getTime()
-    })
-
-    messages.forEach((message, msgIndex) => {
-      totalMessages++
-      const subject = message.getSubject()
-      const rawContent = message.getPlainBody()
-
-      // Clean Content (removes replies, quote lines, and legal footers)
-      const cleanContent = getCleanBody(rawContent)
+  let totalSkipped = 0
+  const redactions = preview ? preview.redactions : []
+  const failedThreads = []
+  let failedLabel = null
+  let archivedThreads = 0
+  let lastError = null
+  let paused = false
+  for (
+    let threadPosition = 0;
+    threadPosition < sortedThreads.length;
+    threadPosition++
+  ) {
+    // Stop between threads so none is left half-written; the rest keep
+    // the trigger label and are picked up by the next run
+    if (budget.isExhausted()) {
       console.log(
-        '[processLabelGroup] Cleaned content length:',
-        cleanContent.length,
-        'chars (from',
-        rawContent.length,
-        ')'
+        '[processLabelGroup] Approaching time limit, stopping with',
+        sortedThreads.length - threadPosition,
+        'threads left'
       )
-
-      const timestamp = message.getDate()
-
-      Logger.log('Processing: ' + subject)
+      paused = true
+      break
+    }
+    const thread = sortedThreads[threadPosition]
+    const threadId = thread.getId()
+    const retryState = preview
+      ? null
+      : loadRetryState(PropertiesService, threadId)
+    if (retryState && retryState.nextAttempt > Date.now()) {
+      console.log('[processLabelGroup] Retrying thread later:', threadId)
+      continue
+    }
+    let subject = ''
+    let threadStarted = false
+    try {
+      const messages = thread.getMessages()
+      subject = messages[0]?.getSubject()
       console.log(
-        '[processLabelGroup] Processing message',
-        msgIndex + 1,
-        ':',
-        subject
+        '[processLabelGroup] Thread',
+        threadPosition + 1,
+        'has',
+        messages.length,
+        'messages, ID:',
+        threadId
       )
 
-      // --- A. Prepend Text to Doc (insert at top, newest first) ---
-      // Note: currentIndex starts at 0 for each message, so each new message
-      // is inserted at the top of the document, pushing previous content down.
-      // This ensures the most recent emails appear first.
-      let currentIndex = 0
+      // Apply the config's include/exclude rules before archiving
+      const { accepted, skipped } = filterMessages(messages, config.filters)
+      totalSkipped += skipped.length
 
-      const subjectText = 'Subject: ' + (subject || '(No Subject)')
-      const headingPara = body.insertParagraph(currentIndex++, subjectText)
-
-      // Try to set heading, fallback to bold if Doc is busy
-      try {
-        headingPara.setHeading(DocumentApp.ParagraphHeading.HEADING_3)
-      } catch (e) {
-        const style = {}
-        style[DocumentApp.Attribute.BOLD] = true
-        headingPara.setAttributes(style)
+      // A thread re-labelled with nothing new is only moved back
+      const alreadyArchived =
+        ledger && isArchivedInLedger(ledger, triggerLabelName, accepted)
+      if (alreadyArchived) {
+        Logger.log('Already archived: ' + subject)
+        console.log('[processLabelGroup] Already archived thread:', threadId)
       }
 
-      body.insertParagraph(currentIndex++, 'Date: ' + timestamp)
-      body.insertParagraph(currentIndex++, cleanContent)
-
-      // --- B. Save Attachments (CONTENT-BASED DEDUPLICATION) ---
-      const attachments = message.getAttachments()
-      console.log(
-        '[processLabelGroup] Found',
-        attachments.length,
-        'attachments'
-      )
-      if (attachments.length > 0) {
-        body.insertParagraph(currentIndex++, '[Attachments]:')
-
-        attachments.forEach((att, attIndex) => {
-          console.log(
-            '[processLabelGroup] Processing attachment',
-            attIndex + 1,
-            'of',
-            attachments.length,
-            ':',
-            att.getName()
+      // Replace any existing content for this thread and prepend all messages
+      // (or, when the sink keeps the thread's earlier copy, its new messages).
+      // Threads whose messages were all filtered out leave the output untouched.
+      if (accepted.length > 0 && !alreadyArchived) {
+        const savedAttachments = []
+        const archivedMessages = []
+        const entry = threadIndex && findThreadIndexEntry(threadIndex, threadId)
+        sink.startThread(threadId)
+        threadStarted = true
+        const written = processMessagesToDoc(accepted, sink.body, folder, {
+          DocumentApp,
+          DriveApp,
+          Drive,
+          SpreadsheetApp,
+          Utilities,
+          Logger,
+          Session,
+          config,
+          threadId,
+          attachmentIndex,
+          savedAttachments,
+          sink,
+          preview,
+          redactions,
+          archivedMessages,
+        })
+        totalMessages += written
+        sink.endThread()
+        threadStarted = false
+        // Only the thread index links to a bookmark
+        const location =
+          threadIndex || ledger ? sink.locateThread(!!threadIndex) : null
+        if (threadIndex) {
+          // Attachments of kept messages were listed by an earlier run
+          writeThreadIndexRow(
+            threadIndex,
+            buildThreadIndexRow(
+              threadId,
+              accepted,
+              savedAttachments,
+              location,
+              written < accepted.length && entry ? entry.attachments : '',
+              redaction
+            )
           )
-          let fileName = att.getName()
-          const newFileBlob = att.copyBlob()
-          let isDuplicate = false
-
-          // 1. Get all files in folder with this name
-          const existingFiles = folder.getFilesByName(fileName)
-          console.log(
-            '[processLabelGroup] Checking for existing files named:',
-            fileName
+        }
+        if (ledger) {
+          recordLedgerMessages(
+            ledger,
+            triggerLabelName,
+            threadId,
+            accepted,
+            archivedMessages,
+            location.docId
           )
+        }
+        // Persist after every thread so a timeout does not lose index entries
+        if (!preview) saveAttachmentIndex(attachmentIndex)
+      }
 
-          let existingCount = 0
-          while (existingFiles.hasNext()) {
-            existingCount++
-            const existingFile = existingFiles.next()
-            console.log(
-              '[processLabelGroup] Comparing with existing file',
-              existingCount
-            )
+      // 5. Cleanup Labels
+      if (preview) {
+        preview.labelMoves.push({
+          threadId,
+          from: triggerLabelName,
+          to: processedLabelName || null,
+        })
+        continue
+      }
+      console.log('[processLabelGroup] Updating labels for thread')
+      triggerLabel.removeFromThread(thread)
+      if (processedLabel) processedLabel.addToThread(thread)
+      archivedThreads++
+      if (retryState) {
+        PropertiesService.getScriptProperties().deleteProperty(
+          getRetryKey(threadId)
+        )
+      }
+    } catch (e) {
+      Logger.log('Error archiving thread ' + threadId + ': ' + e.message)
+      console.error(
+        '[processLabelGroup] Error archiving thread:',
+        threadId,
+        e.message
+      )
+      // Drop the partial copy so the retry writes the thread afresh
+      if (threadStarted) {
+        try {
+          sink.endThread()
+          sink.removeThread(threadId)
+        } catch (cleanupError) {
+          console.error(
+            '[processLabelGroup] Could not remove partial thread:',
+            cleanupError.message
+          )
+        }
+      }
+      if (preview) {
+        preview.errors.push(
+          'Error archiving thread ' + threadId + ': ' + e.message
+        )
+        continue
+      }
+      lastError = 'Error archiving thread ' + threadId + ': ' + e.message
+      const failure = recordThreadFailure(
+        PropertiesService,
+        threadId,
+        e,
+        retrySettings
+      )
+      if (failure.attempts >= retrySettings.maxRetries) {
+        failedLabel =
+          failedLabel ||
+          GmailApp.getUserLabelByName(retrySettings.failedLabel) ||
+          GmailApp.createLabel(retrySettings.failedLabel)
+        triggerLabel.removeFromThread(thread)
+        failedLabel.addToThread(thread)
+        failedThreads.push({
+          threadId,
+          subject,
+          attempts: failure.attempts,
+          error: failure.error,
+        })
+      }
+    }
+  }
+  if (totalMessages > 0) sink.finish()
+  if (preview) preview.skippedMessages = totalSkipped
+  console.log('[processLabelGroup] Processed', totalMessages, 'total messages')
+  if (redactions.length > 0) {
+    Logger.log(
+      'Redacted content in ' +
+        redactions.length +
+        ' message(s) for: ' +
+        triggerLabelName
+    )
+  }
+  if (totalSkipped > 0) {
+    Logger.log(
+      'Skipped ' +
+        totalSkipped +
+        ' message(s) by filter rules for: ' +
+        triggerLabelName
+    )
+    console.log(
+      '[processLabelGroup] Skipped',
+      totalSkipped,
+      'messages by filter rules'
+    )
+  }
+  if (failedThreads.length > 0) {
+    Logger.log(
+      'Moved ' +
+        failedThreads.length +
+        ' failed thread(s) to ' +
+        retrySettings.failedLabel +
+        ' for: ' +
+        triggerLabelName
+    )
+    sendRetrySummary(failedThreads, config, retrySettings, services)
+  }
+  if (archivedThreads > 0 || lastError) {
+    recordRearchivedThreads(
+      PropertiesService,
+      triggerLabelName,
+      archivedThreads,
+      lastError
+    )
+  }
+  if (paused) return false
+  console.log(
+    '[processLabelGroup] Completed processing for:',
+    config.triggerLabel
+  )
+  return true
+}
 
-            // 2. Fast Fail: Compare sizes first
-            if (existingFile.getSize() === newFileBlob.getBytes().length) {
-              console.log('[processLabelGroup] Size match, checking hash')
-
-              // 3. Deep Check: Compare MD5 Hashes (The "Fingerprint")
-              const existingHash = getFileHash(existingFile.getBlob())
-              const newHash = getFileHash(newFileBlob)
-
-              if (existingHash === newHash) {
-                console.log(
-                  '[processLabelGroup] Hash match - duplicate detected'
-                )
-                isDuplicate = true
-                break // Stop checking, we found the twin
-              } else {
-                console.log(
-                  '[processLabelGroup] Hash mismatch - different content'
-                )
-              }
-            } else {
-              console.log('[processLabelGroup] Size mismatch - different file')
-            }
-          }
+/** User property holding the progress of the last rebuildAllDocs run. */
+const REBUILD_PROGRESS_KEY = 'rebuild_progress'
+
+/** Budget checks between two looks at the progress for a cancellation. */
+const CANCEL_CHECK_INTERVAL = 25
+
+/**
+ * User property key of a config's rebuildDoc state.
+ *
+ * @param {string} triggerLabel - Trigger label of the config
+ * @returns {string} User property key
+ */
+function getRebuildStateKey(triggerLabel) {
+  return 'rebuild_state_' + triggerLabel.replace(/[^a-zA-Z0-9]/g, '_')
+}
 
-          if (isDuplicate) {
-            Logger.log('Skipping exact duplicate: ' + fileName)
-            console.log('[processLabelGroup] Skipping duplicate:', fileName)
-            body.insertParagraph(
-              currentIndex++,
-              '- [DUPLICATE SKIPPED] ' + fileName
-            )
-          } else {
-            // It's a new file (or a file with same name but different content)
-
-            // If name exists but content is different, rename to avoid overwrite
-            if (folder.getFilesByName(fileName).hasNext()) {
-              console.log(
-                '[processLabelGroup] Name conflict detected, adding timestamp'
-              )
-              const timeTag = Utilities.formatDate(
-                new Date(),
-                Session.getScriptTimeZone(),
-                '_HHmmss'
-              )
-              // Insert timestamp before the file extension
-              let newName = fileName.replace(/(\.[\w-]+)$/i, timeTag + '$1')
-              // Fallback if regex fails (files without extension)
-              if (newName === fileName) newName += timeTag
-
-              newFileBlob.setName(newName)
-              fileName = newName // Update for log
-              console.log('[processLabelGroup] Renamed to:', fileName)
-            }
+/**
+ * The persisted progress of the last rebuild: its status ('running',
+ * 'moved' once every thread is back under its trigger label, or
+ * 'cancelled'), start and update times, scope, last error and per-config
+ * counts ({total, moved, rearchived, cleared}).
+ *
+ * @param {Object} properties - PropertiesService user-properties store
+ * @returns {Object|null} Progress, or null if no rebuild ran
+ */
+function loadRebuildProgress(properties) {
+  const stored = properties.getProperty(REBUILD_PROGRESS_KEY)
+  return stored ? JSON.parse(stored) : null
+}
 
-            console.log('[processLabelGroup] Saving new file:', fileName)
-            const file = folder.createFile(newFileBlob)
-            body.insertParagraph(currentIndex++, '- ' + file.getName())
-            console.log('[processLabelGroup] File saved successfully')
-          }
-        })
-      }
+/**
+ * Persist the progress of a rebuild.
+ *
+ * @param {Object} properties - PropertiesService user-properties store
+ * @param {Object} progress - Progress (see loadRebuildProgress)
+ */
+function saveRebuildProgress(properties, progress) {
+  progress.updatedAt = Date.now()
+  properties.setProperty(REBUILD_PROGRESS_KEY, JSON.stringify(progress))
+}
 
-      // Add separator - use thread separator for oldest message (first in sorted array)
-      const isOldestMessage = msgIndex === 0
-      if (isOldestMessage) {
-        const threadSeparator =
-          '------------------------------[THREAD:' + threadId + ']'
-        body.insertParagraph(currentIndex++, threadSeparator)
-        console.log(
-          '[processLabelGroup] Added thread separator for thread:',
-          threadId
-        )
-      } else {
-        body.insertParagraph(currentIndex++, '------------------------------')
-      }
+/**
+ * Apply `update` to the progress of a config of the running rebuild. Does
+ * nothing when no rebuildAllDocs run is in progress (e.g. it was cancelled
+ * meanwhile), so a cancellation is never overwritten.
+ *
+ * @param {Object} properties - PropertiesService user-properties store
+ * @param {string} triggerLabel - Trigger label of the config
+ * @param {Function} update - Called with the config's counts and the progress
+ */
+function updateRebuildProgress(properties, triggerLabel, update) {
+  const progress = loadRebuildProgress(properties)
+  if (progress?.status !== 'running') return
+  progress.configs[triggerLabel] = progress.configs[triggerLabel] || {
+    total: null,
+    moved: 0,
+    rearchived: 0,
+    cleared: false,
+  }
+  update(progress.configs[triggerLabel], progress)
+  saveRebuildProgress(properties, progress)
+}
 
-      // Pause briefly to allow Google Doc to save (prevents crash)
-      Utilities.sleep(500)
-    })
+/**
+ * Count threads that processLabelGroup archived again after a rebuild moved
+ * them back to the trigger label, and keep its last error. Threads archived
+ * beyond the number moved (new mail) are not counted.
+ *
+ * @param {Object} PropertiesService - GAS PropertiesService
+ * @param {string} triggerLabel - Trigger label of the config
+ * @param {number} archived - Threads archived by the run
+ * @param {string|null} error - Last thread error of the run
+ */
+function recordRearchivedThreads(
+  PropertiesService,
+  triggerLabel,
+  archived,
+  error
+) {
+  if (!PropertiesService?.getUserProperties) return
+  const properties = PropertiesService.getUserProperties()
+  const progress = loadRebuildProgress(properties)
+  const counts = progress?.configs[triggerLabel]
+  if (!counts || progress.status === 'cancelled') return
+  counts.rearchived = Math.min(counts.moved, counts.rearchived + archived)
+  if (error) progress.lastError = { message: error, at: Date.now() }
+  saveRebuildProgress(properties, progress)
+}
 
-    // 5. Cleanup Labels
-    console.log('[processLabelGroup] Updating labels for thread')
-    triggerLabel.removeFromThread(thread)
-    if (processedLabel) processedLabel.addToThread(thread)
-  })
-  console.log('[processLabelGroup] Processed', totalMessages, 'total messages')
-  console.log(
-    '[processLabelGroup] Completed processing for:',
-    config.triggerLabel
-  )
+/**
+ * Wrap the time budget of a rebuild so it also runs out when the rebuild is
+ * cancelled (see cancelRebuild). The progress is read on the first check and
+ * every CANCEL_CHECK_INTERVAL checks after it, and whenever isCancelled is
+ * called (between configs).
+ *
+ * @param {Object} budget - Time budget (see createTimeBudget)
+ * @param {Object|null} properties - PropertiesService user-properties store
+ * @returns {Object} Budget with an extra isCancelled function
+ */
+function watchRebuildCancellation(budget, properties) {
+  let checks = 0
+  let cancelled = false
+  const isCancelled = () => {
+    if (!cancelled && properties) {
+      cancelled = loadRebuildProgress(properties)?.status === 'cancelled'
+      if (cancelled) console.log('[rebuildAllDocs] The rebuild was cancelled')
+    }
+    return cancelled
+  }
+  return {
+    ...budget,
+    isExhausted: () =>
+      (checks++ % CANCEL_CHECK_INTERVAL === 0 ? isCancelled() : cancelled) ||
+      budget.isExhausted(),
+    isCancelled,
+  }
 }
 
 /**
- * Rebuild all configured documents.
+ * Rebuild all configured documents. All configs share one time budget; a
+ * paused rebuild is continued by a one-off trigger at the paused config, so
+ * configs that already finished are not cleared again.
+ *
+ * With a `scope` (see resolveRebuildScope) only the threads in it are
+ * rebuilt; the continuation keeps the scope.
+ *
+ * Progress is kept in the user properties for getRebuildStatus, and a
+ * cancelRebuild call stops the run between threads.
  *
  * @param {Array} configs - Array of configuration objects
- * @param {Function} rebuildDocFn - Function to rebuild a single doc
- * @returns {boolean} True if all completed, false if paused
+ * @param {Function} rebuildDocFn - Function to rebuild a single doc, given the config, the time budget and the scope
+ * @param {Object} services - GAS services for the continuation and progress (PropertiesService, ScriptApp) and config validation (GmailApp, DocumentApp, DriveApp, SpreadsheetApp)
+ * @param {Object} scope - Threads to rebuild (optional; default: all)
+ * @returns {boolean} True if all completed, false if paused or cancelled
+ * @throws {Error} If the configs or the scope are invalid (see validateConfigs), or a scoped rebuild touches an oldest-first config; nothing is cleared then
  */
-function rebuildAllDocs(configs, rebuildDocFn) {
+function rebuildAllDocs(configs, rebuildDocFn, services = {}, scope = null) {
   console.log('[rebuildAllDocs] Starting rebuild process')
-  console.log('[rebuildAllDocs] Rebuilding', configs.length, 'configurations')
+  checkConfigs(configs, services, 'rebuildAllDocs')
+  const properties = services.PropertiesService?.getUserProperties() || null
+  const budget = watchRebuildCancellation(createTimeBudget(), properties)
+  const cursor = takeContinuation(services, 'rebuildAllDocs')
+  // A continuation of a scoped rebuild stays scoped
+  const rebuildScope = scope || cursor?.scope || null
+  const resolvedScope = resolveRebuildScope(rebuildScope)
+  if (resolvedScope) {
+    configs.forEach((config) =>
+      checkScopedRebuildOrder(config, resolvedScope, services.GmailApp)
+    )
+  }
+  if (properties && !cursor) {
+    saveRebuildProgress(properties, {
+      status: 'running',
+      startedAt: Date.now(),
+      scope: rebuildScope,
+      configs: {},
+      lastError: null,
+    })
+  }
+  const pending = resumeConfigs(configs, cursor)
+  console.log(
+    '[rebuildAllDocs] Rebuilding',
+    pending.length,
+    'configurations',
+    rebuildScope ? 'in scope ' + JSON.stringify(rebuildScope) : ''
+  )
 
   let completed = true
-  for (let i = 0; i < configs.length; i++) {
-    const config = configs[i]
+  for (let i = 0; i < pending.length; i++) {
+    const config = pending[i]
     console.log(
       '[rebuildAllDocs] Rebuilding config',
       i + 1,
       'of',
-      configs.length,
+      pending.length,
       ':',
       config.triggerLabel
     )
-    const configCompleted = rebuildDocFn(config)
+    if (budget.isCancelled()) {
+      completed = false
+      break
+    }
+    let configCompleted
+    try {
+      configCompleted = rebuildDocFn(config, budget, rebuildScope)
+    } catch (e) {
+      if (properties) {
+        updateRebuildProgress(
+          properties,
+          config.triggerLabel,
+          (_, progress) => {
+            progress.lastError = {
+              message: config.triggerLabel + ': ' + e.message,
+              at: Date.now(),
+            }
+          }
+        )
+      }
+      throw e
+    }
+    if (budget.isCancelled()) {
+      completed = false
+      break
+    }
     if (!configCompleted) {
-      console.log(
-        '[rebuildAllDocs] Paused due to time constraints. Run rebuildAllDocs() again to continue.'
+      console.log('[rebuildAllDocs] Paused due to time constraints.')
+      saveContinuation(
+        services,
+        'rebuildAllDocs',
+        config.triggerLabel,
+        rebuildScope ? { scope: rebuildScope } : {}
       )
       completed = false
       break
     }
   }
 
-  if (completed) {
+  if (budget.isCancelled()) {
+    // cancelRebuild cleans up too; this catches state saved after it ran
+    configs.forEach((config) =>
+      properties.deleteProperty(getRebuildStateKey(config.triggerLabel))
+    )
+    console.log('[rebuildAllDocs] Stopped the cancelled rebuild.')
+  } else if (completed) {
+    if (properties) {
+      const progress = loadRebuildProgress(properties)
+      if (progress?.status === 'running') {
+        progress.status = 'moved'
+        saveRebuildProgress(properties, progress)
+      }
+    }
     console.log('[rebuildAllDocs] Rebuild preparation complete.')
     console.log(
       '[rebuildAllDocs] Now run storeEmailsAndAttachments() to reprocess all emails.'
@@ -724,39 +4574,67 @@ function rebuildAllDocs(configs, rebuildDocFn) {
 }
 
 /**
- * Clear the rebuild target document and advance the persisted state to the
- * email-moving phase. Returns false if the document could not be opened/cleared
- * so the caller can retry on the next execution.
+ * Drop the rollover volumes of an archive doc: trash every volume after the
+ * configured doc (when DriveApp is available) and forget the chain, so the
+ * rebuild starts again from the configured doc.
  *
  * @param {Object} config - Configuration object
- * @param {Object} DocumentApp - GAS DocumentApp service
+ * @param {Object} services - GAS services (PropertiesService, DriveApp)
+ */
+function resetDocChain(config, services) {
+  const { PropertiesService, DriveApp } = services
+  if (!PropertiesService?.getScriptProperties) return
+  const chain = loadDocChain(PropertiesService, config.docId)
+  chain.slice(1).forEach((volume) => {
+    if (!DriveApp) return
+    try {
+      DriveApp.getFileById(volume.id).setTrashed(true)
+      console.log('[rebuildDoc] Trashed archive volume:', volume.title)
+    } catch (e) {
+      console.warn('[rebuildDoc] Could not trash archive volume:', e.message)
+    }
+  })
+  PropertiesService.getScriptProperties().deleteProperty(
+    getDocChainKey(config.docId)
+  )
+}
+
+/**
+ * Clear the rebuild target (see clearOutputTarget) and advance the persisted
+ * state to the email-moving phase. Returns false if the target could not be
+ * opened/cleared so the caller can retry on the next execution.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} services - GAS services (DocumentApp, PropertiesService, DriveApp, SpreadsheetApp)
  * @param {Object} properties - PropertiesService user-properties store
  * @param {string} stateKey - Key under which rebuild state is persisted
  * @param {Object} state - Mutable rebuild state object
  * @returns {boolean} True if cleared successfully, false to retry later
  */
-function clearRebuildDocument(
-  config,
-  DocumentApp,
-  properties,
-  stateKey,
-  state
-) {
+function clearRebuildDocument(config, services, properties, stateKey, state) {
   console.log('[rebuildDoc] Clearing document:', config.docId)
   try {
-    const doc = DocumentApp.openById(config.docId)
-    // Clear all content from the document body in a single operation
-    doc.getBody().setText('')
+    clearOutputTarget(config, services)
     console.log('[rebuildDoc] Document cleared')
 
     // Move to next phase
     state.phase = 'move_emails'
     state.processedCount = 0
     properties.setProperty(stateKey, JSON.stringify(state))
+    updateRebuildProgress(properties, config.triggerLabel, (counts) => {
+      counts.cleared = true
+    })
     console.log('[rebuildDoc] Saved state, moving to email processing phase')
     return true
   } catch (e) {
     console.error('[rebuildDoc] Error clearing document:', e.message)
+    updateRebuildProgress(properties, config.triggerLabel, (_, progress) => {
+      progress.lastError = {
+        message:
+          config.triggerLabel + ': error clearing document: ' + e.message,
+        at: Date.now(),
+      }
+    })
     // Try again next time
     return false
   }
@@ -771,12 +4649,20 @@ function clearRebuildDocument(
  * @param {Object} properties - PropertiesService user-properties store
  * @param {string} stateKey - Key under which rebuild state is persisted
  * @param {Object} state - Mutable rebuild state object
- * @param {Object} limits - { startTime, maxExecutionTime, batchSize }
+ * @param {Object} limits - { budget, batchSize } (see createTimeBudget)
+ * @param {string} order - Archive order (see resolveArchiveOrder)
  * @returns {boolean} True if all threads moved, false to rerun
  */
-function moveProcessedThreads(labels, properties, stateKey, state, limits) {
+function moveProcessedThreads(
+  labels,
+  properties,
+  stateKey,
+  state,
+  limits,
+  order
+) {
   const { triggerLabel, processedLabel } = labels
-  const { startTime, maxExecutionTime, batchSize } = limits
+  const { budget, batchSize } = limits
 
   console.log('[rebuildDoc] Moving emails from processed to trigger label')
   console.log(
@@ -785,17 +4671,27 @@ function moveProcessedThreads(labels, properties, stateKey, state, limits) {
     'threads processed'
   )
 
-  const threads = processedLabel.getThreads()
+  // An append-only archive is rebuilt oldest thread first, so a run that
+  // archives between two batches still appends in chronological order
+  let threads = processedLabel.getThreads()
+  if (order === 'oldest-first') threads = sortThreadsByLastMessageDate(threads)
   console.log('[rebuildDoc] Found', threads.length, 'threads to move')
+  const listed = threads.length
+  const recordMoved = (moved) =>
+    updateRebuildProgress(properties, triggerLabel.getName(), (counts) => {
+      if (counts.total === null) counts.total = counts.moved + listed
+      counts.moved += moved
+    })
 
   // Process in batches, always from index 0 since we're removing items
   let batchCount = 0
   while (batchCount < batchSize && threads.length > 0) {
     // Check if we're running out of time
-    if (Date.now() - startTime > maxExecutionTime) {
+    if (budget.isExhausted()) {
       console.log('[rebuildDoc] Approaching time limit, saving progress')
       state.processedCount += batchCount
       properties.setProperty(stateKey, JSON.stringify(state))
+      recordMoved(batchCount)
       return false // Not complete, run again
     }
 
@@ -811,6 +4707,7 @@ function moveProcessedThreads(labels, properties, stateKey, state, limits) {
 
   console.log('[rebuildDoc] Moved', batchCount, 'threads in this batch')
   state.processedCount += batchCount
+  recordMoved(batchCount)
 
   // Check if we're done. If the local queue is non-empty we hit the batch
   // size limit and can skip the API call — we already know threads remain.
@@ -834,32 +4731,218 @@ function moveProcessedThreads(labels, properties, stateKey, state, limits) {
   return false // Not complete, need to run again
 }
 
+/**
+ * Resolve the scope of a selective rebuild. A thread is in scope when its
+ * last message is on or after `after` and before `before` (Dates or date
+ * strings), it matches the Gmail search `query`, and its ID is in
+ * `threadIds`; criteria that are not set are ignored.
+ *
+ * @param {Object} scope - { after, before, query, threadIds } (optional)
+ * @returns {{after: Date|null, before: Date|null, query: string|null, threadIds: Array<string>|null}|null} Scope, or null for a full rebuild
+ * @throws {Error} If a date is invalid or no criterion is set
+ */
+function resolveRebuildScope(scope) {
+  if (!scope) return null
+  const toDate = (name) => {
+    if (!scope[name]) return null
+    const date = new Date(scope[name])
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid rebuild ' + name + ' date: ' + scope[name])
+    }
+    return date
+  }
+  const resolved = {
+    after: toDate('after'),
+    before: toDate('before'),
+    query: scope.query || null,
+    threadIds: scope.threadIds || null,
+  }
+  if (
+    !resolved.after &&
+    !resolved.before &&
+    !resolved.query &&
+    !resolved.threadIds
+  ) {
+    throw new Error('A rebuild scope needs after, before, query or threadIds')
+  }
+  return resolved
+}
+
+/**
+ * Reject a scoped rebuild that touches a config with `order: 'oldest-first'`:
+ * the next run would append the moved threads at the end of the output,
+ * after newer threads, breaking its chronological order. A config with no
+ * archived threads in the scope is left alone; without GmailApp to look
+ * them up, every oldest-first config is rejected.
+ *
+ * @param {Object} config - Configuration object (reads order, processedLabel)
+ * @param {Object} scope - Scope from resolveRebuildScope
+ * @param {Object} GmailApp - GAS GmailApp service (optional)
+ * @throws {Error} If the config appends threads and has threads in scope
+ */
+function checkScopedRebuildOrder(config, scope, GmailApp) {
+  if (resolveArchiveOrder(config) !== 'oldest-first') return
+  const processedLabel =
+    GmailApp &&
+    config.processedLabel &&
+    GmailApp.getUserLabelByName(config.processedLabel)
+  const touched = GmailApp
+    ? !!processedLabel &&
+      findThreadsInScope(processedLabel, scope, GmailApp).length > 0
+    : true
+  if (touched) {
+    throw new Error(
+      config.triggerLabel +
+        ": a scoped rebuild would append its threads out of order (order: 'oldest-first'); run a full rebuild instead"
+    )
+  }
+}
+
+/** Threads fetched per GmailApp.search call (its maximum). */
+const SEARCH_PAGE_SIZE = 500
+
+/**
+ * The IDs of all threads matching a Gmail search, page by page.
+ *
+ * @param {Object} GmailApp - GAS GmailApp service
+ * @param {string} query - Gmail search query
+ * @returns {Set<string>} Thread IDs
+ */
+function searchThreadIds(GmailApp, query) {
+  const ids = new Set()
+  for (let start = 0; ; start += SEARCH_PAGE_SIZE) {
+    const page = GmailApp.search(query, start, SEARCH_PAGE_SIZE)
+    page.forEach((thread) => ids.add(thread.getId()))
+    if (page.length < SEARCH_PAGE_SIZE) return ids
+  }
+}
+
+/**
+ * The processed threads of a config that a scoped rebuild regenerates.
+ *
+ * @param {Object} processedLabel - Gmail label of the archived threads
+ * @param {Object} scope - Scope from resolveRebuildScope
+ * @param {Object} GmailApp - GAS GmailApp service (for `query`)
+ * @returns {Array} Threads in scope
+ */
+function findThreadsInScope(processedLabel, scope, GmailApp) {
+  const matches = scope.query ? searchThreadIds(GmailApp, scope.query) : null
+  return processedLabel.getThreads().filter((thread) => {
+    const threadId = thread.getId()
+    const lastDate = thread.getLastMessageDate().getTime()
+    return (
+      (!scope.after || lastDate >= scope.after.getTime()) &&
+      (!scope.before || lastDate < scope.before.getTime()) &&
+      (!matches || matches.has(threadId)) &&
+      (!scope.threadIds || scope.threadIds.includes(threadId))
+    )
+  })
+}
+
+/**
+ * Scoped part of rebuildDoc: remove each thread in scope from the output
+ * target (through the sink, so every target type and rollover volume is
+ * handled) and move it back to the trigger label. The rest of the output is
+ * left alone. Threads that were moved are no longer under the processed
+ * label, so a paused rebuild simply runs again.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} services - GAS services (as for rebuildDoc)
+ * @param {Object} labels - { triggerLabel, processedLabel } Gmail labels
+ * @param {Object} scope - Scope from resolveRebuildScope
+ * @param {Object} limits - { budget, batchSize } (see createTimeBudget)
+ * @returns {boolean} True if every thread in scope was moved, false to rerun
+ */
+function rebuildThreadsInScope(config, services, labels, scope, limits) {
+  const { triggerLabel, processedLabel } = labels
+  const { budget, batchSize } = limits
+  const threads = findThreadsInScope(processedLabel, scope, services.GmailApp)
+  console.log('[rebuildDoc] Found', threads.length, 'threads in scope')
+  if (threads.length === 0) return true
+
+  const indexSettings = resolveThreadIndexSettings(config)
+  const threadIndex = indexSettings
+    ? openThreadIndex(indexSettings, services.SpreadsheetApp)
+    : null
+  const sink = createOutputSink(
+    config,
+    services,
+    removeExistingThread,
+    threadIndex
+  )
+  // Dropped up front, so a thread moved back is never skipped as archived
+  const ledgerSettings = resolveLedgerSettings(config)
+  if (ledgerSettings) {
+    dropLedgerRows(
+      openMessageLedger(ledgerSettings, services.SpreadsheetApp),
+      config.triggerLabel,
+      threads.map((thread) => thread.getId())
+    )
+  }
+  const properties = services.PropertiesService?.getUserProperties()
+  const recordMoved = (moved) => {
+    if (!properties) return
+    updateRebuildProgress(properties, config.triggerLabel, (counts) => {
+      if (counts.total === null) counts.total = counts.moved + threads.length
+      counts.moved += moved
+    })
+  }
+  for (let i = 0; i < threads.length; i++) {
+    if (i >= batchSize || budget.isExhausted()) {
+      console.log(
+        '[rebuildDoc] Pausing with',
+        threads.length - i,
+        'threads in scope left'
+      )
+      sink.flush?.()
+      recordMoved(i)
+      return false
+    }
+    const thread = threads[i]
+    sink.removeThread(thread.getId())
+    processedLabel.removeFromThread(thread)
+    triggerLabel.addToThread(thread)
+  }
+  // Writes out targets that buffer their content (Markdown)
+  sink.flush?.()
+  console.log('[rebuildDoc] Moved', threads.length, 'threads in scope')
+  recordMoved(threads.length)
+  return true
+}
+
 /**
  * Rebuilds a single document by clearing it and moving processed emails back to trigger label.
  * Uses batching and state tracking to handle large label sets without timing out.
+ * With a `scope`, only the threads in it are removed from the output and
+ * moved back (see rebuildThreadsInScope); the rest of the output is kept.
  *
  * @param {Object} config - Configuration object
- * @param {Object} services - GAS services object with GmailApp, DocumentApp, PropertiesService
+ * @param {Object} services - GAS services object with GmailApp, DocumentApp, PropertiesService (and DriveApp to trash rollover volumes or clear a Markdown target, SpreadsheetApp to clear a sheet target or thread index)
+ * @param {Object} budget - Time budget of the run (see createTimeBudget)
+ * @param {Object} scope - Threads to rebuild (see resolveRebuildScope; optional)
  * @returns {boolean} True if completed, false if needs to continue in another execution
  */
-function rebuildDoc(config, services) {
-  const { GmailApp, DocumentApp, PropertiesService } = services
-  const maxExecutionTime = 4 * 60 * 1000 // 4 minutes (leaving 2 min buffer for 6 min limit)
+function rebuildDoc(
+  config,
+  services,
+  budget = createTimeBudget(),
+  scope = null
+) {
+  const { GmailApp, PropertiesService } = services
   const parsedBatchSize = Number.parseInt(config.batchSize, 10)
   const batchSize = parsedBatchSize > 0 ? parsedBatchSize : 250
-  const startTime = Date.now()
 
   console.log('[rebuildDoc] Starting rebuild for:', config.triggerLabel)
 
   const triggerLabelName = config.triggerLabel
   const processedLabelName = config.processedLabel
-  const stateKey =
-    'rebuild_state_' + triggerLabelName.replace(/[^a-zA-Z0-9]/g, '_')
+  const stateKey = getRebuildStateKey(triggerLabelName)
 
   // 1. Validate and get labels
   console.log('[rebuildDoc] Looking up labels')
   const triggerLabel = GmailApp.getUserLabelByName(triggerLabelName)
-  const processedLabel = GmailApp.getUserLabelByName(processedLabelName)
+  const processedLabel =
+    processedLabelName && GmailApp.getUserLabelByName(processedLabelName)
 
   if (!triggerLabel) {
     console.error('[rebuildDoc] Trigger label not found:', triggerLabelName)
@@ -874,6 +4957,25 @@ function rebuildDoc(config, services) {
     )
   }
 
+  const rebuildScope = resolveRebuildScope(scope)
+  if (rebuildScope) {
+    checkScopedRebuildOrder(config, rebuildScope, GmailApp)
+    if (!processedLabel) return true
+    const complete = rebuildThreadsInScope(
+      config,
+      services,
+      { triggerLabel, processedLabel },
+      rebuildScope,
+      { budget, batchSize }
+    )
+    if (complete) {
+      console.log(
+        '[rebuildDoc] Run storeEmailsAndAttachments() to reprocess these emails'
+      )
+    }
+    return complete
+  }
+
   // 2. Check if we need to clear the document (only on first run)
   const properties = PropertiesService.getUserProperties()
   const rebuildState = properties.getProperty(stateKey)
@@ -881,7 +4983,7 @@ function rebuildDoc(config, services) {
 
   if (
     state.phase === 'clear_doc' &&
-    !clearRebuildDocument(config, DocumentApp, properties, stateKey, state)
+    !clearRebuildDocument(config, services, properties, stateKey, state)
   ) {
     return false // Clearing failed; retry next execution
   }
@@ -893,7 +4995,8 @@ function rebuildDoc(config, services) {
       properties,
       stateKey,
       state,
-      { startTime, maxExecutionTime, batchSize }
+      { budget, batchSize },
+      resolveArchiveOrder(config)
     )
     if (!complete) {
       return false // Not complete, need to run again
@@ -909,14 +5012,495 @@ function rebuildDoc(config, services) {
   return true
 }
 
+/**
+ * Report the progress of the last rebuildAllDocs run: its state ('idle' if
+ * none ran, 'moving' while threads go back to their trigger labels,
+ * 'rearchiving' until storeEmailsAndAttachments archived them all again,
+ * 'complete' or 'cancelled'), the threads moved, re-archived and left to
+ * move, an estimated finish and the last error. Configs a running rebuild
+ * has not reached yet count their processed threads (in scope) as left.
+ *
+ * The estimate extrapolates the time taken so far, pauses between
+ * continuations included, over the threads left to move and re-archive.
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Object} services - GAS services (GmailApp, PropertiesService)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Status ({state, startedAt, updatedAt, scope, moved, rearchived, remaining, eta, lastError, configs})
+ */
+function getRebuildStatus(configs, services, now = Date.now()) {
+  const { GmailApp, PropertiesService } = services
+  const progress = loadRebuildProgress(PropertiesService.getUserProperties())
+  if (!progress) return { state: 'idle', configs: [] }
+
+  const running = progress.status === 'running'
+  const scope = resolveRebuildScope(progress.scope)
+  const countWaiting = (config) => {
+    const processedLabel =
+      config.processedLabel &&
+      GmailApp.getUserLabelByName(config.processedLabel)
+    if (!processedLabel) return 0
+    return scope
+      ? findThreadsInScope(processedLabel, scope, GmailApp).length
+      : processedLabel.getThreads().length
+  }
+  const perConfig = configs.flatMap((config) => {
+    const counts = progress.configs[config.triggerLabel]
+    if (!counts && !running) return []
+    const { moved, rearchived, cleared } = counts || {
+      moved: 0,
+      rearchived: 0,
+      cleared: false,
+    }
+    let remaining = 0
+    if (counts && counts.total !== null) remaining = counts.total - moved
+    else if (running) remaining = countWaiting(config)
+    return [
+      {
+        triggerLabel: config.triggerLabel,
+        moved,
+        rearchived,
+        remaining,
+        cleared,
+      },
+    ]
+  })
+  const sum = (field) =>
+    perConfig.reduce((total, counts) => total + counts[field], 0)
+  const moved = sum('moved')
+  const rearchived = sum('rearchived')
+  const remaining = sum('remaining')
+
+  let state = 'complete'
+  if (progress.status === 'cancelled') state = 'cancelled'
+  else if (running) state = 'moving'
+  else if (rearchived < moved) state = 'rearchiving'
+
+  const done = moved + rearchived
+  const left = remaining + (moved + remaining - rearchived)
+  const active = state === 'moving' || state === 'rearchiving'
+  return {
+    state,
+    startedAt: new Date(progress.startedAt),
+    updatedAt: new Date(progress.updatedAt),
+    scope: progress.scope,
+    moved,
+    rearchived,
+    remaining,
+    eta:
+      active && done > 0
+        ? new Date(now + ((now - progress.startedAt) * left) / done)
+        : null,
+    lastError: progress.lastError
+      ? {
+          message: progress.lastError.message,
+          at: new Date(progress.lastError.at),
+        }
+      : null,
+    configs: perConfig,
+  }
+}
+
+/**
+ * Render a rebuild status (see getRebuildStatus) as plain-text lines, for
+ * the log and the status web page.
+ *
+ * @param {Object} status - Rebuild status
+ * @returns {string} Status text
+ */
+function formatRebuildStatus(status) {
+  if (status.state === 'idle') return 'No rebuild has run yet.'
+  const lines = [
+    'Rebuild ' +
+      status.state +
+      ' (started ' +
+      status.startedAt.toISOString() +
+      (status.scope ? ', scope ' + JSON.stringify(status.scope) : '') +
+      ')',
+    'Moved back to trigger labels: ' +
+      status.moved +
+      ' thread(s), ' +
+      status.remaining +
+      ' left',
+    'Re-archived: ' + status.rearchived + ' of ' + status.moved + ' thread(s)',
+  ]
+  if (status.eta) lines.push('Estimated finish: ' + status.eta.toISOString())
+  if (status.lastError) {
+    lines.push(
+      'Last error (' +
+        status.lastError.at.toISOString() +
+        '): ' +
+        status.lastError.message
+    )
+  }
+  status.configs.forEach((counts) => {
+    const missing =
+      status.state === 'cancelled' && counts.cleared && counts.remaining > 0
+    lines.push(
+      '- ' +
+        counts.triggerLabel +
+        ': moved ' +
+        counts.moved +
+        ', re-archived ' +
+        counts.rearchived +
+        ', ' +
+        counts.remaining +
+        ' left' +
+        (missing ? ' (missing from the cleared doc)' : '')
+    )
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Cancel a running or paused rebuildAllDocs run. Its continuation trigger
+ * and the rebuild state of every config are deleted, and a run that is in
+ * progress stops at its next cancellation check (see
+ * watchRebuildCancellation). Threads carrying both the trigger and the
+ * processed label (a move cut short) keep only the trigger label, so every
+ * thread the rebuild moved is archived again by the next
+ * storeEmailsAndAttachments run and the rest stay archived.
+ *
+ * A full rebuild clears each doc before moving its threads: threads it had
+ * not moved yet are then missing from the doc. They are logged, and running
+ * rebuildAllDocs() again restores them.
+ *
+ * @param {Array} configs - Array of configuration objects
+ * @param {Object} services - GAS services (GmailApp, PropertiesService, ScriptApp, Logger)
+ * @returns {Object|null} Status after the cancellation (see getRebuildStatus), or null if no rebuild was in progress
+ */
+function cancelRebuild(configs, services) {
+  const { GmailApp, PropertiesService, Logger } = services
+  const properties = PropertiesService.getUserProperties()
+  const progress = loadRebuildProgress(properties)
+  if (progress?.status !== 'running') {
+    Logger.log('No rebuild in progress to cancel')
+    return null
+  }
+  // Counted first: once cancelled, configs not reached are no longer listed
+  const unmoved = getRebuildStatus(configs, services).configs
+  progress.status = 'cancelled'
+  saveRebuildProgress(properties, progress)
+  takeContinuation(services, 'rebuildAllDocs')
+
+  configs.forEach((config) => {
+    properties.deleteProperty(getRebuildStateKey(config.triggerLabel))
+    const triggerLabel = GmailApp.getUserLabelByName(config.triggerLabel)
+    const processedLabel =
+      config.processedLabel &&
+      GmailApp.getUserLabelByName(config.processedLabel)
+    if (!triggerLabel || !processedLabel) return
+    const pending = new Set(
+      triggerLabel.getThreads().map((thread) => thread.getId())
+    )
+    processedLabel
+      .getThreads()
+      .filter((thread) => pending.has(thread.getId()))
+      .forEach((thread) => processedLabel.removeFromThread(thread))
+  })
+
+  unmoved
+    .filter((counts) => counts.cleared && counts.remaining > 0)
+    .forEach((counts) =>
+      Logger.log(
+        counts.remaining +
+          ' archived thread(s) of ' +
+          counts.triggerLabel +
+          ' are missing from its cleared doc; run rebuildAllDocs() to restore them'
+      )
+    )
+  const status = getRebuildStatus(configs, services)
+  Logger.log(
+    'Cancelled the rebuild after moving ' +
+      status.moved +
+      ' thread(s) back to their trigger labels'
+  )
+  return status
+}
+
+/** Formats of the exported message files (see exportLabelArchive). */
+const EXPORT_FORMATS = ['mbox', 'eml']
+
+/** Default size cap of an export's content (Apps Script's blob limit). */
+const EXPORT_MAX_BYTES = 50 * 1024 * 1024
+
+/**
+ * Resolve the config's `exportBundle` option: `format` ('mbox' or 'eml',
+ * default 'mbox'), the Drive `folderId` the ZIP goes to (default: the
+ * attachment folder), `maxBytes`, the cap on the zipped content, and
+ * `attachments`, whether attachments are also added as separate files
+ * (default false; the messages hold them already).
+ *
+ * @param {Object} config - Configuration object
+ * @returns {{format: string, folderId: string, maxBytes: number, attachments: boolean}} Export settings
+ * @throws {Error} If the format is unknown or maxBytes is not positive
+ */
+function resolveExportSettings(config) {
+  const settings = {
+    format: 'mbox',
+    folderId: config.folderId,
+    maxBytes: EXPORT_MAX_BYTES,
+    attachments: false,
+  }
+  Object.assign(settings, config.exportBundle)
+  if (!EXPORT_FORMATS.includes(settings.format)) {
+    throw new Error(
+      'Unknown export format: ' +
+        settings.format +
+        ' (expected ' +
+        EXPORT_FORMATS.join(' or ') +
+        ')'
+    )
+  }
+  if (!(settings.maxBytes > 0)) {
+    throw new Error('exportBundle.maxBytes must be a positive number')
+  }
+  return settings
+}
+
+/**
+ * A ZIP entry name that is not in `used` yet (and is added to it): a taken
+ * name gets " (2)", " (3)", ... before its extension.
+ *
+ * @param {string} name - Entry name
+ * @param {Set<string>} used - Entry names of the ZIP so far
+ * @returns {string} Unique entry name
+ */
+function toUniqueEntryName(name, used) {
+  let unique = name
+  for (let n = 2; used.has(unique); n++) {
+    unique = name.replace(/(\.[^./]*)?$/, ' (' + n + ')$1')
+  }
+  used.add(unique)
+  return unique
+}
+
+/**
+ * Build the mbox entry of a message (mboxrd): a "From " separator line with
+ * the sender and date, then the raw message with LF line endings and body
+ * lines starting with "From " (after any ">") quoted with one more ">".
+ *
+ * @param {Object} message - Gmail message object
+ * @returns {string} Mbox entry, ending with a blank line
+ */
+function toMboxEntry(message) {
+  // asctime date, e.g. "Thu Oct 01 00:00:00 2026"
+  const [weekday, day, month, year, time] = message
+    .getDate()
+    .toUTCString()
+    .replace(',', '')
+    .split(' ')
+  const raw = message
+    .getRawContent()
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+  return (
+    'From ' +
+    (getSenderAddress(message.getFrom()) || 'MAILER-DAEMON') +
+    ' ' +
+    [weekday, month, day, time, year].join(' ') +
+    '\n' +
+    raw.replace(/\n*$/, '\n') +
+    '\n'
+  )
+}
+
+/**
+ * Export a label group's correspondence as a single ZIP file in Drive: the
+ * messages of every thread under the trigger and processed labels (passing
+ * the config's filters) as one `messages.mbox` or one `.eml` file each under
+ * `messages/`. The raw messages include their attachments; with
+ * `exportBundle.attachments` they are also added under
+ * `attachments/<message id>/`.
+ *
+ * The ZIP is built in memory, so threads are added oldest first until the
+ * time budget runs out or the next thread would take the content past
+ * `exportBundle.maxBytes`. The content is counted in bytes as it is read, so
+ * the thread that passes the cap is not read any further. The ZIP of such a
+ * partial export is named `... (partial).zip`.
+ *
+ * @param {Object} config - Configuration object (triggerLabel, processedLabel, folderId, filters, exportBundle)
+ * @param {Object} services - GAS services (GmailApp, DriveApp, Utilities, Session, Logger)
+ * @param {Object} budget - Time budget of the run (see createTimeBudget)
+ * @returns {Object|null} The ZIP file, or null when there is nothing to export
+ */
+function exportLabelArchive(config, services, budget = createTimeBudget()) {
+  const { GmailApp, DriveApp, Utilities, Session, Logger } = services
+  const settings = resolveExportSettings(config)
+  const formatDay = (date) =>
+    Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+
+  // Archived threads first; a thread under both labels is exported once
+  const threads = []
+  const seen = new Set()
+  ;[config.processedLabel, config.triggerLabel].forEach((labelName) => {
+    const label = labelName && GmailApp.getUserLabelByName(labelName)
+    if (!label) return
+    label.getThreads().forEach((thread) => {
+      if (seen.has(thread.getId())) return
+      seen.add(thread.getId())
+      threads.push(thread)
+    })
+  })
+
+  const files = []
+  const mbox = []
+  const entryNames = new Set()
+  let messageCount = 0
+  let size = 0
+  let exportedThreads = 0
+  let stopReason = null
+  for (const thread of sortThreadsByLastMessageDate(threads)) {
+    if (budget.isExhausted()) {
+      stopReason = 'time budget'
+      break
+    }
+    const threadFiles = []
+    const threadMbox = []
+    let threadSize = 0
+    const fits = (bytes) => {
+      threadSize += bytes
+      return size + threadSize <= settings.maxBytes
+    }
+    const { accepted } = filterMessages(thread.getMessages(), config.filters)
+    const complete = accepted.every((message) => {
+      const messageId = message.getId()
+      if (settings.format === 'mbox') {
+        const entry = toMboxEntry(message)
+        threadMbox.push(entry)
+        if (!fits(Utilities.newBlob(entry).getBytes().length)) return false
+      } else {
+        // "<date> <subject> <id>.eml" sorts by date and stays unique
+        const subject = sanitizeFolderName(
+          message.getSubject() || '(No Subject)'
+        ).slice(0, 60)
+        const fileName = [formatDay(message.getDate()), subject, messageId]
+        const blob = Utilities.newBlob(
+          message.getRawContent(),
+          'message/rfc822',
+          'messages/' + fileName.join(' ') + '.eml'
+        )
+        threadFiles.push(blob)
+        if (!fits(blob.getBytes().length)) return false
+      }
+      if (!settings.attachments) return true
+      return message.getAttachments().every((attachment) => {
+        const blob = attachment.copyBlob()
+        blob.setName(
+          toUniqueEntryName(
+            'attachments/' +
+              messageId +
+              '/' +
+              sanitizeFolderName(attachment.getName()),
+            entryNames
+          )
+        )
+        threadFiles.push(blob)
+        return fits(blob.getBytes().length)
+      })
+    })
+    if (!complete) {
+      stopReason = 'size cap'
+      break
+    }
+    files.push(...threadFiles)
+    mbox.push(...threadMbox)
+    messageCount += accepted.length
+    size += threadSize
+    exportedThreads++
+  }
+
+  const stopped = stopReason
+    ? '; stopped at the ' +
+      stopReason +
+      ' after ' +
+      exportedThreads +
+      ' of ' +
+      threads.length +
+      ' thread(s)'
+    : ''
+  if (messageCount === 0) {
+    Logger.log('Nothing to export for: ' + config.triggerLabel + stopped)
+    return null
+  }
+  if (mbox.length > 0) {
+    files.unshift(
+      Utilities.newBlob(mbox.join(''), 'application/mbox', 'messages.mbox')
+    )
+  }
+
+  const zipName =
+    sanitizeFolderName(config.triggerLabel) +
+    ' export ' +
+    formatDay(new Date()) +
+    (stopReason ? ' (partial)' : '') +
+    '.zip'
+  const file = DriveApp.getFolderById(settings.folderId).createFile(
+    Utilities.zip(files, zipName)
+  )
+  Logger.log(
+    'Exported ' +
+      messageCount +
+      ' message(s) of ' +
+      config.triggerLabel +
+      ' to ' +
+      zipName +
+      stopped
+  )
+  return file
+}
+
 module.exports = {
+  DEFAULT_MESSAGE_TEMPLATE,
+  getMessageBody,
+  resolveMessageTemplate,
   processMessageToDoc,
   processMessagesToDoc,
   sortThreadsByLastMessageDate,
+  filterMessages,
   removeExistingThread,
+  ATTACHMENT_INDEX_FILE_NAME,
+  createAttachmentIndex,
+  findIndexedAttachment,
+  saveAttachmentIndex,
   resolveAttachmentName,
+  resolveConversionSettings,
+  getConversionTarget,
+  makeExcerpt,
+  expandFolderLayout,
+  resolveAttachmentFolder,
+  loadDocChain,
+  needsRollover,
+  createParagraphBuffer,
+  renderMarkdown,
+  parseMarkdown,
+  resolveOutputTarget,
+  resolveArchiveOrder,
+  createOutputSink,
+  markThreadRange,
+  removeThreadRange,
+  migrateThreadMarkers,
+  THREAD_INDEX_HEADERS,
+  openThreadIndex,
+  createTimeBudget,
+  formatDryRunReport,
+  REDACTION_DETECTORS,
+  resolveRedactionSettings,
+  redactText,
   storeEmailsAndAttachments,
   processLabelGroup,
   rebuildAllDocs,
   rebuildDoc,
+  exportLabelArchive,
+  validateConfigs,
+  resolveRetrySettings,
+  buildTriggerSearch,
+  resolveLedgerSettings,
+  openMessageLedger,
+  reconcileLedger,
+  formatLedgerReport,
+  resolveRebuildScope,
+  getRebuildStatus,
+  formatRebuildStatus,
+  cancelRebuild,
 }
@@ -0,0 +1,164 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+} = require('../../../test-utils/mocks')
+const {
+  resolveArchiveOrder,
+  createParagraphBuffer,
+  processMessagesToDoc,
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({
+  triggerLabel: 'Audit',
+  processedLabel: 'Audit/Archived',
+  order: 'oldest-first',
+})
+
+const doc = () => global.DocumentApp.openById('test-doc')
+const subjects = () => texts().filter((t) => t.startsWith('Subject:'))
+
+function addThread(subject, days) {
+  const messages = days.map((day, i) =>
+    createMessage({
+      subject: i === 0 ? subject : 'Re: ' + subject,
+      body: subject + ' ' + day,
+      date: new Date(`2026-10-${day}T00:00:00Z`),
+    })
+  )
+  const thread = global.GmailApp.__addThreadWithLabels(['Audit'], messages)
+  return { thread, messages }
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Audit')
+})
+
+describe('resolveArchiveOrder', () => {
+  test('defaults to newest-first and rejects unknown orders', () => {
+    expect(resolveArchiveOrder({})).toBe('newest-first')
+    expect(resolveArchiveOrder({ order: 'oldest-first' })).toBe('oldest-first')
+    expect(() => resolveArchiveOrder({ order: 'random' })).toThrow(
+      'Unknown order: random'
+    )
+  })
+})
+
+describe('oldest-first archives', () => {
+  test('append threads and messages in chronological order', () => {
+    addThread('Second', ['03', '04'])
+    addThread('First', ['01', '02'])
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual([
+      'Subject: First',
+      'Subject: Re: First',
+      'Subject: Second',
+      'Subject: Re: Second',
+    ])
+    expect(texts()[0]).toBe('==============================')
+    expect(texts()[9]).toBe('==============================')
+    const ranges = doc()
+      .getNamedRanges()
+      .filter((r) => r.getName().startsWith('thread:'))
+      .map((r) =>
+        r
+          .getRange()
+          .getRangeElements()
+          .map((e) => e.getElement().getText())
+      )
+    expect(ranges.map((r) => [r[1], r.length])).toEqual([
+      ['Subject: First', 9],
+      ['Subject: Second', 9],
+    ])
+  })
+
+  test('move a replaced thread to the end and keep text above it', () => {
+    const { thread, messages } = addThread('First', ['01'])
+    addThread('Second', ['02'])
+    doc().getBody().appendParagraph('Audit log')
+    processLabelGroup(config, services(), helperFns)
+
+    messages.push(
+      createMessage({
+        subject: 'Re: First',
+        body: 'Reply',
+        date: new Date('2026-10-05T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('Audit').addToThread(thread)
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts()[0]).toBe('Audit log')
+    expect(subjects()).toEqual([
+      'Subject: Second',
+      'Subject: First',
+      'Subject: Re: First',
+    ])
+  })
+
+  test('put the thread marker on the newest message without a sink', () => {
+    const body = createParagraphBuffer()
+    body.appendParagraph('Title')
+    const { messages } = addThread('First', ['01', '02'])
+    const options = { threadId: 't1', config }
+
+    processMessagesToDoc(messages, body, null, options)
+    processMessagesToDoc(messages, body, null, options)
+
+    expect(body.getParagraphs().map((p) => p.getText())).toEqual([
+      'Title',
+      '==============================',
+      'Subject: First',
+      expect.stringMatching(/^Date: /),
+      'First 01',
+      '------------------------------',
+      'Subject: Re: First',
+      expect.stringMatching(/^Date: /),
+      'First 02',
+      '------------------------------[THREAD:t1]',
+    ])
+  })
+
+  test('rejects an unknown order before archiving', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    addThread('First', ['01'])
+
+    processLabelGroup(
+      { ...config, order: 'random' },
+      { ...services(), Logger },
+      helperFns
+    )
+
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error opening output target or Folder. Check IDs in Config.gs. Error: Unknown order: random'
+    )
+    expect(texts()).toEqual([])
+    error.mockRestore()
+  })
+
+  test('rebuild moves the oldest threads back first', () => {
+    addThread('Second', ['03'])
+    const { thread } = addThread('First', ['01'])
+    processLabelGroup(config, services(), helperFns)
+    // Gmail lists the most recent thread first
+    const archived = global.GmailApp.getUserLabelByName('Audit/Archived')
+    archived.removeFromThread(thread)
+    archived.addToThread(thread)
+
+    rebuildDoc({ ...config, batchSize: 1 }, services())
+
+    const moved = global.GmailApp.getUserLabelByName('Audit').getThreads()
+    expect(moved.map((t) => t.getMessages()[0].getSubject())).toEqual(['First'])
+    expect(texts()).toEqual([])
+  })
+})
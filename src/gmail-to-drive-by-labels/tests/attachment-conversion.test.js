@@ -0,0 +1,267 @@
+const { createMessage, createBlob } = require('../../../test-utils/mocks')
+const {
+  resolveConversionSettings,
+  getConversionTarget,
+  makeExcerpt,
+  processMessageToDoc,
+  processLabelGroup,
+} = require('../src/index')
+
+const DOCX =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+const GOOGLE_DOC = 'application/vnd.google-apps.document'
+const GOOGLE_SHEET = 'application/vnd.google-apps.spreadsheet'
+
+// Fake Drive advanced service: "converts" by creating a file in the parent
+// folder and writing the given text into the matching mock Doc
+function createDriveService(textByName = {}) {
+  return {
+    Files: {
+      create: jest.fn((resource, blob) => {
+        const folder = global.DriveApp.getFolderById(resource.parents[0])
+        const file = folder.createFile(resource.name, '')
+        if (resource.mimeType === GOOGLE_DOC) {
+          global.DocumentApp.openById(file.getId())
+            .getBody()
+            .appendParagraph(textByName[blob.getName()] || '')
+        }
+        return { id: file.getId(), name: resource.name }
+      }),
+    },
+  }
+}
+
+describe('resolveConversionSettings', () => {
+  test('is disabled unless configured', () => {
+    expect(resolveConversionSettings()).toBeNull()
+    expect(resolveConversionSettings({ convertAttachments: false })).toBeNull()
+  })
+
+  test('enables everything with defaults for true', () => {
+    expect(resolveConversionSettings({ convertAttachments: true })).toEqual({
+      office: true,
+      ocr: true,
+      excerptLength: 200,
+      ocrLanguage: null,
+    })
+  })
+
+  test('merges individual settings', () => {
+    expect(
+      resolveConversionSettings({
+        convertAttachments: { ocr: false, excerptLength: 50 },
+      })
+    ).toMatchObject({ office: true, ocr: false, excerptLength: 50 })
+  })
+})
+
+describe('getConversionTarget', () => {
+  const all = { office: true, ocr: true }
+
+  test('maps Word and Excel files to Docs and Sheets', () => {
+    expect(getConversionTarget(DOCX, all)).toBe(GOOGLE_DOC)
+    expect(getConversionTarget('application/msword', all)).toBe(GOOGLE_DOC)
+    expect(getConversionTarget(XLSX, all)).toBe(GOOGLE_SHEET)
+  })
+
+  test('OCRs PDFs and images into Docs', () => {
+    expect(getConversionTarget('application/pdf', all)).toBe(GOOGLE_DOC)
+    expect(getConversionTarget('image/png', all)).toBe(GOOGLE_DOC)
+  })
+
+  test('respects the office and ocr switches', () => {
+    expect(getConversionTarget(DOCX, { ocr: true })).toBeNull()
+    expect(getConversionTarget('application/pdf', { office: true })).toBeNull()
+    expect(getConversionTarget('text/plain', all)).toBeNull()
+  })
+})
+
+describe('makeExcerpt', () => {
+  test('collapses whitespace and truncates with an ellipsis', () => {
+    expect(makeExcerpt('  Line one\n\nline   two  ', 100)).toBe(
+      'Line one line two'
+    )
+    expect(makeExcerpt('abcdef ghij', 7)).toBe('abcdef…')
+    expect(makeExcerpt(null, 10)).toBe('')
+  })
+})
+
+describe('attachment conversion when archiving', () => {
+  let body, folder
+
+  beforeEach(() => {
+    body = global.DocumentApp.openById('test-doc').getBody()
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  const texts = () => body.getParagraphs().map((p) => p.getText())
+
+  const messageWith = (...attachments) =>
+    createMessage({ subject: 'Docs', body: 'See attached', attachments })
+
+  test('adds a linked converted copy and an excerpt under the entry', () => {
+    const Drive = createDriveService({
+      'scan.pdf': 'Invoice 42\nTotal due: $100',
+    })
+    processMessageToDoc(
+      messageWith(createBlob('pdf', 'scan.pdf', 'application/pdf')),
+      body,
+      folder,
+      {
+        Drive,
+        DriveApp: global.DriveApp,
+        DocumentApp: global.DocumentApp,
+        config: { convertAttachments: true },
+      }
+    )
+
+    expect(texts().slice(3, 6)).toEqual([
+      '[Attachments]:',
+      '- scan.pdf',
+      '  Converted: scan',
+    ])
+    expect(texts()[6]).toBe('  Excerpt: Invoice 42 Total due: $100')
+    const converted = folder.__getFiles().find((f) => f.getName() === 'scan')
+    expect(body.getParagraphs()[5].linkUrl).toBe(converted.getUrl())
+    expect(Drive.Files.create).toHaveBeenCalledWith(
+      { name: 'scan', mimeType: GOOGLE_DOC, parents: ['test-folder'] },
+      expect.anything(),
+      {}
+    )
+  })
+
+  test('excerpts the first sheet of converted spreadsheets', () => {
+    const sheet = global.SpreadsheetApp.openById('any').getSheets()[0]
+    sheet.appendRow(['Item', 'Cost'])
+    sheet.appendRow(['Paper', 5])
+    processMessageToDoc(
+      messageWith(createBlob('xlsx', 'budget.xlsx', XLSX)),
+      body,
+      folder,
+      {
+        Drive: createDriveService(),
+        DriveApp: global.DriveApp,
+        SpreadsheetApp: global.SpreadsheetApp,
+        config: { convertAttachments: { excerptLength: 12 } },
+      }
+    )
+
+    expect(texts()).toContain('  Converted: budget')
+    expect(texts()).toContain('  Excerpt: Item | Cost…')
+  })
+
+  test('passes the OCR language and omits empty excerpts', () => {
+    const Drive = createDriveService()
+    processMessageToDoc(
+      messageWith(createBlob('png', 'photo.png', 'image/png')),
+      body,
+      folder,
+      {
+        Drive,
+        DriveApp: global.DriveApp,
+        DocumentApp: global.DocumentApp,
+        config: { convertAttachments: { ocrLanguage: 'de' } },
+      }
+    )
+
+    expect(Drive.Files.create.mock.calls[0][2]).toEqual({ ocrLanguage: 'de' })
+    expect(texts()).toContain('  Converted: photo')
+    expect(texts().some((t) => t.startsWith('  Excerpt:'))).toBe(false)
+  })
+
+  test('leaves unsupported types and duplicates unconverted', () => {
+    const Drive = createDriveService()
+    folder.createFile(createBlob('dup', 'old.pdf', 'application/pdf'))
+    processMessageToDoc(
+      messageWith(
+        createBlob('txt', 'notes.txt', 'text/plain'),
+        createBlob('dup', 'again.pdf', 'application/pdf')
+      ),
+      body,
+      folder,
+      {
+        Drive,
+        DriveApp: global.DriveApp,
+        config: { convertAttachments: true },
+      }
+    )
+
+    expect(Drive.Files.create).not.toHaveBeenCalled()
+  })
+
+  test('skips conversion when the Drive service is missing', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    processMessageToDoc(
+      messageWith(createBlob('doc', 'letter.docx', DOCX)),
+      body,
+      folder,
+      { config: { convertAttachments: true } }
+    )
+
+    expect(texts()).toContain('- letter.docx')
+    expect(texts().some((t) => t.startsWith('  Converted:'))).toBe(false)
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  test('logs conversion failures and keeps the original file', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const Drive = {
+      Files: {
+        create: () => {
+          throw new Error('Quota exceeded')
+        },
+      },
+    }
+    processMessageToDoc(
+      messageWith(createBlob('doc', 'letter.docx', DOCX)),
+      body,
+      folder,
+      {
+        Drive,
+        DriveApp: global.DriveApp,
+        Logger,
+        config: { convertAttachments: true },
+      }
+    )
+
+    expect(texts()).toContain('- letter.docx')
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Could not convert attachment: letter.docx - Quota exceeded'
+    )
+    error.mockRestore()
+  })
+
+  test('processLabelGroup passes the Drive service through', () => {
+    const Drive = createDriveService({ 'memo.docx': 'Meeting moved' })
+    global.GmailApp.createLabel('convert-trigger')
+    global.GmailApp.__addThreadWithLabels(
+      ['convert-trigger'],
+      [messageWith(createBlob('memo', 'memo.docx', DOCX))]
+    )
+
+    processLabelGroup(
+      {
+        triggerLabel: 'convert-trigger',
+        processedLabel: 'convert-archived',
+        docId: 'test-doc',
+        folderId: 'test-folder',
+        convertAttachments: { ocr: false },
+      },
+      {
+        GmailApp: global.GmailApp,
+        DocumentApp: global.DocumentApp,
+        DriveApp: global.DriveApp,
+        Drive,
+        Logger: global.Logger,
+        Utilities: global.Utilities,
+        Session: global.Session,
+      },
+      { removeExistingThreadFromDoc: () => false }
+    )
+
+    expect(texts()).toContain('  Excerpt: Meeting moved')
+  })
+})
@@ -0,0 +1,257 @@
+const { createMessage, createBlob } = require('../../../test-utils/mocks')
+const { getFileHash } = require('../../gas-utils')
+const {
+  ATTACHMENT_INDEX_FILE_NAME,
+  createAttachmentIndex,
+  findIndexedAttachment,
+  saveAttachmentIndex,
+  processMessageToDoc,
+  processLabelGroup,
+} = require('../src/index')
+
+const readManifest = (folder) =>
+  JSON.parse(
+    folder
+      .getFilesByName(ATTACHMENT_INDEX_FILE_NAME)
+      .next()
+      .getBlob()
+      .getDataAsString()
+  )
+
+describe('attachment content-hash index', () => {
+  let folder
+
+  beforeEach(() => {
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  test('builds the index from existing files and persists a manifest', () => {
+    const existing = folder.createFile(createBlob('report', 'report.pdf'))
+    const index = createAttachmentIndex(folder, global.DriveApp)
+    const hash = getFileHash(createBlob('report'))
+
+    expect(findIndexedAttachment(index, hash)).toBe(existing)
+    saveAttachmentIndex(index)
+
+    expect(readManifest(folder)).toEqual({
+      version: 1,
+      md5: { [hash]: existing.getId() },
+    })
+  })
+
+  test('indexes files in subfolders too', () => {
+    const nested = folder.createFolder('2024').createFile(createBlob('old'))
+    const index = createAttachmentIndex(folder, global.DriveApp)
+
+    expect(findIndexedAttachment(index, getFileHash(createBlob('old')))).toBe(
+      nested
+    )
+  })
+
+  test('does not index converted Google files', () => {
+    const pdf = folder.createFile(createBlob('scan', 'scan.pdf'))
+    folder.createFile('scan', 'scan', 'application/vnd.google-apps.document')
+    const index = createAttachmentIndex(folder, global.DriveApp)
+    findIndexedAttachment(index, '')
+
+    expect(index.hashes).toEqual({
+      [getFileHash(createBlob('scan'))]: pdf.getId(),
+    })
+  })
+
+  test('reads the manifest instead of re-hashing existing files', () => {
+    const existing = folder.createFile(createBlob('report', 'report.pdf'))
+    saveAttachmentIndex(createAttachmentIndexLoaded(folder))
+    const getBlob = jest.spyOn(existing, 'getBlob')
+
+    const index = createAttachmentIndex(folder, global.DriveApp)
+    const found = findIndexedAttachment(
+      index,
+      getFileHash(createBlob('report'))
+    )
+
+    expect(found).toBe(existing)
+    expect(getBlob).not.toHaveBeenCalled()
+  })
+
+  test('drops entries whose file was trashed or deleted', () => {
+    const existing = folder.createFile(createBlob('report', 'report.pdf'))
+    saveAttachmentIndex(createAttachmentIndexLoaded(folder))
+    existing.setTrashed(true)
+
+    const index = createAttachmentIndex(folder, global.DriveApp)
+    const hash = getFileHash(createBlob('report'))
+    expect(findIndexedAttachment(index, hash)).toBeNull()
+    saveAttachmentIndex(index)
+
+    expect(readManifest(folder).md5).toEqual({})
+  })
+
+  test('drops entries whose file is gone, with or without DriveApp', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+    const hash = getFileHash(createBlob('report'))
+    folder.createFile(
+      ATTACHMENT_INDEX_FILE_NAME,
+      JSON.stringify({ version: 1, md5: { [hash]: 'file_gone' } }),
+      'text/plain'
+    )
+
+    expect(
+      findIndexedAttachment(
+        createAttachmentIndex(folder, global.DriveApp),
+        hash
+      )
+    ).toBeNull()
+    expect(log).toHaveBeenCalledWith(
+      '[processMessageToDoc] Indexed file not found:',
+      'No item with the given ID could be found: file_gone'
+    )
+    expect(
+      findIndexedAttachment(createAttachmentIndex(folder), hash)
+    ).toBeNull()
+    log.mockRestore()
+  })
+
+  test('leaves out files that cannot be hashed', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const broken = folder.createFile(createBlob('scan', 'scan.pdf'))
+    jest.spyOn(broken, 'getBlob').mockImplementation(() => {
+      throw new Error('Empty response')
+    })
+
+    const index = createAttachmentIndex(folder, global.DriveApp)
+
+    expect(
+      findIndexedAttachment(index, getFileHash(createBlob('scan')))
+    ).toBeNull()
+    expect(warn).toHaveBeenCalledWith(
+      '[processMessageToDoc] Could not hash file:',
+      'scan.pdf',
+      'Empty response'
+    )
+    warn.mockRestore()
+  })
+
+  test('rebuilds an unreadable manifest', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const existing = folder.createFile(createBlob('report', 'report.pdf'))
+    folder.createFile(ATTACHMENT_INDEX_FILE_NAME, '{not json', 'text/plain')
+
+    const index = createAttachmentIndex(folder, global.DriveApp)
+    const hash = getFileHash(createBlob('report'))
+    expect(findIndexedAttachment(index, hash)).toBe(existing)
+    saveAttachmentIndex(index)
+
+    expect(readManifest(folder).md5).toEqual({ [hash]: existing.getId() })
+    expect(folder.__getFiles()).toHaveLength(2)
+    warn.mockRestore()
+  })
+
+  test('resolves file IDs from the folder tree without DriveApp', () => {
+    const existing = folder.createFile(createBlob('report', 'report.pdf'))
+    saveAttachmentIndex(createAttachmentIndexLoaded(folder))
+
+    const index = createAttachmentIndex(folder)
+    expect(
+      findIndexedAttachment(index, getFileHash(createBlob('report')))
+    ).toBe(existing)
+  })
+})
+
+describe('archiving with the attachment index', () => {
+  let body, folder
+
+  beforeEach(() => {
+    body = global.DocumentApp.openById('test-doc').getBody()
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  test('links renamed duplicates to the existing copy', () => {
+    const existing = folder.createFile(createBlob('pdf-bytes', 'invoice.pdf'))
+    const message = createMessage({
+      subject: 'Resent',
+      attachments: [createBlob('pdf-bytes', 'invoice-copy.pdf')],
+    })
+
+    processMessageToDoc(message, body, folder, {})
+
+    const entry = body
+      .getParagraphs()
+      .find((p) => p.getText().startsWith('- invoice-copy.pdf'))
+    expect(entry.getText()).toBe(
+      '- invoice-copy.pdf (existing copy: invoice.pdf)'
+    )
+    expect(entry.linkUrl).toBe(existing.getUrl())
+    expect(folder.__getFiles().map((f) => f.getName())).toEqual([
+      'invoice.pdf',
+      ATTACHMENT_INDEX_FILE_NAME,
+    ])
+  })
+
+  test('links a duplicate with the same name to the existing copy', () => {
+    const existing = folder.createFile(createBlob('pdf-bytes', 'invoice.pdf'))
+    const message = createMessage({
+      subject: 'Resent',
+      attachments: [createBlob('pdf-bytes', 'invoice.pdf')],
+    })
+
+    processMessageToDoc(message, body, folder, {})
+
+    const entry = body
+      .getParagraphs()
+      .find((p) => p.getText().startsWith('- invoice.pdf'))
+    expect(entry.getText()).toBe('- invoice.pdf (existing copy)')
+    expect(entry.linkUrl).toBe(existing.getUrl())
+  })
+
+  test('processLabelGroup shares one index across threads', () => {
+    global.GmailApp.createLabel('index-trigger')
+    ;['2024-01-01', '2024-01-02'].forEach((day) =>
+      global.GmailApp.__addThreadWithLabels(
+        ['index-trigger'],
+        [
+          createMessage({
+            subject: 'Statement ' + day,
+            date: new Date(day + 'T00:00:00Z'),
+            attachments: [createBlob('same', 'statement-' + day + '.pdf')],
+          }),
+        ]
+      )
+    )
+
+    processLabelGroup(
+      {
+        triggerLabel: 'index-trigger',
+        processedLabel: 'index-archived',
+        docId: 'test-doc',
+        folderId: 'test-folder',
+      },
+      {
+        GmailApp: global.GmailApp,
+        DocumentApp: global.DocumentApp,
+        DriveApp: global.DriveApp,
+        Logger: global.Logger,
+        Utilities: global.Utilities,
+        Session: global.Session,
+      },
+      { removeExistingThreadFromDoc: () => false }
+    )
+
+    const saved = folder.__getFiles().map((f) => f.getName())
+    expect(saved).toEqual([
+      'statement-2024-01-01.pdf',
+      ATTACHMENT_INDEX_FILE_NAME,
+    ])
+    expect(Object.keys(readManifest(folder).md5)).toHaveLength(1)
+    expect(body.getParagraphs().map((p) => p.getText())).toContain(
+      '- statement-2024-01-02.pdf (existing copy: statement-2024-01-01.pdf)'
+    )
+  })
+})
+
+// Build an index from the folder contents so it can be saved as a manifest
+function createAttachmentIndexLoaded(folder) {
+  const index = createAttachmentIndex(folder, global.DriveApp)
+  findIndexedAttachment(index, '')
+  return index
+}
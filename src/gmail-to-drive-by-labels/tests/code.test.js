@@ -2,6 +2,7 @@ const { createMessage, createBlob } = require('../../../test-utils/mocks')
 const {
   storeEmailsAndAttachments: storeEmailsCore,
   processLabelGroup: processLabelGroupCore,
+  ATTACHMENT_INDEX_FILE_NAME,
   removeExistingThread,
   resolveAttachmentName,
   rebuildDoc: rebuildDocCore,
@@ -9,6 +10,10 @@ const {
 } = require('../src/index.js')
 const { getCleanBody, getFileHash } = require('../../gas-utils')
 
+// Saved attachments, leaving out the content-hash index manifest
+const attachmentFiles = (folder) =>
+  folder.__getFiles().filter((f) => f.getName() !== ATTACHMENT_INDEX_FILE_NAME)
+
 // Mock getProcessConfig
 global.getProcessConfig = jest.fn(() => [
   {
@@ -409,7 +414,7 @@ describe('processLabelGroup', () => {
     processLabelGroup(config)
 
     // Verify attachment was saved
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(1)
     expect(files[0].getName()).toBe('test.txt')
 
@@ -457,14 +462,14 @@ describe('processLabelGroup', () => {
     processLabelGroup(config)
 
     // Verify attachment was NOT duplicated (still only 1 file)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(1)
 
     // Verify document shows it was skipped
     const body = doc.getBody()
     const paragraphs = body.getParagraphs()
     const skipMentioned = paragraphs.some((p) =>
-      p.getText().includes('DUPLICATE SKIPPED')
+      p.getText().includes('(existing copy)')
     )
     expect(skipMentioned).toBe(true)
   })
@@ -504,7 +509,7 @@ describe('processLabelGroup', () => {
     processLabelGroup(config)
 
     // Verify we now have 2 files (original + renamed due to hash mismatch)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
   })
 
@@ -541,7 +546,7 @@ describe('processLabelGroup', () => {
     processLabelGroup(config)
 
     // Verify we now have 2 files (original + renamed)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
 
     // One should be the original name, other should be renamed
@@ -0,0 +1,180 @@
+const {
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  rebuildAllDocs,
+  formatDryRunReport,
+  validateConfigs,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const reports = archiverConfig({ docId: 'reports-doc' })
+const invoices = archiverConfig({
+  triggerLabel: 'Invoices',
+  processedLabel: 'Invoices/Archived',
+  docId: 'invoices-doc',
+})
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Invoices')
+})
+
+describe('validateConfigs', () => {
+  test('accept valid configs', () => {
+    expect(validateConfigs([reports, invoices], services())).toEqual({
+      errors: [],
+      warnings: [],
+    })
+  })
+
+  test('report missing fields and invalid options of every config', () => {
+    const { errors } = validateConfigs([
+      { triggerLabel: 'Reports', order: 'random' },
+      {
+        ...invoices,
+        target: { type: 'sheet' },
+        docId: undefined,
+        filters: { exclude: [{ subject: '(' }] },
+      },
+    ])
+
+    expect(errors).toEqual([
+      'Config 1 (Reports): missing processedLabel, folderId, docId',
+      'Config 1 (Reports): Unknown order: random',
+      'Config 2 (Invoices): sheet target needs a spreadsheetId',
+      expect.stringMatching(
+        /^Config 2 \(Invoices\): filters\.exclude rule 1 subject: Invalid regular expression/
+      ),
+    ])
+  })
+
+  test('report overlapping and circular labels', () => {
+    const { errors } = validateConfigs([
+      reports,
+      { ...invoices, triggerLabel: 'Reports' },
+      { ...invoices, triggerLabel: 'Bills' },
+      { ...invoices, triggerLabel: 'Memos', processedLabel: 'Memos' },
+      {
+        triggerLabel: 'A',
+        processedLabel: 'B',
+        docId: 'a-doc',
+        folderId: 'f',
+      },
+      {
+        triggerLabel: 'B',
+        processedLabel: 'A',
+        docId: 'b-doc',
+        folderId: 'f',
+      },
+    ])
+
+    expect(errors).toEqual([
+      'Config 4 (Memos): triggerLabel and processedLabel are both Memos, so archived threads would be archived again on every run',
+      'Config 2 (Reports): triggerLabel is also used by Config 1 (Reports)',
+      'Config 3 (Bills): processedLabel is also used by Config 2 (Reports), so a rebuild of either would move the threads of both',
+      'Config 6 (B): processedLabel A is the triggerLabel of Config 5 (A) and the other way round, so threads would be archived in a loop',
+    ])
+  })
+
+  test('report docs and folders that cannot be opened', () => {
+    const fail = (id) => {
+      throw new Error('No item with the given ID could be found: ' + id)
+    }
+
+    const { errors, warnings } = validateConfigs(
+      [{ ...reports, triggerLabel: 'Reprots' }],
+      services({
+        DocumentApp: { openById: fail },
+        DriveApp: { getFolderById: fail },
+      })
+    )
+
+    expect(errors).toEqual([
+      'Config 1 (Reprots): cannot open docId: No item with the given ID could be found: reports-doc',
+      'Config 1 (Reprots): cannot open folderId: No item with the given ID could be found: test-folder',
+    ])
+    expect(warnings).toEqual([
+      'Config 1 (Reprots): trigger label not found: Reprots',
+    ])
+  })
+  test('report sheets that cannot be opened', () => {
+    const { errors } = validateConfigs(
+      [
+        {
+          ...reports,
+          target: { type: 'sheet', spreadsheetId: 'sheet-id' },
+          threadIndex: 'index-id',
+          messageLedger: 'ledger-id',
+        },
+      ],
+      services({
+        SpreadsheetApp: {
+          openById: (id) => {
+            throw new Error('Access denied: ' + id)
+          },
+        },
+      })
+    )
+
+    expect(errors).toEqual([
+      'Config 1 (Reports): cannot open the sheet target: Access denied: sheet-id',
+      'Config 1 (Reports): cannot open the thread index: Access denied: index-id',
+      'Config 1 (Reports): cannot open the message ledger: Access denied: ledger-id',
+    ])
+  })
+})
+
+describe('validation before a run', () => {
+  const invalid = [reports, { ...invoices, triggerLabel: 'Reports' }]
+
+  test('throw every error before processing any config', () => {
+    const processSpy = jest.fn()
+
+    expect(() =>
+      storeEmailsAndAttachments(invalid, processSpy, services())
+    ).toThrow(
+      'Invalid configuration in Config.gs:\n' +
+        '- Config 2 (Reports): triggerLabel is also used by Config 1 (Reports)'
+    )
+    expect(processSpy).not.toHaveBeenCalled()
+  })
+
+  test('throw before a rebuild clears any doc', () => {
+    const rebuildSpy = jest.fn()
+
+    expect(() => rebuildAllDocs(invalid, rebuildSpy, services())).toThrow(
+      'Invalid configuration in Config.gs'
+    )
+    expect(rebuildSpy).not.toHaveBeenCalled()
+  })
+
+  test('list the errors in the dry-run report instead of the groups', () => {
+    const report = storeEmailsAndAttachments(
+      invalid,
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services(),
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services(),
+      { dryRun: true }
+    )
+
+    expect(report.groups).toEqual([])
+    expect(formatDryRunReport(report).split('\n')).toEqual([
+      'Dry run of 0 label group(s)',
+      'Configuration errors (nothing would run):',
+      '- Config 2 (Reports): triggerLabel is also used by Config 1 (Reports)',
+    ])
+  })
+})
@@ -0,0 +1,261 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  loadDocChain,
+  needsRollover,
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({
+  triggerLabel: 'rollover-trigger',
+  processedLabel: 'rollover-archived',
+  rollover: { maxParagraphs: 10 },
+})
+
+// Each single-message thread adds 5 paragraphs: thread separator, subject,
+// date, body and message separator
+const addThread = (subject, day) =>
+  addArchiveThread(subject, day, {}, ['rollover-trigger'])
+
+describe('needsRollover', () => {
+  const body = {
+    getNumChildren: () => 12,
+    getText: () => 'x'.repeat(500),
+  }
+
+  test('checks paragraph and character limits', () => {
+    expect(needsRollover(body, { maxParagraphs: 12 })).toBe(true)
+    expect(needsRollover(body, { maxParagraphs: 13 })).toBe(false)
+    expect(needsRollover(body, { maxCharacters: 500 })).toBe(true)
+    expect(needsRollover(body, { maxCharacters: 501 })).toBe(false)
+    expect(needsRollover(body, {})).toBe(false)
+  })
+})
+
+describe('archive doc rollover', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-11-15T12:00:00Z') })
+    global.DriveApp.__addDocumentFile('test-doc', 'test-doc', 'archive-folder')
+    global.GmailApp.createLabel('rollover-trigger')
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('starts a new volume in the same folder once the doc is full', () => {
+    addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+
+    processLabelGroup(config, services(), helperFns)
+
+    const chain = loadDocChain(global.PropertiesService, 'test-doc')
+    expect(chain).toEqual([
+      { id: 'test-doc', title: null, ranges: true },
+      { id: 'doc_1', title: 'test-doc – 2026 Q4', ranges: true },
+    ])
+    expect(texts('test-doc')).toHaveLength(10)
+    expect(texts('doc_1')[1]).toBe('Subject: Three')
+    const folder = global.DriveApp.getFolderById('archive-folder')
+    expect(folder.__getFiles().map((f) => f.getName())).toEqual([
+      'test-doc',
+      'test-doc – 2026 Q4',
+    ])
+  })
+
+  test('keeps writing to the newest volume on later runs', () => {
+    addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+    processLabelGroup(config, services(), helperFns)
+
+    addThread('Four', '04')
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts('test-doc')).toHaveLength(10)
+    expect(texts('doc_1')[1]).toBe('Subject: Four')
+    expect(texts('doc_1')).toHaveLength(10)
+  })
+
+  test('numbers further volumes started in the same quarter', () => {
+    ;['01', '02', '03', '04', '05'].forEach((day) => addThread('T' + day, day))
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(
+      loadDocChain(global.PropertiesService, 'test-doc').map((v) => v.title)
+    ).toEqual([null, 'test-doc – 2026 Q4', 'test-doc – 2026 Q4 (2)'])
+  })
+
+  test('replaces a thread stored in an older volume', () => {
+    const { thread, messages } = addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+    processLabelGroup(config, services(), helperFns)
+    expect(texts('test-doc')).toContain('Subject: One')
+
+    // A reply arrives on the first thread, which lives in the first volume
+    messages.push(
+      createMessage({
+        subject: 'Re: One',
+        body: 'Reply',
+        date: new Date('2026-10-05T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('rollover-trigger').addToThread(thread)
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts('test-doc')).not.toContain('Subject: One')
+    expect(texts('test-doc')).toHaveLength(5)
+    expect(texts('doc_1').slice(0, 2)).toEqual([
+      '==============================',
+      'Subject: Re: One',
+    ])
+    expect(
+      global.DocumentApp.openById('doc_1').getNamedRanges(
+        'thread:' + thread.getId()
+      )
+    ).toHaveLength(1)
+  })
+
+  test('supports a character limit and a custom title', () => {
+    addThread('One', '01')
+    addThread('Two', '02')
+
+    processLabelGroup(
+      {
+        ...config,
+        rollover: { maxCharacters: 20, title: '{name} {yyyy}-{MM}' },
+      },
+      services(),
+      helperFns
+    )
+
+    expect(loadDocChain(global.PropertiesService, 'test-doc')[1].title).toBe(
+      'test-doc 2026-11'
+    )
+  })
+
+  test('rebuild trashes rollover volumes and resets the chain', () => {
+    addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+    processLabelGroup(config, services(), helperFns)
+
+    rebuildDoc(config, {
+      GmailApp: global.GmailApp,
+      DocumentApp: global.DocumentApp,
+      DriveApp: global.DriveApp,
+      PropertiesService: global.PropertiesService,
+    })
+
+    expect(global.DriveApp.getFileById('doc_1').isTrashed()).toBe(true)
+    expect(loadDocChain(global.PropertiesService, 'test-doc')).toEqual([
+      { id: 'test-doc', title: null },
+    ])
+    expect(texts('test-doc')).toEqual([])
+  })
+
+  test('rebuild resets the chain when a volume cannot be trashed', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    global.PropertiesService.getScriptProperties().setProperty(
+      'doc_chain_test-doc',
+      JSON.stringify([
+        { id: 'test-doc', title: null },
+        { id: 'deleted-volume', title: 'Volume 2' },
+      ])
+    )
+
+    rebuildDoc(config, services())
+
+    expect(warn).toHaveBeenCalledWith(
+      '[rebuildDoc] Could not trash archive volume:',
+      'No item with the given ID could be found: deleted-volume'
+    )
+    expect(loadDocChain(global.PropertiesService, 'test-doc')).toEqual([
+      { id: 'test-doc', title: null },
+    ])
+    warn.mockRestore()
+  })
+
+  test('starts over from the configured doc when the chain is unreadable', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    global.PropertiesService.getScriptProperties().setProperty(
+      'doc_chain_test-doc',
+      '{not json'
+    )
+
+    expect(loadDocChain(global.PropertiesService, 'test-doc')).toEqual([
+      { id: 'test-doc', title: null },
+    ])
+    expect(warn).toHaveBeenCalledWith(
+      '[processLabelGroup] Ignoring unreadable doc chain:',
+      expect.any(String)
+    )
+    warn.mockRestore()
+  })
+
+  test('keeps a new volume in the root when the doc has no Drive file', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+
+    processLabelGroup({ ...config, docId: 'loose-doc' }, services(), helperFns)
+
+    expect(texts('doc_1')[1]).toBe('Subject: Three')
+    expect(warn).toHaveBeenCalledWith(
+      '[processLabelGroup] Could not move new volume next to the original doc:',
+      'No item with the given ID could be found: loose-doc'
+    )
+    warn.mockRestore()
+  })
+
+  test('skips a volume that can no longer be opened', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const { thread, messages } = addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+    processLabelGroup(config, services(), helperFns)
+
+    messages.push(
+      createMessage({
+        subject: 'Re: One',
+        body: 'Reply',
+        date: new Date('2026-10-05T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('rollover-trigger').addToThread(thread)
+    const openById = global.DocumentApp.openById
+    const DocumentApp = {
+      ...global.DocumentApp,
+      openById: (id) => {
+        if (id === 'test-doc') throw new Error('Document is missing')
+        return openById(id)
+      },
+    }
+    processLabelGroup(config, services({ DocumentApp }), helperFns)
+
+    expect(texts('doc_1').slice(0, 2)).toEqual([
+      '==============================',
+      'Subject: Re: One',
+    ])
+    expect(warn).toHaveBeenCalledWith(
+      '[processLabelGroup] Could not open archive volume:',
+      'test-doc',
+      'Document is missing'
+    )
+    warn.mockRestore()
+  })
+})
@@ -0,0 +1,209 @@
+const {
+  createBlob,
+  archiverServices,
+  archiverHelpers,
+  archiverConfig,
+  docTexts,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  formatDryRunReport,
+  ATTACHMENT_INDEX_FILE_NAME,
+} = require('../src/index')
+
+const services = archiverServices()
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig()
+
+const addThread = (subject, attachments = []) =>
+  addArchiveThread(subject, '01', { attachments }).thread
+
+const dryRun = (configs, options = {}) =>
+  storeEmailsAndAttachments(
+    configs,
+    (groupConfig, budget, report) =>
+      processLabelGroup(groupConfig, services, helperFns, budget, report),
+    services,
+    { dryRun: true, ...options }
+  )
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('dry run', () => {
+  test('record the paragraphs of each thread without touching the doc', () => {
+    addThread('Weekly')
+
+    const report = dryRun([config])
+
+    expect(report.completed).toBe(true)
+    const [group] = report.groups
+    expect(group.threads).toEqual([
+      {
+        threadId: 'thread_1',
+        paragraphs: [
+          '==============================',
+          'Subject: Weekly',
+          expect.stringMatching(/^Date: /),
+          'Weekly body',
+          '------------------------------',
+        ],
+      },
+    ])
+    expect(docTexts()).toEqual([])
+    expect(global.DocumentApp.openById('test-doc').getNamedRanges()).toEqual([])
+  })
+
+  test('record label moves and leave the labels alone', () => {
+    const thread = addThread('Weekly')
+
+    const [group] = dryRun([config]).groups
+
+    expect(group.labelMoves).toEqual([
+      { threadId: 'thread_1', from: 'Reports', to: 'Reports/Archived' },
+    ])
+    expect(global.GmailApp.getUserLabelByName('Reports/Archived')).toBeNull()
+    expect(
+      global.GmailApp.getUserLabelByName('Reports').getThreads()
+    ).toContain(thread)
+  })
+
+  test('record files, folders and duplicates instead of creating them', () => {
+    const folder = global.DriveApp.getFolderById('test-folder')
+    folder.createFile(createBlob('old', 'old.pdf'))
+    addThread('Weekly', [
+      createBlob('new', 'report.pdf'),
+      createBlob('new', 'copy.pdf'),
+      createBlob('old', 'again.pdf'),
+    ])
+
+    const [group] = dryRun([{ ...config, folderLayout: '{yyyy}/{MM}' }]).groups
+
+    expect(group.folders).toEqual(['2026', '2026/10'])
+    expect(group.files).toEqual(['2026/10/report.pdf'])
+    expect(group.duplicates).toEqual([
+      { name: 'copy.pdf', existing: 'report.pdf' },
+      { name: 'again.pdf', existing: 'old.pdf' },
+    ])
+    expect(folder.__getFiles().map((f) => f.getName())).toEqual(['old.pdf'])
+    expect(folder.getFilesByName(ATTACHMENT_INDEX_FILE_NAME).hasNext()).toBe(
+      false
+    )
+  })
+
+  test('reuse existing subfolders without recording them', () => {
+    global.DriveApp.getFolderById('test-folder')
+      .createFolder('2026')
+      .createFolder('10')
+    addThread('Weekly', [createBlob('new', 'report.pdf')])
+
+    const [group] = dryRun([{ ...config, folderLayout: '{yyyy}/{MM}' }]).groups
+
+    expect(group.folders).toEqual([])
+    expect(group.files).toEqual(['2026/10/report.pdf'])
+  })
+
+  test('record attachments that would be converted', () => {
+    addThread('Scan', [createBlob('scan', 'scan.pdf', 'application/pdf')])
+    const convertingServices = { ...services, Drive: { Files: {} } }
+
+    const report = storeEmailsAndAttachments(
+      [{ ...config, convertAttachments: true }],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          convertingServices,
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services,
+      { dryRun: true }
+    )
+
+    expect(report.groups[0].conversions).toEqual(['scan.pdf'])
+  })
+
+  test('report a missing trigger label as an error', () => {
+    const [group] = dryRun([{ ...config, triggerLabel: 'Missing' }]).groups
+
+    expect(group.errors).toEqual(['Trigger label not found: Missing'])
+  })
+
+  test('email the report and schedule no continuation', () => {
+    addThread('Weekly')
+    addThread('Monthly')
+
+    const report = storeEmailsAndAttachments(
+      [config],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services,
+          helperFns,
+          {
+            isExhausted: jest
+              .fn()
+              .mockReturnValueOnce(false)
+              .mockReturnValue(true),
+          },
+          groupReport
+        ),
+      services,
+      { dryRun: true, reportTo: 'me@example.com' }
+    )
+
+    expect(report.completed).toBe(false)
+    expect(global.ScriptApp.getProjectTriggers()).toHaveLength(0)
+    const [email] = global.GmailApp.__sentEmails
+    expect(email.to).toBe('me@example.com')
+    expect(email.body).toBe(formatDryRunReport(report))
+  })
+})
+
+describe('formatDryRunReport', () => {
+  test('list the actions of each label group', () => {
+    const text = formatDryRunReport({
+      dryRun: true,
+      completed: true,
+      configErrors: [],
+      groups: [
+        {
+          triggerLabel: 'Reports',
+          threads: [{ threadId: 't1', paragraphs: ['Subject: Weekly'] }],
+          folders: ['2026'],
+          files: ['2026/a.pdf'],
+          duplicates: [{ name: 'b.pdf', existing: 'a.pdf' }],
+          conversions: [],
+          inlineImages: [],
+          labelMoves: [{ threadId: 't1', from: 'Reports', to: null }],
+          redactions: [],
+          skippedMessages: 2,
+          errors: [],
+        },
+      ],
+    })
+
+    expect(text.split('\n')).toEqual([
+      'Dry run of 1 label group(s)',
+      '',
+      '== Reports ==',
+      'Thread t1: 1 paragraph(s)',
+      '    Subject: Weekly',
+      'Folders to create:',
+      '- 2026',
+      'Files to create:',
+      '- 2026/a.pdf',
+      'Duplicates skipped:',
+      '- b.pdf (existing: a.pdf)',
+      'Label moves:',
+      '- t1: Reports -> (none)',
+      'Skipped by filter rules: 2 message(s)',
+    ])
+  })
+})
@@ -0,0 +1,227 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverConfig,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const { exportLabelArchive } = require('../src/index')
+
+const config = archiverConfig()
+
+let zip
+const entries = () => zip.mock.results[0].value.__entries
+
+const addThread = (labels, subject, day, extra = {}) =>
+  addArchiveThread(
+    subject,
+    day,
+    { from: 'Ann <ann@example.com>', ...extra },
+    labels
+  ).thread
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Reports/Archived')
+  zip = jest.spyOn(global.Utilities, 'zip')
+})
+
+afterEach(() => {
+  zip.mockRestore()
+})
+
+describe('exportLabelArchive', () => {
+  test('zip archived and pending messages as one mbox', () => {
+    addThread(['Reports'], 'Pending', '02')
+    addThread(['Reports/Archived'], 'Archived', '01', {
+      id: 'm1',
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    const file = exportLabelArchive(config, services())
+
+    expect(file.getName()).toMatch(/^Reports export \d{4}-\d{2}-\d{2}\.zip$/)
+    expect(global.DriveApp.getFolderById('test-folder').__getFiles()).toContain(
+      file
+    )
+    const [mbox, ...rest] = entries()
+    expect(rest).toEqual([])
+    expect(mbox.name).toBe('messages.mbox')
+    expect(mbox.text.split('\n').filter((l) => l.startsWith('From '))).toEqual([
+      'From ann@example.com Thu Oct 01 00:00:00 2026',
+      'From ann@example.com Fri Oct 02 00:00:00 2026',
+    ])
+    expect(mbox.text).toContain('Subject: Archived\nDate: ')
+  })
+
+  test('add attachments as separate files when asked', () => {
+    addThread(['Reports'], 'Weekly', '01', {
+      id: 'm1',
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    exportLabelArchive(
+      { ...config, exportBundle: { attachments: true } },
+      services()
+    )
+
+    expect(entries()[1]).toEqual({
+      name: 'attachments/m1/report.pdf',
+      text: 'data',
+    })
+  })
+
+  test('quote body lines that look like mbox separators', () => {
+    addThread(['Reports'], 'Quoted', '01', {
+      rawContent: 'Subject: Quoted\r\n\r\nFrom here on\r\n>From there\r\n',
+    })
+
+    exportLabelArchive(config, services())
+
+    expect(entries()[0].text).toBe(
+      'From ann@example.com Thu Oct 01 00:00:00 2026\n' +
+        'Subject: Quoted\n\n>From here on\n>>From there\n\n'
+    )
+  })
+
+  test('write one .eml file per message into the configured folder', () => {
+    addThread(['Reports'], 'Invoice 7/2026', '01', { id: 'm1' })
+    const exportFolder = global.DriveApp.getFolderById('export-folder')
+
+    const file = exportLabelArchive(
+      { ...config, exportBundle: { format: 'eml', folderId: 'export-folder' } },
+      services()
+    )
+
+    expect(exportFolder.__getFiles()).toEqual([file])
+    expect(entries()).toEqual([
+      {
+        name: 'messages/2026-10-01 Invoice 7-2026 m1.eml',
+        text: expect.stringContaining('Subject: Invoice 7/2026'),
+      },
+    ])
+  })
+
+  test("export only messages passing the config's filters", () => {
+    addThread(['Reports'], 'Out of office', '01')
+    addThread(['Reports'], 'Weekly', '02')
+
+    exportLabelArchive(
+      { ...config, filters: { exclude: { subject: '^Out of office' } } },
+      services()
+    )
+
+    expect(entries()[0].text).not.toContain('Out of office')
+    expect(entries()[0].text).toContain('Subject: Weekly')
+  })
+
+  test('number attachments that would share an entry name', () => {
+    addThread(['Reports'], 'Weekly', '01', {
+      id: 'm1',
+      attachments: [
+        createBlob('first', 'report.pdf'),
+        createBlob('second', 'report.pdf'),
+      ],
+    })
+
+    exportLabelArchive(
+      { ...config, exportBundle: { attachments: true } },
+      services()
+    )
+
+    expect(entries().map((entry) => entry.name)).toEqual([
+      'messages.mbox',
+      'attachments/m1/report.pdf',
+      'attachments/m1/report (2).pdf',
+    ])
+  })
+
+  test('stop before the thread that would pass the size cap', () => {
+    const Logger = { log: jest.fn() }
+    addThread(['Reports'], 'Early', '01')
+    const { messages } = addArchiveThread('Late', '02', {
+      rawContent: 'Subject: Late\r\n\r\n' + 'x'.repeat(500),
+    })
+    const reply = createMessage({ date: new Date('2026-10-03T00:00:00Z') })
+    reply.getRawContent = jest.fn()
+    messages.push(reply)
+
+    const file = exportLabelArchive(
+      { ...config, exportBundle: { maxBytes: 400 } },
+      services({ Logger })
+    )
+
+    expect(file.getName()).toMatch(/^Reports export [\d-]+ \(partial\)\.zip$/)
+    expect(entries()).toHaveLength(1)
+    expect(entries()[0].text).toContain('Subject: Early')
+    expect(entries()[0].text).not.toContain('Subject: Late')
+    expect(Logger.log).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^Exported 1 message\(s\) of Reports to .+; stopped at the size cap after 1 of 2 thread\(s\)$/
+      )
+    )
+    // The thread is not read past the message that passes the cap
+    expect(reply.getRawContent).not.toHaveBeenCalled()
+  })
+
+  test('count the size cap in bytes', () => {
+    addThread(['Reports'], 'Café', '01', {
+      rawContent: 'Subject: Café\r\n\r\n' + 'é'.repeat(300),
+    })
+
+    expect(
+      exportLabelArchive(
+        { ...config, exportBundle: { maxBytes: 500 } },
+        services()
+      )
+    ).toBeNull()
+    expect(
+      exportLabelArchive(
+        { ...config, exportBundle: { maxBytes: 700 } },
+        services()
+      )
+    ).not.toBeNull()
+  })
+
+  test('stop between threads when the time budget runs out', () => {
+    const Logger = { log: jest.fn() }
+    addThread(['Reports'], 'Early', '01')
+    addThread(['Reports'], 'Late', '02')
+    const budget = {
+      isExhausted: jest.fn().mockReturnValueOnce(false).mockReturnValue(true),
+    }
+
+    expect(exportLabelArchive(config, services(), budget).getName()).toContain(
+      '(partial)'
+    )
+    expect(entries()[0].text).not.toContain('Subject: Late')
+
+    expect(exportLabelArchive(config, services({ Logger }), budget)).toBeNull()
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Nothing to export for: Reports; stopped at the time budget after 0 of 2 thread(s)'
+    )
+  })
+
+  test('create no file when the labels hold no messages', () => {
+    const Logger = { log: jest.fn() }
+
+    expect(exportLabelArchive(config, services({ Logger }))).toBeNull()
+    expect(zip).not.toHaveBeenCalled()
+    expect(Logger.log).toHaveBeenCalledWith('Nothing to export for: Reports')
+  })
+
+  test('reject unknown formats', () => {
+    expect(() =>
+      exportLabelArchive(
+        { ...config, exportBundle: { format: 'pst' } },
+        services()
+      )
+    ).toThrow('Unknown export format: pst (expected mbox or eml)')
+    expect(() =>
+      exportLabelArchive(
+        { ...config, exportBundle: { maxBytes: 0 } },
+        services()
+      )
+    ).toThrow('exportBundle.maxBytes must be a positive number')
+  })
+})
@@ -0,0 +1,160 @@
+const {
+  createMessage,
+  createBlob,
+  createDriveFolder,
+} = require('../../../test-utils/mocks')
+const {
+  expandFolderLayout,
+  resolveAttachmentFolder,
+  processMessageToDoc,
+  processMessagesToDoc,
+} = require('../src/index')
+
+const invoice = (overrides = {}) =>
+  createMessage({
+    subject: 'Invoice #42',
+    body: 'Attached.',
+    from: 'Billing <billing@Vendor.example.com>',
+    date: new Date('2024-03-05T12:00:00Z'),
+    attachments: [createBlob('pdf-bytes', 'invoice.pdf')],
+    ...overrides,
+  })
+
+describe('expandFolderLayout', () => {
+  test('expands date tokens into nested folder names', () => {
+    expect(expandFolderLayout('{yyyy}/{MM}', invoice())).toEqual(['2024', '03'])
+    expect(
+      expandFolderLayout('{yyyy}/{MM}/{dd}', invoice(), {
+        Utilities: global.Utilities,
+        Session: global.Session,
+      })
+    ).toEqual(['2024', '03', '05'])
+  })
+
+  test('expands sender tokens from the From header', () => {
+    expect(expandFolderLayout('{senderDomain}/{sender}', invoice())).toEqual([
+      'vendor.example.com',
+      'billing@vendor.example.com',
+    ])
+    expect(expandFolderLayout('{senderDomain}', invoice({ from: '' }))).toEqual(
+      ['unknown-sender']
+    )
+  })
+
+  test('uses the thread subject and sanitizes slashes', () => {
+    expect(
+      expandFolderLayout('Invoices/{threadSubject}', invoice(), {
+        threadSubject: 'Re: Q1/Q2 plan',
+      })
+    ).toEqual(['Invoices', 'Re: Q1-Q2 plan'])
+    expect(
+      expandFolderLayout('{threadSubject}', invoice({ subject: '' }))
+    ).toEqual(['(No Subject)'])
+  })
+
+  test('ignores empty segments and keeps unknown tokens literally', () => {
+    expect(expandFolderLayout('/{yyyy}//{nope}/', invoice())).toEqual([
+      '2024',
+      '{nope}',
+    ])
+  })
+})
+
+describe('resolveAttachmentFolder', () => {
+  test('returns the root folder without a layout', () => {
+    const root = createDriveFolder('root')
+    expect(resolveAttachmentFolder(root, invoice(), {})).toBe(root)
+    expect(root.__getFolders()).toHaveLength(0)
+  })
+
+  test('creates missing folders and reuses existing ones', () => {
+    const root = createDriveFolder('root')
+    const options = { config: { folderLayout: '{yyyy}/{MM}' } }
+    const first = resolveAttachmentFolder(root, invoice(), options)
+    const second = resolveAttachmentFolder(root, invoice(), options)
+
+    expect(first.getName()).toBe('03')
+    expect(second).toBe(first)
+    expect(root.__getFolders().map((f) => f.getName())).toEqual(['2024'])
+  })
+})
+
+describe('attachment folder layout when archiving', () => {
+  let body, folder
+
+  beforeEach(() => {
+    body = global.DocumentApp.openById('test-doc').getBody()
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  const texts = () => body.getParagraphs().map((p) => p.getText())
+
+  test('saves attachments into the expanded subfolder', () => {
+    processMessageToDoc(invoice(), body, folder, {
+      config: { folderLayout: '{yyyy}/{MM}' },
+    })
+
+    const month = folder.__getFolders()[0].__getFolders()[0]
+    expect(folder.__getFiles().map((f) => f.getName())).toEqual([
+      '.attachment-index.json',
+    ])
+    expect(month.__getFiles().map((f) => f.getName())).toEqual(['invoice.pdf'])
+    const entry = body
+      .getParagraphs()
+      .find((p) => p.getText() === '- invoice.pdf')
+    expect(entry.linkUrl).toBe(month.__getFiles()[0].getUrl())
+  })
+
+  test('detects duplicates stored anywhere in the folder tree', () => {
+    processMessageToDoc(invoice(), body, folder, {
+      config: { folderLayout: '{yyyy}/{MM}' },
+    })
+    body.clear()
+
+    const renamedResend = invoice({
+      date: new Date('2024-07-01T12:00:00Z'),
+      attachments: [createBlob('pdf-bytes', 'invoice (1).pdf')],
+    })
+    processMessageToDoc(renamedResend, body, folder, {
+      config: { folderLayout: '{yyyy}/{MM}' },
+    })
+
+    expect(texts()).toContain('- invoice (1).pdf (existing copy: invoice.pdf)')
+    expect(folder.__getFolders()[0].__getFolders()).toHaveLength(1)
+  })
+
+  test('does not create folders when every attachment is a duplicate', () => {
+    folder.createFile(createBlob('pdf-bytes', 'invoice.pdf'))
+    processMessageToDoc(invoice(), body, folder, {
+      config: { folderLayout: '{senderDomain}' },
+    })
+
+    expect(texts()).toContain('- invoice.pdf (existing copy)')
+    expect(folder.__getFolders()).toHaveLength(0)
+  })
+
+  test('groups a whole thread under the first message subject', () => {
+    const messages = [
+      invoice({
+        subject: 'Re: Invoice #42',
+        date: new Date('2024-03-06T12:00:00Z'),
+        attachments: [createBlob('v2', 'invoice-v2.pdf')],
+      }),
+      invoice(),
+    ]
+    processMessagesToDoc(messages, body, folder, {
+      threadId: 't1',
+      config: { folderLayout: '{threadSubject}' },
+    })
+
+    expect(folder.__getFolders().map((f) => f.getName())).toEqual([
+      'Invoice #42',
+    ])
+    expect(
+      folder
+        .__getFolders()[0]
+        .__getFiles()
+        .map((f) => f.getName())
+    ).toEqual(['invoice.pdf', 'invoice-v2.pdf'])
+  })
+})
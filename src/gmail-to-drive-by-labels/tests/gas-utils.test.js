@@ -1,4 +1,11 @@
-const { getCleanBody, getFileHash } = require('../../gas-utils')
+const {
+  resolveCleanBodyRules,
+  getCleanBody,
+  getCleanHtmlBody,
+  htmlToText,
+  stripQuotedHtml,
+  getFileHash,
+} = require('../../gas-utils')
 
 describe('getCleanBody', () => {
   test('returns empty string for falsy input', () => {
@@ -116,6 +123,185 @@ describe('getCleanBody', () => {
   })
 })
 
+describe('getCleanBody detectors', () => {
+  test.each([
+    {
+      name: 'cuts off at the "-- " signature delimiter',
+      input: 'Thanks\n\n-- \nJane Doe\nAcme Corp',
+      expected: 'Thanks',
+    },
+    {
+      name: 'cuts off at a mobile signature',
+      input: 'On my way\n\nSent from my iPhone',
+      expected: 'On my way',
+    },
+    {
+      name: 'cuts off at a French reply header',
+      input:
+        'Merci\n\nLe lun. 1 janv. 2024 à 10:00, Jean <jean@example.fr> a écrit :\nAncien',
+      expected: 'Merci',
+    },
+    {
+      name: 'cuts off at a German reply header',
+      input:
+        'Danke\n\nAm Mo., 1. Jan. 2024 um 10:00 Uhr schrieb Hans <hans@example.de>:\nAlt',
+      expected: 'Danke',
+    },
+    {
+      name: 'cuts off at a forwarded-message header',
+      input:
+        'FYI\n\n---------- Forwarded message ---------\nFrom: Shop <shop@example.com>\nReceipt',
+      expected: 'FYI',
+    },
+  ])('$name', ({ input, expected }) => {
+    expect(getCleanBody(input)).toBe(expected)
+  })
+
+  test('keeps forwarded content after the cleaned text with keepForwarded', () => {
+    const input =
+      'FYI\n> quoted\n-- \nJane\n\n---------- Forwarded message ---------\nFrom: Shop <shop@example.com>\n> Receipt line'
+    expect(getCleanBody(input, { keepForwarded: true })).toBe(
+      'FYI\n\n---------- Forwarded message ---------\nFrom: Shop <shop@example.com>\n> Receipt line'
+    )
+  })
+
+  test('applies only the chosen detectors', () => {
+    const input = 'Hello\n> quoted\n-- \nJane'
+    expect(getCleanBody(input, { detectors: ['signature'] })).toBe(
+      'Hello\n> quoted'
+    )
+    expect(getCleanBody(input, { detectors: ['quotedLines'] })).toBe(
+      'Hello\n-- \nJane'
+    )
+  })
+
+  test('cuts off at custom patterns', () => {
+    const input = 'Hello\nTICKET FOOTER: #123\nMore'
+    expect(getCleanBody(input, { patterns: ['^ticket footer:'] })).toBe('Hello')
+    expect(getCleanBody(input, { patterns: [/^More$/m] })).toBe(
+      'Hello\nTICKET FOOTER: #123'
+    )
+  })
+
+  test('rejects unknown detector names', () => {
+    expect(() => resolveCleanBodyRules({ detectors: ['legal'] })).toThrow(
+      'Unknown body cleanup detector: legal'
+    )
+  })
+})
+
+describe('stripQuotedHtml', () => {
+  test('removes blockquote elements including nested content', () => {
+    const input =
+      '<p>Reply</p><blockquote><p>Quoted</p><blockquote>Older</blockquote></blockquote><p>After</p>'
+    expect(stripQuotedHtml(input)).toBe('<p>Reply</p><p>After</p>')
+  })
+
+  test('removes gmail_quote containers with nested divs', () => {
+    const input =
+      '<div>Reply</div><div class="gmail_quote gmail_quote_container"><div class="gmail_attr">On Mon, Jane wrote:<br></div><div>Quoted</div></div>'
+    expect(stripQuotedHtml(input)).toBe('<div>Reply</div>')
+  })
+
+  test('does not treat similarly named classes as quotes', () => {
+    const input = '<div class="gmail_quote_like">Keep</div>'
+    expect(stripQuotedHtml(input)).toBe(input)
+  })
+
+  test('truncates at the Outlook divRplyFwdMsg reply header', () => {
+    const input =
+      '<p>Reply</p><hr><div id="divRplyFwdMsg"><b>From:</b> Jane</div><div>Quoted</div>'
+    expect(stripQuotedHtml(input)).toBe('<p>Reply</p><hr>')
+  })
+
+  test('drops comments, head, style and script blocks', () => {
+    const input =
+      '<head><title>T</title></head><style>p{}</style><!-- c --><script>x()</script><p>Body</p>'
+    expect(stripQuotedHtml(input)).toBe('<p>Body</p>')
+  })
+
+  test('ignores self-closing tags while skipping a quote', () => {
+    const input = '<blockquote><blockquote/>Quoted</blockquote><p>Kept</p>'
+    expect(stripQuotedHtml(input)).toBe('<p>Kept</p>')
+  })
+})
+
+describe('htmlToText', () => {
+  test('converts block elements and line breaks to newlines', () => {
+    expect(htmlToText('<p>One</p><div>Two<br>Three</div><h1>Four</h1>')).toBe(
+      'One\nTwo\nThree\nFour\n'
+    )
+  })
+
+  test('collapses whitespace outside <pre> and preserves it inside', () => {
+    expect(htmlToText('<p>  a\n   b  </p><pre>x   y\n  z</pre>')).toBe(
+      'a b\nx   y\n  z\n'
+    )
+  })
+
+  test('preserves hyperlinks as text (url)', () => {
+    expect(
+      htmlToText(
+        'See <a href="https://example.com/?a=1&amp;b=2">the report</a>'
+      )
+    ).toBe('See the report (https://example.com/?a=1&b=2)')
+  })
+
+  test('does not repeat URLs that are already the link text', () => {
+    expect(
+      htmlToText(
+        '<a href="https://example.com">https://example.com</a> <a href=\'mailto:jane@example.com\'>jane@example.com</a>'
+      )
+    ).toBe('https://example.com jane@example.com')
+  })
+
+  test('emits the URL for links without text and ignores anchors', () => {
+    expect(
+      htmlToText(
+        '<a href=https://example.com><img src="x"></a><a href="#top">Top</a>'
+      )
+    ).toBe('https://example.comTop')
+  })
+
+  test('renders bulleted, numbered and nested lists', () => {
+    const input =
+      '<ul><li>One</li><li>Two<ol><li>A</li><li>B</li></ol></li></ul><ol><li>First</li></ol>'
+    expect(htmlToText(input)).toBe('- One\n- Two\n  1. A\n  2. B\n1. First\n')
+  })
+
+  test('joins table cells with separators per row', () => {
+    const input =
+      '<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Apples</td><td>3</td></tr></table>'
+    expect(htmlToText(input)).toBe('Name | Qty\nApples | 3\n')
+  })
+
+  test('decodes named and numeric entities', () => {
+    expect(htmlToText('a &amp; b &lt;c&gt; &#39;d&#x27; &nbsp;e &copy;')).toBe(
+      "a & b <c> 'd'  e &copy;"
+    )
+  })
+
+  test('keeps numeric entities that are not valid code points', () => {
+    expect(htmlToText('<p>&#x110000; &#99999999; &#xD800; &#x1F600;</p>')).toBe(
+      '&#x110000; &#99999999; &#xD800; \u{1F600}\n'
+    )
+  })
+})
+
+describe('getCleanHtmlBody', () => {
+  test('returns empty string for falsy input', () => {
+    expect(getCleanHtmlBody(null)).toBe('')
+    expect(getCleanHtmlBody('')).toBe('')
+  })
+
+  test('strips quotes, keeps structure and applies plain-text cleanup', () => {
+    const input =
+      '<div dir="ltr"><p>Hello,</p><ul><li>Item</li></ul><p>Confidentiality Notice: secret</p></div>' +
+      '<div class="gmail_quote"><blockquote>Old</blockquote></div>'
+    expect(getCleanHtmlBody(input)).toBe('Hello,\n- Item')
+  })
+})
+
 describe('getFileHash', () => {
   test('computes md5 for a Buffer', () => {
     const buf = Buffer.from('hello world')
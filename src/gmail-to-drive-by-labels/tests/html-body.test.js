@@ -0,0 +1,127 @@
+const { createMessage } = require('../../../test-utils/mocks')
+const {
+  getMessageBody,
+  processMessageToDoc,
+  processLabelGroup,
+} = require('../src/index')
+
+const HTML_NEWSLETTER =
+  '<div><p>Weekly <b>digest</b></p>' +
+  '<ul><li><a href="https://example.com/one">First story</a></li><li>Second story</li></ul>' +
+  '</div><div class="gmail_quote"><blockquote>Earlier mail</blockquote></div>'
+
+describe('getMessageBody', () => {
+  test('uses the plain-text body by default', () => {
+    const message = createMessage({
+      body: 'Plain text\n> quoted',
+      htmlBody: HTML_NEWSLETTER,
+    })
+    expect(getMessageBody(message)).toBe('Plain text')
+  })
+
+  test('uses the HTML body when bodyFormat is html', () => {
+    const message = createMessage({
+      body: 'Plain text',
+      htmlBody: HTML_NEWSLETTER,
+    })
+    expect(getMessageBody(message, { bodyFormat: 'html' })).toBe(
+      'Weekly digest\n- First story (https://example.com/one)\n- Second story'
+    )
+  })
+
+  test('applies the bodyCleanup options to plain and HTML bodies', () => {
+    const message = createMessage({
+      body: 'Plain text\nCase ref: 42',
+      htmlBody: '<p>HTML text</p><p>Case ref: 42</p>',
+    })
+    const bodyCleanup = { patterns: ['^case ref:'] }
+    expect(getMessageBody(message, { bodyCleanup })).toBe('Plain text')
+    expect(getMessageBody(message, { bodyFormat: 'html', bodyCleanup })).toBe(
+      'HTML text'
+    )
+  })
+
+  test('falls back to plain text when the HTML body has no markup', () => {
+    const message = createMessage({
+      body: 'Plain fallback',
+      htmlBody: 'just text',
+    })
+    expect(getMessageBody(message, { bodyFormat: 'html' })).toBe(
+      'Plain fallback'
+    )
+  })
+
+  test('falls back to plain text when the message has no getBody()', () => {
+    const message = {
+      getPlainBody: () => 'Only plain',
+    }
+    expect(getMessageBody(message, { bodyFormat: 'html' })).toBe('Only plain')
+  })
+})
+
+describe('HTML ingestion when archiving', () => {
+  let body, folder
+
+  beforeEach(() => {
+    body = global.DocumentApp.openById('test-doc').getBody()
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  test('processMessageToDoc writes the structured HTML text', () => {
+    const message = createMessage({
+      subject: 'Newsletter',
+      body: 'Plain version',
+      htmlBody: HTML_NEWSLETTER,
+      date: new Date('2024-01-01T10:00:00Z'),
+    })
+
+    processMessageToDoc(message, body, folder, {
+      config: { bodyFormat: 'html' },
+    })
+
+    expect(body.getParagraphs()[2].getText()).toBe(
+      'Weekly digest\n- First story (https://example.com/one)\n- Second story'
+    )
+  })
+
+  test('processLabelGroup honors bodyFormat from the config', () => {
+    global.GmailApp.createLabel('html-trigger')
+    global.GmailApp.__addThreadWithLabels(
+      ['html-trigger'],
+      [
+        createMessage({
+          subject: 'Newsletter',
+          body: 'Plain version',
+          htmlBody: HTML_NEWSLETTER,
+        }),
+      ]
+    )
+
+    processLabelGroup(
+      {
+        triggerLabel: 'html-trigger',
+        processedLabel: 'html-archived',
+        docId: 'test-doc',
+        folderId: 'test-folder',
+        bodyFormat: 'html',
+      },
+      {
+        GmailApp: global.GmailApp,
+        DocumentApp: global.DocumentApp,
+        DriveApp: global.DriveApp,
+        Logger: global.Logger,
+        Utilities: global.Utilities,
+        Session: global.Session,
+      },
+      { removeExistingThreadFromDoc: () => false }
+    )
+
+    const text = body
+      .getParagraphs()
+      .map((p) => p.getText())
+      .join('\n')
+    expect(text).toContain('- First story (https://example.com/one)')
+    expect(text).not.toContain('Plain version')
+    expect(text).not.toContain('Earlier mail')
+  })
+})
@@ -0,0 +1,198 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+  addArchiveThread: addThread,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  processMessagesToDoc,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig()
+
+const doc = () => global.DocumentApp.openById('test-doc')
+const subjects = () => texts().filter((t) => t.startsWith('Subject:'))
+const threadRange = (threadId) =>
+  doc()
+    .getNamedRanges('thread:' + threadId)
+    .map((r) =>
+      r
+        .getRange()
+        .getRangeElements()
+        .map((e) => e.getElement().getText())
+    )
+
+function addReply(thread, messages, day, extra = {}) {
+  const reply = createMessage({
+    subject: 'Re: ' + messages[0].getSubject(),
+    body: 'Reply ' + day,
+    date: new Date(`2026-10-${day}T00:00:00Z`),
+    ...extra,
+  })
+  messages.push(reply)
+  global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+  return reply
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('incremental thread updates', () => {
+  test('write only the new messages of a thread at the top', () => {
+    const { thread, messages } = addThread('Weekly', '01', {
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+    processLabelGroup(config, services(), helperFns)
+    const sleep = jest.fn()
+    const getAttachments = jest.spyOn(messages[0], 'getAttachments')
+
+    addReply(thread, messages, '02')
+    processLabelGroup(config, services({ Utilities: { sleep } }), helperFns)
+
+    expect(sleep).toHaveBeenCalledTimes(1)
+    expect(getAttachments).not.toHaveBeenCalled()
+    expect(texts()).toEqual([
+      '==============================',
+      'Subject: Re: Weekly',
+      expect.stringMatching(/^Date: /),
+      'Reply 02',
+      '------------------------------',
+      'Subject: Weekly',
+      expect.stringMatching(/^Date: /),
+      'Weekly body',
+      '[Attachments]:',
+      expect.stringMatching(/^- report\.pdf/),
+      '------------------------------',
+    ])
+    expect(threadRange('thread_1')).toEqual([texts()])
+    expect(doc().getNamedRanges('message:msg_2')).toHaveLength(1)
+  })
+
+  test('move an updated thread to the top without rewriting it', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+    doc().getBody().getChild(6).setLinkUrl('https://example.com/note')
+
+    addReply(thread, messages, '03')
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual([
+      'Subject: Re: Weekly',
+      'Subject: Weekly',
+      'Subject: Monthly',
+    ])
+    expect(doc().getBody().getChild(5).linkUrl).toBe('https://example.com/note')
+    expect(threadRange('thread_1')[0]).toHaveLength(9)
+    const [moved] = doc().getNamedRanges('message:msg_1')
+    expect(
+      moved
+        .getRange()
+        .getRangeElements()
+        .map((e) => e.getElement().getText())
+    ).toEqual([
+      'Subject: Weekly',
+      expect.stringMatching(/^Date: /),
+      'Weekly body',
+      '------------------------------',
+    ])
+  })
+
+  test('append new messages at the end of an oldest-first thread', () => {
+    const appendConfig = { ...config, order: 'oldest-first' }
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(appendConfig, services(), helperFns)
+
+    addReply(thread, messages, '03')
+    addReply(thread, messages, '04')
+    processLabelGroup(appendConfig, services(), helperFns)
+
+    expect(subjects()).toEqual([
+      'Subject: Monthly',
+      'Subject: Weekly',
+      'Subject: Re: Weekly',
+      'Subject: Re: Weekly',
+    ])
+    expect(texts().filter((t) => t.startsWith('Reply'))).toEqual([
+      'Reply 03',
+      'Reply 04',
+    ])
+    expect(threadRange('thread_1')[0]).toHaveLength(13)
+  })
+
+  test('rewrite the thread when a new message is older than archived ones', () => {
+    const { thread, messages } = addThread('Weekly', '02')
+    processLabelGroup(config, services(), helperFns)
+    const sleep = jest.fn()
+
+    messages.unshift(
+      createMessage({
+        subject: 'Weekly',
+        body: 'Late arrival',
+        date: new Date('2026-10-01T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+    processLabelGroup(config, services({ Utilities: { sleep } }), helperFns)
+
+    expect(sleep).toHaveBeenCalledTimes(2)
+    expect(
+      texts().filter((t) => t.includes('body') || t.includes('Late'))
+    ).toEqual(['Weekly body', 'Late arrival'])
+    expect(threadRange('thread_1')).toHaveLength(1)
+  })
+
+  test('keep the attachment links of earlier messages in the thread index', () => {
+    const indexConfig = { ...config, threadIndex: 'index-id' }
+    const { thread, messages } = addThread('Weekly', '01', {
+      attachments: [createBlob('one', 'a.pdf')],
+    })
+    processLabelGroup(indexConfig, services(), helperFns)
+
+    addReply(thread, messages, '02', {
+      attachments: [createBlob('two', 'b.pdf')],
+    })
+    processLabelGroup(indexConfig, services(), helperFns)
+
+    const [, row] = global.SpreadsheetApp.openById('index-id')
+      .getSheetByName('Threads')
+      .getDataRange()
+      .getValues()
+    expect(row[5]).toBe(2)
+    expect(row[6].split('\n').map((line) => line.split(' <')[0])).toEqual([
+      'a.pdf',
+      'b.pdf',
+    ])
+    expect(doc().getBookmarks()).toHaveLength(1)
+    expect(doc().getBookmark(row[8]).getPosition().getElement()).toBe(
+      doc().getBody().getChild(0)
+    )
+  })
+
+  test('leave buffers without a tracking sink to the full rewrite', () => {
+    const { messages } = addThread('Weekly', '01')
+    const body = doc().getBody()
+    const options = { threadId: 't1', config }
+
+    processMessagesToDoc(messages, body, null, options)
+    messages.push(
+      createMessage({
+        subject: 'Re: Weekly',
+        body: 'Reply',
+        date: new Date('2026-10-02T00:00:00Z'),
+      })
+    )
+
+    expect(processMessagesToDoc(messages, body, null, options)).toBe(2)
+    expect(subjects()).toEqual(['Subject: Re: Weekly', 'Subject: Weekly'])
+  })
+})
@@ -0,0 +1,140 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  ATTACHMENT_INDEX_FILE_NAME,
+} = require('../src/index')
+const { getFileHash } = require('../../gas-utils')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({ inlineImages: true })
+
+const logo = createBlob('logo', 'logo.png', 'image/png')
+const screenshot = createBlob(
+  Buffer.alloc(20 * 1024, 1),
+  'screenshot.png',
+  'image/png'
+)
+
+const paragraphs = () =>
+  global.DocumentApp.openById('test-doc').getBody().getParagraphs()
+const savedFiles = () =>
+  global.DriveApp.getFolderById('test-folder')
+    .__getFiles()
+    .map((f) => f.getName())
+    .filter((name) => name !== ATTACHMENT_INDEX_FILE_NAME)
+
+function addThread() {
+  global.GmailApp.__addThreadWithLabels(
+    ['Reports'],
+    [
+      createMessage({
+        subject: 'Bug',
+        body: 'See the screenshot',
+        date: new Date('2026-10-01T00:00:00Z'),
+        attachments: [createBlob('log', 'log.txt', 'text/plain')],
+        inlineImages: [logo, screenshot],
+      }),
+    ]
+  )
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('inline images', () => {
+  test('embed screenshots below the body and skip signature images', () => {
+    const Logger = { log: jest.fn() }
+    addThread()
+
+    processLabelGroup(config, services({ Logger }), helperFns)
+
+    const texts = paragraphs().map((p) => p.getText())
+    expect(texts.slice(1, 5)).toEqual([
+      'Subject: Bug',
+      expect.stringMatching(/^Date: /),
+      'See the screenshot',
+      '',
+    ])
+    const [image] = paragraphs()[4].images
+    expect(image.blob).toBe(screenshot)
+    expect([image.getWidth(), image.getHeight()]).toEqual([600, 400])
+    expect(texts.filter((t) => t.startsWith('- '))).toEqual([
+      expect.stringMatching(/^- log\.txt/),
+    ])
+    expect(savedFiles()).toEqual(['log.txt'])
+    expect(Logger.log).toHaveBeenCalledWith('Skipping inline image: logo.png')
+  })
+
+  test('skip blocklisted images regardless of size', () => {
+    addThread()
+
+    processLabelGroup(
+      { ...config, inlineImages: { blocklist: [getFileHash(screenshot)] } },
+      services(),
+      helperFns
+    )
+
+    expect(paragraphs().some((p) => p.images)).toBe(false)
+    expect(savedFiles()).toEqual(['log.txt'])
+  })
+
+  test('save screenshots as attachments when embedding is off', () => {
+    addThread()
+
+    processLabelGroup(
+      { ...config, inlineImages: { embed: false, minBytes: 0 } },
+      services(),
+      helperFns
+    )
+
+    expect(paragraphs().some((p) => p.images)).toBe(false)
+    expect(savedFiles()).toEqual(['log.txt', 'logo.png', 'screenshot.png'])
+  })
+
+  test('keep saving inline images as attachments without the option', () => {
+    addThread()
+
+    processLabelGroup(
+      { ...config, inlineImages: undefined },
+      services(),
+      helperFns
+    )
+
+    expect(savedFiles()).toEqual(['log.txt', 'logo.png', 'screenshot.png'])
+  })
+
+  test('record embedded and skipped images in a dry run', () => {
+    addThread()
+
+    const report = storeEmailsAndAttachments(
+      [config],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services(),
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services(),
+      { dryRun: true }
+    )
+
+    const [group] = report.groups
+    expect(group.inlineImages).toEqual([
+      { name: 'logo.png', action: 'skip' },
+      { name: 'screenshot.png', action: 'embed' },
+    ])
+    expect(group.files).toEqual(['log.txt'])
+  })
+})
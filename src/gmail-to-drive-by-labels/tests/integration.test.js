@@ -1,5 +1,13 @@
 const { createMessage, createBlob } = require('../../../test-utils/mocks')
-const { processMessageToDoc, processMessagesToDoc } = require('../src/index')
+const {
+  ATTACHMENT_INDEX_FILE_NAME,
+  processMessageToDoc,
+  processMessagesToDoc,
+} = require('../src/index')
+
+// Saved attachments, leaving out the content-hash index manifest
+const attachmentFiles = (folder) =>
+  folder.__getFiles().filter((f) => f.getName() !== ATTACHMENT_INDEX_FILE_NAME)
 
 // This test uses the actual processing functions from src/index.js
 // to verify that the prepend behavior works correctly end-to-end
@@ -111,7 +119,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     expect(paragraphs[7].getText()).toBe('------------------------------')
 
     // Verify files were created
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
   })
 
@@ -215,11 +223,11 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     // Verify duplicate was skipped
     const paragraphs = body.getParagraphs()
     expect(
-      paragraphs.some((p) => p.getText().includes('[DUPLICATE SKIPPED]'))
+      paragraphs.some((p) => p.getText().includes('(existing copy)'))
     ).toBe(true)
 
     // Should still only have 1 file (the original)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(1)
   })
 
@@ -245,7 +253,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     processMessagesToDoc(messages, body, folder)
 
     // Should have 2 files now (original and renamed new one)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
 
     // New file should have timestamp in name
@@ -280,7 +288,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     processMessagesToDoc(messages, body, folder)
 
     // Should have 2 files (size mismatch means not a duplicate)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
   })
 
@@ -306,7 +314,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     processMessagesToDoc(messages, body, folder)
 
     // Should have 2 files (hash mismatch means different content)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
   })
 
@@ -334,7 +342,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     expect(paragraphs.some((p) => p.getText().includes('README'))).toBe(true)
 
     // Should have 2 files (original and new with timestamp)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
   })
 
@@ -465,7 +473,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     // Verify duplicate was skipped
     const paragraphs = body.getParagraphs()
     expect(
-      paragraphs.some((p) => p.getText().includes('[DUPLICATE SKIPPED]'))
+      paragraphs.some((p) => p.getText().includes('(existing copy)'))
     ).toBe(true)
   })
 
@@ -509,7 +517,7 @@ describe('Gmail to Drive integration with prepend behavior', () => {
     expect(mockSession.getScriptTimeZone).toHaveBeenCalled()
 
     // Should have 2 files (original and renamed new one)
-    const files = folder.__getFiles()
+    const files = attachmentFiles(folder)
     expect(files).toHaveLength(2)
 
     // Verify one file has timestamp in name
@@ -0,0 +1,220 @@
+const { createMessage, createBlob } = require('../../../test-utils/mocks')
+const { filterMessages, processLabelGroup } = require('../src/index')
+
+describe('filterMessages', () => {
+  const report = createMessage({
+    subject: 'Monthly report',
+    from: 'Reports <reports@bank.com>',
+    date: new Date('2024-05-01T00:00:00Z'),
+    attachments: [createBlob('pdf', 'report.pdf', 'application/pdf')],
+  })
+  const autoReply = createMessage({
+    subject: 'Automatic reply: Monthly report',
+    from: 'someone@example.com',
+    date: new Date('2024-05-02T00:00:00Z'),
+  })
+  const invite = createMessage({
+    subject: 'Invitation: Sync',
+    from: 'calendar-notification@google.com',
+    date: new Date('2023-12-01T00:00:00Z'),
+    attachments: [createBlob('ics', 'invite.ics', 'text/calendar')],
+  })
+  const screenshot = createMessage({
+    subject: 'Screenshot',
+    from: 'reports@bank.com',
+    date: new Date('2024-06-01T00:00:00Z'),
+    attachments: [createBlob('png', 'shot.png', 'image/png')],
+  })
+  const all = [report, autoReply, invite, screenshot]
+  const subjects = (messages) => messages.map((m) => m.getSubject())
+
+  test('accepts every message when no filters are configured', () => {
+    expect(filterMessages(all).accepted).toEqual(all)
+    expect(filterMessages(all, {}).skipped).toEqual([])
+  })
+
+  test('excludes messages matching a subject regex', () => {
+    const { accepted, skipped } = filterMessages(all, {
+      exclude: { subject: '^automatic reply' },
+    })
+    expect(subjects(accepted)).not.toContain('Automatic reply: Monthly report')
+    expect(skipped).toEqual([
+      { message: autoReply, reason: 'matched exclude rule 1' },
+    ])
+  })
+
+  test('reports which of several exclude rules matched', () => {
+    const { skipped } = filterMessages(all, {
+      exclude: [{ subject: /^Automatic reply/ }, { from: 'calendar-notif' }],
+    })
+    expect(skipped.map((s) => s.reason)).toEqual([
+      'matched exclude rule 1',
+      'matched exclude rule 2',
+    ])
+  })
+
+  test('keeps only messages matching an include sender regex', () => {
+    const { accepted, skipped } = filterMessages(all, {
+      include: { from: '@bank\\.com' },
+    })
+    expect(subjects(accepted)).toEqual(['Monthly report', 'Screenshot'])
+    expect(skipped.map((s) => s.reason)).toEqual([
+      'no include rule matched',
+      'no include rule matched',
+    ])
+  })
+
+  test('accepts messages matching any of several include rules', () => {
+    const { accepted } = filterMessages(all, {
+      include: [{ subject: 'report' }, { subject: 'invitation' }],
+    })
+    expect(subjects(accepted)).toEqual([
+      'Monthly report',
+      'Automatic reply: Monthly report',
+      'Invitation: Sync',
+    ])
+  })
+
+  test('combines criteria within one rule with AND', () => {
+    const { accepted } = filterMessages(all, {
+      include: { from: 'bank\\.com', subject: 'report' },
+    })
+    expect(subjects(accepted)).toEqual(['Monthly report'])
+  })
+
+  test('filters by minimum date', () => {
+    const { accepted } = filterMessages(all, {
+      include: { minDate: '2024-01-01' },
+    })
+    expect(subjects(accepted)).not.toContain('Invitation: Sync')
+    expect(accepted).toHaveLength(3)
+  })
+
+  test('filters by presence or absence of attachments', () => {
+    expect(
+      subjects(
+        filterMessages(all, { include: { hasAttachment: true } }).accepted
+      )
+    ).toEqual(['Monthly report', 'Invitation: Sync', 'Screenshot'])
+    expect(
+      subjects(
+        filterMessages(all, { include: { hasAttachment: false } }).accepted
+      )
+    ).toEqual(['Automatic reply: Monthly report'])
+  })
+
+  test('filters by attachment MIME whitelist including wildcards', () => {
+    const { accepted } = filterMessages(all, {
+      include: { attachmentTypes: ['application/pdf', 'IMAGE/*'] },
+    })
+    expect(subjects(accepted)).toEqual(['Monthly report', 'Screenshot'])
+  })
+
+  test('exclude rules apply after include rules', () => {
+    const { accepted } = filterMessages(all, {
+      include: { from: 'bank\\.com' },
+      exclude: { attachmentTypes: ['image/*'] },
+    })
+    expect(subjects(accepted)).toEqual(['Monthly report'])
+  })
+
+  test('treats missing sender and subject as empty strings', () => {
+    const bare = {
+      getFrom: () => null,
+      getSubject: () => null,
+      getDate: () => new Date(),
+      getAttachments: () => [],
+    }
+    expect(
+      filterMessages([bare], { include: { from: '^$' } }).accepted
+    ).toEqual([bare])
+    expect(
+      filterMessages([bare], { exclude: { subject: '^$' } }).skipped
+    ).toHaveLength(1)
+  })
+})
+
+describe('processLabelGroup with filters', () => {
+  const services = () => ({
+    GmailApp: global.GmailApp,
+    DocumentApp: global.DocumentApp,
+    DriveApp: global.DriveApp,
+    Logger: global.Logger,
+    Utilities: global.Utilities,
+    Session: global.Session,
+  })
+  const helperFns = { removeExistingThreadFromDoc: () => false }
+  const baseConfig = {
+    triggerLabel: 'filter-trigger',
+    processedLabel: 'filter-archived',
+    docId: 'test-doc',
+    folderId: 'test-folder',
+  }
+
+  test('archives only accepted messages and logs the skipped count', () => {
+    const log = jest.spyOn(global.Logger, 'log')
+    global.GmailApp.createLabel('filter-trigger')
+    global.GmailApp.__addThreadWithLabels(
+      ['filter-trigger'],
+      [
+        createMessage({
+          subject: 'Real message',
+          body: 'Keep me',
+          date: new Date('2024-01-01T00:00:00Z'),
+        }),
+        createMessage({
+          subject: 'Out of Office',
+          body: 'Away',
+          date: new Date('2024-01-02T00:00:00Z'),
+        }),
+      ]
+    )
+
+    processLabelGroup(
+      { ...baseConfig, filters: { exclude: { subject: 'out of office' } } },
+      services(),
+      helperFns
+    )
+
+    const doc = global.DocumentApp.openById('test-doc')
+    const text = doc
+      .getBody()
+      .getParagraphs()
+      .map((p) => p.getText())
+      .join('\n')
+    expect(text).toContain('Keep me')
+    expect(text).not.toContain('Away')
+    expect(doc.getNamedRanges().map((r) => r.getName().split(':')[0])).toEqual([
+      'message',
+      'thread',
+    ])
+    expect(log).toHaveBeenCalledWith(
+      'Skipped 1 message(s) by filter rules for: filter-trigger'
+    )
+    log.mockRestore()
+  })
+
+  test('moves fully filtered threads without touching the doc', () => {
+    const trigger = global.GmailApp.createLabel('filter-trigger')
+    global.GmailApp.__addThreadWithLabels(
+      ['filter-trigger'],
+      [createMessage({ subject: 'Accepted: Sync' })]
+    )
+    const body = global.DocumentApp.openById('test-doc').getBody()
+    body.appendParagraph('Existing content')
+
+    processLabelGroup(
+      { ...baseConfig, filters: { exclude: { subject: '^Accepted:' } } },
+      services(),
+      helperFns
+    )
+
+    expect(body.getParagraphs().map((p) => p.getText())).toEqual([
+      'Existing content',
+    ])
+    expect(trigger.getThreads()).toHaveLength(0)
+    expect(
+      global.GmailApp.getUserLabelByName('filter-archived').getThreads()
+    ).toHaveLength(1)
+  })
+})
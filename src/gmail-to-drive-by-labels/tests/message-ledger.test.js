@@ -0,0 +1,344 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+  resolveLedgerSettings,
+  openMessageLedger,
+  reconcileLedger,
+  formatLedgerReport,
+  validateConfigs,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({ messageLedger: 'ledger-id' })
+
+const ledgerRows = () =>
+  global.SpreadsheetApp.openById('ledger-id')
+    .getSheetByName('Ledger')
+    .getDataRange()
+    .getValues()
+const subjects = () =>
+  global.DocumentApp.openById('test-doc')
+    .getBody()
+    .getParagraphs()
+    .map((p) => p.getText())
+    .filter((t) => t.startsWith('Subject:'))
+const threadIds = (label) =>
+  global.GmailApp.getUserLabelByName(label)
+    .getThreads()
+    .map((thread) => thread.getId())
+const relabel = (thread) => {
+  global.GmailApp.getUserLabelByName('Reports/Archived').removeFromThread(
+    thread
+  )
+  global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+}
+
+const addThread = (subject, extra = {}) =>
+  addArchiveThread(subject, '01', extra).thread
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Reports/Archived')
+})
+
+describe('message ledger', () => {
+  test('record each archived message with its doc and attachment files', () => {
+    const thread = addThread('Weekly', {
+      id: 'm1',
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    processLabelGroup(config, services(), helperFns)
+
+    const [headers, row] = ledgerRows()
+    expect(headers).toEqual([
+      'Message ID',
+      'Thread ID',
+      'Label',
+      'Doc ID',
+      'Attachment IDs',
+      'Archived At',
+    ])
+    const file = global.DriveApp.getFolderById('test-folder').__getFiles()[0]
+    expect(row.slice(0, 5)).toEqual([
+      'm1',
+      thread.getId(),
+      'Reports',
+      'test-doc',
+      file.getId(),
+    ])
+    expect(row[5]).toBeInstanceOf(Date)
+  })
+
+  test('skip threads re-labelled with nothing new, but still move them', () => {
+    const Logger = { log: jest.fn() }
+    const thread = addThread('Weekly', { id: 'm1' })
+    processLabelGroup(config, services(), helperFns)
+    relabel(thread)
+
+    processLabelGroup(config, services({ Logger }), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Weekly'])
+    expect(ledgerRows()).toHaveLength(2)
+    expect(Logger.log).toHaveBeenCalledWith('Already archived: Weekly')
+    expect(threadIds('Reports')).toEqual([])
+    expect(threadIds('Reports/Archived')).toEqual([thread.getId()])
+  })
+
+  test('archive a thread again once it has a message the ledger lacks', () => {
+    const messages = [
+      createMessage({
+        id: 'm1',
+        subject: 'Weekly',
+        date: new Date('2026-10-01T00:00:00Z'),
+      }),
+    ]
+    const thread = global.GmailApp.__addThreadWithLabels(['Reports'], messages)
+    processLabelGroup(config, services(), helperFns)
+    messages.push(
+      createMessage({
+        id: 'm2',
+        subject: 'Re: Weekly',
+        date: new Date('2026-10-02T00:00:00Z'),
+      })
+    )
+    relabel(thread)
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Re: Weekly', 'Subject: Weekly'])
+    expect(ledgerRows().map((row) => row[0])).toEqual([
+      'Message ID',
+      'm1',
+      'm2',
+    ])
+  })
+
+  test('keep ledgers of configs sharing a sheet apart', () => {
+    const ledger = openMessageLedger(
+      resolveLedgerSettings(config),
+      global.SpreadsheetApp
+    )
+    ledger.sheet.appendRow(['m1', 't1', 'Memos', 'memo-doc', '', new Date()])
+    addThread('Weekly', { id: 'm1' })
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Weekly'])
+    expect(ledgerRows().map((row) => row[2])).toEqual([
+      'Label',
+      'Memos',
+      'Reports',
+    ])
+  })
+
+  test('add no bookmarks without a thread index', () => {
+    addThread('Weekly', { id: 'm1' })
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(global.DocumentApp.openById('test-doc').getBookmarks()).toHaveLength(
+      0
+    )
+    expect(ledgerRows()[1][3]).toBe('test-doc')
+  })
+
+  test('archive threads again after a full rebuild', () => {
+    addThread('Weekly', { id: 'm1' })
+    processLabelGroup(config, services(), helperFns)
+
+    expect(rebuildDoc(config, services())).toBe(true)
+    expect(ledgerRows()).toHaveLength(1)
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Weekly'])
+    expect(ledgerRows().map((row) => row[0])).toEqual(['Message ID', 'm1'])
+  })
+
+  test('archive the threads of a scoped rebuild again', () => {
+    const Logger = { log: jest.fn() }
+    const rebuilt = addThread('Weekly', { id: 'm1' })
+    addThread('Monthly', { id: 'm2' })
+    processLabelGroup(config, services(), helperFns)
+
+    rebuildDoc(config, services(), undefined, {
+      threadIds: [rebuilt.getId()],
+    })
+    expect(ledgerRows().map((row) => row[0])).toEqual(['Message ID', 'm2'])
+    processLabelGroup(config, services({ Logger }), helperFns)
+
+    expect(subjects().sort()).toEqual(['Subject: Monthly', 'Subject: Weekly'])
+    expect(Logger.log).not.toHaveBeenCalledWith('Already archived: Weekly')
+  })
+
+  test('rewrite the rows of messages archived again', () => {
+    const messages = [
+      createMessage({
+        id: 'm1',
+        subject: 'Weekly',
+        date: new Date('2026-10-02T00:00:00Z'),
+      }),
+    ]
+    const thread = global.GmailApp.__addThreadWithLabels(['Reports'], messages)
+    processLabelGroup(config, services(), helperFns)
+    // An older message makes the whole thread be written again
+    messages.unshift(
+      createMessage({
+        id: 'm0',
+        subject: 'Earlier',
+        date: new Date('2026-10-01T00:00:00Z'),
+      })
+    )
+    relabel(thread)
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Weekly', 'Subject: Earlier'])
+    expect(ledgerRows().map((row) => row[0])).toEqual([
+      'Message ID',
+      'm1',
+      'm0',
+    ])
+  })
+
+  test('match rows whose IDs and label read back as numbers', () => {
+    const Logger = { log: jest.fn() }
+    const numeric = {
+      ...config,
+      triggerLabel: '2026',
+      processedLabel: '2026/Archived',
+    }
+    global.GmailApp.createLabel('2026')
+    global.GmailApp.createLabel('2026/Archived')
+    const { thread } = addArchiveThread('Weekly', '01', { id: '101' }, ['2026'])
+    processLabelGroup(numeric, services(), helperFns)
+    // Sheets turns numeric-looking cells into numbers
+    global.SpreadsheetApp.openById('ledger-id')
+      .getSheetByName('Ledger')
+      .getRange(2, 1, 1, 3)
+      .setValues([[101, thread.getId(), 2026]])
+    global.GmailApp.getUserLabelByName('2026/Archived').removeFromThread(thread)
+    global.GmailApp.getUserLabelByName('2026').addToThread(thread)
+
+    processLabelGroup(numeric, services({ Logger }), helperFns)
+    expect(Logger.log).toHaveBeenCalledWith('Already archived: Weekly')
+    expect(formatLedgerReport(reconcileLedger(numeric, services()))).toBe(
+      '2026: 1 message(s) in the ledger\nLedger and doc match.'
+    )
+
+    rebuildDoc(numeric, services())
+    expect(ledgerRows()).toHaveLength(1)
+  })
+
+  test('skip the config when the ledger has no spreadsheetId', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    addThread('Weekly', { id: 'm1' })
+
+    processLabelGroup(
+      { ...config, messageLedger: { sheetName: 'Ledger' } },
+      services({ Logger }),
+      helperFns
+    )
+
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error opening message ledger. Check messageLedger in Config.gs. Error: messageLedger needs a spreadsheetId'
+    )
+    expect(subjects()).toEqual([])
+    error.mockRestore()
+  })
+
+  test('reject a ledger without a spreadsheet ID', () => {
+    expect(resolveLedgerSettings(config)).toEqual({
+      spreadsheetId: 'ledger-id',
+      sheetName: 'Ledger',
+    })
+    const { errors } = validateConfigs(
+      [{ ...config, messageLedger: { sheetName: 'Ledger' } }],
+      services()
+    )
+
+    expect(errors).toEqual([
+      'Config 1 (Reports): messageLedger needs a spreadsheetId',
+    ])
+  })
+})
+
+describe('reconcileLedger', () => {
+  test('report messages and files the doc and ledger disagree on', () => {
+    addThread('Weekly', {
+      id: 'm1',
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+    addThread('Monthly', { id: 'm2' })
+    processLabelGroup(config, services(), helperFns)
+    const doc = global.DocumentApp.openById('test-doc')
+    doc.getNamedRanges('message:m2')[0].remove()
+    const [paragraph] = doc.getBody().getParagraphs()
+    doc.addNamedRange(
+      'message:m9',
+      doc.newRange().addElement(paragraph).build()
+    )
+    const file = global.DriveApp.getFolderById('test-folder').__getFiles()[0]
+    file.setTrashed(true)
+    const ledger = global.SpreadsheetApp.openById('ledger-id')
+    ledger
+      .getSheetByName('Ledger')
+      .getRange(3, 5, 1, 1)
+      .setValues([['deleted-id']])
+
+    const report = reconcileLedger(config, services())
+
+    expect(report).toEqual({
+      triggerLabel: 'Reports',
+      ledgerMessages: 2,
+      missingFromDoc: [{ messageId: 'm2', threadId: expect.any(String) }],
+      missingFromLedger: ['m9'],
+      missingFiles: [
+        { messageId: 'm1', fileId: file.getId() },
+        { messageId: 'm2', fileId: 'deleted-id' },
+      ],
+    })
+    expect(formatLedgerReport(report).split('\n')).toEqual([
+      'Reports: 2 message(s) in the ledger',
+      'In the ledger but not in the doc (1):',
+      expect.stringMatching(/^- m2 \(thread .+\)$/),
+      'In the doc but not in the ledger (1):',
+      '- m9',
+      'Missing attachment files (2):',
+      `- ${file.getId()} (message m1)`,
+      '- deleted-id (message m2)',
+    ])
+  })
+
+  test('confirm a ledger that matches its doc', () => {
+    addThread('Weekly', { id: 'm1' })
+    processLabelGroup(config, services(), helperFns)
+
+    expect(formatLedgerReport(reconcileLedger(config, services()))).toBe(
+      'Reports: 1 message(s) in the ledger\nLedger and doc match.'
+    )
+  })
+
+  test('need a ledger and a doc target', () => {
+    expect(() =>
+      reconcileLedger({ ...config, messageLedger: undefined }, services())
+    ).toThrow('No messageLedger set for Reports')
+    expect(() =>
+      reconcileLedger(
+        { ...config, target: { type: 'sheet', spreadsheetId: 's' } },
+        services()
+      )
+    ).toThrow('Ledger reconciliation needs a doc or pdf target')
+  })
+})
@@ -0,0 +1,226 @@
+const { createMessage, createBlob } = require('../../../test-utils/mocks')
+const {
+  DEFAULT_MESSAGE_TEMPLATE,
+  resolveMessageTemplate,
+  processMessageToDoc,
+  processMessagesToDoc,
+} = require('../src/index')
+
+describe('resolveMessageTemplate', () => {
+  test('returns the default template when the config has none', () => {
+    expect(resolveMessageTemplate()).toEqual(DEFAULT_MESSAGE_TEMPLATE)
+    expect(resolveMessageTemplate({})).toEqual(DEFAULT_MESSAGE_TEMPLATE)
+  })
+
+  test('keeps default styles when only sections are configured', () => {
+    const template = resolveMessageTemplate({
+      template: { sections: ['subject', 'body'] },
+    })
+    expect(template.sections).toEqual(['subject', 'body'])
+    expect(template.styles).toEqual(DEFAULT_MESSAGE_TEMPLATE.styles)
+  })
+})
+
+describe('processMessageToDoc with a message template', () => {
+  let body, folder
+
+  const richMessage = () =>
+    createMessage({
+      subject: 'Quarterly numbers',
+      body: 'See attached.',
+      from: 'Jane <jane@example.com>',
+      to: 'team@example.com',
+      cc: 'boss@example.com',
+      date: new Date('2024-03-01T09:00:00Z'),
+      attachments: [createBlob('q1', 'q1.pdf')],
+    })
+
+  beforeEach(() => {
+    body = global.DocumentApp.openById('test-doc').getBody()
+    folder = global.DriveApp.getFolderById('test-folder')
+  })
+
+  const texts = () => body.getParagraphs().map((p) => p.getText())
+
+  test('default template writes subject, date, body and attachments', () => {
+    processMessageToDoc(richMessage(), body, folder, {
+      DocumentApp: global.DocumentApp,
+    })
+
+    expect(texts()).toEqual([
+      'Subject: Quarterly numbers',
+      'Date: ' + new Date('2024-03-01T09:00:00Z'),
+      'See attached.',
+      '[Attachments]:',
+      '- q1.pdf',
+      '------------------------------',
+    ])
+    expect(body.getParagraphs()[0].heading).toBe('HEADING_3')
+  })
+
+  test('writes From/To/Cc lines and a Gmail thread link', () => {
+    processMessageToDoc(richMessage(), body, folder, {
+      threadId: 'abc123',
+      config: {
+        template: {
+          sections: ['subject', 'from', 'to', 'cc', 'threadLink', 'body'],
+        },
+      },
+    })
+
+    expect(texts()).toEqual([
+      'Subject: Quarterly numbers',
+      'From: Jane <jane@example.com>',
+      'To: team@example.com',
+      'Cc: boss@example.com',
+      'Open thread in Gmail',
+      'See attached.',
+      '------------------------------',
+    ])
+    expect(body.getParagraphs()[4].linkUrl).toBe(
+      'https://mail.google.com/mail/u/0/#all/abc123'
+    )
+  })
+
+  test('omits empty header lines and thread links without a thread', () => {
+    const message = createMessage({ subject: 'Solo', body: 'Hi' })
+    processMessageToDoc(message, body, folder, {
+      config: { template: { sections: ['from', 'cc', 'threadLink', 'body'] } },
+    })
+
+    expect(texts()).toEqual(['Hi', '------------------------------'])
+  })
+
+  test('falls back to the message thread for the Gmail link', () => {
+    const message = {
+      ...createMessage({ subject: 'S' }),
+      getThread: () => ({ getId: () => 'from-thread' }),
+    }
+    processMessageToDoc(message, body, folder, {
+      config: { template: { sections: ['threadLink'] } },
+    })
+
+    expect(body.getParagraphs()[0].linkUrl).toBe(
+      'https://mail.google.com/mail/u/0/#all/from-thread'
+    )
+  })
+
+  test('links saved attachments to their Drive file', () => {
+    processMessageToDoc(richMessage(), body, folder, {})
+
+    const entry = body.getParagraphs().find((p) => p.getText() === '- q1.pdf')
+    expect(entry.linkUrl).toBe(folder.__getFiles()[0].getUrl())
+  })
+
+  test('applies bold, italic, monospace and combined styles per section', () => {
+    processMessageToDoc(richMessage(), body, folder, {
+      DocumentApp: global.DocumentApp,
+      config: {
+        template: {
+          sections: ['from', 'date', 'body', 'attachments'],
+          styles: {
+            from: 'bold',
+            date: 'italic',
+            body: 'monospace',
+            attachments: ['bold', 'monospace'],
+          },
+        },
+      },
+    })
+
+    const paragraphs = body.getParagraphs()
+    expect(paragraphs[0].attrs).toEqual({ BOLD: true })
+    expect(paragraphs[1].attrs).toEqual({ ITALIC: true })
+    expect(paragraphs[2].attrs).toEqual({ FONT_FAMILY: 'Courier New' })
+    expect(paragraphs[3].attrs).toEqual({
+      BOLD: true,
+      FONT_FAMILY: 'Courier New',
+    })
+    expect(paragraphs[4].attrs).toEqual({
+      BOLD: true,
+      FONT_FAMILY: 'Courier New',
+    })
+  })
+
+  test('styles duplicate-skipped attachment entries too', () => {
+    folder.createFile(createBlob('q1', 'q1.pdf'))
+    processMessageToDoc(richMessage(), body, folder, {
+      DocumentApp: global.DocumentApp,
+      config: {
+        template: {
+          sections: ['attachments'],
+          styles: { attachments: 'bold' },
+        },
+      },
+    })
+
+    const entry = body.getParagraphs()[1]
+    expect(entry.getText()).toBe('- q1.pdf (existing copy)')
+    expect(entry.attrs).toEqual({ BOLD: true })
+  })
+
+  test('skips styling outside GAS', () => {
+    processMessageToDoc(richMessage(), body, folder, {
+      config: { template: { styles: { body: 'bold' } } },
+    })
+
+    expect(body.getParagraphs()[2].attrs).toBeUndefined()
+  })
+
+  test('ignores unknown sections and styles with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    processMessageToDoc(richMessage(), body, folder, {
+      DocumentApp: global.DocumentApp,
+      config: {
+        template: {
+          sections: ['subject', 'signature'],
+          styles: { subject: 'sparkly' },
+        },
+      },
+    })
+
+    expect(texts()).toEqual([
+      'Subject: Quarterly numbers',
+      '------------------------------',
+    ])
+    expect(body.getParagraphs()[0].attrs).toBeUndefined()
+    expect(warn).toHaveBeenCalledWith(
+      '[processMessageToDoc] Unknown template section:',
+      'signature'
+    )
+    expect(warn).toHaveBeenCalledWith(
+      '[processMessageToDoc] Unknown template style:',
+      'sparkly'
+    )
+    warn.mockRestore()
+  })
+
+  test('processMessagesToDoc passes the template to every message', () => {
+    const messages = [
+      createMessage({
+        subject: 'First',
+        from: 'a@example.com',
+        date: new Date('2024-01-01T00:00:00Z'),
+      }),
+      createMessage({
+        subject: 'Second',
+        from: 'b@example.com',
+        date: new Date('2024-01-02T00:00:00Z'),
+      }),
+    ]
+    processMessagesToDoc(messages, body, folder, {
+      threadId: 't1',
+      config: { template: { sections: ['from', 'threadLink'] } },
+    })
+
+    expect(texts()).toEqual([
+      '==============================',
+      'From: b@example.com',
+      'Open thread in Gmail',
+      '------------------------------',
+      'From: a@example.com',
+      'Open thread in Gmail',
+      '------------------------------[THREAD:t1]',
+    ])
+  })
+})
@@ -0,0 +1,461 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  createParagraphBuffer,
+  renderMarkdown,
+  parseMarkdown,
+  resolveOutputTarget,
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const baseConfig = archiverConfig()
+
+const addThread = (subject, day, extra = {}) =>
+  addArchiveThread(subject, day, { from: 'Ann <ann@example.com>', ...extra })
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('resolveOutputTarget', () => {
+  test('defaults to the Google Doc and accepts strings or objects', () => {
+    expect(resolveOutputTarget({})).toEqual({ type: 'doc' })
+    expect(resolveOutputTarget({ target: 'markdown' })).toEqual({
+      type: 'markdown',
+    })
+    expect(
+      resolveOutputTarget({ target: { type: 'sheet', spreadsheetId: 's' } })
+    ).toEqual({ type: 'sheet', spreadsheetId: 's' })
+  })
+
+  test('rejects unknown targets', () => {
+    expect(() => resolveOutputTarget({ target: 'html' })).toThrow(
+      'Unknown output target: html'
+    )
+  })
+})
+
+describe('Markdown rendering', () => {
+  test('renders styles, links and separators', () => {
+    const body = createParagraphBuffer()
+    body.appendParagraph('==============================')
+    body.appendParagraph('Subject: Hello').setHeading('HEADING_3')
+    body.appendParagraph('Open thread in Gmail').setLinkUrl('https://mail/1')
+    body.appendParagraph('Line one\nLine two').setAttributes({ BOLD: true })
+    body.appendParagraph('x = 1').setAttributes({ FONT_FAMILY: 'Courier New' })
+    body.appendParagraph('- report.pdf').setLinkUrl('https://drive/1')
+    body.appendParagraph('------------------------------')
+    body.appendParagraph('------------------------------[THREAD:t1]')
+
+    expect(renderMarkdown(body)).toBe(
+      [
+        '---',
+        '### Subject: Hello',
+        '[Open thread in Gmail](https://mail/1)',
+        '**Line one**\n**Line two**',
+        '`x = 1`',
+        '- [report.pdf](https://drive/1)',
+        '<!-- message -->',
+        '<!-- [THREAD:t1] -->',
+      ].join('\n\n') + '\n'
+    )
+  })
+
+  test('parses rendered Markdown back into removable threads', () => {
+    const markdown =
+      '---\n\n### Subject: A\n\nBody\n\nmore body\n\n<!-- [THREAD:a] -->\n\n' +
+      '---\n\n### Subject: B\n\n<!-- message -->\n\n<!-- [THREAD:b] -->\n'
+    const body = createParagraphBuffer(parseMarkdown(markdown))
+
+    expect(renderMarkdown(body)).toBe(markdown)
+    expect(removeExistingThread(body, 'a')).toBe(true)
+    expect(renderMarkdown(body)).toBe(
+      '---\n\n### Subject: B\n\n<!-- message -->\n\n<!-- [THREAD:b] -->\n'
+    )
+  })
+
+  test('buffers paragraphs behind the Doc body interface', () => {
+    const body = createParagraphBuffer()
+    const first = body.appendParagraph('First')
+    const image = body
+      .appendParagraph('Second')
+      .appendInlineImage(createBlob('png', 'a.png'))
+    image.setWidth(100)
+    image.setHeight(50)
+
+    expect([image.getWidth(), image.getHeight()]).toEqual([0, 0])
+    expect(body.getChild(1).images).toHaveLength(1)
+    body.removeChild(first)
+    expect(body.getText()).toBe('Second')
+  })
+
+  test('escapes body lines that look like separators', () => {
+    const body = createParagraphBuffer()
+    body.appendParagraph('==============================')
+    body.appendParagraph('Subject: A')
+    body.appendParagraph('Notes\n\n---\n\n<!-- message -->\n\n  * * *\n\n```')
+    body.appendParagraph('------------------------------[THREAD:a]')
+    body.appendParagraph('==============================')
+    body.appendParagraph('Subject: B')
+    body.appendParagraph('------------------------------[THREAD:b]')
+
+    const markdown = renderMarkdown(body)
+    expect(markdown).toContain(
+      'Notes\n\n\\---\n\n\\<!-- message -->\n\n  \\* * *\n\n\\```'
+    )
+
+    const parsed = createParagraphBuffer(parseMarkdown(markdown))
+    expect(removeExistingThread(parsed, 'a')).toBe(true)
+    expect(parsed.getParagraphs().map((p) => p.getText())).toEqual([
+      '==============================',
+      'Subject: B',
+      '------------------------------[THREAD:b]',
+    ])
+  })
+
+  test('keeps separator-like lines of a code block in the code', () => {
+    const body = createParagraphBuffer()
+    body.appendParagraph('==============================')
+    body
+      .appendParagraph('- a\n\n---\n\nb')
+      .setAttributes({ FONT_FAMILY: 'Courier New' })
+    body.appendParagraph('------------------------------[THREAD:a]')
+
+    const markdown = renderMarkdown(body)
+    expect(markdown).toBe(
+      '---\n\n- ```\na\n\n---\n\nb\n```\n\n<!-- [THREAD:a] -->\n'
+    )
+    const parsed = createParagraphBuffer(parseMarkdown(markdown))
+    expect(renderMarkdown(parsed)).toBe(markdown)
+    expect(removeExistingThread(parsed, 'a')).toBe(true)
+    expect(parsed.getParagraphs()).toEqual([])
+  })
+})
+
+describe('markdown target', () => {
+  const config = { ...baseConfig, target: 'markdown' }
+  const readMarkdown = () =>
+    global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('Reports.md')
+      .next()
+      .getBlob()
+      .getDataAsString()
+
+  test('archives threads into a Markdown file in the folder', () => {
+    addThread('Weekly', '01', {
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    processLabelGroup(config, services(), helperFns)
+
+    const markdown = readMarkdown()
+    expect(markdown).toMatch(/^---\n\n### Subject: Weekly\n\nDate: /)
+    expect(markdown).toContain(
+      'Weekly body\n\n[Attachments]:\n\n- [report.pdf]('
+    )
+    expect(markdown).toMatch(/<!-- \[THREAD:thread_1\] -->\n$/)
+    expect(
+      global.DocumentApp.openById('test-doc').getBody().getParagraphs()
+    ).toHaveLength(0)
+  })
+
+  test('replaces a thread on a later run', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+
+    messages.push(
+      createMessage({
+        subject: 'Re: Weekly',
+        body: 'Follow-up',
+        date: new Date('2026-10-03T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+    processLabelGroup(config, services(), helperFns)
+
+    const subjects = readMarkdown().match(/### Subject: .*/g)
+    expect(subjects).toEqual([
+      '### Subject: Re: Weekly',
+      '### Subject: Weekly',
+      '### Subject: Monthly',
+    ])
+  })
+
+  test('writes the file once per run', () => {
+    const file = global.DriveApp.getFolderById('test-folder').createFile(
+      'Reports.md',
+      '',
+      'text/markdown'
+    )
+    const setContent = jest.spyOn(file, 'setContent')
+    addThread('Weekly', '01')
+    addThread('Monthly', '02')
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(setContent).toHaveBeenCalledTimes(1)
+    expect(readMarkdown().match(/### Subject: .*/g)).toEqual([
+      '### Subject: Monthly',
+      '### Subject: Weekly',
+    ])
+  })
+
+  test('replaces a thread whose body has a separator line', () => {
+    const { thread, messages } = addThread('Weekly', '01', {
+      body: 'Totals\n\n---\n\nSee you',
+    })
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+
+    messages.push(
+      createMessage({
+        subject: 'Re: Weekly',
+        body: 'Follow-up',
+        date: new Date('2026-10-03T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+    processLabelGroup(config, services(), helperFns)
+
+    const markdown = readMarkdown()
+    expect(markdown.match(/### Subject: .*/g)).toEqual([
+      '### Subject: Re: Weekly',
+      '### Subject: Weekly',
+      '### Subject: Monthly',
+    ])
+    expect(markdown.match(/Totals/g)).toHaveLength(1)
+    expect(markdown).toContain('\\---')
+  })
+
+  test('records the file in the thread index', () => {
+    addThread('Weekly', '01')
+
+    processLabelGroup(
+      { ...config, threadIndex: 'index-id' },
+      services(),
+      helperFns
+    )
+
+    const file = global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('Reports.md')
+      .next()
+    const [, row] = global.SpreadsheetApp.openById('index-id')
+      .getSheetByName('Threads')
+      .getDataRange()
+      .getValues()
+    expect(row.slice(7, 9)).toEqual([file.getId(), ''])
+  })
+
+  test('uses a configured file name and rebuild empties the file', () => {
+    const named = {
+      ...baseConfig,
+      target: { type: 'markdown', fileName: 'archive.md' },
+    }
+    addThread('Weekly', '01')
+    processLabelGroup(named, services(), helperFns)
+    const file = global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('archive.md')
+      .next()
+    expect(file.getBlob().getDataAsString()).toContain('Subject: Weekly')
+
+    rebuildDoc(named, services())
+
+    expect(file.getBlob().getDataAsString()).toBe('')
+  })
+})
+
+describe('pdf target', () => {
+  const config = { ...baseConfig, target: 'pdf' }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-11-15T12:00:00Z') })
+    global.DriveApp.__addDocumentFile('test-doc', 'test-doc', 'docs-folder')
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  const pdfs = () =>
+    global.DriveApp.getFolderById('docs-folder')
+      .__getFiles()
+      .filter((f) => f.getMimeType() === 'application/pdf')
+
+  test('archives into the doc and saves a monthly snapshot next to it', () => {
+    addThread('Weekly', '01')
+
+    processLabelGroup(config, services(), helperFns)
+
+    const texts = global.DocumentApp.openById('test-doc')
+      .getBody()
+      .getParagraphs()
+      .map((p) => p.getText())
+    expect(texts).toContain('Subject: Weekly')
+    expect(pdfs().map((f) => f.getName())).toEqual(['test-doc – 2026-11.pdf'])
+  })
+
+  test('replaces the snapshot of the same month', () => {
+    addThread('Weekly', '01')
+    processLabelGroup(config, services(), helperFns)
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+
+    expect(pdfs().map((f) => f.isTrashed())).toEqual([true, false])
+  })
+
+  test('saves into a configured folder with a custom title', () => {
+    addThread('Weekly', '01')
+
+    processLabelGroup(
+      {
+        ...config,
+        target: { type: 'pdf', folderId: 'snapshots', title: '{yyyy}{MM}' },
+      },
+      services(),
+      helperFns
+    )
+
+    const folder = global.DriveApp.getFolderById('snapshots')
+    expect(folder.__getFiles().map((f) => f.getName())).toEqual(['202611.pdf'])
+  })
+
+  test('does not snapshot when nothing was archived', () => {
+    addThread('Weekly', '01')
+
+    processLabelGroup(
+      { ...config, filters: { include: { subject: 'nothing' } } },
+      services(),
+      helperFns
+    )
+
+    expect(pdfs()).toHaveLength(0)
+  })
+})
+
+describe('sheet target', () => {
+  const config = {
+    ...baseConfig,
+    target: { type: 'sheet', spreadsheetId: 'sheet-id' },
+  }
+  const rows = () =>
+    global.SpreadsheetApp.openById('sheet-id')
+      .getSheetByName('Messages')
+      .getDataRange()
+      .getValues()
+
+  test('writes a header and one row per message', () => {
+    addThread('Weekly', '01', {
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    processLabelGroup(config, services(), helperFns)
+
+    const [header, row] = rows()
+    expect(header).toEqual([
+      'Thread ID',
+      'Date',
+      'From',
+      'Subject',
+      'Body',
+      'Attachments',
+    ])
+    expect(row.slice(0, 5)).toEqual([
+      'thread_1',
+      new Date('2026-10-01T00:00:00Z'),
+      'Ann <ann@example.com>',
+      'Weekly',
+      'Weekly body',
+    ])
+    const saved = global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('report.pdf')
+      .next()
+    expect(row[5]).toBe('report.pdf <' + saved.getUrl() + '>')
+    expect(
+      global.DocumentApp.openById('test-doc').getBody().getParagraphs()
+    ).toHaveLength(0)
+  })
+
+  test('replaces the rows of a thread that got new messages', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+
+    messages.push(
+      createMessage({
+        subject: 'Re: Weekly',
+        body: 'Follow-up',
+        date: new Date('2026-10-03T00:00:00Z'),
+      })
+    )
+    global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+    processLabelGroup(config, services(), helperFns)
+
+    expect(rows().map((row) => row[3])).toEqual([
+      'Subject',
+      'Monthly',
+      'Weekly',
+      'Re: Weekly',
+    ])
+  })
+
+  test('cuts long bodies to the cell limit and indexes the sheet', () => {
+    addThread('Weekly', '01', { body: 'x'.repeat(60000) })
+
+    processLabelGroup(
+      { ...config, threadIndex: 'index-id' },
+      services(),
+      helperFns
+    )
+
+    const body = rows()[1][4]
+    expect(body).toHaveLength(50000)
+    expect(body.endsWith('x…')).toBe(true)
+    const [, indexRow] = global.SpreadsheetApp.openById('index-id')
+      .getSheetByName('Threads')
+      .getDataRange()
+      .getValues()
+    expect(indexRow.slice(7, 9)).toEqual(['sheet-id', ''])
+  })
+
+  test('rebuild keeps only the header row', () => {
+    addThread('Weekly', '01')
+    processLabelGroup(config, services(), helperFns)
+
+    rebuildDoc(config, services())
+
+    expect(rows()).toEqual([
+      ['Thread ID', 'Date', 'From', 'Subject', 'Body', 'Attachments'],
+    ])
+  })
+
+  test('skips the config when no spreadsheetId is set', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    addThread('Weekly', '01')
+
+    processLabelGroup(
+      { ...baseConfig, target: 'sheet' },
+      { ...services(), Logger },
+      helperFns
+    )
+
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error opening output target or Folder. Check IDs in Config.gs. Error: Sheet target needs a spreadsheetId'
+    )
+    expect(
+      global.GmailApp.getUserLabelByName('Reports').getThreads()
+    ).toHaveLength(1)
+    error.mockRestore()
+  })
+})
@@ -0,0 +1,250 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+  storeEmailsAndAttachments,
+  buildTriggerSearch,
+  validateConfigs,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({
+  triggerLabel: 'Bank',
+  processedLabel: 'Bank/Archived',
+  triggerQuery: 'from:bank.com has:attachment',
+})
+const search =
+  '(from:bank.com has:attachment) -label:"Bank/Archived" -label:"Bank" -label:"Bank-failed"'
+
+const subjects = () =>
+  global.DocumentApp.openById('test-doc')
+    .getBody()
+    .getParagraphs()
+    .map((p) => p.getText())
+    .filter((t) => t.startsWith('Subject:'))
+const threadIds = (label) =>
+  global.GmailApp.getUserLabelByName(label)
+    .getThreads()
+    .map((thread) => thread.getId())
+
+function addStatement(labels = [], date = new Date('2026-10-01T00:00:00Z')) {
+  return global.GmailApp.__addThreadWithLabels(labels, [
+    createMessage({
+      subject: 'Statement',
+      from: 'Bank <statements@bank.com>',
+      date,
+    }),
+  ])
+}
+
+describe('triggerQuery', () => {
+  test('archive the threads a search matches without a trigger label', () => {
+    const statement = addStatement()
+    global.GmailApp.__setSearchResults(search, [statement])
+
+    expect(processLabelGroup(config, services(), helperFns)).toBe(true)
+
+    expect(subjects()).toEqual(['Subject: Statement'])
+    expect(threadIds('Bank/Archived')).toEqual([statement.getId()])
+    expect(threadIds('Bank')).toEqual([])
+  })
+
+  test('process threads already queued under the trigger label too', () => {
+    global.GmailApp.createLabel('Bank')
+    const queued = addStatement(['Bank'])
+    const matched = addStatement()
+    global.GmailApp.__setSearchResults(search, [matched])
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(subjects()).toHaveLength(2)
+    expect(threadIds('Bank/Archived').sort()).toEqual(
+      [queued.getId(), matched.getId()].sort()
+    )
+  })
+
+  test('preview the matches without labelling them', () => {
+    const statement = addStatement()
+    global.GmailApp.__setSearchResults(search, [statement])
+
+    const report = storeEmailsAndAttachments(
+      [config],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services(),
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services(),
+      { dryRun: true }
+    )
+
+    expect(report.groups[0].labelMoves).toEqual([
+      { threadId: statement.getId(), from: 'Bank', to: 'Bank/Archived' },
+    ])
+    expect(global.GmailApp.getUserLabelByName('Bank')).toBeNull()
+  })
+
+  test('report an invalid query and leave the group alone', () => {
+    const Logger = { log: jest.fn() }
+
+    expect(
+      processLabelGroup(
+        { ...config, triggerQuery: '' },
+        services({ Logger }),
+        helperFns
+      )
+    ).toBe(true)
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Invalid triggerQuery for Bank: triggerQuery must be a non-empty Gmail search'
+    )
+  })
+})
+
+describe('triggerQuery without a processed label', () => {
+  const ledgerConfig = {
+    ...config,
+    processedLabel: undefined,
+    messageLedger: 'ledger-id',
+  }
+  const ledgerSearch =
+    '(from:bank.com has:attachment) -label:"Bank" -label:"Bank-failed"'
+  // 2026-10-05T00:00:00Z
+  const now = 1791158400000
+  const storedWindow = () =>
+    JSON.parse(
+      global.PropertiesService.getScriptProperties().getProperty(
+        'search_window_Bank'
+      )
+    )
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('search only mail after the last complete pass', () => {
+    const Logger = { log: jest.fn() }
+    const statement = addStatement()
+    global.GmailApp.__setSearchResults(ledgerSearch, [statement])
+
+    expect(validateConfigs([ledgerConfig], services())).toEqual({
+      errors: [],
+      warnings: [],
+    })
+    expect(buildTriggerSearch(ledgerConfig)).toBe(ledgerSearch)
+    processLabelGroup(ledgerConfig, services(), helperFns)
+    expect(storedWindow()).toEqual({ after: now / 1000 })
+    // A thread on the bound matches again; the ledger skips it
+    global.GmailApp.__setSearchResults(ledgerSearch + ' after:' + now / 1000, [
+      statement,
+    ])
+    processLabelGroup(ledgerConfig, services({ Logger }), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Statement'])
+    expect(Logger.log).toHaveBeenCalledWith('Already archived: Statement')
+    expect(threadIds('Bank')).toEqual([])
+  })
+
+  test('work back through more matches than one search returns', () => {
+    const budget = { isExhausted: () => true }
+    const page = Array.from({ length: 500 }, (_, i) =>
+      addStatement([], new Date(Date.UTC(2026, 9, 3, 0, 0, i)))
+    )
+    const older = addStatement()
+    global.GmailApp.__setSearchResults(ledgerSearch, page)
+    // 2026-10-03T00:00:01Z, one second after the oldest thread of the page
+    const before = 1790985601
+    global.GmailApp.__setSearchResults(ledgerSearch + ' before:' + before, [
+      older,
+    ])
+
+    processLabelGroup(ledgerConfig, services(), helperFns, budget)
+    expect(storedWindow()).toEqual({ before, passStart: now })
+    Date.now.mockReturnValue(now + 60000)
+    processLabelGroup(ledgerConfig, services(), helperFns, budget)
+
+    expect(storedWindow()).toEqual({ after: now / 1000 })
+    expect(threadIds('Bank')).toHaveLength(501)
+  })
+
+  test('match every thread again after a rebuild', () => {
+    const statement = addStatement()
+    global.GmailApp.__setSearchResults(ledgerSearch, [statement])
+    processLabelGroup(ledgerConfig, services(), helperFns)
+
+    expect(rebuildDoc(ledgerConfig, services())).toBe(true)
+    processLabelGroup(ledgerConfig, services(), helperFns)
+
+    expect(subjects()).toEqual(['Subject: Statement'])
+    expect(storedWindow()).toEqual({ after: now / 1000 })
+  })
+})
+
+describe('buildTriggerSearch', () => {
+  test('exclude the processed, trigger and failed labels', () => {
+    expect(
+      buildTriggerSearch({
+        triggerLabel: 'Bank Statements',
+        processedLabel: 'Bank Statements/Done',
+        triggerQuery: 'newer_than:30d',
+        retry: { failedLabel: 'Bank errors' },
+      })
+    ).toBe(
+      '(newer_than:30d) -label:"Bank Statements/Done" -label:"Bank Statements" -label:"Bank errors"'
+    )
+    expect(buildTriggerSearch({ ...config, triggerQuery: undefined })).toBe(
+      null
+    )
+  })
+
+  test('reject an empty query in the config check', () => {
+    const { errors, warnings } = validateConfigs(
+      [config, { ...config, triggerLabel: 'Card', triggerQuery: ' ' }],
+      services()
+    )
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        'Config 2 (Card): triggerQuery must be a non-empty Gmail search',
+      ])
+    )
+    expect(warnings).toEqual([])
+  })
+
+  test('require a processed label unless a message ledger is set', () => {
+    const labelOnly = {
+      ...config,
+      processedLabel: undefined,
+      triggerQuery: undefined,
+    }
+    global.GmailApp.createLabel('Bank')
+
+    expect(validateConfigs([labelOnly], services()).errors).toEqual([
+      'Config 1 (Bank): missing processedLabel',
+    ])
+    expect(
+      validateConfigs(
+        [{ ...labelOnly, messageLedger: 'ledger-id' }],
+        services()
+      )
+    ).toEqual({
+      errors: [],
+      warnings: [
+        'Config 1 (Bank): no processedLabel or triggerQuery, so a rebuild cannot find the archived threads again',
+      ],
+    })
+  })
+})
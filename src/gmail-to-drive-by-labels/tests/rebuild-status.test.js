@@ -0,0 +1,262 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+  rebuildAllDocs,
+  getRebuildStatus,
+  formatRebuildStatus,
+  cancelRebuild,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({ batchSize: 2 })
+
+const threadIds = (label) =>
+  global.GmailApp.getUserLabelByName(label)
+    .getThreads()
+    .map((thread) => thread.getId())
+const rebuild = (configs) =>
+  rebuildAllDocs(
+    configs,
+    (groupConfig, budget, scope) =>
+      rebuildDoc(groupConfig, services(), budget, scope),
+    services()
+  )
+
+function archiveThreads(count) {
+  for (let i = 1; i <= count; i++) {
+    global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [
+        createMessage({
+          subject: 'Report ' + i,
+          date: new Date(`2026-10-0${i}T00:00:00Z`),
+        }),
+      ]
+    )
+  }
+  processLabelGroup(config, services(), helperFns)
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Reports/Archived')
+})
+
+describe('getRebuildStatus', () => {
+  test('report moved, re-archived and remaining threads with an estimate', () => {
+    archiveThreads(3)
+
+    expect(rebuild([config])).toBe(false)
+    let status = getRebuildStatus([config], services())
+    const minuteLater = status.startedAt.getTime() + 60 * 1000
+    status = getRebuildStatus([config], services(), minuteLater)
+    expect(status).toMatchObject({
+      state: 'moving',
+      moved: 2,
+      rearchived: 0,
+      remaining: 1,
+      lastError: null,
+      configs: [
+        {
+          triggerLabel: 'Reports',
+          moved: 2,
+          rearchived: 0,
+          remaining: 1,
+          cleared: true,
+        },
+      ],
+    })
+    // 2 of 6 moves and re-archives took a minute: 2 more minutes to go
+    expect(status.eta).toEqual(new Date(minuteLater + 2 * 60 * 1000))
+
+    expect(rebuild([config])).toBe(true)
+    expect(getRebuildStatus([config], services())).toMatchObject({
+      state: 'rearchiving',
+      moved: 3,
+      remaining: 0,
+    })
+
+    processLabelGroup(config, services(), helperFns)
+    status = getRebuildStatus([config], services())
+    expect(status).toMatchObject({
+      state: 'complete',
+      rearchived: 3,
+      eta: null,
+    })
+    expect(formatRebuildStatus(status).split('\n')).toEqual([
+      expect.stringMatching(/^Rebuild complete \(started \d{4}-\d{2}-\d{2}T/),
+      'Moved back to trigger labels: 3 thread(s), 0 left',
+      'Re-archived: 3 of 3 thread(s)',
+      '- Reports: moved 3, re-archived 3, 0 left',
+    ])
+  })
+
+  test('count the processed threads of configs not reached yet', () => {
+    archiveThreads(3)
+    const other = {
+      ...config,
+      triggerLabel: 'Memos',
+      processedLabel: 'Memos/Archived',
+    }
+    global.GmailApp.createLabel('Memos')
+    global.GmailApp.createLabel('Memos/Archived')
+    global.GmailApp.__addThreadWithLabels(['Memos/Archived'], [createMessage()])
+
+    rebuild([config, other])
+
+    expect(getRebuildStatus([config, other], services())).toMatchObject({
+      moved: 2,
+      remaining: 2,
+    })
+  })
+
+  test('keep the last error of a failing rebuild', () => {
+    expect(() =>
+      rebuildAllDocs(
+        [config],
+        () => {
+          throw new Error('Document is missing')
+        },
+        services()
+      )
+    ).toThrow('Document is missing')
+
+    const status = getRebuildStatus([config], services())
+    expect(status.lastError.message).toBe('Reports: Document is missing')
+    expect(formatRebuildStatus(status)).toMatch(
+      /\nLast error \(.+\): Reports: Document is missing\n/
+    )
+  })
+
+  test('keep the error of a doc that cannot be cleared', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    archiveThreads(1)
+    const failingDocs = {
+      openById: () => {
+        throw new Error('Document is missing')
+      },
+    }
+
+    expect(
+      rebuildAllDocs(
+        [config],
+        (groupConfig, budget, scope) =>
+          rebuildDoc(
+            groupConfig,
+            services({ DocumentApp: failingDocs }),
+            budget,
+            scope
+          ),
+        services()
+      )
+    ).toBe(false)
+
+    expect(getRebuildStatus([config], services()).lastError.message).toBe(
+      'Reports: error clearing document: Document is missing'
+    )
+    expect(threadIds('Reports/Archived')).toHaveLength(1)
+    error.mockRestore()
+  })
+
+  test('report idle when no rebuild ran', () => {
+    const status = getRebuildStatus([config], services())
+
+    expect(status).toEqual({ state: 'idle', configs: [] })
+    expect(formatRebuildStatus(status)).toBe('No rebuild has run yet.')
+  })
+})
+
+describe('cancelRebuild', () => {
+  test('stop a paused rebuild and leave the moved threads to re-archive', () => {
+    const Logger = { log: jest.fn() }
+    archiveThreads(3)
+    rebuild([{ ...config, batchSize: 1 }])
+    const [moved] = threadIds('Reports')
+    // A move cut short leaves the thread under both labels
+    const processedLabel =
+      global.GmailApp.getUserLabelByName('Reports/Archived')
+    processedLabel.addToThread(
+      global.GmailApp.getUserLabelByName('Reports').getThreads()[0]
+    )
+
+    const status = cancelRebuild([config], services({ Logger }))
+
+    expect(status).toMatchObject({ state: 'cancelled', moved: 1 })
+    expect(global.ScriptApp.getProjectTriggers()).toEqual([])
+    expect(
+      global.PropertiesService.getUserProperties().getProperty(
+        'rebuild_state_Reports'
+      )
+    ).toBeNull()
+    expect(threadIds('Reports')).toEqual([moved])
+    expect(threadIds('Reports/Archived')).toHaveLength(2)
+    expect(threadIds('Reports/Archived')).not.toContain(moved)
+    expect(Logger.log).toHaveBeenCalledWith(
+      '2 archived thread(s) of Reports are missing from its cleared doc; run rebuildAllDocs() to restore them'
+    )
+    expect(formatRebuildStatus(status)).toContain(
+      '- Reports: moved 1, re-archived 0, 2 left (missing from the cleared doc)'
+    )
+
+    processLabelGroup(config, services(), helperFns)
+    expect(getRebuildStatus([config], services())).toMatchObject({
+      state: 'cancelled',
+      rearchived: 0,
+    })
+  })
+
+  test('stop a running rebuild at its next check', () => {
+    const other = {
+      ...config,
+      triggerLabel: 'Memos',
+      processedLabel: 'Memos/Archived',
+    }
+    const rebuildFn = jest.fn((groupConfig, budget) => {
+      cancelRebuild([config, other], services())
+      return !budget.isExhausted()
+    })
+
+    expect(rebuildAllDocs([config, other], rebuildFn, services())).toBe(false)
+
+    expect(rebuildFn).toHaveBeenCalledTimes(1)
+    expect(global.ScriptApp.getProjectTriggers()).toEqual([])
+    expect(getRebuildStatus([config], services()).state).toBe('cancelled')
+  })
+
+  test('stop a resumed rebuild cancelled after it took its trigger', () => {
+    archiveThreads(3)
+    rebuild([{ ...config, batchSize: 1 }])
+    // cancelRebuild ran while the continuation was starting: the trigger
+    // was taken already, but the progress says cancelled
+    const properties = global.PropertiesService.getUserProperties()
+    expect(properties.getProperty('rebuild_state_Reports')).not.toBeNull()
+    const progress = JSON.parse(properties.getProperty('rebuild_progress'))
+    properties.setProperty(
+      'rebuild_progress',
+      JSON.stringify({ ...progress, status: 'cancelled' })
+    )
+    const rebuildFn = jest.fn()
+
+    expect(rebuildAllDocs([config], rebuildFn, services())).toBe(false)
+
+    expect(rebuildFn).not.toHaveBeenCalled()
+    expect(properties.getProperty('rebuild_state_Reports')).toBeNull()
+    expect(global.ScriptApp.getProjectTriggers()).toEqual([])
+    expect(getRebuildStatus([config], services()).state).toBe('cancelled')
+  })
+
+  test('do nothing when no rebuild is in progress', () => {
+    const Logger = { log: jest.fn() }
+
+    expect(cancelRebuild([config], services({ Logger }))).toBeNull()
+    expect(Logger.log).toHaveBeenCalledWith('No rebuild in progress to cancel')
+  })
+})
@@ -328,6 +328,32 @@ describe('rebuildDoc', () => {
     expect(properties.getProperty(stateKey)).toBeNull()
   })
 
+  test('runs again when the label lists fewer threads than it holds', () => {
+    const triggerLabel = global.GmailApp.createLabel('test-label')
+    const processedLabel = global.GmailApp.createLabel('test-label-archived')
+    for (let i = 0; i < 3; i++) {
+      const msg = createMessage({ subject: `Email ${i}`, body: `Body ${i}` })
+      global.GmailApp.__addThreadWithLabels(['test-label-archived'], [msg])
+    }
+    // Like Gmail, one call lists only part of a large label
+    const listAll = processedLabel.getThreads
+    jest
+      .spyOn(processedLabel, 'getThreads')
+      .mockImplementationOnce(() => listAll().slice(0, 2))
+
+    const config = {
+      triggerLabel: 'test-label',
+      processedLabel: 'test-label-archived',
+      docId: 'doc-1',
+      folderId: 'folder-1',
+    }
+
+    expect(rebuildDoc(config)).toBe(false)
+    expect(triggerLabel.getThreads()).toHaveLength(2)
+    expect(rebuildDoc(config)).toBe(true)
+    expect(triggerLabel.getThreads()).toHaveLength(3)
+  })
+
   test('uses default batch size of 250 when not specified', () => {
     // Setup
     const triggerLabel = global.GmailApp.createLabel('test-label')
@@ -0,0 +1,201 @@
+const {
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  formatDryRunReport,
+  resolveRedactionSettings,
+  redactText,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({ redact: true })
+
+const addThread = (subject, body) =>
+  addArchiveThread(subject, '01', { body }).thread
+
+const redact = (text, option = true) => {
+  const counts = {}
+  return {
+    text: redactText(
+      text,
+      resolveRedactionSettings({ redact: option }),
+      counts
+    ),
+    counts,
+  }
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('redactText', () => {
+  test('replace the matches of each built-in detector', () => {
+    expect(
+      redact(
+        'SSN 123-45-6789, card 4111 1111 1111 1111, IBAN GB82 WEST 1234 5698 7654 32, ' +
+          'account no. 12345678, your code is 482913, call +1 (555) 123-4567'
+      )
+    ).toEqual({
+      text:
+        'SSN [REDACTED], card [REDACTED], IBAN [REDACTED], ' +
+        'account no. [REDACTED], your code is [REDACTED], call [REDACTED]',
+      counts: {
+        ssn: 1,
+        creditCard: 1,
+        iban: 1,
+        accountNumber: 1,
+        otp: 1,
+        phone: 1,
+      },
+    })
+  })
+
+  test('keep digit runs that fail the card checksum', () => {
+    expect(redact('Order 4111 1111 1111 1112 shipped')).toEqual({
+      text: 'Order 4111 1111 1111 1112 shipped',
+      counts: {},
+    })
+  })
+
+  test('apply only the chosen detectors and custom patterns', () => {
+    expect(
+      redact('SSN 123-45-6789, case CASE-0042, ticket case-0043', {
+        detectors: ['ssn'],
+        patterns: ['case-\\d+'],
+        replacement: '***',
+      })
+    ).toEqual({
+      text: 'SSN ***, case ***, ticket ***',
+      counts: { ssn: 1, custom: 2 },
+    })
+  })
+
+  test('leave the text alone when redaction is disabled', () => {
+    expect(resolveRedactionSettings({})).toBeNull()
+    expect(redactText('SSN 123-45-6789', null)).toBe('SSN 123-45-6789')
+  })
+})
+
+describe('resolveRedactionSettings', () => {
+  test('reject unknown detector names', () => {
+    expect(() =>
+      resolveRedactionSettings({ redact: { detectors: ['passport'] } })
+    ).toThrow('Unknown redaction detector: passport')
+  })
+})
+
+describe('redaction while archiving', () => {
+  test('write redacted text and log the counts of each message', () => {
+    const Logger = { log: jest.fn() }
+    addThread('Card 4111 1111 1111 1111', 'SSN 123-45-6789 and 987-65-4321')
+
+    processLabelGroup(config, services({ Logger }), helperFns)
+
+    expect(texts()).toContain('Subject: Card [REDACTED]')
+    expect(texts()).toContain('SSN [REDACTED] and [REDACTED]')
+    expect(texts().join('\n')).not.toMatch(/\d{3}-\d{2}-\d{4}/)
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Redacted 3 match(es) in: Card [REDACTED] (creditCard x1, ssn x2)'
+    )
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Redacted content in 1 message(s) for: Reports'
+    )
+  })
+
+  test('redact the sender, body and subject cells of the sheet target', () => {
+    addArchiveThread('Card 4111 1111 1111 1111', '01', {
+      body: 'SSN 123-45-6789',
+      from: 'Desk 555-123-4567 <desk@example.com>',
+    })
+
+    processLabelGroup(
+      { ...config, target: { type: 'sheet', spreadsheetId: 'sheet-id' } },
+      services(),
+      helperFns
+    )
+
+    const [, row] = global.SpreadsheetApp.openById('sheet-id')
+      .getSheetByName('Messages')
+      .getDataRange()
+      .getValues()
+    expect(row.slice(2, 5)).toEqual([
+      'Desk [REDACTED] <desk@example.com>',
+      'Card [REDACTED]',
+      'SSN [REDACTED]',
+    ])
+  })
+
+  test('redact the subject and participants in the thread index', () => {
+    addArchiveThread('SSN 123-45-6789', '01', {
+      from: 'ann@example.com',
+      to: '5551234567@sms.example.com',
+    })
+
+    processLabelGroup(
+      { ...config, threadIndex: 'index-id' },
+      services(),
+      helperFns
+    )
+
+    const [, row] = global.SpreadsheetApp.openById('index-id')
+      .getSheetByName('Threads')
+      .getDataRange()
+      .getValues()
+    expect(row.slice(1, 3)).toEqual([
+      'SSN [REDACTED]',
+      'ann@example.com, [REDACTED]@sms.example.com',
+    ])
+  })
+
+  test('skip the config when a detector name is unknown', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    addThread('Weekly', 'SSN 123-45-6789')
+
+    processLabelGroup(
+      { ...config, redact: { detectors: ['passport'] } },
+      services({ Logger }),
+      helperFns
+    )
+
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error opening output target or Folder. Check IDs in Config.gs. Error: Unknown redaction detector: passport'
+    )
+    expect(texts()).toEqual([])
+    error.mockRestore()
+  })
+
+  test('list the redactions of each message in the dry-run report', () => {
+    addThread('Weekly', 'Your verification code is 482913')
+
+    const report = storeEmailsAndAttachments(
+      [config],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services(),
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services(),
+      { dryRun: true }
+    )
+
+    expect(report.groups[0].redactions).toEqual([
+      { subject: 'Weekly', counts: { otp: 1 } },
+    ])
+    expect(formatDryRunReport(report).split('\n')).toEqual(
+      expect.arrayContaining(['Redactions:', '- Weekly: otp x1'])
+    )
+  })
+})
@@ -0,0 +1,209 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  resolveRetrySettings,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig()
+
+const MINUTE = 60 * 1000
+
+const threadIds = (label) =>
+  global.GmailApp.getUserLabelByName(label)
+    .getThreads()
+    .map((thread) => thread.getId())
+const retryState = (threadId) =>
+  JSON.parse(
+    global.PropertiesService.getScriptProperties().getProperty(
+      'retry_' + threadId
+    )
+  )
+
+const message = (subject, day) =>
+  createMessage({
+    subject,
+    body: subject + ' body',
+    date: new Date(`2026-10-0${day}T00:00:00Z`),
+  })
+// A message whose body cannot be read, failing the thread it is in
+const brokenMessage = (subject, day) => ({
+  ...message(subject, day),
+  getPlainBody: () => {
+    throw new Error('Service error: Gmail')
+  },
+})
+
+let now
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Reports/Archived')
+  now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 9, 19))
+})
+
+afterEach(() => {
+  now.mockRestore()
+})
+
+describe('thread retries', () => {
+  test('archive the other threads when one thread fails', () => {
+    const Logger = { log: jest.fn() }
+    const broken = global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [brokenMessage('Broken', 1)]
+    )
+    global.GmailApp.__addThreadWithLabels(['Reports'], [message('Weekly', 2)])
+
+    expect(processLabelGroup(config, services({ Logger }), helperFns)).toBe(
+      true
+    )
+
+    expect(texts()).toContain('Subject: Weekly')
+    expect(texts().join('\n')).not.toContain('Broken')
+    expect(threadIds('Reports')).toEqual([broken.getId()])
+    expect(retryState(broken.getId())).toEqual({
+      attempts: 1,
+      nextAttempt: Date.now() + 15 * MINUTE,
+      error: 'Service error: Gmail',
+    })
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error archiving thread ' + broken.getId() + ': Service error: Gmail'
+    )
+  })
+
+  test('remove the partial output of a failed thread', () => {
+    global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [message('First', 1), brokenMessage('Second', 2)]
+    )
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts()).toEqual([])
+  })
+
+  test('wait an exponential back-off between attempts', () => {
+    const broken = global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [brokenMessage('Broken', 1)]
+    )
+    const start = Date.now()
+
+    processLabelGroup(config, services(), helperFns)
+    now.mockReturnValue(start + 10 * MINUTE)
+    processLabelGroup(config, services(), helperFns)
+    expect(retryState(broken.getId()).attempts).toBe(1)
+
+    now.mockReturnValue(start + 15 * MINUTE + 1)
+    processLabelGroup(config, services(), helperFns)
+    expect(retryState(broken.getId())).toEqual({
+      attempts: 2,
+      nextAttempt: start + 45 * MINUTE + 1,
+      error: 'Service error: Gmail',
+    })
+  })
+
+  test('forget the failures of a thread that is archived on retry', () => {
+    const thread = global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [brokenMessage('Flaky', 1)]
+    )
+    processLabelGroup(config, services(), helperFns)
+
+    const messages = [message('Flaky', 1)]
+    thread.getMessages = () => messages.slice()
+    now.mockReturnValue(Date.now() + 60 * MINUTE)
+    processLabelGroup(config, services(), helperFns)
+
+    expect(threadIds('Reports/Archived')).toEqual([thread.getId()])
+    expect(retryState(thread.getId())).toBeNull()
+  })
+
+  test('move threads out of retries to the failed label and email them', () => {
+    const Logger = { log: jest.fn() }
+    const broken = global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [brokenMessage('Broken', 1)]
+    )
+
+    processLabelGroup(
+      { ...config, retry: { maxRetries: 1 } },
+      services({ Logger }),
+      helperFns
+    )
+
+    expect(threadIds('Reports')).toEqual([])
+    expect(threadIds('Reports-failed')).toEqual([broken.getId()])
+    expect(retryState(broken.getId())).toBeNull()
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Moved 1 failed thread(s) to Reports-failed for: Reports'
+    )
+    expect(global.GmailApp.__sentEmails).toEqual([
+      {
+        to: 'me@example.com',
+        subject: 'Gmail archive: 1 failed thread(s) in Reports',
+        body:
+          '1 thread(s) of Reports could not be archived and were moved to Reports-failed. ' +
+          'Fix the cause and move them back to Reports to try again.\n\n' +
+          '- Broken (' +
+          broken.getId() +
+          ', 1 attempt(s)): Service error: Gmail',
+      },
+    ])
+  })
+
+  test('list failed threads in a dry run without recording retries', () => {
+    const broken = global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [brokenMessage('Broken', 1)]
+    )
+
+    const report = storeEmailsAndAttachments(
+      [config],
+      (groupConfig, budget, groupReport) =>
+        processLabelGroup(
+          groupConfig,
+          services(),
+          helperFns,
+          budget,
+          groupReport
+        ),
+      services(),
+      { dryRun: true }
+    )
+
+    expect(report.groups[0].errors).toEqual([
+      'Error archiving thread ' + broken.getId() + ': Service error: Gmail',
+    ])
+    expect(retryState(broken.getId())).toBeNull()
+  })
+})
+
+describe('resolveRetrySettings', () => {
+  test('default the failed label to the trigger label', () => {
+    expect(resolveRetrySettings(config)).toEqual({
+      maxRetries: 5,
+      backoffMinutes: 15,
+      failedLabel: 'Reports-failed',
+      notify: null,
+    })
+  })
+
+  test('reject settings that would never retry or never leave the label', () => {
+    expect(() =>
+      resolveRetrySettings({ ...config, retry: { maxRetries: 0 } })
+    ).toThrow('retry.maxRetries must be at least 1')
+    expect(() =>
+      resolveRetrySettings({ ...config, retry: { failedLabel: 'Reports' } })
+    ).toThrow('retry.failedLabel must differ from triggerLabel')
+  })
+})
@@ -0,0 +1,228 @@
+const {
+  createMessage,
+  archiverServices,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+  rebuildAllDocs,
+  resolveRebuildScope,
+} = require('../src/index')
+
+const services = archiverServices()
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig()
+
+const subjects = () =>
+  global.DocumentApp.openById('test-doc')
+    .getBody()
+    .getParagraphs()
+    .map((p) => p.getText())
+    .filter((t) => t.startsWith('Subject:'))
+const threadIds = (label) =>
+  global.GmailApp.getUserLabelByName(label)
+    .getThreads()
+    .map((thread) => thread.getId())
+
+// Archive one single-message thread per subject, dated in October 2026
+function archiveThreads(groupConfig, days) {
+  const threads = Object.entries(days).map(([subject, day]) =>
+    global.GmailApp.__addThreadWithLabels(
+      ['Reports'],
+      [
+        createMessage({
+          subject,
+          body: subject + ' body',
+          date: new Date(`2026-10-${day}T00:00:00Z`),
+        }),
+      ]
+    )
+  )
+  processLabelGroup(groupConfig, services, helperFns)
+  return threads
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+  global.GmailApp.createLabel('Reports/Archived')
+})
+
+describe('scoped rebuildDoc', () => {
+  test('regenerate only the threads in a date range', () => {
+    const [, october] = archiveThreads(config, {
+      Early: '01',
+      Middle: '10',
+      Late: '20',
+    })
+
+    expect(
+      rebuildDoc(config, services, undefined, {
+        after: '2026-10-05',
+        before: '2026-10-15',
+      })
+    ).toBe(true)
+
+    expect(subjects()).toEqual(['Subject: Late', 'Subject: Early'])
+    expect(threadIds('Reports')).toEqual([october.getId()])
+    expect(threadIds('Reports/Archived')).toHaveLength(2)
+
+    processLabelGroup(config, services, helperFns)
+    expect(subjects()).toEqual([
+      'Subject: Middle',
+      'Subject: Late',
+      'Subject: Early',
+    ])
+  })
+
+  test('regenerate the threads matching a Gmail search or listed by ID', () => {
+    const [billing, weekly, other] = archiveThreads(config, {
+      Billing: '01',
+      Weekly: '02',
+      Other: '03',
+    })
+    global.GmailApp.__setSearchResults('from:billing@example.com', [
+      billing,
+      global.GmailApp.__addThreadWithLabels([], [createMessage()]),
+    ])
+
+    rebuildDoc(config, services, undefined, {
+      query: 'from:billing@example.com',
+    })
+    rebuildDoc(config, services, undefined, { threadIds: [weekly.getId()] })
+
+    expect(subjects()).toEqual(['Subject: Other'])
+    expect(threadIds('Reports/Archived')).toEqual([other.getId()])
+  })
+
+  test('remove the threads from a Markdown target', () => {
+    const markdownConfig = { ...config, target: 'markdown' }
+    const [weekly] = archiveThreads(markdownConfig, {
+      Weekly: '01',
+      Other: '02',
+    })
+
+    rebuildDoc(markdownConfig, services, undefined, {
+      threadIds: [weekly.getId()],
+    })
+
+    const markdown = global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('Reports.md')
+      .next()
+      .getBlob()
+      .getDataAsString()
+    expect(markdown).toContain('Subject: Other')
+    expect(markdown).not.toContain('Subject: Weekly')
+  })
+
+  test('continue a paused scoped rebuild where it stopped', () => {
+    archiveThreads(config, { First: '01', Second: '02', Third: '03' })
+    const scope = { after: '2026-10-02' }
+    const batchedConfig = { ...config, batchSize: 1 }
+
+    expect(rebuildDoc(batchedConfig, services, undefined, scope)).toBe(false)
+    expect(subjects()).toHaveLength(2)
+    expect(rebuildDoc(batchedConfig, services, undefined, scope)).toBe(true)
+    expect(subjects()).toEqual(['Subject: First'])
+  })
+
+  test('reject a scoped rebuild of an oldest-first config', () => {
+    const appendConfig = { ...config, order: 'oldest-first' }
+    archiveThreads(appendConfig, { Early: '01', Late: '20' })
+
+    expect(() =>
+      rebuildDoc(appendConfig, services, undefined, { after: '2026-10-10' })
+    ).toThrow(
+      "Reports: a scoped rebuild would append its threads out of order (order: 'oldest-first'); run a full rebuild instead"
+    )
+    expect(subjects()).toEqual(['Subject: Early', 'Subject: Late'])
+    expect(threadIds('Reports')).toEqual([])
+  })
+})
+
+describe('scoped rebuildAllDocs', () => {
+  test('keep the scope in the continuation', () => {
+    const scope = { after: '2026-10-01' }
+    const rebuildFn = jest.fn(() => true).mockReturnValueOnce(false)
+
+    expect(rebuildAllDocs([config], rebuildFn, services, scope)).toBe(false)
+    expect(rebuildAllDocs([config], rebuildFn, services)).toBe(true)
+
+    expect(rebuildFn.mock.calls.map((call) => call[2])).toEqual([scope, scope])
+  })
+
+  const memos = {
+    ...config,
+    triggerLabel: 'Memos',
+    processedLabel: 'Memos/Archived',
+    docId: 'memo-doc',
+    order: 'oldest-first',
+  }
+  const addMemo = (day) => {
+    global.GmailApp.createLabel('Memos')
+    global.GmailApp.__addThreadWithLabels(
+      ['Memos/Archived'],
+      [createMessage({ subject: 'Memo', date: new Date(`2026-10-${day}`) })]
+    )
+  }
+
+  test('rebuild nothing when the scope touches a config that appends threads', () => {
+    const rebuildFn = jest.fn(() => true)
+    addMemo('05')
+
+    expect(() =>
+      rebuildAllDocs([config, memos], rebuildFn, services, {
+        after: '2026-10-01',
+      })
+    ).toThrow('Memos: a scoped rebuild would append its threads out of order')
+    expect(rebuildFn).not.toHaveBeenCalled()
+  })
+
+  test('rebuild the other configs when the scope misses the appending one', () => {
+    archiveThreads(config, { Early: '01', Late: '20' })
+    addMemo('05')
+    const rebuildFn = (groupConfig, budget, scope) =>
+      rebuildDoc(groupConfig, services, budget, scope)
+
+    expect(
+      rebuildAllDocs([config, memos], rebuildFn, services, {
+        after: '2026-10-10',
+      })
+    ).toBe(true)
+
+    expect(subjects()).toEqual(['Subject: Early'])
+    expect(threadIds('Memos/Archived')).toHaveLength(1)
+  })
+
+  test('reject every appending config without GmailApp to check the scope', () => {
+    const withoutGmail = { ...services, GmailApp: undefined }
+
+    expect(() =>
+      rebuildAllDocs([memos], jest.fn(), withoutGmail, { after: '2026-10-01' })
+    ).toThrow('Memos: a scoped rebuild would append its threads out of order')
+  })
+})
+
+describe('resolveRebuildScope', () => {
+  test('parse the date range', () => {
+    expect(resolveRebuildScope({ after: '2026-10-01' })).toEqual({
+      after: new Date('2026-10-01'),
+      before: null,
+      query: null,
+      threadIds: null,
+    })
+    expect(resolveRebuildScope(null)).toBeNull()
+  })
+
+  test('reject invalid dates and empty scopes', () => {
+    expect(() => resolveRebuildScope({ before: 'last month' })).toThrow(
+      'Invalid rebuild before date: last month'
+    )
+    expect(() => resolveRebuildScope({})).toThrow(
+      'A rebuild scope needs after, before, query or threadIds'
+    )
+  })
+})
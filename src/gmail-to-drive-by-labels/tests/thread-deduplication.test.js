@@ -1,5 +1,5 @@
 const { createMessage } = require('../../../test-utils/mocks')
-const { processMessagesToDoc } = require('../src/index')
+const { processMessagesToDoc, removeExistingThread } = require('../src/index')
 
 describe('Thread deduplication when new messages arrive', () => {
   let doc, body, folder
@@ -269,4 +269,22 @@ describe('Thread deduplication when new messages arrive', () => {
     expect(thread1Separators).toHaveLength(1)
     expect(thread2Separators).toHaveLength(1)
   })
+
+  test('removing a thread without its ==== line stops at the previous thread separator', () => {
+    // Threads written before the ==== line was added only end in a separator
+    body.appendParagraph('Subject: Thread 1')
+    body.appendParagraph('Content 1')
+    body.appendParagraph('------------------------------[THREAD:t1]')
+    body.appendParagraph('Subject: Thread 2')
+    body.appendParagraph('Content 2')
+    body.appendParagraph('------------------------------[THREAD:t2]')
+
+    expect(removeExistingThread(body, 't2')).toBe(true)
+
+    expect(body.getParagraphs().map((p) => p.getText())).toEqual([
+      'Subject: Thread 1',
+      'Content 1',
+      '------------------------------[THREAD:t1]',
+    ])
+  })
 })
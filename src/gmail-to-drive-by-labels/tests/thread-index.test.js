@@ -0,0 +1,245 @@
+const {
+  createMessage,
+  createBlob,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+  addArchiveThread,
+} = require('../../../test-utils/mocks')
+const {
+  THREAD_INDEX_HEADERS,
+  openThreadIndex,
+  removeExistingThread,
+  processLabelGroup,
+  rebuildDoc,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig({ threadIndex: 'index-id' })
+
+const indexRows = () =>
+  global.SpreadsheetApp.openById('index-id')
+    .getSheetByName('Threads')
+    .getDataRange()
+    .getValues()
+const doc = () => global.DocumentApp.openById('test-doc')
+
+const addThread = (subject, day, extra = {}) =>
+  addArchiveThread(subject, day, {
+    from: 'Ann <ann@example.com>',
+    to: '"Lee, Bo" <bo@example.com>, cy@example.com',
+    ...extra,
+  })
+
+function addReply(thread, messages, day) {
+  messages.push(
+    createMessage({
+      subject: 'Re: ' + messages[0].getSubject(),
+      body: 'Reply',
+      from: 'Dee <dee@example.com>',
+      date: new Date(`2026-10-${day}T00:00:00Z`),
+    })
+  )
+  global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('thread index sheet', () => {
+  test('writes one row per archived thread', () => {
+    addThread('Weekly', '01', {
+      attachments: [createBlob('data', 'report.pdf')],
+    })
+
+    processLabelGroup(config, services(), helperFns)
+
+    const [header, row] = indexRows()
+    expect(header).toEqual(THREAD_INDEX_HEADERS)
+    const saved = global.DriveApp.getFolderById('test-folder')
+      .getFilesByName('report.pdf')
+      .next()
+    expect(row.slice(0, 8)).toEqual([
+      'thread_1',
+      'Weekly',
+      'ann@example.com, bo@example.com, cy@example.com',
+      new Date('2026-10-01T00:00:00Z'),
+      new Date('2026-10-01T00:00:00Z'),
+      1,
+      'report.pdf <' + saved.getUrl() + '>',
+      'test-doc',
+    ])
+    const bookmark = doc().getBookmark(row[8])
+    expect(bookmark.getPosition().getElement().getText()).toBe(
+      '=============================='
+    )
+  })
+
+  test('updates the row and replaces the thread through its bookmark', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(config, services(), helperFns)
+    const scan = jest.fn(removeExistingThread)
+
+    addReply(thread, messages, '03')
+    processLabelGroup(config, services(), {
+      removeExistingThreadFromDoc: scan,
+    })
+
+    expect(scan).not.toHaveBeenCalled()
+    expect(texts().filter((t) => t.startsWith('Subject:'))).toEqual([
+      'Subject: Re: Weekly',
+      'Subject: Weekly',
+      'Subject: Monthly',
+    ])
+    const rows = indexRows()
+    expect(rows).toHaveLength(3)
+    expect(rows[1].slice(0, 6)).toEqual([
+      'thread_1',
+      'Weekly',
+      'ann@example.com, bo@example.com, cy@example.com, dee@example.com',
+      new Date('2026-10-01T00:00:00Z'),
+      new Date('2026-10-03T00:00:00Z'),
+      2,
+    ])
+    expect(doc().getBookmarks()).toHaveLength(2)
+  })
+
+  test('does not scan the doc for threads missing from the index', () => {
+    processLabelGroup(config, services(), helperFns)
+    addThread('Weekly', '01')
+    const scan = jest.fn(removeExistingThread)
+
+    processLabelGroup(config, services(), {
+      removeExistingThreadFromDoc: scan,
+    })
+
+    expect(scan).not.toHaveBeenCalled()
+    expect(indexRows()).toHaveLength(2)
+  })
+
+  test('removes the partial output of a new thread that fails', () => {
+    addThread('Monthly', '01')
+    const { messages } = addThread('Weekly', '02')
+    messages.push({
+      ...createMessage({ subject: 'Re: Weekly', date: new Date('2026-10-03') }),
+      getPlainBody: () => {
+        throw new Error('Service error: Gmail')
+      },
+    })
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts().join('\n')).not.toContain('Weekly')
+    expect(texts()).toContain('Subject: Monthly')
+    expect(indexRows().map((row) => row[0])).toEqual(['Thread ID', 'thread_1'])
+  })
+
+  test('replaces an indexed thread stored in an older volume', () => {
+    global.DriveApp.__addDocumentFile('test-doc', 'test-doc', 'test-folder')
+    const rolling = { ...config, rollover: { maxParagraphs: 10 } }
+    const { thread, messages } = addThread('One', '01')
+    addThread('Two', '02')
+    addThread('Three', '03')
+    processLabelGroup(rolling, services(), helperFns)
+    expect(doc().getBookmarks()).toHaveLength(2)
+
+    addReply(thread, messages, '05')
+    processLabelGroup(rolling, services(), helperFns)
+
+    expect(texts()).not.toContain('Subject: One')
+    expect(doc().getBookmarks()).toHaveLength(1)
+    const row = indexRows().find((r) => r[0] === thread.getId())
+    expect(row[7]).toBe('doc_1')
+    expect(
+      global.DocumentApp.openById('doc_1')
+        .getBody()
+        .getParagraphs()
+        .map((p) => p.getText())
+    ).toContain('Subject: Re: One')
+  })
+
+  test('indexes threads already in the doc when the index is created', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Monthly', '02')
+    processLabelGroup(
+      { ...config, threadIndex: undefined },
+      services(),
+      helperFns
+    )
+
+    addReply(thread, messages, '03')
+    processLabelGroup(config, services(), helperFns)
+
+    const rows = indexRows()
+    expect(rows.map((row) => row[0])).toEqual([
+      'Thread ID',
+      'thread_2',
+      'thread_1',
+    ])
+    expect(rows[1].slice(1, 8)).toEqual(['', '', '', '', '', '', 'test-doc'])
+    expect(rows[2][5]).toBe(2)
+    expect(texts().filter((t) => t.startsWith('Subject:'))).toEqual([
+      'Subject: Re: Weekly',
+      'Subject: Weekly',
+      'Subject: Monthly',
+    ])
+  })
+
+  test('rebuild keeps only the header row', () => {
+    addThread('Weekly', '01')
+    processLabelGroup(config, services(), helperFns)
+
+    rebuildDoc(config, services())
+
+    expect(indexRows()).toEqual([THREAD_INDEX_HEADERS])
+  })
+
+  test('skips the config when the index has no spreadsheetId', () => {
+    const Logger = { log: jest.fn() }
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    addThread('Weekly', '01')
+
+    processLabelGroup(
+      { ...config, threadIndex: { sheetName: 'Threads' } },
+      { ...services(), Logger },
+      helperFns
+    )
+
+    expect(Logger.log).toHaveBeenCalledWith(
+      'Error opening thread index. Check threadIndex in Config.gs. Error: threadIndex needs a spreadsheetId'
+    )
+    expect(texts()).toEqual([])
+    error.mockRestore()
+  })
+})
+
+describe('openThreadIndex', () => {
+  test('uses a custom sheet name', () => {
+    const index = openThreadIndex(
+      { spreadsheetId: 'index-id', sheetName: 'TOC' },
+      global.SpreadsheetApp
+    )
+
+    expect(index.created).toBe(true)
+    expect(
+      global.SpreadsheetApp.openById('index-id')
+        .getSheetByName('TOC')
+        .getDataRange()
+        .getValues()
+    ).toEqual([THREAD_INDEX_HEADERS])
+  })
+  test('finds rows whose thread ID reads back as a number', () => {
+    const settings = { spreadsheetId: 'index-id', sheetName: 'Threads' }
+    const { sheet } = openThreadIndex(settings, global.SpreadsheetApp)
+    // Sheets turns a numeric-looking ID into a number
+    sheet.appendRow([123, new Date(), 'Weekly', '', 1, '', '', 'doc-1', 'b1'])
+
+    const index = openThreadIndex(settings, global.SpreadsheetApp)
+
+    expect(index.rows['123'].values.slice(0, 1)).toEqual(['123'])
+  })
+})
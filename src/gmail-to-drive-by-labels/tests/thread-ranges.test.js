@@ -0,0 +1,147 @@
+const {
+  createMessage,
+  archiverServices: services,
+  archiverHelpers,
+  archiverConfig,
+  docTexts: texts,
+  addArchiveThread: addThread,
+} = require('../../../test-utils/mocks')
+const {
+  loadDocChain,
+  markThreadRange,
+  removeThreadRange,
+  migrateThreadMarkers,
+  removeExistingThread,
+  processLabelGroup,
+} = require('../src/index')
+
+const helperFns = archiverHelpers(removeExistingThread)
+
+const config = archiverConfig()
+
+const doc = () => global.DocumentApp.openById('test-doc')
+
+function addReply(thread, messages, day) {
+  messages.push(
+    createMessage({
+      subject: 'Re: ' + messages[0].getSubject(),
+      body: 'Reply',
+      date: new Date(`2026-10-${day}T00:00:00Z`),
+    })
+  )
+  global.GmailApp.getUserLabelByName('Reports').addToThread(thread)
+}
+
+beforeEach(() => {
+  global.GmailApp.createLabel('Reports')
+})
+
+describe('thread named ranges', () => {
+  test('delimits each thread with a named range instead of a marker', () => {
+    addThread('Weekly', '01')
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts()).toEqual([
+      '==============================',
+      'Subject: Weekly',
+      expect.stringMatching(/^Date: /),
+      'Weekly body',
+      '------------------------------',
+    ])
+    const [range] = doc().getNamedRanges('thread:thread_1')
+    expect(range.getRange().getRangeElements()).toHaveLength(5)
+  })
+
+  test('replaces exactly the thread even with marker text in a body', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    addThread('Tricky', '02', {
+      body: '==============================\n[THREAD:thread_1]',
+    })
+    processLabelGroup(config, services(), helperFns)
+
+    addReply(thread, messages, '03')
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts().filter((t) => t.startsWith('Subject:'))).toEqual([
+      'Subject: Re: Weekly',
+      'Subject: Weekly',
+      'Subject: Tricky',
+    ])
+    expect(doc().getNamedRanges('thread:thread_1')).toHaveLength(1)
+  })
+
+  test('keeps paragraphs a user added inside a thread', () => {
+    const { thread, messages } = addThread('Weekly', '01')
+    processLabelGroup(config, services(), helperFns)
+    doc().getBody().insertParagraph(2, 'My note')
+
+    addReply(thread, messages, '02')
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts()).toContain('My note')
+    expect(texts().filter((t) => t === 'Subject: Weekly')).toHaveLength(1)
+  })
+})
+
+describe('removeThreadRange', () => {
+  test('returns false for threads without a range', () => {
+    const document = doc()
+    document.getBody().appendParagraph('Subject: A')
+
+    expect(removeThreadRange(document, 'a')).toBe(false)
+    markThreadRange(document, document.getBody(), 'a', 0, 0)
+    expect(removeThreadRange(document, 'a')).toBe(true)
+    expect(texts()).toEqual([])
+    expect(document.getNamedRanges()).toHaveLength(0)
+  })
+})
+
+describe('migrateThreadMarkers', () => {
+  const writeMarkerDoc = () => {
+    const body = doc().getBody()
+    ;[
+      '==============================',
+      'Subject: B',
+      '------------------------------[THREAD:b]',
+      '==============================',
+      'Subject: A',
+      '------------------------------',
+      'Subject: A2',
+      '------------------------------[THREAD:a]',
+    ].forEach((text) => body.appendParagraph(text))
+  }
+
+  test('turns marker-delimited threads into named ranges', () => {
+    writeMarkerDoc()
+
+    expect(migrateThreadMarkers(doc())).toBe(2)
+
+    expect(texts().some((t) => t.includes('[THREAD:'))).toBe(false)
+    const sizes = doc()
+      .getNamedRanges()
+      .map((r) => [r.getName(), r.getRange().getRangeElements().length])
+    expect(sizes).toEqual([
+      ['thread:b', 3],
+      ['thread:a', 5],
+    ])
+  })
+
+  test('migrates a marker-based doc when the doc sink first opens it', () => {
+    writeMarkerDoc()
+    const { thread, messages } = addThread('Weekly', '01')
+    thread.getId = () => 'a'
+    addReply(thread, messages, '02')
+
+    processLabelGroup(config, services(), helperFns)
+
+    expect(texts().filter((t) => t.startsWith('Subject:'))).toEqual([
+      'Subject: Re: Weekly',
+      'Subject: Weekly',
+      'Subject: B',
+    ])
+    expect(loadDocChain(global.PropertiesService, 'test-doc')).toEqual([
+      { id: 'test-doc', title: null, ranges: true },
+    ])
+  })
+})
@@ -0,0 +1,232 @@
+const {
+  createMessage,
+  archiverServices,
+  archiverHelpers,
+  archiverConfig,
+} = require('../../../test-utils/mocks')
+const {
+  removeExistingThread,
+  createTimeBudget,
+  processLabelGroup,
+  storeEmailsAndAttachments,
+  rebuildDoc,
+  rebuildAllDocs,
+} = require('../src/index')
+
+const services = archiverServices()
+const helperFns = archiverHelpers(removeExistingThread)
+
+const configs = [
+  archiverConfig({ docId: 'reports-doc' }),
+  archiverConfig({
+    triggerLabel: 'Invoices',
+    processedLabel: 'Invoices/Archived',
+    docId: 'invoices-doc',
+  }),
+]
+
+// A budget that runs out after `checks` checks
+const budgetFor = (checks) => {
+  let left = checks
+  return { isExhausted: jest.fn(() => left-- <= 0) }
+}
+
+const subjects = (docId) =>
+  global.DocumentApp.openById(docId)
+    .getBody()
+    .getParagraphs()
+    .map((p) => p.getText())
+    .filter((t) => t.startsWith('Subject:'))
+
+const cursor = (handler) =>
+  JSON.parse(
+    global.PropertiesService.getUserProperties().getProperty(
+      'continuation_' + handler
+    )
+  )
+
+function addThreads(label, count) {
+  global.GmailApp.createLabel(label)
+  for (let i = 1; i <= count; i++) {
+    global.GmailApp.__addThreadWithLabels(
+      [label],
+      [
+        createMessage({
+          subject: `${label} ${i}`,
+          body: 'Body',
+          date: new Date(`2026-10-0${i}T00:00:00Z`),
+        }),
+      ]
+    )
+  }
+}
+
+describe('createTimeBudget', () => {
+  test('is exhausted once the maximum execution time has passed', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    try {
+      const budget = createTimeBudget(500)
+      now.mockReturnValue(1500)
+      expect(budget.isExhausted()).toBe(false)
+      now.mockReturnValue(1501)
+      expect(budget.isExhausted()).toBe(true)
+    } finally {
+      now.mockRestore()
+    }
+  })
+})
+
+describe('processLabelGroup time budget', () => {
+  test('stop between threads and leave the rest on the trigger label', () => {
+    addThreads('Reports', 3)
+
+    const done = processLabelGroup(
+      configs[0],
+      services,
+      helperFns,
+      budgetFor(2)
+    )
+
+    expect(done).toBe(false)
+    expect(subjects('reports-doc')).toEqual([
+      'Subject: Reports 2',
+      'Subject: Reports 1',
+    ])
+    expect(
+      global.GmailApp.getUserLabelByName('Reports').getThreads()
+    ).toHaveLength(1)
+    expect(
+      global.DocumentApp.openById('reports-doc').getNamedRanges(
+        'thread:thread_2'
+      )
+    ).toHaveLength(1)
+  })
+
+  test('report completion when every thread fits in the budget', () => {
+    addThreads('Reports', 2)
+
+    expect(
+      processLabelGroup(configs[0], services, helperFns, budgetFor(2))
+    ).toBe(true)
+  })
+})
+
+describe('storeEmailsAndAttachments continuation', () => {
+  const processFn = (config, budget) =>
+    processLabelGroup(config, services, helperFns, budget)
+
+  test('persist a cursor and schedule a one-off trigger when paused', () => {
+    addThreads('Reports', 1)
+    addThreads('Invoices', 2)
+    const budget = budgetFor(2)
+    const processSpy = jest.fn((config) => processFn(config, budget))
+
+    expect(storeEmailsAndAttachments(configs, processSpy, services)).toBe(false)
+
+    expect(cursor('storeEmailsAndAttachments').triggerLabel).toBe('Invoices')
+    const triggers = global.ScriptApp.getProjectTriggers()
+    expect(triggers).toHaveLength(1)
+    expect(triggers[0].getHandlerFunction()).toBe('storeEmailsAndAttachments')
+    expect(triggers[0].getUniqueId()).toBe(
+      cursor('storeEmailsAndAttachments').triggerId
+    )
+  })
+
+  test('resume at the paused config and drop the fired trigger', () => {
+    addThreads('Reports', 1)
+    addThreads('Invoices', 2)
+    storeEmailsAndAttachments(
+      configs,
+      (config) => processFn(config, budgetFor(1)),
+      services
+    )
+    const processSpy = jest.fn(processFn)
+
+    expect(storeEmailsAndAttachments(configs, processSpy, services)).toBe(true)
+
+    expect(
+      processSpy.mock.calls.map(([config]) => config.triggerLabel)
+    ).toEqual(['Invoices'])
+    expect(subjects('invoices-doc')).toHaveLength(2)
+    expect(global.ScriptApp.getProjectTriggers()).toHaveLength(0)
+    expect(
+      global.PropertiesService.getUserProperties().getProperty(
+        'continuation_storeEmailsAndAttachments'
+      )
+    ).toBeNull()
+  })
+
+  test('replace the fired trigger when a resumed run pauses again', () => {
+    addThreads('Reports', 1)
+    addThreads('Invoices', 3)
+    const firstBudget = budgetFor(1)
+    storeEmailsAndAttachments(
+      configs,
+      (config) => processFn(config, firstBudget),
+      services
+    )
+    const [fired] = global.ScriptApp.getProjectTriggers()
+
+    const secondBudget = budgetFor(1)
+    expect(
+      storeEmailsAndAttachments(
+        configs,
+        (config) => processFn(config, secondBudget),
+        services
+      )
+    ).toBe(false)
+
+    const triggers = global.ScriptApp.getProjectTriggers()
+    expect(triggers).toHaveLength(1)
+    expect(triggers[0].getUniqueId()).not.toBe(fired.getUniqueId())
+    expect(cursor('storeEmailsAndAttachments')).toEqual({
+      triggerLabel: 'Invoices',
+      triggerId: triggers[0].getUniqueId(),
+    })
+    expect(subjects('invoices-doc')).toHaveLength(1)
+    expect(
+      global.GmailApp.getUserLabelByName('Invoices').getThreads()
+    ).toHaveLength(2)
+  })
+
+  test('schedule nothing without continuation services', () => {
+    const processSpy = jest.fn(() => false)
+
+    expect(storeEmailsAndAttachments(configs, processSpy)).toBe(false)
+    expect(global.ScriptApp.getProjectTriggers()).toHaveLength(0)
+  })
+})
+
+describe('rebuildAllDocs continuation', () => {
+  const rebuildFn = (config, budget) =>
+    rebuildDoc({ ...config, batchSize: 1 }, services, budget)
+
+  beforeEach(() => {
+    configs.forEach((config) => {
+      global.GmailApp.createLabel(config.triggerLabel)
+      global.GmailApp.createLabel(config.processedLabel)
+      global.GmailApp.__addThreadWithLabels(
+        [config.processedLabel],
+        [createMessage({ subject: 'Old', body: 'Body' })]
+      )
+    })
+  })
+
+  test('continue at the paused config without clearing finished ones', () => {
+    global.GmailApp.__addThreadWithLabels(
+      ['Invoices/Archived'],
+      [createMessage({ subject: 'Old 2', body: 'Body' })]
+    )
+    expect(rebuildAllDocs(configs, rebuildFn, services)).toBe(false)
+    expect(cursor('rebuildAllDocs').triggerLabel).toBe('Invoices')
+    expect(global.ScriptApp.getProjectTriggers()).toHaveLength(1)
+
+    const rebuildSpy = jest.fn(rebuildFn)
+    expect(rebuildAllDocs(configs, rebuildSpy, services)).toBe(true)
+
+    expect(
+      rebuildSpy.mock.calls.map(([config]) => config.triggerLabel)
+    ).toEqual(['Invoices'])
+    expect(global.ScriptApp.getProjectTriggers()).toHaveLength(0)
+  })
+})
@@ -34,98 +34,296 @@ function createThread(messages, id) {
   const thread = {
     getId: () => threadId,
     getMessages: () => messages.slice(),
+    getLastMessageDate: () =>
+      new Date(Math.max(...messages.map((m) => m.getDate().getTime()))),
     addLabel: (label) => label.addThread(thread),
     // The real API uses Label methods to add/remove; we keep simple
   }
   return thread
 }
 
+// Counter for generating unique message IDs
+let messageIdCounter = 0
+
 function createMessage({
+  id = `msg_${++messageIdCounter}`,
   subject = '',
   body = '',
+  htmlBody = '',
+  from = '',
+  to = '',
+  cc = '',
   date = new Date(),
   attachments = [],
+  inlineImages = [],
+  rawContent = null,
 } = {}) {
   return {
+    getId: () => id,
     getSubject: () => subject,
+    getFrom: () => from,
+    getTo: () => to,
+    getCc: () => cc,
     getPlainBody: () => body,
+    getBody: () => htmlBody,
     getDate: () => date,
-    getAttachments: () => attachments.slice(),
+    getRawContent: () =>
+      rawContent ??
+      `From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\n` +
+        `Date: ${date.toUTCString()}\r\n\r\n${body}\r\n`,
+    // Like Gmail, inline images are included unless excluded by the options
+    getAttachments: ({
+      includeInlineImages = true,
+      includeAttachments = true,
+    } = {}) => [
+      ...(includeAttachments ? attachments : []),
+      ...(includeInlineImages ? inlineImages : []),
+    ],
   }
 }
 
-function createBlob(bytesOrBuffer, name = 'file.bin') {
+function createBlob(
+  bytesOrBuffer,
+  name = 'file.bin',
+  contentType = 'application/octet-stream'
+) {
   const buf = Buffer.isBuffer(bytesOrBuffer)
     ? bytesOrBuffer
     : Buffer.from(bytesOrBuffer || '')
   return {
     getBytes: () => buf,
     getName: () => name,
+    getContentType: () => contentType,
     setName: function (newName) {
       name = newName
     },
     copyBlob: function () {
       // Return a new blob with the same content
-      return createBlob(buf, name)
+      return createBlob(buf, name, contentType)
     },
     bytes: buf, // Direct buffer access for tests that need it without method call
     asBuffer: () => buf,
   }
 }
 
-function createDriveFolder(id = 'root') {
+function createDriveFolder(id = 'root', name = id) {
   const files = []
-  return {
+  const subfolders = []
+  const folder = {
     id,
-    getFilesByName: (name) =>
-      makeIterator(files.filter((f) => f.getName() === name)),
-    createFile: (blob) => {
-      const file = createFile(blob.getName ? blob.getName() : 'file', blob)
-      files.push(file)
+    getId: () => id,
+    getName: () => name,
+    getFiles: () => makeIterator(files.slice()),
+    getFilesByName: (fileName) =>
+      makeIterator(files.filter((f) => f.getName() === fileName)),
+    // Supports both createFile(blob) and createFile(name, content, mimeType)
+    createFile: (blobOrName, content, mimeType) => {
+      const file =
+        typeof blobOrName === 'string'
+          ? createFile(blobOrName, createBlob(content, blobOrName, mimeType))
+          : createFile(
+              blobOrName.getName ? blobOrName.getName() : 'file',
+              blobOrName
+            )
+      folder.__addFile(file)
       return file
     },
-    // helper for tests
+    getFolders: () => makeIterator(subfolders.slice()),
+    getFoldersByName: (folderName) =>
+      makeIterator(subfolders.filter((f) => f.getName() === folderName)),
+    createFolder: (folderName) => {
+      const child = createDriveFolder(`${id}/${folderName}`, folderName)
+      subfolders.push(child)
+      return child
+    },
+    // helpers for tests
     __getFiles: () => files,
+    __getFolders: () => subfolders,
+    __addFile: (file) => {
+      files.push(file)
+      file.__setParent(folder)
+    },
+    __removeFile: (file) => {
+      const idx = files.indexOf(file)
+      if (idx !== -1) files.splice(idx, 1)
+    },
   }
+  return folder
 }
 
-function createFile(name, blob) {
+// Counter for generating unique file IDs
+let fileIdCounter = 0
+// Every created file by ID, for DriveApp.getFileById
+const filesById = new Map()
+
+function createFile(name, blob, id) {
+  const fileId = id || `file_${++fileIdCounter}`
   let _name = name || blob?.getName?.() || 'file'
-  const bytes =
+  let bytes =
     blob && typeof blob.getBytes === 'function'
       ? blob.getBytes()
       : Buffer.from('')
-  return {
+  let trashed = false
+  let parent = null
+  const file = {
+    getId: () => fileId,
+    getUrl: () => `https://drive.google.com/file/d/${fileId}/view`,
     getName: () => _name,
+    getMimeType: () => blob?.getContentType?.() || 'application/octet-stream',
     getSize: () => bytes.length,
-    getBlob: () => ({ getBytes: () => bytes }),
+    getBlob: () => ({
+      getBytes: () => bytes,
+      getDataAsString: () => bytes.toString('utf8'),
+    }),
     setName: (n) => {
       _name = n
     },
+    setContent: (content) => {
+      bytes = Buffer.from(content)
+    },
+    // Export, e.g. getAs('application/pdf') -> "<name>.pdf"
+    getAs: (contentType) =>
+      createBlob(
+        bytes,
+        _name.replace(/\.[^.]*$/, '') + '.' + contentType.split('/').pop(),
+        contentType
+      ),
+    isTrashed: () => trashed,
+    setTrashed: (value) => {
+      trashed = value
+    },
+    getParents: () => makeIterator(parent ? [parent] : []),
+    moveTo: (folder) => {
+      if (parent) parent.__removeFile(file)
+      folder.__addFile(file)
+    },
+    __setParent: (folder) => {
+      parent = folder
+    },
   }
+  filesById.set(fileId, file)
+  return file
 }
 
-function createDocument(id = 'doc1') {
+function createDocument(id = 'doc1', name = id) {
   const paragraphs = []
+  const bookmarks = new Map()
+  let bookmarkCount = 0
+  const namedRanges = []
+  let namedRangeCount = 0
+  // Like in Docs, a range only covers elements still in the body
+  const liveElements = (elements) =>
+    elements.filter((element) => paragraphs.includes(element))
+  const createParagraph = (content) => {
+    if (typeof content === 'object') return content
+    const para = {
+      text: content,
+      setHeading: (h) => {
+        para.heading = h
+      },
+      setAttributes: (s) => {
+        para.attrs = s
+      },
+      setLinkUrl: (url) => {
+        para.linkUrl = url
+      },
+      setText: (value) => {
+        para.text = value
+      },
+      getText: () => para.text,
+      // Images report a fixed natural size of 1200x800 until resized
+      appendInlineImage: (blob) => {
+        const image = { blob, width: 1200, height: 800 }
+        Object.assign(image, {
+          getWidth: () => image.width,
+          getHeight: () => image.height,
+          setWidth: (width) => {
+            image.width = width
+          },
+          setHeight: (height) => {
+            image.height = height
+          },
+        })
+        para.images = (para.images || []).concat(image)
+        return image
+      },
+      // Detached copy with the same text and formatting
+      copy: () =>
+        Object.assign(createParagraph(para.text), {
+          heading: para.heading,
+          attrs: para.attrs,
+          linkUrl: para.linkUrl,
+          images: para.images,
+        }),
+      removeFromParent: () => {
+        const idx = paragraphs.indexOf(para)
+        if (idx !== -1) paragraphs.splice(idx, 1)
+      },
+    }
+    return para
+  }
   return {
     id,
     getId: () => id,
+    getName: () => name,
+    saveAndClose: () => {},
+    newPosition: (element, offset) => ({
+      getElement: () => element,
+      getOffset: () => offset,
+    }),
+    addBookmark: (position) => {
+      const bookmarkId = `id.${id}_${++bookmarkCount}`
+      const bookmark = {
+        getId: () => bookmarkId,
+        getPosition: () => position,
+        remove: () => bookmarks.delete(bookmarkId),
+      }
+      bookmarks.set(bookmarkId, bookmark)
+      return bookmark
+    },
+    getBookmark: (bookmarkId) => bookmarks.get(bookmarkId) || null,
+    getBookmarks: () => Array.from(bookmarks.values()),
+    newRange: () => {
+      const elements = []
+      const builder = {
+        addElement: (element) => {
+          elements.push(element)
+          return builder
+        },
+        build: () => ({
+          getRangeElements: () =>
+            liveElements(elements).map((element) => ({
+              getElement: () => element,
+              isPartial: () => false,
+            })),
+        }),
+      }
+      return builder
+    },
+    addNamedRange: (rangeName, range) => {
+      const rangeId = `kix.${id}_${++namedRangeCount}`
+      const namedRange = {
+        getId: () => rangeId,
+        getName: () => rangeName,
+        getRange: () => range,
+        remove: () => {
+          const idx = namedRanges.indexOf(namedRange)
+          if (idx !== -1) namedRanges.splice(idx, 1)
+        },
+      }
+      namedRanges.push(namedRange)
+      return namedRange
+    },
+    getNamedRanges: (rangeName) =>
+      namedRanges.filter(
+        (namedRange) =>
+          (rangeName === undefined || namedRange.getName() === rangeName) &&
+          namedRange.getRange().getRangeElements().length > 0
+      ),
     getBody: () => ({
-      appendParagraph: (text) => {
-        const para = {
-          text,
-          setHeading: (h) => {
-            para.heading = h
-          },
-          setAttributes: (s) => {
-            para.attrs = s
-          },
-          getText: () => para.text,
-          removeFromParent: () => {
-            const idx = paragraphs.indexOf(para)
-            if (idx !== -1) paragraphs.splice(idx, 1)
-          },
-        }
+      // Accepts text or a detached paragraph from copy()
+      appendParagraph: (content) => {
+        const para = createParagraph(content)
         paragraphs.push(para)
         return para
       },
@@ -133,8 +331,10 @@ function createDocument(id = 'doc1') {
         paragraphs.length = 0
       },
       getParagraphs: () => paragraphs.slice(),
+      getText: () => paragraphs.map((p) => p.getText()).join('\n'),
       getNumChildren: () => paragraphs.length,
       getChild: (index) => paragraphs[index],
+      getChildIndex: (child) => paragraphs.indexOf(child),
       removeChild: (child) => {
         const idx = paragraphs.indexOf(child)
         if (idx !== -1) paragraphs.splice(idx, 1)
@@ -164,20 +364,7 @@ function createDocument(id = 'doc1') {
         ) {
           throw new Error('Invalid childIndex: ' + childIndex)
         }
-        const para = {
-          text,
-          setHeading: (h) => {
-            para.heading = h
-          },
-          setAttributes: (s) => {
-            para.attrs = s
-          },
-          getText: () => para.text,
-          removeFromParent: () => {
-            const idx = paragraphs.indexOf(para)
-            if (idx !== -1) paragraphs.splice(idx, 1)
-          },
-        }
+        const para = createParagraph(text)
         paragraphs.splice(childIndex, 0, para)
         return para
       },
@@ -188,6 +375,7 @@ function createDocument(id = 'doc1') {
 function createGmailApp() {
   const labels = new Map()
   const sentEmails = []
+  const searchResults = new Map()
   return {
     __labels: labels,
     __sentEmails: sentEmails,
@@ -199,7 +387,10 @@ function createGmailApp() {
       return l
     },
     sendEmail: (to, subject, body) => sentEmails.push({ to, subject, body }),
+    search: (query, start = 0, max = 500) =>
+      (searchResults.get(query) || []).slice(start, start + max),
     // Helpers for tests
+    __setSearchResults: (query, threads) => searchResults.set(query, threads),
     __addThreadWithLabels: (labelNames, messages) => {
       const thread = createThread(messages || [])
       labelNames.forEach((ln) => {
@@ -216,7 +407,9 @@ function createGmailApp() {
     __reset: () => {
       labels.clear()
       sentEmails.length = 0
+      searchResults.clear()
       threadIdCounter = 0
+      messageIdCounter = 0
     },
   }
 }
@@ -231,6 +424,7 @@ function createCalendarEvent({
   location = '',
   attendees = [],
   allDay = false,
+  series = null,
 } = {}) {
   return {
     getId: () => id,
@@ -241,6 +435,23 @@ function createCalendarEvent({
     getLocation: () => location,
     getGuestList: () => (attendees || []).map((a) => ({ getEmail: () => a })),
     isAllDayEvent: () => allDay,
+    // Occurrences of a recurring event share their series' ID
+    isRecurringEvent: () => !!series,
+    getEventSeries: () => series,
+  }
+}
+
+function createCalendarEventSeries({
+  id,
+  title = '',
+  description = '',
+  location = '',
+} = {}) {
+  return {
+    getId: () => id,
+    getTitle: () => title,
+    getDescription: () => description,
+    getLocation: () => location,
   }
 }
 
@@ -270,12 +481,17 @@ function createSheet(name = 'Sheet1') {
   const rows = []
   return {
     getName: () => name,
-    getDataRange: () => ({
-      getValues: () =>
+    getDataRange: () => {
+      const getValues = () =>
         headers.length
           ? [headers.slice(), ...rows.map((r) => r.slice())]
-          : rows.map((r) => r.slice()),
-    }),
+          : rows.map((r) => r.slice())
+      return {
+        getValues,
+        getDisplayValues: () =>
+          getValues().map((r) => r.map((v) => (v == null ? '' : String(v)))),
+      }
+    },
     getLastRow: () => rows.length + (headers.length ? 1 : 0),
     appendRow: (row) => {
       rows.push(row.slice())
@@ -310,9 +526,10 @@ function createSheet(name = 'Sheet1') {
               rows.shift()
             }
           } else if (row === 1 && start === -1) {
-            // Setting the header row when it already exists
-            headers.length = 0
-            vals[0].forEach((x) => headers.push(x))
+            // Setting the header row when it already exists; a range starting
+            // past the first column only replaces the cells it covers
+            if (col === 1) headers.length = 0
+            vals[0].forEach((x, c) => (headers[col - 1 + c] = x))
           } else {
             for (let r = 0; r < vals.length; r++) {
               const dest = start + r
@@ -328,6 +545,10 @@ function createSheet(name = 'Sheet1') {
       const idx = rowIndex - 1 - (headers.length ? 1 : 0)
       if (idx >= 0 && idx < rows.length) rows.splice(idx, 1)
     },
+    deleteRows: (rowIndex, howMany) => {
+      const idx = rowIndex - 1 - (headers.length ? 1 : 0)
+      if (idx >= 0) rows.splice(idx, howMany)
+    },
     __setHeader: (h) => {
       headers.length = 0
       h.forEach((x) => headers.push(x))
@@ -377,45 +598,116 @@ function createDriveApp() {
       if (!folders.has(id)) folders.set(id, createDriveFolder(id))
       return folders.get(id)
     },
-    __reset: () => folders.clear(),
+    getFileById: (id) => {
+      if (!filesById.has(id)) {
+        throw new Error('No item with the given ID could be found: ' + id)
+      }
+      return filesById.get(id)
+    },
+    // Register the Drive file behind a Doc (optionally inside a folder)
+    __addDocumentFile: (docId, name, folderId) => {
+      const file = createFile(name, null, docId)
+      if (folderId) {
+        if (!folders.has(folderId)) {
+          folders.set(folderId, createDriveFolder(folderId))
+        }
+        folders.get(folderId).__addFile(file)
+      }
+      return file
+    },
+    __reset: () => {
+      folders.clear()
+      filesById.clear()
+      fileIdCounter = 0
+    },
   }
 }
 
-function createDocumentApp() {
+function createDocumentApp(drive) {
   const docs = new Map()
+  let docIdCounter = 0
   return {
     openById: (id) => {
       if (!docs.has(id)) docs.set(id, createDocument(id))
       return docs.get(id)
     },
-    __reset: () => docs.clear(),
+    // New Docs are also registered as Drive files in the root
+    create: (name) => {
+      const doc = createDocument(`doc_${++docIdCounter}`, name)
+      docs.set(doc.getId(), doc)
+      if (drive) drive.__addDocumentFile(doc.getId(), name)
+      return doc
+    },
+    __reset: () => {
+      docs.clear()
+      docIdCounter = 0
+    },
     // Apps Script DocumentApp enums
     ParagraphHeading: { HEADING_3: 'HEADING_3' },
-    Attribute: { BOLD: 'BOLD' },
+    Attribute: { BOLD: 'BOLD', ITALIC: 'ITALIC', FONT_FAMILY: 'FONT_FAMILY' },
   }
 }
 
 function createPropertiesService() {
   const userProperties = new Map()
+  const scriptProperties = new Map()
+  const createStore = (store) => ({
+    getProperty: (key) => (store.has(key) ? store.get(key) : null),
+    setProperty: (key, value) => store.set(key, value),
+    deleteProperty: (key) => store.delete(key),
+    __reset: () => store.clear(),
+  })
+  return {
+    getUserProperties: () => createStore(userProperties),
+    getScriptProperties: () => createStore(scriptProperties),
+    __reset: () => {
+      userProperties.clear()
+      scriptProperties.clear()
+    },
+  }
+}
+
+function createScriptApp() {
+  const triggers = []
+  let triggerIdCounter = 0
   return {
-    getUserProperties: () => ({
-      getProperty: (key) =>
-        userProperties.has(key) ? userProperties.get(key) : null,
-      setProperty: (key, value) => userProperties.set(key, value),
-      deleteProperty: (key) => userProperties.delete(key),
-      __reset: () => userProperties.clear(),
+    // Only one-off time-driven triggers: newTrigger(fn).timeBased().after(ms)
+    newTrigger: (handler) => ({
+      timeBased: () => ({
+        after: (ms) => ({
+          create: () => {
+            const id = `trigger_${++triggerIdCounter}`
+            const trigger = {
+              after: ms,
+              getUniqueId: () => id,
+              getHandlerFunction: () => handler,
+            }
+            triggers.push(trigger)
+            return trigger
+          },
+        }),
+      }),
     }),
-    __reset: () => userProperties.clear(),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: (trigger) => {
+      const idx = triggers.indexOf(trigger)
+      if (idx !== -1) triggers.splice(idx, 1)
+    },
+    __reset: () => {
+      triggers.length = 0
+      triggerIdCounter = 0
+    },
   }
 }
 
 function installGlobals(globals) {
   const gmail = createGmailApp()
   const drive = createDriveApp()
-  const docs = createDocumentApp()
+  const docs = createDocumentApp(drive)
   const calendar = createCalendar()
   const spreadsheet = createSpreadsheet()
   const properties = createPropertiesService()
+  const script = createScriptApp()
   const calendars = [calendar]
 
   globals.GmailApp = gmail
@@ -436,6 +728,7 @@ function installGlobals(globals) {
     getActiveSpreadsheet: () => spreadsheet,
   }
   globals.PropertiesService = properties
+  globals.ScriptApp = script
 
   globals.__mocks = {
     gmail,
@@ -444,9 +737,11 @@ function installGlobals(globals) {
     calendar,
     spreadsheet,
     properties,
+    script,
     createMessage,
     createBlob,
     createCalendarEvent,
+    createCalendarEventSeries,
   }
 }
 
@@ -458,17 +753,78 @@ function resetAll(globals) {
     globals.__mocks.calendar.__reset()
     globals.__mocks.spreadsheet.__reset()
     globals.__mocks.properties.__reset()
+    globals.__mocks.script.__reset()
     if (globals.CalendarApp?.__resetCalendars) {
       globals.CalendarApp.__resetCalendars()
     }
   }
 }
 
+// Scaffold shared by the gmail-to-drive-by-labels tests
+
+// Services the archiver takes, read from the installed globals
+const archiverServices = (overrides = {}) => ({
+  GmailApp: global.GmailApp,
+  DocumentApp: global.DocumentApp,
+  DriveApp: global.DriveApp,
+  SpreadsheetApp: global.SpreadsheetApp,
+  PropertiesService: global.PropertiesService,
+  ScriptApp: global.ScriptApp,
+  Logger: global.Logger,
+  Utilities: global.Utilities,
+  Session: global.Session,
+  ...overrides,
+})
+
+// Helper functions processLabelGroup takes, around the archiver's own
+// removeExistingThread (passed in so these mocks do not load the archiver)
+const archiverHelpers = (removeExistingThread) => ({
+  removeExistingThreadFromDoc: removeExistingThread,
+})
+
+// Label group config the archiver tests start from
+const archiverConfig = (overrides = {}) => ({
+  triggerLabel: 'Reports',
+  processedLabel: 'Reports/Archived',
+  docId: 'test-doc',
+  folderId: 'test-folder',
+  ...overrides,
+})
+
+// Paragraph texts of an archive doc
+const docTexts = (docId = 'test-doc') =>
+  global.DocumentApp.openById(docId)
+    .getBody()
+    .getParagraphs()
+    .map((p) => p.getText())
+
+// Add a single-message thread from October `day`, 2026 to the labels; the
+// message fields in `extra` override the defaults
+function addArchiveThread(subject, day, extra = {}, labels = ['Reports']) {
+  const messages = [
+    createMessage({
+      subject,
+      body: subject + ' body',
+      date: new Date(`2026-10-${String(day).padStart(2, '0')}T00:00:00Z`),
+      ...extra,
+    }),
+  ]
+  const thread = global.GmailApp.__addThreadWithLabels(labels, messages)
+  return { thread, messages }
+}
+
 module.exports = {
   installGlobals,
   resetAll,
   createMessage,
   createBlob,
+  createDriveFolder,
   createCalendarEvent,
+  createCalendarEventSeries,
   createCalendar,
+  archiverServices,
+  archiverHelpers,
+  archiverConfig,
+  docTexts,
+  addArchiveThread,
 }
@@ -1,6 +1,7 @@
 // Basic globals to emulate small parts of the Apps Script runtime used in tests
 global.Session = {
   getScriptTimeZone: () => 'UTC',
+  getEffectiveUser: () => ({ getEmail: () => 'me@example.com' }),
 }
 
 global.Utilities = {
@@ -20,6 +21,16 @@ global.Utilities = {
   },
   // Provide a simple sleep stub used in code
   sleep: (ms) => {},
+  newBlob: (data, contentType, name) =>
+    require('./mocks').createBlob(data, name, contentType),
+  // The ZIP keeps its entries readable as { name, text } for assertions
+  zip: (blobs, name) =>
+    Object.assign(require('./mocks').createBlob('', name, 'application/zip'), {
+      __entries: blobs.map((blob) => ({
+        name: blob.getName(),
+        text: Buffer.from(blob.getBytes()).toString(),
+      })),
+    }),
   // Mock MD5 hash computation
   computeDigest: (algorithm, bytes) => {
     // Simple deterministic hash for testing